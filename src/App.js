@@ -8,34 +8,104 @@ import ImageManager from './components/ImageManager/ImageManager';
 import ImagePreview from './components/ImagePreview/ImagePreview';
 import ParameterPanel from './components/ParameterPanel/ParameterPanel';
 import ThreeViewer from './components/ThreeViewer/ThreeViewer';
-import { setExportStatus, setExportError, selectPuzzleParams } from './store/slices/puzzleSlice';
-import { exportAndDownload3MF } from './utils/export3mf';
+import {
+  addImages,
+  selectImage,
+  loadPuzzleParams,
+  setExportStatus,
+  setExportError,
+  setExportProgress,
+  selectPuzzleParams,
+  selectExportOptions,
+  selectSelectedImage
+} from './store/slices/puzzleSlice';
+import { exportAndDownload3MFInBackground } from './utils/backgroundExport';
+import { exportAndDownloadSTL } from './utils/exportStl';
+import { exportAndDownloadOBJ } from './utils/exportObj';
+import { exportAndDownloadGLB } from './utils/exportGlb';
+import { exportAndDownloadCutPaths } from './utils/exportCutPaths';
+import { exportAndDownloadTemplate } from './utils/exportTemplate';
+import { createExportMeshes } from './utils/exportMeshes';
+import { import3MF } from './utils/import3mf';
+import { createImageItem } from './utils/imageItems';
 import './App.css';
 
+// 列出网格检查发现的问题，询问是否仍然下载
+const confirmMeshProblems = (problems) => {
+  const lines = problems.slice(0, 10).map(({ name, problems: list }) => `${name}: ${list.join('；')}`);
+  if (problems.length > 10) lines.push(`……共 ${problems.length} 个模型有问题`);
+  return window.confirm(`模型检查发现以下问题，切片软件可能无法正确处理：\n${lines.join('\n')}\n\n仍要下载吗？`);
+};
+
 const App = () => {
   const dispatch = useDispatch();
   const threeViewerRef = useRef(null);
+  // 正在进行的导出的 AbortController，取消导出时中止
+  const exportAbortRef = useRef(null);
   const params = useSelector(selectPuzzleParams);
+  const exportOptions = useSelector(selectExportOptions);
+  const selectedImage = useSelector(selectSelectedImage);
 
-  // 处理导出3MF
+  // 处理导出（按导出选项中的格式）
   const handleExport = useCallback(async () => {
+    const abortController = new AbortController();
+    exportAbortRef.current = abortController;
     try {
       dispatch(setExportStatus('exporting'));
 
-      // 获取Three.js场景中的立方体和纹理
-      const cube = threeViewerRef.current?.getCube();
-      const texture = threeViewerRef.current?.getTexture();
-
-      if (!cube) {
-        throw new Error('没有可导出的模型，请先创建模型');
-      }
-
-      // 生成文件名
+      // 生成文件名（不含扩展名）
       const timestamp = new Date().toISOString().slice(0, 10);
-      const filename = `puzzle_${params.width}x${params.height}_${timestamp}.3mf`;
+      const basename = `puzzle_${params.width}x${params.height}_${timestamp}`;
+
+      // 三维打印格式直接由参数生成网格（与是否处于游戏模式无关）；GLB 导出视图中当前的模型，切割路径和纸质模板为二维文件
+      const meshes = ['glb', 'svg', 'dxf', 'pdf', 'png'].includes(exportOptions.format)
+        ? null
+        : createExportMeshes(params, exportOptions);
 
-      // 导出并下载
-      await exportAndDownload3MF(cube, params, texture, filename);
+      let downloaded = true;
+      switch (exportOptions.format) {
+        case 'stl': {
+          const separate = exportOptions.target === 'pieces' && exportOptions.stlMode === 'separate';
+          await exportAndDownloadSTL(meshes, basename, separate);
+          break;
+        }
+        case 'obj':
+          await exportAndDownloadOBJ(meshes, params, threeViewerRef.current?.getTexture(), `${basename}_obj.zip`, exportOptions);
+          break;
+        case 'glb':
+          await exportAndDownloadGLB(threeViewerRef.current?.getExportObjects(), `${basename}.glb`);
+          break;
+        case 'svg':
+        case 'dxf':
+          exportAndDownloadCutPaths(params, exportOptions, basename);
+          break;
+        case 'pdf':
+        case 'png':
+          await exportAndDownloadTemplate(params, exportOptions, selectedImage?.url, `${basename}_template`);
+          break;
+        default: { // 3mf
+          // 纹理取自Three.js场景；在后台线程序列化和打包并报告进度，网格检查出问题时由用户决定是否仍然下载
+          const texture = threeViewerRef.current?.getTexture();
+          const result = await exportAndDownload3MFInBackground(
+            meshes, params, texture, `${basename}.3mf`, confirmMeshProblems, exportOptions, {
+              signal: abortController.signal,
+              onProgress: (stage, progress) => dispatch(setExportProgress({ stage, progress }))
+            }
+          );
+          downloaded = result.downloaded;
+          // 缩略图只影响切片软件中的文件预览，渲染失败时照常导出
+          if (result.thumbnailError) {
+            console.warn('3MF 缩略图渲染失败:', result.thumbnailError);
+          }
+          if (result.downloaded && result.colorResolution > exportOptions.colorResolution) {
+            alert(`顶面三角形过多，多色导出的颜色精度已自动降为 ${result.colorResolution} mm`);
+          }
+        }
+      }
+      if (!downloaded) {
+        dispatch(setExportStatus('idle'));
+        return;
+      }
 
       dispatch(setExportStatus('success'));
 
@@ -44,6 +114,12 @@ const App = () => {
         dispatch(setExportStatus('idle'));
       }, 3000);
     } catch (error) {
+      // 用户取消的导出不算失败
+      if (error.name === 'AbortError') {
+        dispatch(setExportStatus('idle'));
+        return;
+      }
+
       console.error('导出失败:', error);
       dispatch(setExportError(error.message));
 
@@ -54,8 +130,52 @@ const App = () => {
       setTimeout(() => {
         dispatch(setExportStatus('idle'));
       }, 3000);
+    } finally {
+      if (exportAbortRef.current === abortController) {
+        exportAbortRef.current = null;
+      }
+    }
+  }, [dispatch, params, exportOptions, selectedImage]);
+
+  // 取消正在进行的导出
+  const handleCancelExport = useCallback(() => {
+    exportAbortRef.current?.abort();
+  }, []);
+
+  // 导入 3MF：贴图加回图片列表并选中；能恢复拼图参数时载入参数，否则在视图中显示文件中的原始网格
+  const handleImport3MF = useCallback(async (file) => {
+    try {
+      const model = await import3MF(file);
+      if (!model.params && model.meshes.length === 0) {
+        throw new Error(model.paramsError || '文件中既没有拼图参数，也没有可显示的网格');
+      }
+      // 完整参数损坏时仍按单项参数恢复或显示原始网格，并告知用户
+      if (model.paramsError) {
+        console.warn('3MF 中的拼图参数无法解析:', model.paramsError);
+        alert(`文件中的完整拼图参数无法读取: ${model.paramsError}\n` +
+          (model.params ? '已按文件中的单项参数恢复，其余参数取默认值' : '将显示文件中的原始网格'));
+      }
+
+      const basename = file.name.replace(/\.3mf$/i, '');
+      const images = await Promise.all(model.textures.map(({ path, url }) =>
+        createImageItem(`${basename}_${path.split('/').pop()}`, url)
+      ));
+      if (images.length > 0) {
+        dispatch(addImages(images));
+        dispatch(selectImage(images[0].id));
+      }
+
+      if (model.params) {
+        dispatch(loadPuzzleParams(model.params));
+        model.meshes.forEach(({ geometry }) => geometry.dispose());
+      } else {
+        threeViewerRef.current?.showImportedModel(file.name, model.meshes);
+      }
+    } catch (error) {
+      console.error('3MF 导入错误:', error);
+      alert('3MF 导入失败: ' + error.message);
     }
-  }, [dispatch, params]);
+  }, [dispatch]);
 
   return (
     <div className="app">
@@ -68,7 +188,7 @@ const App = () => {
 
         {/* 参数设置区域 */}
         <section className="sidebar-section param-section">
-          <ParameterPanel onExport={handleExport} />
+          <ParameterPanel onExport={handleExport} onCancelExport={handleCancelExport} onImport3MF={handleImport3MF} />
         </section>
       </aside>
 
@@ -1,6 +1,6 @@
 /**
  * 图片管理组件
- * 支持图片导入、缩略图展示、选择和删除
+ * 支持图片导入、缩略图展示、选择和删除，以及用当前拼图参数批量导出全部（或勾选的）图片
  */
 import React, { useCallback, useRef } from 'react';
 import { useDispatch, useSelector } from 'react-redux';
@@ -9,56 +9,41 @@ import {
   removeImage,
   selectImage,
   setPreviewImage,
-  selectAllImages
+  toggleBatchImage,
+  startBatchExport,
+  updateBatchExportItem,
+  finishBatchExport,
+  closeBatchExport,
+  selectAllImages,
+  selectBatchImageIds,
+  selectBatchExport,
+  selectPuzzleParams,
+  selectExportOptions
 } from '../../store/slices/puzzleSlice';
+import { readImageFile } from '../../utils/imageItems';
+import { runBatchExport, BATCH_EXPORT_FORMATS } from '../../utils/batchExport';
+import { downloadFile } from '../../utils/export3mf';
 import './ImageManager.css';
 
-// 生成唯一ID
-const generateId = () => `img_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-
-// 创建缩略图（限制尺寸以优化性能）
-const createThumbnail = (file, maxSize = 200) => {
-  return new Promise((resolve, reject) => {
-    const reader = new FileReader();
-    reader.onload = (e) => {
-      const img = new Image();
-      img.onload = () => {
-        // 计算缩略图尺寸
-        let width = img.width;
-        let height = img.height;
-        if (width > height && width > maxSize) {
-          height = (height * maxSize) / width;
-          width = maxSize;
-        } else if (height > maxSize) {
-          width = (width * maxSize) / height;
-          height = maxSize;
-        }
-
-        // 创建canvas绘制缩略图
-        const canvas = document.createElement('canvas');
-        canvas.width = width;
-        canvas.height = height;
-        const ctx = canvas.getContext('2d');
-        ctx.drawImage(img, 0, 0, width, height);
-
-        resolve({
-          thumbnail: canvas.toDataURL('image/jpeg', 0.7),
-          fullUrl: e.target.result
-        });
-      };
-      img.onerror = () => reject(new Error('图片加载失败'));
-      img.src = e.target.result;
-    };
-    reader.onerror = () => reject(new Error('文件读取失败'));
-    reader.readAsDataURL(file);
-  });
+// 批量导出中各图片状态的显示文字
+const BATCH_STATUS_LABELS = {
+  pending: '等待中',
+  exporting: '导出中',
+  done: '完成',
+  error: '失败',
+  cancelled: '已取消'
 };
 
 const ImageManager = () => {
   const dispatch = useDispatch();
   const images = useSelector(selectAllImages);
   const selectedImageId = useSelector(state => state.puzzle.selectedImageId);
+  const batchImageIds = useSelector(selectBatchImageIds);
+  const batchExport = useSelector(selectBatchExport);
+  const params = useSelector(selectPuzzleParams);
+  const exportOptions = useSelector(selectExportOptions);
   const fileInputRef = useRef(null);
+  const batchAbortRef = useRef(null);
 
   // 处理文件选择
   const handleFileSelect = useCallback(async (event) => {
@@ -69,15 +54,7 @@ const ImageManager = () => {
       // 并行处理所有图片
       const imagePromises = files
         .filter(file => file.type.startsWith('image/'))
-        .map(async (file) => {
-          const { thumbnail, fullUrl } = await createThumbnail(file);
-          return {
-            id: generateId(),
-            name: file.name,
-            url: fullUrl,
-            thumbnail: thumbnail
-          };
-        });
+        .map(readImageFile);
 
       const newImages = await Promise.all(imagePromises);
 
@@ -119,6 +96,63 @@ const ImageManager = () => {
     }
   }, [dispatch]);
 
+  // 勾选/取消勾选图片用于批量导出
+  const handleToggleBatchImage = useCallback((imageId, event) => {
+    event.stopPropagation();
+    dispatch(toggleBatchImage(imageId));
+  }, [dispatch]);
+
+  // 批量导出：用当前拼图参数为勾选的图片（未勾选时为全部图片）各导出一份，打包为一个 ZIP 下载；
+  // 单张图片的错误记录在进度列表中，不中断其余图片
+  const handleBatchExport = useCallback(async () => {
+    const targets = batchImageIds.length > 0
+      ? images.filter(image => batchImageIds.includes(image.id))
+      : images;
+    if (targets.length === 0) return;
+
+    const abortController = new AbortController();
+    batchAbortRef.current = abortController;
+    dispatch(startBatchExport(targets));
+    try {
+      const blob = await runBatchExport(targets, params, exportOptions, {
+        signal: abortController.signal,
+        onItemChange: (id, changes) => {
+          if (changes.status === 'error') {
+            console.error(`批量导出 ${targets.find(image => image.id === id).name} 失败:`, changes.error);
+          }
+          dispatch(updateBatchExportItem({ id, changes }));
+        }
+      });
+      if (blob) {
+        const timestamp = new Date().toISOString().slice(0, 10);
+        downloadFile(blob, `puzzle_batch_${params.width}x${params.height}_${timestamp}.zip`);
+      }
+      dispatch(finishBatchExport(blob ? null : '没有图片导出成功'));
+    } catch (error) {
+      // 用户取消的导出不算失败
+      if (error.name === 'AbortError') {
+        dispatch(finishBatchExport(null));
+      } else {
+        console.error('批量导出失败:', error);
+        dispatch(finishBatchExport(error.message));
+      }
+    } finally {
+      if (batchAbortRef.current === abortController) {
+        batchAbortRef.current = null;
+      }
+    }
+  }, [dispatch, images, batchImageIds, params, exportOptions]);
+
+  // 取消正在进行的批量导出
+  const handleCancelBatchExport = useCallback(() => {
+    batchAbortRef.current?.abort();
+  }, []);
+
+  // 关闭批量导出的进度列表
+  const handleCloseBatchExport = useCallback(() => {
+    dispatch(closeBatchExport());
+  }, [dispatch]);
+
   // 拖放支持
   const handleDragOver = (event) => {
     event.preventDefault();
@@ -141,11 +175,29 @@ const ImageManager = () => {
     }
   };
 
+  const batchFormatSupported = BATCH_EXPORT_FORMATS.includes(exportOptions.format);
+  const batchRunning = Boolean(batchExport?.running);
+  const batchTitle = batchFormatSupported
+    ? `用当前拼图参数为${batchImageIds.length > 0 ? '勾选的' : '全部'}图片各导出一份 ${exportOptions.format.toUpperCase()}，打包为 ZIP`
+    : '批量导出仅支持 3MF、OBJ、PDF、PNG 格式';
+  const batchDone = batchExport ? batchExport.items.filter(item => item.status === 'done').length : 0;
+  const batchFailed = batchExport ? batchExport.items.filter(item => item.status === 'error').length : 0;
+
   return (
     <div className="image-manager">
       <div className="image-manager-header">
         <h3>图片管理</h3>
-        <span className="image-count">{images.length} 张</span>
+        <div className="image-manager-actions">
+          <span className="image-count">{images.length} 张</span>
+          <button
+            className="btn-batch-export"
+            onClick={handleBatchExport}
+            disabled={!batchFormatSupported || images.length === 0 || batchRunning}
+            title={batchTitle}
+          >
+            {batchImageIds.length > 0 ? `批量导出 (${batchImageIds.length})` : '批量导出'}
+          </button>
+        </div>
       </div>
 
       {/* 上传区域 */}
@@ -202,6 +254,14 @@ const ImageManager = () => {
                   ×
                 </button>
               </div>
+              <input
+                type="checkbox"
+                className="batch-checkbox"
+                checked={batchImageIds.includes(image.id)}
+                onClick={(e) => e.stopPropagation()}
+                onChange={(e) => handleToggleBatchImage(image.id, e)}
+                title="勾选用于批量导出"
+              />
               {selectedImageId === image.id && (
                 <div className="selected-badge">✓</div>
               )}
@@ -209,6 +269,41 @@ const ImageManager = () => {
           ))
         )}
       </div>
+
+      {/* 批量导出进度 */}
+      {batchExport && (
+        <div className="batch-export">
+          <div className="batch-export-header">
+            <span className="batch-export-summary">
+              {batchRunning ? '批量导出中' : '批量导出结束'}：完成 {batchDone}/{batchExport.items.length}
+              {batchFailed > 0 && `，失败 ${batchFailed}`}
+            </span>
+            {batchRunning ? (
+              <button className="btn-batch-cancel" onClick={handleCancelBatchExport}>取消</button>
+            ) : (
+              <button className="btn-batch-close" onClick={handleCloseBatchExport}>关闭</button>
+            )}
+          </div>
+          {batchExport.error && (
+            <div className="batch-export-error">{batchExport.error}</div>
+          )}
+          <ul className="batch-export-list">
+            {batchExport.items.map(item => (
+              <li key={item.id} className={`batch-export-item ${item.status}`}>
+                <div className="batch-export-row">
+                  <span className="batch-export-name" title={item.name}>{item.name}</span>
+                  <span className="batch-export-status">
+                    {BATCH_STATUS_LABELS[item.status]}
+                    {item.status === 'exporting' && item.stage && ` ${Math.round(item.progress * 100)}%`}
+                  </span>
+                </div>
+                {item.error && <div className="batch-export-message">{item.error}</div>}
+                {item.warning && <div className="batch-export-message warning">{item.warning}</div>}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
     </div>
   );
 };
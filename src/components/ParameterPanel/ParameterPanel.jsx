@@ -2,19 +2,47 @@
  * 拼图参数调整面板组件
  * 包含尺寸、分割、颜色等参数设置
  */
-import React, { useCallback } from 'react';
+import React, { useCallback, useDeferredValue, useMemo, useRef } from 'react';
 import { useDispatch, useSelector } from 'react-redux';
-import { setParam, selectPuzzleParams, selectExportStatus } from '../../store/slices/puzzleSlice';
+import {
+  setParam,
+  updatePuzzleParams,
+  setExportOption,
+  setPlatePreview,
+  selectPuzzleParams,
+  selectExportStatus,
+  selectExportProgress,
+  selectExportOptions,
+  selectPlatePreview
+} from '../../store/slices/puzzleSlice';
+import { getClearanceWarning, MAX_GRID_SIZE } from '../../utils/puzzleGeometry';
+import { parseSvgOutline, parseSvgCutPattern } from '../../utils/svgImport';
+import { MAX_TEMPLATE_BLEED } from '../../utils/exportTemplate';
+import { PRINTER_PROFILES } from '../../utils/buildPlates';
+import { getColorResolutionWarning } from '../../utils/meshData';
 import './ParameterPanel.css';
 
-// 分割块数选项
-const GRID_OPTIONS = [
-  { value: '2x2', label: '2 × 2', gridX: 2, gridY: 2 },
-  { value: '3x3', label: '3 × 3', gridX: 3, gridY: 3 },
-  { value: '4x4', label: '4 × 4', gridX: 4, gridY: 4 },
-  { value: '5x5', label: '5 × 5', gridX: 5, gridY: 5 },
-  { value: '2x3', label: '2 × 3', gridX: 2, gridY: 3 },
-  { value: '3x4', label: '3 × 4', gridX: 3, gridY: 4 },
+// 板面形状选项
+const BOARD_SHAPE_OPTIONS = [
+  { value: 'rectangle', label: '矩形' },
+  { value: 'roundedRect', label: '圆角矩形' },
+  { value: 'circle', label: '圆形' },
+  { value: 'heart', label: '心形' },
+  { value: 'svg', label: '自定义 SVG' },
+];
+
+// 网格大小设定方式选项
+const GRID_SIZE_MODE_OPTIONS = [
+  { value: 'count', label: '按块数' },
+  { value: 'pieceSize', label: '按拼图块尺寸' },
+];
+
+// 布局方式选项
+const LAYOUT_MODE_OPTIONS = [
+  { value: 'grid', label: '网格' },
+  { value: 'voronoi', label: '不规则' },
+  { value: 'hex', label: '六边形' },
+  { value: 'triangle', label: '三角形' },
 ];
 
 // 分割方式选项
@@ -22,12 +50,127 @@ const SPLIT_MODE_OPTIONS = [
   { value: 'straight', label: '直线切割' },
   { value: 'wave', label: '波浪切割' },
   { value: 'zigzag', label: '锯齿切割' },
+  { value: 'jigsaw', label: '凸榫切割' },
+  { value: 'custom', label: '自定义 (SVG)' },
+];
+
+// 导出格式选项
+const EXPORT_FORMAT_OPTIONS = [
+  { value: '3mf', label: '3MF' },
+  { value: 'stl', label: 'STL' },
+  { value: 'obj', label: 'OBJ (含贴图)' },
+  { value: 'glb', label: 'GLB (当前视图)' },
+  { value: 'svg', label: 'SVG (切割路径)' },
+  { value: 'dxf', label: 'DXF (切割路径)' },
+  { value: 'pdf', label: 'PDF (纸质模板)' },
+  { value: 'png', label: 'PNG (纸质模板)' },
+];
+
+// 二维切割路径格式（不导出三维模型）
+const CUT_PATH_FORMATS = ['svg', 'dxf'];
+
+// 纸质切割模板格式
+const TEMPLATE_FORMATS = ['pdf', 'png'];
+
+// 纸张选项
+const PAGE_SIZE_OPTIONS = [
+  { value: 'a4', label: 'A4' },
+  { value: 'letter', label: 'Letter' },
+  { value: 'a3', label: 'A3' },
+];
+
+// 模板图片分辨率选项
+const TEMPLATE_DPI_OPTIONS = [
+  { value: 150, label: '150 DPI' },
+  { value: 300, label: '300 DPI' },
+];
+
+// 切割路径方式选项
+const CUT_MODE_OPTIONS = [
+  { value: 'network', label: '切割网络' },
+  { value: 'pieces', label: '逐块轮廓' },
+];
+
+// 开关类选项
+const YES_NO_OPTIONS = [
+  { value: 'true', label: '是' },
+  { value: 'false', label: '否' },
+];
+
+// STL 文件组织方式选项
+const STL_MODE_OPTIONS = [
+  { value: 'merged', label: '合并为一个文件' },
+  { value: 'separate', label: '每块一个文件' },
+];
+
+// 3MF 顶面颜色选项
+const COLOR_MODE_OPTIONS = [
+  { value: 'texture', label: '贴图' },
+  { value: 'multicolor', label: '多色耗材' },
+];
+
+// 多色导出的颜色数范围
+const MIN_COLOR_COUNT = 2;
+const MAX_COLOR_COUNT = 16;
+
+// 多色导出顶面细分精度选项 (mm)
+const COLOR_RESOLUTION_OPTIONS = [
+  { value: 0.5, label: '0.5 mm (精细)' },
+  { value: 1, label: '1 mm' },
+  { value: 2, label: '2 mm (文件较小)' },
+];
+
+// 贴图最大边长选项 (px)，0 为原图尺寸
+const TEXTURE_MAX_SIZE_OPTIONS = [
+  { value: 0, label: '原图尺寸' },
+  { value: 1024, label: '1024 px' },
+  { value: 2048, label: '2048 px' },
+  { value: 4096, label: '4096 px' },
 ];
 
-const ParameterPanel = ({ onExport }) => {
+// 贴图格式选项
+const TEXTURE_FORMAT_OPTIONS = [
+  { value: 'png', label: 'PNG (无损)' },
+  { value: 'jpeg', label: 'JPEG (文件较小)' },
+];
+
+// JPEG 质量范围 (%)
+const MIN_TEXTURE_QUALITY = 10;
+const MAX_TEXTURE_QUALITY = 100;
+
+// 打印机选项：不分平台、常见机型、自定义热床
+const PRINTER_PROFILE_OPTIONS = [
+  { value: 'none', label: '不分平台' },
+  ...Object.entries(PRINTER_PROFILES).map(([value, { name, width, depth }]) => ({
+    value,
+    label: `${name} (${width}×${depth})`
+  })),
+  { value: 'custom', label: '自定义' },
+];
+
+// 导出内容选项
+const EXPORT_TARGET_OPTIONS = [
+  { value: 'pieces', label: '拼图块' },
+  { value: 'board', label: '整块板面' },
+];
+
+// 后台导出各阶段在按钮上的名称
+const EXPORT_STAGE_LABELS = {
+  geometry: '网格',
+  texture: '贴图',
+  zip: '打包'
+};
+
+const ParameterPanel = ({ onExport, onCancelExport, onImport3MF }) => {
   const dispatch = useDispatch();
   const params = useSelector(selectPuzzleParams);
   const exportStatus = useSelector(selectExportStatus);
+  const exportProgress = useSelector(selectExportProgress);
+  const exportOptions = useSelector(selectExportOptions);
+  const platePreview = useSelector(selectPlatePreview);
+  const svgInputRef = useRef(null);
+  const cutInputRef = useRef(null);
+  const modelInputRef = useRef(null);
 
   // 更新数值参数
   const handleNumberChange = useCallback((key, value) => {
@@ -37,18 +180,118 @@ const ParameterPanel = ({ onExport }) => {
     }
   }, [dispatch]);
 
-  // 更新网格参数
-  const handleGridChange = useCallback((value) => {
-    const option = GRID_OPTIONS.find(opt => opt.value === value);
-    if (option) {
-      dispatch(setParam({ key: 'gridX', value: option.gridX }));
-      dispatch(setParam({ key: 'gridY', value: option.gridY }));
+  // 更新板面形状；选择自定义 SVG 但尚未导入轮廓时直接打开文件选择
+  const handleBoardShapeChange = useCallback((value) => {
+    dispatch(setParam({ key: 'boardShape', value }));
+    if (value === 'svg' && !params.boardOutline) {
+      svgInputRef.current?.click();
+    }
+  }, [dispatch, params.boardOutline]);
+
+  // 更新圆角半径（允许 0，即直角）
+  const handleCornerRadiusChange = useCallback((value) => {
+    const radius = parseFloat(value);
+    if (!isNaN(radius) && radius >= 0) {
+      dispatch(setParam({ key: 'cornerRadius', value: radius }));
+    }
+  }, [dispatch]);
+
+  // 导入 SVG 轮廓，高度按轮廓的宽高比随宽度调整
+  const handleSvgSelect = useCallback(async (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    try {
+      const { points, aspect } = parseSvgOutline(await file.text());
+      dispatch(updatePuzzleParams({
+        boardShape: 'svg',
+        boardOutline: points,
+        height: Math.round(params.width * aspect * 10) / 10
+      }));
+    } catch (error) {
+      console.error('SVG 导入错误:', error);
+      alert('SVG 导入失败: ' + error.message);
+    }
+
+    // 重置input以允许重复选择相同文件
+    event.target.value = '';
+  }, [dispatch, params.width]);
+
+  // 更新网格大小设定方式（按尺寸时块数由 reducer 推算）
+  const handleGridSizeModeChange = useCallback((value) => {
+    dispatch(setParam({ key: 'gridSizeMode', value }));
+  }, [dispatch]);
+
+  // 更新布局方式
+  const handleLayoutModeChange = useCallback((value) => {
+    dispatch(setParam({ key: 'layoutMode', value }));
+  }, [dispatch]);
+
+  // 更新整数参数（网格块数、拼图块数、松弛次数），限制在 [min, max] 范围内
+  const handleIntegerChange = useCallback((key, value, min, max) => {
+    const intValue = parseInt(value, 10);
+    if (!isNaN(intValue)) {
+      dispatch(setParam({ key, value: Math.min(Math.max(intValue, min), max) }));
     }
   }, [dispatch]);
 
-  // 更新分割方式
+  // 更新分割方式；选择自定义切割但尚未导入切割线时直接打开文件选择
   const handleSplitModeChange = useCallback((value) => {
     dispatch(setParam({ key: 'splitMode', value }));
+    if (value === 'custom' && !params.cutPattern) {
+      cutInputRef.current?.click();
+    }
+  }, [dispatch, params.cutPattern]);
+
+  // 导入 SVG 切割线，SVG 画布对应整个板面，高度按画布的宽高比随宽度调整
+  const handleCutPatternSelect = useCallback(async (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    try {
+      const { lines, aspect } = parseSvgCutPattern(await file.text());
+      dispatch(updatePuzzleParams({
+        splitMode: 'custom',
+        cutPattern: lines,
+        height: Math.round(params.width * aspect * 10) / 10
+      }));
+    } catch (error) {
+      console.error('SVG 导入错误:', error);
+      alert('SVG 导入失败: ' + error.message);
+    }
+
+    // 重置input以允许重复选择相同文件
+    event.target.value = '';
+  }, [dispatch, params.width]);
+
+  // 导入之前导出的 3MF，由上层恢复贴图和参数
+  const handleModelSelect = useCallback((event) => {
+    const file = event.target.files[0];
+    if (file) onImport3MF(file);
+
+    // 重置input以允许重复选择相同文件
+    event.target.value = '';
+  }, [onImport3MF]);
+
+  // 更新随机种子（允许 0，取整）
+  const handleSeedChange = useCallback((value) => {
+    const seed = parseInt(value, 10);
+    if (!isNaN(seed) && seed >= 0) {
+      dispatch(setParam({ key: 'seed', value: seed }));
+    }
+  }, [dispatch]);
+
+  // 更新配合间隙（允许 0，即不留间隙）
+  const handleClearanceChange = useCallback((value) => {
+    const clearance = parseFloat(value);
+    if (!isNaN(clearance) && clearance >= 0) {
+      dispatch(setParam({ key: 'clearance', value: Math.min(clearance, 2) }));
+    }
+  }, [dispatch]);
+
+  // 随机生成新的种子
+  const handleRandomSeed = useCallback(() => {
+    dispatch(setParam({ key: 'seed', value: Math.floor(Math.random() * 100000) }));
   }, [dispatch]);
 
   // 更新颜色
@@ -56,25 +299,90 @@ const ParameterPanel = ({ onExport }) => {
     dispatch(setParam({ key, value }));
   }, [dispatch]);
 
-  // 获取当前网格值
-  const getCurrentGridValue = () => {
-    const option = GRID_OPTIONS.find(
-      opt => opt.gridX === params.gridX && opt.gridY === params.gridY
-    );
-    return option ? option.value : '2x2';
-  };
+  // 更新导出选项（格式、内容、STL 文件组织方式）
+  const handleExportOptionChange = useCallback((key, value) => {
+    dispatch(setExportOption({ key, value }));
+  }, [dispatch]);
+
+  // 更新开关类导出选项（下拉框的值为字符串）
+  const handleExportFlagChange = useCallback((key, value) => {
+    dispatch(setExportOption({ key, value: value === 'true' }));
+  }, [dispatch]);
+
+  // 更新拼图块间距（允许 0，即紧贴排列）
+  const handlePieceGapChange = useCallback((value) => {
+    const gap = parseFloat(value);
+    if (!isNaN(gap) && gap >= 0) {
+      dispatch(setExportOption({ key: 'pieceGap', value: gap }));
+    }
+  }, [dispatch]);
+
+  // 更新多色导出的颜色数
+  const handleColorCountChange = useCallback((value) => {
+    const count = parseInt(value, 10);
+    if (!isNaN(count) && count >= MIN_COLOR_COUNT && count <= MAX_COLOR_COUNT) {
+      dispatch(setExportOption({ key: 'colorCount', value: count }));
+    }
+  }, [dispatch]);
+
+  // 更新 JPEG 贴图质量（输入为百分比）
+  const handleTextureQualityChange = useCallback((value) => {
+    const percent = parseInt(value, 10);
+    if (!isNaN(percent) && percent >= MIN_TEXTURE_QUALITY && percent <= MAX_TEXTURE_QUALITY) {
+      dispatch(setExportOption({ key: 'textureQuality', value: percent / 100 }));
+    }
+  }, [dispatch]);
+
+  // 更新自定义热床尺寸（边距允许为 0）
+  const handleBedSizeChange = useCallback((key, value) => {
+    const size = parseFloat(value);
+    if (!isNaN(size) && (key === 'bedMargin' ? size >= 0 : size > 0)) {
+      dispatch(setExportOption({ key, value: size }));
+    }
+  }, [dispatch]);
+
+  // 切换打印平台预览
+  const handleTogglePlatePreview = useCallback(() => {
+    dispatch(setPlatePreview(!platePreview));
+  }, [dispatch, platePreview]);
+
+  // 更新模板出血（限制在页边距能容纳的范围内）
+  const handleTemplateBleedChange = useCallback((value) => {
+    const bleed = parseFloat(value);
+    if (!isNaN(bleed) && bleed >= 0 && bleed <= MAX_TEMPLATE_BLEED) {
+      dispatch(setExportOption({ key: 'templateBleed', value: bleed }));
+    }
+  }, [dispatch]);
+
+  // GLB 导出视图中当前的模型，切割路径和纸质模板为二维文件，都不需要选择导出内容
+  const isCutPathFormat = CUT_PATH_FORMATS.includes(exportOptions.format);
+  const isTemplateFormat = TEMPLATE_FORMATS.includes(exportOptions.format);
+  const showExportTarget = exportOptions.format !== 'glb' && !isCutPathFormat && !isTemplateFormat;
+  // 贴图设置用于写入贴图的 3MF 和 OBJ
+  const showTextureOptions = (exportOptions.format === '3mf' && exportOptions.colorMode === 'texture') ||
+    exportOptions.format === 'obj';
+
+  // 间隙过大导致细颈过窄时的提示；拼图块很多时计算较慢，延后到输入更新之后进行
+  const deferredParams = useDeferredValue(params);
+  const clearanceWarning = useMemo(() => getClearanceWarning(deferredParams), [deferredParams]);
+  const colorResolutionWarning = useMemo(
+    () => getColorResolutionWarning(deferredParams, exportOptions.colorResolution),
+    [deferredParams, exportOptions.colorResolution]
+  );
 
   // 导出按钮状态文本
   const getExportButtonText = () => {
     switch (exportStatus) {
       case 'exporting':
-        return '导出中...';
+        return exportProgress
+          ? `导出中... ${EXPORT_STAGE_LABELS[exportProgress.stage]} ${Math.round(exportProgress.progress * 100)}%`
+          : '导出中...';
       case 'success':
         return '导出成功！';
       case 'error':
         return '导出失败';
       default:
-        return '导出 3MF 文件';
+        return `导出 ${exportOptions.format.toUpperCase()} 文件`;
     }
   };
 
@@ -127,20 +435,15 @@ const ParameterPanel = ({ onExport }) => {
               step="0.5"
             />
           </div>
-        </div>
-
-        {/* 分割设置 */}
-        <div className="param-section">
-          <h4 className="section-title">分割设置</h4>
 
           <div className="param-row">
-            <label className="param-label">分割块数</label>
+            <label className="param-label">板面形状</label>
             <select
               className="param-select"
-              value={getCurrentGridValue()}
-              onChange={(e) => handleGridChange(e.target.value)}
+              value={params.boardShape}
+              onChange={(e) => handleBoardShapeChange(e.target.value)}
             >
-              {GRID_OPTIONS.map(option => (
+              {BOARD_SHAPE_OPTIONS.map(option => (
                 <option key={option.value} value={option.value}>
                   {option.label}
                 </option>
@@ -148,6 +451,160 @@ const ParameterPanel = ({ onExport }) => {
             </select>
           </div>
 
+          {params.boardShape === 'roundedRect' && (
+            <div className="param-row">
+              <label className="param-label">圆角半径</label>
+              <input
+                type="number"
+                className="param-input"
+                value={params.cornerRadius}
+                onChange={(e) => handleCornerRadiusChange(e.target.value)}
+                min="0"
+                step="1"
+              />
+            </div>
+          )}
+
+          {params.boardShape === 'svg' && (
+            <div className="param-row">
+              <label className="param-label">SVG 轮廓</label>
+              <button
+                className="param-button"
+                onClick={() => svgInputRef.current?.click()}
+              >
+                {params.boardOutline ? '重新导入' : '导入 SVG'}
+              </button>
+            </div>
+          )}
+
+          <input
+            ref={svgInputRef}
+            type="file"
+            accept=".svg,image/svg+xml"
+            onChange={handleSvgSelect}
+            style={{ display: 'none' }}
+          />
+        </div>
+
+        {/* 分割设置 */}
+        <div className="param-section">
+          <h4 className="section-title">分割设置</h4>
+
+          {params.splitMode !== 'custom' && (
+            <>
+              <div className="param-row">
+                <label className="param-label">布局方式</label>
+                <select
+                  className="param-select"
+                  value={params.layoutMode}
+                  onChange={(e) => handleLayoutModeChange(e.target.value)}
+                >
+                  {LAYOUT_MODE_OPTIONS.map(option => (
+                    <option key={option.value} value={option.value}>
+                      {option.label}
+                    </option>
+                  ))}
+                </select>
+              </div>
+
+              {params.layoutMode === 'voronoi' ? (
+                <>
+                  <div className="param-row">
+                    <label className="param-label">拼图块数</label>
+                    <input
+                      type="number"
+                      className="param-input"
+                      value={params.pieceCount}
+                      onChange={(e) => handleIntegerChange('pieceCount', e.target.value, 2, 500)}
+                      min="2"
+                      max="500"
+                      step="1"
+                    />
+                  </div>
+
+                  <div className="param-row">
+                    <label className="param-label">松弛次数</label>
+                    <input
+                      type="number"
+                      className="param-input"
+                      value={params.relaxIterations}
+                      onChange={(e) => handleIntegerChange('relaxIterations', e.target.value, 0, 10)}
+                      min="0"
+                      max="10"
+                      step="1"
+                    />
+                  </div>
+                </>
+              ) : (
+                <>
+                  <div className="param-row">
+                    <label className="param-label">网格设定</label>
+                    <select
+                      className="param-select"
+                      value={params.gridSizeMode}
+                      onChange={(e) => handleGridSizeModeChange(e.target.value)}
+                    >
+                      {GRID_SIZE_MODE_OPTIONS.map(option => (
+                        <option key={option.value} value={option.value}>
+                          {option.label}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+
+                  {params.gridSizeMode === 'pieceSize' ? (
+                    <>
+                      <div className="param-row">
+                        <label className="param-label">拼图块尺寸 (mm)</label>
+                        <input
+                          type="number"
+                          className="param-input"
+                          value={params.targetPieceSize}
+                          onChange={(e) => handleNumberChange('targetPieceSize', e.target.value)}
+                          min="1"
+                          step="1"
+                        />
+                      </div>
+
+                      <div className="param-row">
+                        <label className="param-label">分割块数</label>
+                        <span className="param-value">{params.gridX} × {params.gridY}</span>
+                      </div>
+                    </>
+                  ) : (
+                    <>
+                      <div className="param-row">
+                        <label className="param-label">横向块数</label>
+                        <input
+                          type="number"
+                          className="param-input"
+                          value={params.gridX}
+                          onChange={(e) => handleIntegerChange('gridX', e.target.value, 1, MAX_GRID_SIZE)}
+                          min="1"
+                          max={MAX_GRID_SIZE}
+                          step="1"
+                        />
+                      </div>
+
+                      <div className="param-row">
+                        <label className="param-label">纵向块数</label>
+                        <input
+                          type="number"
+                          className="param-input"
+                          value={params.gridY}
+                          onChange={(e) => handleIntegerChange('gridY', e.target.value, 1, MAX_GRID_SIZE)}
+                          min="1"
+                          max={MAX_GRID_SIZE}
+                          step="1"
+                        />
+                      </div>
+                    </>
+                  )}
+                </>
+              )}
+            </>
+          )}
+
           <div className="param-row">
             <label className="param-label">分割方式</label>
             <select
@@ -162,6 +619,64 @@ const ParameterPanel = ({ onExport }) => {
               ))}
             </select>
           </div>
+
+          {params.splitMode === 'custom' && (
+            <div className="param-row">
+              <label className="param-label">切割线</label>
+              <button
+                className="param-button"
+                onClick={() => cutInputRef.current?.click()}
+              >
+                {params.cutPattern ? '重新导入' : '导入 SVG'}
+              </button>
+            </div>
+          )}
+
+          <input
+            ref={cutInputRef}
+            type="file"
+            accept=".svg,image/svg+xml"
+            onChange={handleCutPatternSelect}
+            style={{ display: 'none' }}
+          />
+
+          <div className="param-row">
+            <label className="param-label">随机种子</label>
+            <div className="seed-input-wrapper">
+              <input
+                type="number"
+                className="param-input"
+                value={params.seed}
+                onChange={(e) => handleSeedChange(e.target.value)}
+                min="0"
+                step="1"
+              />
+              <button
+                className="seed-button"
+                onClick={handleRandomSeed}
+                title="随机生成种子"
+              >
+                🎲
+              </button>
+            </div>
+          </div>
+
+          <div className="param-row">
+            <label className="param-label">配合间隙 (mm)</label>
+            <input
+              type="number"
+              className="param-input"
+              value={params.clearance}
+              onChange={(e) => handleClearanceChange(e.target.value)}
+              min="0"
+              max="2"
+              step="0.05"
+            />
+          </div>
+
+          {clearanceWarning && (
+            <div className="param-warning">{clearanceWarning}</div>
+          )}
         </div>
 
         {/* 颜色设置 */}
@@ -194,6 +709,415 @@ const ParameterPanel = ({ onExport }) => {
             </div>
           </div>
         </div>
+
+        {/* 导出设置 */}
+        <div className="param-section">
+          <h4 className="section-title">导出设置</h4>
+
+          <div className="param-row">
+            <label className="param-label">导出格式</label>
+            <select
+              className="param-select"
+              value={exportOptions.format}
+              onChange={(e) => handleExportOptionChange('format', e.target.value)}
+            >
+              {EXPORT_FORMAT_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          {showExportTarget && (
+            <div className="param-row">
+              <label className="param-label">导出内容</label>
+              <select
+                className="param-select"
+                value={exportOptions.target}
+                onChange={(e) => handleExportOptionChange('target', e.target.value)}
+              >
+                {EXPORT_TARGET_OPTIONS.map(option => (
+                  <option key={option.value} value={option.value}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
+
+          {showExportTarget && exportOptions.target === 'pieces' && (
+            <div className="param-row">
+              <label className="param-label">拼图块间距 (mm)</label>
+              <input
+                type="number"
+                className="param-input"
+                value={exportOptions.pieceGap}
+                onChange={(e) => handlePieceGapChange(e.target.value)}
+                min="0"
+                step="1"
+              />
+            </div>
+          )}
+
+          {showExportTarget && (
+            <div className="param-row">
+              <label className="param-label">打印机</label>
+              <select
+                className="param-select"
+                value={exportOptions.printerProfile}
+                onChange={(e) => handleExportOptionChange('printerProfile', e.target.value)}
+              >
+                {PRINTER_PROFILE_OPTIONS.map(option => (
+                  <option key={option.value} value={option.value}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
+
+          {showExportTarget && exportOptions.printerProfile === 'custom' && (
+            <>
+              <div className="param-row">
+                <label className="param-label">热床宽度 (mm)</label>
+                <input
+                  type="number"
+                  className="param-input"
+                  value={exportOptions.bedWidth}
+                  onChange={(e) => handleBedSizeChange('bedWidth', e.target.value)}
+                  min="1"
+                  step="1"
+                />
+              </div>
+
+              <div className="param-row">
+                <label className="param-label">热床深度 (mm)</label>
+                <input
+                  type="number"
+                  className="param-input"
+                  value={exportOptions.bedDepth}
+                  onChange={(e) => handleBedSizeChange('bedDepth', e.target.value)}
+                  min="1"
+                  step="1"
+                />
+              </div>
+
+              <div className="param-row">
+                <label className="param-label">热床边距 (mm)</label>
+                <input
+                  type="number"
+                  className="param-input"
+                  value={exportOptions.bedMargin}
+                  onChange={(e) => handleBedSizeChange('bedMargin', e.target.value)}
+                  min="0"
+                  step="1"
+                />
+              </div>
+            </>
+          )}
+
+          {showExportTarget && exportOptions.printerProfile !== 'none' && (
+            <div className="param-row">
+              <label className="param-label">平台排版</label>
+              <button className="param-button" onClick={handleTogglePlatePreview}>
+                {platePreview ? '关闭预览' : '预览'}
+              </button>
+            </div>
+          )}
+
+          {exportOptions.format === '3mf' && (
+            <>
+              <div className="param-row">
+                <label className="param-label">标题</label>
+                <input
+                  type="text"
+                  className="param-input"
+                  value={exportOptions.title}
+                  onChange={(e) => handleExportOptionChange('title', e.target.value)}
+                  placeholder={`Puzzle ${params.width}x${params.height}`}
+                />
+              </div>
+
+              <div className="param-row">
+                <label className="param-label">设计者</label>
+                <input
+                  type="text"
+                  className="param-input"
+                  value={exportOptions.designer}
+                  onChange={(e) => handleExportOptionChange('designer', e.target.value)}
+                />
+              </div>
+            </>
+          )}
+
+          {exportOptions.format === '3mf' && (
+            <div className="param-row">
+              <label className="param-label">顶面颜色</label>
+              <select
+                className="param-select"
+                value={exportOptions.colorMode}
+                onChange={(e) => handleExportOptionChange('colorMode', e.target.value)}
+              >
+                {COLOR_MODE_OPTIONS.map(option => (
+                  <option key={option.value} value={option.value}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
+
+          {exportOptions.format === '3mf' && exportOptions.colorMode === 'multicolor' && (
+            <>
+              <div className="param-row">
+                <label className="param-label">耗材颜色</label>
+                <input
+                  type="text"
+                  className="param-input"
+                  value={exportOptions.colorPalette}
+                  onChange={(e) => handleExportOptionChange('colorPalette', e.target.value)}
+                  placeholder="#FF0000, #FFFFFF… 留空自动提取"
+                />
+              </div>
+
+              {!exportOptions.colorPalette.trim() && (
+                <div className="param-row">
+                  <label className="param-label">颜色数</label>
+                  <input
+                    type="number"
+                    className="param-input"
+                    value={exportOptions.colorCount}
+                    onChange={(e) => handleColorCountChange(e.target.value)}
+                    min={MIN_COLOR_COUNT}
+                    max={MAX_COLOR_COUNT}
+                    step="1"
+                  />
+                </div>
+              )}
+
+              <div className="param-row">
+                <label className="param-label">颜色精度</label>
+                <select
+                  className="param-select"
+                  value={exportOptions.colorResolution}
+                  onChange={(e) => handleExportOptionChange('colorResolution', Number(e.target.value))}
+                >
+                  {COLOR_RESOLUTION_OPTIONS.map(option => (
+                    <option key={option.value} value={option.value}>
+                      {option.label}
+                    </option>
+                  ))}
+                </select>
+              </div>
+
+              {colorResolutionWarning && (
+                <div className="param-warning">{colorResolutionWarning}</div>
+              )}
+            </>
+          )}
+
+          {showTextureOptions && (
+            <>
+              <div className="param-row">
+                <label className="param-label">贴图尺寸</label>
+                <select
+                  className="param-select"
+                  value={exportOptions.textureMaxSize}
+                  onChange={(e) => handleExportOptionChange('textureMaxSize', Number(e.target.value))}
+                >
+                  {TEXTURE_MAX_SIZE_OPTIONS.map(option => (
+                    <option key={option.value} value={option.value}>
+                      {option.label}
+                    </option>
+                  ))}
+                </select>
+              </div>
+
+              <div className="param-row">
+                <label className="param-label">贴图格式</label>
+                <select
+                  className="param-select"
+                  value={exportOptions.textureFormat}
+                  onChange={(e) => handleExportOptionChange('textureFormat', e.target.value)}
+                >
+                  {TEXTURE_FORMAT_OPTIONS.map(option => (
+                    <option key={option.value} value={option.value}>
+                      {option.label}
+                    </option>
+                  ))}
+                </select>
+              </div>
+
+              {exportOptions.textureFormat === 'jpeg' && (
+                <div className="param-row">
+                  <label className="param-label">JPEG 质量 (%)</label>
+                  <input
+                    type="number"
+                    className="param-input"
+                    value={Math.round(exportOptions.textureQuality * 100)}
+                    onChange={(e) => handleTextureQualityChange(e.target.value)}
+                    min={MIN_TEXTURE_QUALITY}
+                    max={MAX_TEXTURE_QUALITY}
+                    step="5"
+                  />
+                </div>
+              )}
+
+              {params.boardShape !== 'rectangle' && (
+                <div className="param-row">
+                  <label className="param-label">遮罩轮廓外</label>
+                  <select
+                    className="param-select"
+                    value={String(exportOptions.textureMask)}
+                    onChange={(e) => handleExportFlagChange('textureMask', e.target.value)}
+                    title="把贴图中板面外轮廓以外、打印时用不到的部分清除为透明（JPEG 为白色），贴图尺寸不变"
+                  >
+                    {YES_NO_OPTIONS.map(option => (
+                      <option key={option.value} value={option.value}>
+                        {option.label}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              )}
+            </>
+          )}
+
+          {exportOptions.format === 'stl' && exportOptions.target === 'pieces' && (
+            <div className="param-row">
+              <label className="param-label">STL 文件</label>
+              <select
+                className="param-select"
+                value={exportOptions.stlMode}
+                onChange={(e) => handleExportOptionChange('stlMode', e.target.value)}
+              >
+                {STL_MODE_OPTIONS.map(option => (
+                  <option key={option.value} value={option.value}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
+
+          {isCutPathFormat && (
+            <>
+              <div className="param-row">
+                <label className="param-label">切割路径</label>
+                <select
+                  className="param-select"
+                  value={exportOptions.cutMode}
+                  onChange={(e) => handleExportOptionChange('cutMode', e.target.value)}
+                >
+                  {CUT_MODE_OPTIONS.map(option => (
+                    <option key={option.value} value={option.value}>
+                      {option.label}
+                    </option>
+                  ))}
+                </select>
+              </div>
+
+              {exportOptions.cutMode === 'network' && (
+                <div className="param-row">
+                  <label className="param-label">板面边框</label>
+                  <select
+                    className="param-select"
+                    value={String(exportOptions.cutBorder)}
+                    onChange={(e) => handleExportFlagChange('cutBorder', e.target.value)}
+                  >
+                    {YES_NO_OPTIONS.map(option => (
+                      <option key={option.value} value={option.value}>
+                        {option.label}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              )}
+
+              <div className="param-row">
+                <label className="param-label">雕刻编号</label>
+                <select
+                  className="param-select"
+                  value={String(exportOptions.engraveNumbers)}
+                  onChange={(e) => handleExportFlagChange('engraveNumbers', e.target.value)}
+                >
+                  {YES_NO_OPTIONS.map(option => (
+                    <option key={option.value} value={option.value}>
+                      {option.label}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            </>
+          )}
+
+          {isTemplateFormat && (
+            <>
+              <div className="param-row">
+                <label className="param-label">纸张</label>
+                <select
+                  className="param-select"
+                  value={exportOptions.templatePageSize}
+                  onChange={(e) => handleExportOptionChange('templatePageSize', e.target.value)}
+                >
+                  {PAGE_SIZE_OPTIONS.map(option => (
+                    <option key={option.value} value={option.value}>
+                      {option.label}
+                    </option>
+                  ))}
+                </select>
+              </div>
+
+              <div className="param-row">
+                <label className="param-label">出血 (mm)</label>
+                <input
+                  type="number"
+                  className="param-input"
+                  value={exportOptions.templateBleed}
+                  onChange={(e) => handleTemplateBleedChange(e.target.value)}
+                  min="0"
+                  max={MAX_TEMPLATE_BLEED}
+                  step="0.5"
+                />
+              </div>
+
+              <div className="param-row">
+                <label className="param-label">分辨率</label>
+                <select
+                  className="param-select"
+                  value={exportOptions.templateDpi}
+                  onChange={(e) => handleExportOptionChange('templateDpi', Number(e.target.value))}
+                >
+                  {TEMPLATE_DPI_OPTIONS.map(option => (
+                    <option key={option.value} value={option.value}>
+                      {option.label}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            </>
+          )}
+
+          <div className="param-row">
+            <label className="param-label">导入 3MF</label>
+            <button
+              className="param-button"
+              onClick={() => modelInputRef.current?.click()}
+              title="打开之前导出的 3MF，恢复贴图和拼图参数"
+            >
+              打开文件
+            </button>
+          </div>
+
+          <input
+            ref={modelInputRef}
+            type="file"
+            accept=".3mf,model/3mf"
+            onChange={handleModelSelect}
+            style={{ display: 'none' }}
+          />
+        </div>
       </div>
 
       {/* 导出按钮 */}
@@ -205,6 +1129,12 @@ const ParameterPanel = ({ onExport }) => {
         >
           {getExportButtonText()}
         </button>
+        {/* 后台导出（有进度）时可以取消 */}
+        {exportStatus === 'exporting' && exportProgress && onCancelExport && (
+          <button className="cancel-export-button" onClick={onCancelExport}>
+            取消
+          </button>
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,98 @@
+/**
+ * 分割线编辑控制组件
+ * 包含编辑模式开关、撤销/重做/重置按钮，编辑模式下支持 Ctrl+Z / Ctrl+Y 快捷键
+ */
+import React, { useEffect } from 'react';
+import { useSelector, useDispatch } from 'react-redux';
+import {
+  selectSplitEditMode,
+  selectCanUndoSplitEdit,
+  selectCanRedoSplitEdit,
+  selectPuzzleParams,
+  setSplitEditMode,
+  undoSplitEdit,
+  redoSplitEdit,
+  resetSplitEdits
+} from '../../store/slices/puzzleSlice';
+import './SplitEditorControls.css';
+
+const SplitEditorControls = () => {
+  const dispatch = useDispatch();
+  const editMode = useSelector(selectSplitEditMode);
+  const canUndo = useSelector(selectCanUndoSplitEdit);
+  const canRedo = useSelector(selectCanRedoSplitEdit);
+  const { splitEdits } = useSelector(selectPuzzleParams);
+  const editedCount = Object.keys(splitEdits || {}).length;
+
+  // 编辑模式下的撤销/重做快捷键（输入框内不拦截）
+  useEffect(() => {
+    if (!editMode) return;
+
+    const handleKeyDown = (event) => {
+      if (!(event.ctrlKey || event.metaKey)) return;
+      if (['INPUT', 'SELECT', 'TEXTAREA'].includes(event.target.tagName)) return;
+
+      const key = event.key.toLowerCase();
+      if (key === 'z' && !event.shiftKey) {
+        event.preventDefault();
+        dispatch(undoSplitEdit());
+      } else if (key === 'y' || (key === 'z' && event.shiftKey)) {
+        event.preventDefault();
+        dispatch(redoSplitEdit());
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [editMode, dispatch]);
+
+  // 切换编辑模式
+  const handleToggleEditMode = () => {
+    dispatch(setSplitEditMode(!editMode));
+  };
+
+  return (
+    <div className="split-editor-controls">
+      <button
+        className={`edit-mode-button ${editMode ? 'active' : ''}`}
+        onClick={handleToggleEditMode}
+      >
+        {editMode ? '完成编辑' : '编辑分割线'}
+      </button>
+
+      {editMode && (
+        <div className="edit-actions">
+          <span className="edit-info">已调整 {editedCount} 条分割线</span>
+          <div className="edit-buttons">
+            <button
+              className="edit-btn"
+              onClick={() => dispatch(undoSplitEdit())}
+              disabled={!canUndo}
+              title="撤销 (Ctrl+Z)"
+            >
+              撤销
+            </button>
+            <button
+              className="edit-btn"
+              onClick={() => dispatch(redoSplitEdit())}
+              disabled={!canRedo}
+              title="重做 (Ctrl+Y)"
+            >
+              重做
+            </button>
+            <button
+              className="edit-btn"
+              onClick={() => dispatch(resetSplitEdits())}
+              disabled={editedCount === 0}
+              title="恢复所有分割线的原始形状"
+            >
+              重置
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SplitEditorControls;
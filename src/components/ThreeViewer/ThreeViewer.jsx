@@ -2,7 +2,7 @@
  * Three.js 立方体视图组件
  * 支持普通立方体展示和拼图游戏模式
  */
-import React, { useRef, useEffect, useCallback, forwardRef, useImperativeHandle } from 'react';
+import React, { useRef, useState, useEffect, useCallback, forwardRef, useImperativeHandle } from 'react';
 import { useSelector, useDispatch } from 'react-redux';
 import * as THREE from 'three';
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls';
@@ -15,19 +15,52 @@ import {
   selectSnapDistance,
   selectSelectedPieceIndex,
   selectPieceTransforms,
+  selectSplitEditMode,
+  selectPlatePreview,
+  selectImportedModel,
+  selectExportOptions,
+  setImportedModel,
   setSelectedPieceIndex,
   setPieceTransforms,
   updatePieceTransform,
-  setPuzzleScattered
+  setPuzzleScattered,
+  moveSplitPoint
 } from '../../store/slices/puzzleSlice';
 import {
   generateAllPieces,
+  getSplitLines,
+  createBoardGeometry,
+  getSplitControls,
+  displaceSeam,
+  createBaseLayout,
+  applySplitEdits,
+  createPieceGeometry,
+  MATERIAL_INDEX,
   findSnapTargets,
-  calculateEdgeHighlightIntensity
+  calculateEdgeHighlightIntensity,
+  getEdgeWorldCoordinates
 } from '../../utils/puzzleGeometry';
+import { createExportMeshes } from '../../utils/exportMeshes';
+import { getBuildPlate, getPlateOrigin } from '../../utils/buildPlates';
 import GameControls from '../GameControls/GameControls';
+import SplitEditorControls from '../SplitEditorControls/SplitEditorControls';
 import './ThreeViewer.css';
 
+// 参数变化后延迟重建场景的时间 (ms)
+const REBUILD_DELAY = 150;
+
+// 分割线编辑手柄的拾取半径 (px)
+const HANDLE_PICK_RADIUS = 10;
+
+// 拖动控制点时预览更新的最小间隔 (ms)：每次更新都要重新拉伸两侧的拼图块
+const SPLIT_DRAG_INTERVAL = 50;
+
+// 非矩形网格布局在信息栏中的附注
+const LAYOUT_LABELS = {
+  hex: ' (六边形)',
+  triangle: ' (三角形)'
+};
+
 const ThreeViewer = forwardRef((props, ref) => {
   const containerRef = useRef(null);
   const sceneRef = useRef(null);
@@ -47,28 +80,61 @@ const ThreeViewer = forwardRef((props, ref) => {
   const dragPlaneRef = useRef(null);
   const dragOffsetRef = useRef(new THREE.Vector3());
 
+  // 分割线编辑相关引用：{ controls, ranges, handles }，以及正在拖动的控制点 { control, index, offset }
+  const splitEditorRef = useRef(null);
+  const splitDragRef = useRef(null);
+
+  // 打印平台预览：{ group, meshes }，以及排版结果 { plateCount } 或 { error }
+  const platePreviewRef = useRef(null);
+  const [plateInfo, setPlateInfo] = useState(null);
+
+  // 导入模型：待显示的网格（见 import3MF），以及已加入场景的 { group, meshes }
+  const importedDataRef = useRef(null);
+  const importedModelRef = useRef(null);
+
   const dispatch = useDispatch();
   const selectedImage = useSelector(selectSelectedImage);
   const params = useSelector(selectPuzzleParams);
   const modelSelected = useSelector(state => state.puzzle.modelSelected);
   const gameMode = useSelector(selectPuzzleGameMode);
+  const splitEditMode = useSelector(selectSplitEditMode);
   const scattered = useSelector(selectPuzzleScattered);
   const snapDistance = useSelector(selectSnapDistance);
   const selectedPieceIndex = useSelector(selectSelectedPieceIndex);
   const pieceTransforms = useSelector(selectPieceTransforms);
+  const platePreview = useSelector(selectPlatePreview);
+  const importedModel = useSelector(selectImportedModel);
+  const exportOptions = useSelector(selectExportOptions);
 
   // 暴露场景和立方体给父组件（用于导出）
   useImperativeHandle(ref, () => ({
     getScene: () => sceneRef.current,
     getCube: () => cubeRef.current,
+    // 视图中当前的模型：游戏模式下为按当前位置摆放的拼图块，预览打印平台时为排好的网格，
+    // 显示导入模型时为其网格，否则为整块板面（不含辅助对象）
+    getExportObjects: () => {
+      if (pieceMeshesRef.current.length > 0) return [...pieceMeshesRef.current];
+      if (platePreviewRef.current) return [...platePreviewRef.current.meshes];
+      if (importedModelRef.current) return [...importedModelRef.current.meshes];
+      return [cubeRef.current].filter(Boolean);
+    },
     getParams: () => params,
     getTexture: () => {
-      if (cubeRef.current) {
-        const materials = cubeRef.current.material;
-        const topMaterial = materials[4];
+      // 游戏模式和打印平台预览下没有立方体，从拼图块共用的材质中取贴图
+      const mesh = cubeRef.current || pieceMeshesRef.current[0] || platePreviewRef.current?.meshes[0];
+      if (mesh) {
+        const materials = mesh.material;
+        const topMaterial = materials[MATERIAL_INDEX.top];
         return topMaterial.map;
       }
       return null;
+    },
+    // 显示导入文件中的原始网格，网格由视图接管并在关闭时释放
+    showImportedModel: (name, meshes) => {
+      // 尚未显示的上一次导入的网格不再需要
+      (importedDataRef.current || []).forEach(({ geometry }) => geometry.dispose());
+      importedDataRef.current = meshes;
+      dispatch(setImportedModel({ name, objectCount: meshes.length }));
     }
   }));
 
@@ -153,30 +219,102 @@ const ThreeViewer = forwardRef((props, ref) => {
     };
   }, []);
 
+  // 清理分割线及编辑手柄
+  const clearSplitLines = useCallback(() => {
+    if (!sceneRef.current) return;
+
+    ['splitLines', 'splitHandles'].forEach(name => {
+      const object = sceneRef.current.getObjectByName(name);
+      if (object) {
+        sceneRef.current.remove(object);
+        object.geometry.dispose();
+        object.material.dispose();
+      }
+    });
+    splitLinesRef.current = null;
+    splitEditorRef.current = null;
+  }, []);
+
+  // 创建分割线；编辑模式下 layout 为未经编辑的布局（createBaseLayout），拖动控制点时在其上应用编辑
+  const createSplitLines = useCallback((layout) => {
+    if (!sceneRef.current) return;
+
+    clearSplitLines();
+
+    const points = [];
+    const topZ = params.depth + 0.1;
+
+    const pushEdge = (edgePoints) => {
+      for (let j = 0; j < edgePoints.length - 1; j++) {
+        points.push(
+          new THREE.Vector3(edgePoints[j].x, edgePoints[j].y, topZ),
+          new THREE.Vector3(edgePoints[j + 1].x, edgePoints[j + 1].y, topZ)
+        );
+      }
+    };
+
+    let editor = null;
+    if (splitEditMode) {
+      // 编辑模式：逐条绘制共享边界（记录各自在顶点缓冲中的起点，拖动时原地更新），控制点处显示手柄
+      const baseLayout = layout || createBaseLayout(params);
+      const controls = getSplitControls(params, baseLayout);
+      const ranges = controls.map(control => {
+        const start = points.length;
+        pushEdge(displaceSeam(control.seam, control.offsets));
+        return start;
+      });
+      const handlePoints = controls.flatMap(control => control.anchors.map((anchor, k) =>
+        new THREE.Vector3(anchor.x + control.offsets[k][0], anchor.y + control.offsets[k][1], topZ + 0.1)));
+
+      const handles = new THREE.Points(
+        new THREE.BufferGeometry().setFromPoints(handlePoints),
+        new THREE.PointsMaterial({ color: 0xff6600, size: 8, sizeAttenuation: false, depthTest: false })
+      );
+      handles.name = 'splitHandles';
+      handles.renderOrder = 1;
+      sceneRef.current.add(handles);
+      editor = { controls, ranges, handles, layout: baseLayout, params };
+    } else {
+      // 分割线与拼图块轮廓取自同一布局，预览即实际切割结果
+      getSplitLines(params).forEach(pushEdge);
+    }
+
+    if (points.length > 0) {
+      const geometry = new THREE.BufferGeometry().setFromPoints(points);
+      const material = new THREE.LineBasicMaterial({ color: splitEditMode ? 0x0284c7 : 0x333333, linewidth: 2 });
+      const lines = new THREE.LineSegments(geometry, material);
+      lines.name = 'splitLines';
+      sceneRef.current.add(lines);
+      splitLinesRef.current = lines;
+    }
+    splitEditorRef.current = editor;
+  }, [params, splitEditMode, clearSplitLines]);
+
+  // 清理立方体（整块板面）
+  const clearCube = useCallback(() => {
+    if (!sceneRef.current || !cubeRef.current) return;
+
+    sceneRef.current.remove(cubeRef.current);
+    cubeRef.current.geometry.dispose();
+    cubeRef.current.material.forEach(m => {
+      if (m.map) m.map.dispose();
+      m.dispose();
+    });
+    cubeRef.current = null;
+  }, []);
+
   // 创建普通立方体
   const createCube = useCallback(() => {
     if (!sceneRef.current) return;
 
     // 清理旧立方体
-    if (cubeRef.current) {
-      sceneRef.current.remove(cubeRef.current);
-      cubeRef.current.geometry.dispose();
-      cubeRef.current.material.forEach(m => {
-        if (m.map) m.map.dispose();
-        m.dispose();
-      });
-      cubeRef.current = null;
-    }
+    clearCube();
 
     // 清理分割线
-    if (splitLinesRef.current) {
-      sceneRef.current.remove(splitLinesRef.current);
-      splitLinesRef.current.geometry.dispose();
-      splitLinesRef.current.material.dispose();
-      splitLinesRef.current = null;
-    }
+    clearSplitLines();
 
-    const geometry = new THREE.BoxGeometry(params.width, params.height, params.depth);
+    // 板面按外轮廓拉伸（矩形或自定义形状），底面在 Z=0
+    const geometry = createBoardGeometry(params);
 
     const sideMaterial = new THREE.MeshStandardMaterial({
       color: new THREE.Color(params.sideColor),
@@ -208,91 +346,266 @@ const ThreeViewer = forwardRef((props, ref) => {
       });
     }
 
-    const materials = [
-      sideMaterial.clone(),
-      sideMaterial.clone(),
-      sideMaterial.clone(),
-      sideMaterial.clone(),
-      topMaterial,
-      bottomMaterial
-    ];
+    const materials = [];
+    materials[MATERIAL_INDEX.side] = sideMaterial;
+    materials[MATERIAL_INDEX.top] = topMaterial;
+    materials[MATERIAL_INDEX.bottom] = bottomMaterial;
 
     const cube = new THREE.Mesh(geometry, materials);
-    cube.position.set(0, 0, params.depth / 2);
     sceneRef.current.add(cube);
     cubeRef.current = cube;
 
     // 创建分割线
     createSplitLines();
-  }, [params, selectedImage]);
+  }, [params, selectedImage, clearCube, clearSplitLines, createSplitLines]);
+
+  // 平移视角，使其围绕 target 旋转（保持观察方向和距离）
+  const moveViewTarget = useCallback((target) => {
+    const controls = controlsRef.current;
+    if (!controls || !cameraRef.current) return;
+    const delta = target.clone().sub(controls.target);
+    cameraRef.current.position.add(delta);
+    controls.target.add(delta);
+  }, []);
+
+  // 清理打印平台预览，视角移回原点
+  const clearPlatePreview = useCallback(() => {
+    const preview = platePreviewRef.current;
+    if (!sceneRef.current || !preview) return;
 
-  // 创建分割线
-  const createSplitLines = useCallback(() => {
+    sceneRef.current.remove(preview.group);
+    const materials = new Set();
+    preview.group.traverse(object => {
+      if (object.geometry) object.geometry.dispose();
+      [].concat(object.material || []).forEach(m => materials.add(m));
+    });
+    materials.forEach(m => {
+      if (m.map) m.map.dispose();
+      m.dispose();
+    });
+    platePreviewRef.current = null;
+    moveViewTarget(new THREE.Vector3());
+  }, [moveViewTarget]);
+
+  // 创建打印平台预览：按导出选项排好的网格，以及各平台的热床和可用范围
+  const createPlatePreview = useCallback(() => {
     if (!sceneRef.current) return;
 
-    const oldLines = sceneRef.current.getObjectByName('splitLines');
-    if (oldLines) {
-      sceneRef.current.remove(oldLines);
-      oldLines.geometry.dispose();
-      oldLines.material.dispose();
+    clearPlatePreview();
+
+    let meshes;
+    try {
+      meshes = createExportMeshes(params, exportOptions);
+    } catch (error) {
+      setPlateInfo({ error: error.message });
+      return;
     }
 
-    const { width, height, depth, gridX, gridY, splitMode } = params;
-    const points = [];
-    const halfWidth = width / 2;
-    const halfHeight = height / 2;
-    const topZ = depth + 0.1;
-
-    const generateLinePath = (start, end, segments = 20) => {
-      const path = [];
-      for (let i = 0; i <= segments; i++) {
-        const t = i / segments;
-        const x = start.x + (end.x - start.x) * t;
-        const y = start.y + (end.y - start.y) * t;
-
-        let offset = 0;
-        if (splitMode === 'wave') {
-          offset = Math.sin(t * Math.PI * 4) * 3;
-        } else if (splitMode === 'zigzag') {
-          const zigzagT = (t * 8) % 1;
-          offset = zigzagT < 0.5 ? zigzagT * 6 : (1 - zigzagT) * 6;
-          offset -= 1.5;
-        }
+    const group = new THREE.Group();
+    group.name = 'platePreview';
 
-        if (start.x === end.x) {
-          path.push(new THREE.Vector3(x + offset, y, topZ));
-        } else {
-          path.push(new THREE.Vector3(x, y + offset, topZ));
-        }
-      }
-      return path;
-    };
+    const materials = [];
+    materials[MATERIAL_INDEX.side] = new THREE.MeshStandardMaterial({
+      color: new THREE.Color(params.sideColor),
+      roughness: 0.5,
+      metalness: 0.1
+    });
+    materials[MATERIAL_INDEX.bottom] = new THREE.MeshStandardMaterial({
+      color: new THREE.Color(params.bottomColor),
+      roughness: 0.7,
+      metalness: 0.0
+    });
+    if (selectedImage) {
+      const texture = new THREE.TextureLoader().load(selectedImage.url);
+      texture.colorSpace = THREE.SRGBColorSpace;
+      materials[MATERIAL_INDEX.top] = new THREE.MeshStandardMaterial({ map: texture, roughness: 0.5, metalness: 0.0 });
+    } else {
+      materials[MATERIAL_INDEX.top] = new THREE.MeshStandardMaterial({ color: 0xffffff, roughness: 0.5, metalness: 0.0 });
+    }
+
+    const previewMeshes = meshes.map(({ name, geometry, position }, index) => {
+      const mesh = new THREE.Mesh(geometry, materials);
+      mesh.position.copy(position);
+      if (name !== 'Board') mesh.userData.pieceIndex = index;
+      group.add(mesh);
+      return mesh;
+    });
 
-    for (let i = 1; i < gridX; i++) {
-      const x = -halfWidth + (width / gridX) * i;
-      const linePath = generateLinePath({ x, y: -halfHeight }, { x, y: halfHeight });
-      for (let j = 0; j < linePath.length - 1; j++) {
-        points.push(linePath[j], linePath[j + 1]);
+    // 热床略低于 Z=0，避免与网格底面重叠闪烁；虚线框为扣除边距后的可用范围
+    const bed = getBuildPlate(exportOptions);
+    const plateCount = meshes.reduce((count, { plate }) => (plate === undefined ? count : Math.max(count, plate + 1)), 0);
+    if (bed) {
+      const bedMaterial = new THREE.MeshBasicMaterial({ color: 0xdde3ea, side: THREE.DoubleSide });
+      const marginMaterial = new THREE.LineDashedMaterial({ color: 0x64748b, dashSize: 4, gapSize: 3 });
+      for (let plate = 0; plate < plateCount; plate++) {
+        const origin = getPlateOrigin(plate, bed);
+        const plane = new THREE.Mesh(new THREE.PlaneGeometry(bed.width, bed.depth), bedMaterial);
+        plane.position.set(origin.x + bed.width / 2, origin.y + bed.depth / 2, -0.1);
+        group.add(plane);
+
+        const x0 = origin.x + bed.margin;
+        const y0 = origin.y + bed.margin;
+        const x1 = origin.x + bed.width - bed.margin;
+        const y1 = origin.y + bed.depth - bed.margin;
+        const frame = new THREE.LineLoop(new THREE.BufferGeometry().setFromPoints([
+          new THREE.Vector3(x0, y0, 0.05),
+          new THREE.Vector3(x1, y0, 0.05),
+          new THREE.Vector3(x1, y1, 0.05),
+          new THREE.Vector3(x0, y1, 0.05)
+        ]), marginMaterial);
+        frame.computeLineDistances();
+        group.add(frame);
       }
     }
 
-    for (let i = 1; i < gridY; i++) {
-      const y = -halfHeight + (height / gridY) * i;
-      const linePath = generateLinePath({ x: -halfWidth, y }, { x: halfWidth, y });
-      for (let j = 0; j < linePath.length - 1; j++) {
-        points.push(linePath[j], linePath[j + 1]);
+    sceneRef.current.add(group);
+    platePreviewRef.current = { group, meshes: previewMeshes };
+    setPlateInfo({ plateCount });
+
+    // 视角移到全部平台的中心
+    const center = new THREE.Box3().setFromObject(group).getCenter(new THREE.Vector3());
+    moveViewTarget(center.setZ(0));
+  }, [params, exportOptions, selectedImage, clearPlatePreview, moveViewTarget]);
+
+  // 移除并释放视图中显示的导入模型
+  const removeImportedModel = useCallback(() => {
+    const model = importedModelRef.current;
+    if (sceneRef.current && model) {
+      sceneRef.current.remove(model.group);
+      const materials = new Set();
+      model.group.traverse(object => {
+        if (object.geometry) object.geometry.dispose();
+        [].concat(object.material || []).forEach(m => materials.add(m));
+      });
+      materials.forEach(m => {
+        if (m.map) m.map.dispose();
+        m.dispose();
+      });
+      importedModelRef.current = null;
+    }
+  }, []);
+
+  // 清理导入模型，视角移回原点
+  const clearImportedModel = useCallback(() => {
+    if (importedModelRef.current) {
+      removeImportedModel();
+      moveViewTarget(new THREE.Vector3());
+    }
+    // 尚未显示的网格也一并释放
+    (importedDataRef.current || []).forEach(({ geometry }) => geometry.dispose());
+    importedDataRef.current = null;
+  }, [removeImportedModel, moveViewTarget]);
+
+  // 创建导入模型：颜色取自顶点颜色，带贴图的分组使用各自的贴图
+  const createImportedModel = useCallback(() => {
+    const meshes = importedDataRef.current;
+    if (!sceneRef.current || !meshes) return;
+    // 已显示导入模型时再次导入，先换下旧的模型
+    removeImportedModel();
+
+    const group = new THREE.Group();
+    group.name = 'importedModel';
+    const textureLoader = new THREE.TextureLoader();
+    const modelMeshes = meshes.map(({ name, geometry, textures }) => {
+      const materials = [
+        new THREE.MeshStandardMaterial({ vertexColors: true, roughness: 0.5, metalness: 0.1 }),
+        ...textures.map(url => {
+          const map = url ? textureLoader.load(url) : null;
+          if (map) map.colorSpace = THREE.SRGBColorSpace;
+          return new THREE.MeshStandardMaterial({ vertexColors: true, map, roughness: 0.5, metalness: 0.0 });
+        })
+      ];
+      const mesh = new THREE.Mesh(geometry, materials);
+      mesh.name = name;
+      group.add(mesh);
+      return mesh;
+    });
+
+    sceneRef.current.add(group);
+    importedModelRef.current = { group, meshes: modelMeshes };
+    importedDataRef.current = null;
+
+    // 视角移到模型中心
+    const center = new THREE.Box3().setFromObject(group).getCenter(new THREE.Vector3());
+    moveViewTarget(center.setZ(0));
+  }, [removeImportedModel, moveViewTarget]);
+
+  // 关闭导入模型，回到拼图模型
+  const handleCloseImportedModel = useCallback(() => {
+    dispatch(setImportedModel(null));
+  }, [dispatch]);
+
+  // 查找鼠标位置附近的分割线编辑手柄（屏幕空间距离）
+  const pickSplitHandle = useCallback((event) => {
+    const editor = splitEditorRef.current;
+    if (!editor || !rendererRef.current || !cameraRef.current) return null;
+
+    const rect = rendererRef.current.domElement.getBoundingClientRect();
+    const position = editor.handles.geometry.getAttribute('position');
+    const projected = new THREE.Vector3();
+    let best = null;
+    let bestDistance = HANDLE_PICK_RADIUS;
+
+    for (let i = 0; i < position.count; i++) {
+      projected.fromBufferAttribute(position, i).project(cameraRef.current);
+      const dx = (projected.x + 1) / 2 * rect.width - (event.clientX - rect.left);
+      const dy = (1 - projected.y) / 2 * rect.height - (event.clientY - rect.top);
+      const distance = Math.hypot(dx, dy);
+      if (distance < bestDistance) {
+        best = i;
+        bestDistance = distance;
       }
     }
 
-    if (points.length > 0) {
-      const geometry = new THREE.BufferGeometry().setFromPoints(points);
-      const material = new THREE.LineBasicMaterial({ color: 0x333333, linewidth: 2 });
-      const lines = new THREE.LineSegments(geometry, material);
-      lines.name = 'splitLines';
-      sceneRef.current.add(lines);
-      splitLinesRef.current = lines;
+    if (best === null) return null;
+    const perControl = editor.controls[0].anchors.length;
+    return { handle: best, control: Math.floor(best / perControl), index: best % perControl };
+  }, []);
+
+  // 按拖动位置（drag.point）更新控制点：原地更新分割线和手柄，并重建共享边界两侧的拼图块
+  const updateDraggedSeam = useCallback(() => {
+    const editor = splitEditorRef.current;
+    const drag = splitDragRef.current;
+    if (drag) drag.timer = null;
+    if (!editor || !drag || !drag.point || !splitLinesRef.current) return;
+
+    // 控制点只沿边界的法向移动，不超过 maxOffset
+    const control = editor.controls[drag.control];
+    const anchor = control.anchors[drag.index];
+    const distance = THREE.MathUtils.clamp(
+      (drag.point.x - anchor.x) * control.normal.x + (drag.point.y - anchor.y) * control.normal.y,
+      -control.maxOffset,
+      control.maxOffset
+    );
+    const offset = [Math.round(control.normal.x * distance * 100) / 100, Math.round(control.normal.y * distance * 100) / 100];
+    const offsets = control.offsets.map((o, k) => (k === drag.index ? offset : o));
+
+    // 与生成拼图块时一样应用全部编辑；边界越过其它分割线时这条边界的偏移量会被整体缩小
+    const { layout, edits } = applySplitEdits(editor.layout, { ...editor.params.splitEdits, [control.key]: offsets });
+    drag.offsets = edits[control.key] || offsets.map(() => [0, 0]);
+
+    const seam = displaceSeam(control.seam, drag.offsets);
+    const linePosition = splitLinesRef.current.geometry.getAttribute('position');
+    for (let j = 0; j < seam.length - 1; j++) {
+      const start = editor.ranges[drag.control] + j * 2;
+      linePosition.setXY(start, seam[j].x, seam[j].y);
+      linePosition.setXY(start + 1, seam[j + 1].x, seam[j + 1].y);
     }
-  }, [params]);
+    linePosition.needsUpdate = true;
+
+    const handlePosition = editor.handles.geometry.getAttribute('position');
+    control.anchors.forEach((point, k) => {
+      handlePosition.setXY(drag.handle - drag.index + k, point.x + drag.offsets[k][0], point.y + drag.offsets[k][1]);
+    });
+    handlePosition.needsUpdate = true;
+
+    control.key.split('-').map(Number).forEach(index => {
+      const mesh = pieceMeshesRef.current[index];
+      if (!mesh) return;
+      mesh.geometry.dispose();
+      mesh.geometry = createPieceGeometry(layout[index], editor.params);
+    });
+  }, []);
 
   // 清理拼图块
   const clearPuzzlePieces = useCallback(() => {
@@ -326,14 +639,8 @@ const ThreeViewer = forwardRef((props, ref) => {
     }
   }, []);
 
-  // 创建拼图块
-  const createPuzzlePieces = useCallback(() => {
-    if (!sceneRef.current) return;
-
-    clearPuzzlePieces();
-
-    // 生成所有拼图块几何体
-    const pieces = generateAllPieces(params);
+  // 为生成好几何体的拼图块创建网格，全部放在拼合位置
+  const addPieceMeshes = useCallback((pieces) => {
     piecesInfoRef.current = pieces;
 
     // 加载纹理
@@ -344,68 +651,82 @@ const ThreeViewer = forwardRef((props, ref) => {
       texture.colorSpace = THREE.SRGBColorSpace;
     }
 
-    // 创建拼图块材质和网格
-    pieces.forEach((piece, index) => {
-      const sideMaterial = new THREE.MeshStandardMaterial({
-        color: new THREE.Color(params.sideColor),
-        roughness: 0.5,
-        metalness: 0.1
-      });
+    // 所有拼图块共用同一组材质：顶面 UV 已映射到整张贴图的对应区域，无需逐块复制纹理
+    const sideMaterial = new THREE.MeshStandardMaterial({
+      color: new THREE.Color(params.sideColor),
+      roughness: 0.5,
+      metalness: 0.1
+    });
 
-      const bottomMaterial = new THREE.MeshStandardMaterial({
-        color: new THREE.Color(params.bottomColor),
-        roughness: 0.7,
+    const topMaterial = texture
+      ? new THREE.MeshStandardMaterial({
+        map: texture,
+        roughness: 0.5,
+        metalness: 0.0
+      })
+      : new THREE.MeshStandardMaterial({
+        color: 0xffffff,
+        roughness: 0.5,
         metalness: 0.0
       });
 
-      let topMaterial;
-      if (texture) {
-        topMaterial = new THREE.MeshStandardMaterial({
-          map: texture.clone(),
-          roughness: 0.5,
-          metalness: 0.0
-        });
-        topMaterial.map.needsUpdate = true;
-      } else {
-        topMaterial = new THREE.MeshStandardMaterial({
-          color: 0xffffff,
-          roughness: 0.5,
-          metalness: 0.0
-        });
-      }
+    const bottomMaterial = new THREE.MeshStandardMaterial({
+      color: new THREE.Color(params.bottomColor),
+      roughness: 0.7,
+      metalness: 0.0
+    });
 
-      // 为 ExtrudeGeometry 创建材质数组
-      // 索引0: 侧面, 索引1: 顶面/底面
-      const materials = [sideMaterial, topMaterial];
+    // 材质数组顺序与几何体分组一致：侧面、顶面、底面
+    const materials = [];
+    materials[MATERIAL_INDEX.side] = sideMaterial;
+    materials[MATERIAL_INDEX.top] = topMaterial;
+    materials[MATERIAL_INDEX.bottom] = bottomMaterial;
 
+    pieces.forEach((piece, index) => {
       const mesh = new THREE.Mesh(piece.geometry, materials);
       mesh.userData.pieceIndex = index;
       mesh.userData.originalPosition = new THREE.Vector3(piece.centerX, piece.centerY, params.depth / 2);
-
-      // 应用变换
-      const transform = pieceTransforms[index];
-      if (transform) {
-        mesh.position.set(transform.x, transform.y, transform.z);
-        mesh.rotation.z = transform.rotation;
-      } else {
-        mesh.position.copy(mesh.userData.originalPosition);
-      }
+      mesh.position.copy(mesh.userData.originalPosition);
 
       sceneRef.current.add(mesh);
       pieceMeshesRef.current.push(mesh);
     });
+  }, [params, selectedImage]);
+
+  // 创建拼图块（全部放在拼合位置，并重置变换状态）
+  const createPuzzlePieces = useCallback(() => {
+    if (!sceneRef.current) return;
+
+    clearPuzzlePieces();
+
+    // 生成所有拼图块几何体
+    const pieces = generateAllPieces(params);
+    addPieceMeshes(pieces);
 
     // 初始化变换状态
-    if (pieceTransforms.length === 0) {
-      const transforms = pieces.map(piece => ({
-        x: piece.centerX,
-        y: piece.centerY,
-        z: params.depth / 2,
-        rotation: 0
-      }));
-      dispatch(setPieceTransforms(transforms));
-    }
-  }, [params, selectedImage, pieceTransforms, dispatch, clearPuzzlePieces]);
+    const transforms = pieces.map(piece => ({
+      x: piece.centerX,
+      y: piece.centerY,
+      z: params.depth / 2,
+      rotation: 0
+    }));
+    dispatch(setPieceTransforms(transforms));
+  }, [params, dispatch, clearPuzzlePieces, addPieceMeshes]);
+
+  // 分割线编辑模式：显示拼合的拼图块（按已保存的编辑生成）及分割线、控制点手柄，
+  // 未经编辑的布局只生成一次，拖动控制点时在其上应用编辑
+  const createEditorPieces = useCallback(() => {
+    if (!sceneRef.current) return;
+
+    clearPuzzlePieces();
+
+    const layout = createBaseLayout(params);
+    addPieceMeshes(applySplitEdits(layout, params.splitEdits).layout.map(piece => ({
+      ...piece,
+      geometry: createPieceGeometry(piece, params)
+    })));
+    createSplitLines(layout);
+  }, [params, clearPuzzlePieces, addPieceMeshes, createSplitLines]);
 
   // 更新拼图块位置
   const updatePiecePositions = useCallback(() => {
@@ -466,12 +787,10 @@ const ThreeViewer = forwardRef((props, ref) => {
       outline.name = 'pieceOutline';
       sceneRef.current.add(outline);
 
-      // 添加旋转辅助器（圆环）
-      const rotationRing = new THREE.RingGeometry(
-        Math.max(params.width / params.gridX, params.height / params.gridY) * 0.6,
-        Math.max(params.width / params.gridX, params.height / params.gridY) * 0.7,
-        32
-      );
+      // 添加旋转辅助器（圆环），半径按拼图块外接圆确定，适用于任意形状的拼图块
+      selectedMesh.geometry.computeBoundingSphere();
+      const pieceRadius = selectedMesh.geometry.boundingSphere.radius;
+      const rotationRing = new THREE.RingGeometry(pieceRadius * 0.85, pieceRadius, 32);
       const rotationMaterial = new THREE.MeshBasicMaterial({
         color: 0xff6600,
         side: THREE.DoubleSide,
@@ -520,46 +839,9 @@ const ThreeViewer = forwardRef((props, ref) => {
       const neighborInfo = piecesInfoRef.current[target.neighborIndex];
       const transform = pieceTransforms[selectedPieceIndex];
 
-      const { width, height, gridX, gridY, depth } = params;
-      const pieceW = width / gridX;
-      const pieceH = height / gridY;
-
-      let edgePoints = [];
-      const dx = pieceInfo.col - neighborInfo.col;
-      const dy = pieceInfo.row - neighborInfo.row;
-
-      if (dx === 1) {
-        edgePoints = [
-          new THREE.Vector3(-pieceW / 2, -pieceH / 2, depth + 0.5),
-          new THREE.Vector3(-pieceW / 2, pieceH / 2, depth + 0.5)
-        ];
-      } else if (dx === -1) {
-        edgePoints = [
-          new THREE.Vector3(pieceW / 2, -pieceH / 2, depth + 0.5),
-          new THREE.Vector3(pieceW / 2, pieceH / 2, depth + 0.5)
-        ];
-      } else if (dy === 1) {
-        edgePoints = [
-          new THREE.Vector3(-pieceW / 2, -pieceH / 2, depth + 0.5),
-          new THREE.Vector3(pieceW / 2, -pieceH / 2, depth + 0.5)
-        ];
-      } else if (dy === -1) {
-        edgePoints = [
-          new THREE.Vector3(-pieceW / 2, pieceH / 2, depth + 0.5),
-          new THREE.Vector3(pieceW / 2, pieceH / 2, depth + 0.5)
-        ];
-      }
-
-      // 应用变换
-      const angle = transform.rotation || 0;
-      const cos = Math.cos(angle);
-      const sin = Math.sin(angle);
-
-      const worldPoints = edgePoints.map(p => {
-        const x = transform.x + p.x * cos - p.y * sin;
-        const y = transform.y + p.x * sin + p.y * cos;
-        return new THREE.Vector3(x, y, p.z);
-      });
+      // 共享边界取自布局，适用于任意形状的拼图块
+      const worldPoints = getEdgeWorldCoordinates(pieceInfo, neighborInfo, transform, params)
+        .map(p => new THREE.Vector3(p.x, p.y, p.z));
 
       const geometry = new THREE.BufferGeometry().setFromPoints(worldPoints);
       const material = new THREE.LineBasicMaterial({
@@ -616,6 +898,22 @@ const ThreeViewer = forwardRef((props, ref) => {
 
   // 鼠标事件处理
   const handleMouseDown = useCallback((event) => {
+    // 分割线编辑模式：按住手柄开始拖动控制点
+    if (!gameMode && splitEditMode) {
+      const picked = pickSplitHandle(event);
+      if (picked) {
+        event.preventDefault();
+        splitDragRef.current = { ...picked, point: null, offsets: null, timer: null };
+        isDraggingRef.current = 'splitPoint';
+        controlsRef.current.enabled = false;
+        dragPlaneRef.current.setFromNormalAndCoplanarPoint(
+          new THREE.Vector3(0, 0, 1),
+          new THREE.Vector3(0, 0, params.depth)
+        );
+      }
+      return;
+    }
+
     if (!gameMode || !rendererRef.current || !cameraRef.current) return;
 
     const rect = rendererRef.current.domElement.getBoundingClientRect();
@@ -679,14 +977,28 @@ const ThreeViewer = forwardRef((props, ref) => {
     } else {
       dispatch(setSelectedPieceIndex(-1));
     }
-  }, [gameMode, selectedPieceIndex, pieceTransforms, dispatch]);
+  }, [gameMode, splitEditMode, params.depth, pickSplitHandle, selectedPieceIndex, pieceTransforms, dispatch]);
 
   const handleMouseMove = useCallback((event) => {
     if (!isDraggingRef.current || !rendererRef.current || !cameraRef.current) return;
 
     const rect = rendererRef.current.domElement.getBoundingClientRect();
 
-    if (isDraggingRef.current === 'rotate' && selectedPieceIndex >= 0) {
+    if (isDraggingRef.current === 'splitPoint') {
+      const mouse = new THREE.Vector2(
+        ((event.clientX - rect.left) / rect.width) * 2 - 1,
+        -((event.clientY - rect.top) / rect.height) * 2 + 1
+      );
+      const raycaster = new THREE.Raycaster();
+      raycaster.setFromCamera(mouse, cameraRef.current);
+      const point = new THREE.Vector3();
+      const drag = splitDragRef.current;
+      if (drag && raycaster.ray.intersectPlane(dragPlaneRef.current, point)) {
+        // 节流：每隔 SPLIT_DRAG_INTERVAL 按最新位置更新一次
+        drag.point = point;
+        if (!drag.timer) drag.timer = setTimeout(updateDraggedSeam, SPLIT_DRAG_INTERVAL);
+      }
+    } else if (isDraggingRef.current === 'rotate' && selectedPieceIndex >= 0) {
       // 旋转操作
       const deltaX = event.clientX - dragOffsetRef.current.x;
       const newRotation = dragOffsetRef.current.z + deltaX * 0.01;
@@ -723,11 +1035,28 @@ const ThreeViewer = forwardRef((props, ref) => {
         }));
       }
     }
-  }, [selectedPieceIndex, pieceTransforms, dispatch]);
+  }, [selectedPieceIndex, pieceTransforms, dispatch, updateDraggedSeam]);
 
   const handleMouseUp = useCallback(() => {
     if (!isDraggingRef.current) return;
 
+    // 松开控制点：按最后的位置更新，再把偏移量写入 Redux（一次拖动为一步撤销）
+    if (isDraggingRef.current === 'splitPoint') {
+      const drag = splitDragRef.current;
+      const editor = splitEditorRef.current;
+      if (drag) {
+        clearTimeout(drag.timer);
+        updateDraggedSeam();
+      }
+      if (drag && drag.offsets && editor) {
+        dispatch(moveSplitPoint({
+          key: editor.controls[drag.control].key,
+          offsets: drag.offsets
+        }));
+      }
+      splitDragRef.current = null;
+    }
+
     // 检查吸附
     if (isDraggingRef.current === 'drag' && selectedPieceIndex >= 0) {
       const snapTargets = findSnapTargets(
@@ -752,11 +1081,11 @@ const ThreeViewer = forwardRef((props, ref) => {
 
     isDraggingRef.current = false;
     controlsRef.current.enabled = true;
-  }, [selectedPieceIndex, pieceTransforms, snapDistance, dispatch]);
+  }, [selectedPieceIndex, pieceTransforms, snapDistance, dispatch, updateDraggedSeam]);
 
   // 普通模式点击处理
   const handleClick = useCallback((event) => {
-    if (gameMode) return;
+    if (gameMode || splitEditMode || platePreview || importedModel) return;
 
     const rect = rendererRef.current.domElement.getBoundingClientRect();
     const mouse = new THREE.Vector2(
@@ -773,7 +1102,7 @@ const ThreeViewer = forwardRef((props, ref) => {
     );
 
     dispatch(setModelSelected(!!cubeIntersect));
-  }, [gameMode, dispatch]);
+  }, [gameMode, splitEditMode, platePreview, importedModel, dispatch]);
 
   // 初始化场景
   useEffect(() => {
@@ -801,45 +1130,60 @@ const ThreeViewer = forwardRef((props, ref) => {
     };
   }, [handleClick, handleMouseDown, handleMouseMove, handleMouseUp]);
 
-  // 游戏模式切换
+  // 游戏模式切换或参数变化时重建场景
   useEffect(() => {
-    if (gameMode) {
-      // 清理立方体，创建拼图块
-      if (cubeRef.current) {
-        sceneRef.current.remove(cubeRef.current);
-        cubeRef.current.geometry.dispose();
-        cubeRef.current.material.forEach(m => {
-          if (m.map) m.map.dispose();
-          m.dispose();
-        });
-        cubeRef.current = null;
-      }
-      if (splitLinesRef.current) {
-        sceneRef.current.remove(splitLinesRef.current);
-        splitLinesRef.current.geometry.dispose();
-        splitLinesRef.current.material.dispose();
-        splitLinesRef.current = null;
+    if (!sceneRef.current) return;
+
+    // 连续修改参数（如逐字输入块数）时只按最后一次重建，避免大网格下反复生成几何体
+    const timer = setTimeout(() => {
+      if (gameMode) {
+        // 清理立方体，创建拼图块
+        clearCube();
+        clearSplitLines();
+        createPuzzlePieces();
+      } else if (platePreview || importedModel) {
+        // 预览打印平台时只显示排好的网格，显示导入模型时只显示其网格
+        clearPuzzlePieces();
+        clearCube();
+        clearSplitLines();
+      } else if (splitEditMode) {
+        // 编辑分割线时显示拼图块，拖动控制点可实时看到两侧拼图块的形状
+        clearCube();
+        createEditorPieces();
+      } else {
+        // 清理拼图块，创建立方体
+        clearPuzzlePieces();
+        createCube();
       }
-      createPuzzlePieces();
-    } else {
-      // 清理拼图块，创建立方体
-      clearPuzzlePieces();
-      createCube();
-    }
-  }, [gameMode, createCube, createPuzzlePieces, clearPuzzlePieces]);
+    }, REBUILD_DELAY);
+
+    return () => clearTimeout(timer);
+  }, [
+    gameMode, platePreview, importedModel, splitEditMode,
+    createCube, clearCube, createPuzzlePieces, createEditorPieces, clearPuzzlePieces, clearSplitLines
+  ]);
 
-  // 参数变化时更新
+  // 打印平台预览：单独重建，修改导出选项时不影响其它模式下的场景
   useEffect(() => {
     if (!sceneRef.current) return;
+    if (!platePreview || gameMode) {
+      clearPlatePreview();
+      return;
+    }
 
-    if (gameMode) {
-      // 游戏模式下重新生成拼图块
-      dispatch(setPieceTransforms([]));
-      createPuzzlePieces();
-    } else {
-      createCube();
+    const timer = setTimeout(createPlatePreview, REBUILD_DELAY);
+    return () => clearTimeout(timer);
+  }, [platePreview, gameMode, createPlatePreview, clearPlatePreview]);
+
+  // 导入模型：打开时显示，关闭或切换到其它模式时释放
+  useEffect(() => {
+    if (!sceneRef.current) return;
+    if (!importedModel) {
+      clearImportedModel();
+      return;
     }
-  }, [params, selectedImage, gameMode, createCube, createPuzzlePieces, dispatch]);
+    createImportedModel();
+  }, [importedModel, createImportedModel, clearImportedModel]);
 
   // 更新拼图块位置
   useEffect(() => {
@@ -884,11 +1228,29 @@ const ThreeViewer = forwardRef((props, ref) => {
           尺寸: {params.width} × {params.height} × {params.depth} mm
         </span>
         <span className="info-item">
-          分割: {params.gridX} × {params.gridY}
+          {params.layoutMode === 'voronoi'
+            ? `分割: ${params.pieceCount} 块 (不规则)`
+            : `分割: ${params.gridX} × ${params.gridY}${LAYOUT_LABELS[params.layoutMode] || ''}`}
         </span>
         {gameMode && (
           <span className="info-item game-mode">游戏模式</span>
         )}
+        {splitEditMode && (
+          <span className="info-item edit-mode">编辑分割线</span>
+        )}
+        {platePreview && plateInfo && (
+          <span className="info-item plate-preview">
+            {plateInfo.error
+              ? '排版失败'
+              : plateInfo.plateCount > 0 ? `打印平台: ${plateInfo.plateCount} 个` : '打印平台预览'}
+          </span>
+        )}
+        {importedModel && (
+          <span className="info-item imported-model">
+            导入模型: {importedModel.name} ({importedModel.objectCount} 个对象)
+            <button className="info-close" onClick={handleCloseImportedModel} title="关闭导入模型">×</button>
+          </span>
+        )}
         {gameMode && selectedPieceIndex >= 0 && (
           <span className="info-item selected">
             选中拼图块 #{selectedPieceIndex + 1}
@@ -902,6 +1264,12 @@ const ThreeViewer = forwardRef((props, ref) => {
       <div className="viewer-controls-hint">
         {gameMode ? (
           '点击选中拼图块 | 拖动移动 | 点击橙色环拖动旋转 | 右键平移视角'
+        ) : splitEditMode ? (
+          '拖动橙色控制点调整分割线 | 其它位置拖动旋转视角 | Ctrl+Z 撤销 | Ctrl+Y 重做'
+        ) : platePreview ? (
+          plateInfo?.error || '灰色为热床，虚线框内为可打印范围 | 鼠标左键拖动旋转 | 滚轮缩放'
+        ) : importedModel ? (
+          '文件中没有可恢复的拼图参数，显示原始网格 | 鼠标左键拖动旋转 | 滚轮缩放'
         ) : (
           '鼠标左键拖动旋转 | 滚轮缩放 | 右键拖动平移 | 点击选中模型'
         )}
@@ -909,6 +1277,9 @@ const ThreeViewer = forwardRef((props, ref) => {
 
       {/* 游戏控制组件 */}
       <GameControls onScatter={handleScatter} onAssemble={handleAssemble} />
+
+      {/* 分割线编辑控制组件 */}
+      <SplitEditorControls />
     </div>
   );
 });
@@ -0,0 +1,10 @@
+/**
+ * Jest 测试环境
+ * jsdom 没有 TextEncoder（导出 STL/OBJ 和 JSZip 打包时用到），取 Node 的实现。
+ */
+import { TextEncoder, TextDecoder } from 'util';
+
+if (typeof global.TextEncoder === 'undefined') {
+  global.TextEncoder = TextEncoder;
+  global.TextDecoder = TextDecoder;
+}
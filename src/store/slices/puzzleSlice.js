@@ -3,6 +3,7 @@
  * 管理图片列表、选中图片、拼图参数等状态
  */
 import { createSlice } from '@reduxjs/toolkit';
+import { getGridForPieceSize } from '../../utils/puzzleGeometry';
 
 // 初始状态
 const initialState = {
@@ -12,14 +13,28 @@ const initialState = {
   selectedImageId: null,
   // 预览大图的图片ID
   previewImageId: null,
+  // 勾选用于批量导出的图片ID（为空时批量导出全部图片）
+  batchImageIds: [],
   // 拼图参数配置
   puzzleParams: {
     width: 100,        // 宽度 (mm)
     height: 100,       // 高度 (mm)
     depth: 10,         // 拉伸高度/厚度 (mm)
-    gridX: 2,          // X方向分割块数
-    gridY: 2,          // Y方向分割块数
-    splitMode: 'straight', // 分割方式: straight(直线), wave(波浪), zigzag(锯齿)
+    boardShape: 'rectangle', // 板面形状: rectangle(矩形), roundedRect(圆角矩形), circle(圆形/椭圆), heart(心形), svg(导入的 SVG 轮廓)
+    cornerRadius: 10,  // 圆角矩形的圆角半径 (mm)
+    boardOutline: null, // 导入的 SVG 轮廓：归一化到 [0,1] 的点 [[x, y], ...]，y 向上
+    layoutMode: 'grid', // 布局方式: grid(网格), voronoi(不规则), hex(六边形), triangle(三角形)
+    gridSizeMode: 'count', // 网格大小的设定方式: count(直接指定块数), pieceSize(按目标拼图块尺寸推算)
+    targetPieceSize: 25, // 目标拼图块尺寸 (mm)，pieceSize 模式下据此计算 gridX/gridY
+    gridX: 2,          // X方向分割块数 1~50（六边形/三角形布局为每行单元数）
+    gridY: 2,          // Y方向分割块数 1~50（六边形/三角形布局为行数）
+    pieceCount: 12,    // 不规则布局的拼图块数
+    relaxIterations: 2, // 不规则布局的松弛次数（越大单元越均匀）
+    splitMode: 'straight', // 分割方式: straight(直线), wave(波浪), zigzag(锯齿), jigsaw(凸榫), custom(导入的 SVG 切割线)
+    cutPattern: null,  // 导入的切割线：折线列表 [[[x, y], ...], ...]，坐标归一化到板面包围盒 [0,1]，y 向上
+    seed: 1,           // 随机种子：决定每条分割边的相位、幅度和凸榫方向
+    clearance: 0.2,    // 配合间隙 (mm)：相邻拼图块之间的总间隙，内部边界各向内偏移一半
+    splitEdits: {},    // 手动编辑的分割线：{ 'a-b': [[dx, dy], ...] }，拼图块 a、b 共享边界上各控制点的偏移量 (mm)
     sideColor: '#808080',  // 侧面颜色
     bottomColor: '#404040' // 底面颜色
   },
@@ -28,6 +43,47 @@ const initialState = {
   // 导出状态
   exportStatus: 'idle', // idle | exporting | success | error
   exportError: null,
+  // 后台导出的进度：{ stage, progress }，stage 为 geometry（网格）、texture（贴图）、zip（打包），progress 为 0~1；
+  // 不在后台导出时为 null
+  exportProgress: null,
+  // 批量导出（每张图片一份导出文件，打包为一个 ZIP）：{ running, error, items }，未打开进度列表时为 null；
+  // items 为 [{ id, name, status, stage, progress, error, warning }]，
+  // status 为 pending | exporting | done | error | cancelled，error 为该图片的错误信息，warning 为网格检查提示
+  batchExport: null,
+  // 导出选项（与拼图参数分开，修改时不重建三维场景）
+  exportOptions: {
+    format: '3mf',    // 导出格式: 3mf, stl, obj（OBJ + MTL + 贴图的 ZIP）, glb（视图中当前的模型）, svg/dxf（二维切割路径）, pdf/png（纸质切割模板）
+    target: 'pieces', // 导出内容: pieces(切割后的各拼图块), board(未切割的整块板面)
+    pieceGap: 5,      // 拼图块在打印平台上的间距 (mm)
+    printerProfile: 'none', // 打印机（热床尺寸和边距，见 buildPlates 的 PRINTER_PROFILES）: none(不分平台), custom(自定义)
+    bedWidth: 220,    // 自定义热床宽度 (mm)
+    bedDepth: 220,    // 自定义热床深度 (mm)
+    bedMargin: 5,     // 自定义热床边距 (mm)
+    stlMode: 'merged', // STL 文件组织: merged(合并为一个文件), separate(每块一个文件，打包为 ZIP)
+    title: '',        // 3MF 元数据中的标题，为空时按尺寸生成
+    designer: '',     // 3MF 元数据中的设计者
+    colorMode: 'texture', // 3MF 顶面颜色: texture(贴图), multicolor(量化为多种耗材颜色，用于多色打印)
+    colorCount: 4,    // 多色导出自动提取的颜色数
+    colorPalette: '', // 多色导出指定的耗材颜色（#RRGGBB 列表），为空时自动提取
+    colorResolution: 1, // 多色导出顶面细分的边长 (mm)，越小颜色边界越精细、文件越大
+    textureMaxSize: 0, // 3MF/OBJ 贴图的最大边长 (px)，0 为保持原图尺寸
+    textureFormat: 'png', // 3MF/OBJ 贴图格式: png, jpeg
+    textureQuality: 0.9, // JPEG 贴图的质量 0~1
+    textureMask: false, // 是否遮罩贴图中板面外轮廓以外的部分（清除为透明，JPEG 为白色；贴图尺寸不变）
+    cutMode: 'network', // 切割路径: network(整张切割网络，共享边只出现一次), pieces(每块单独的闭合轮廓)
+    cutBorder: true,  // 切割网络是否包含板面外边框
+    engraveNumbers: false, // 是否附加雕刻层，在每块拼图上标注编号
+    templatePageSize: 'a4', // 纸质模板的纸张: a4, letter, a3
+    templateBleed: 3, // 纸质模板的出血 (mm)
+    templateDpi: 300  // 纸质模板图片的分辨率
+  },
+
+  // 是否在视图中预览打印平台排版（与游戏模式、分割线编辑模式互斥）
+  platePreview: false,
+
+  // 视图中显示的导入模型（3MF 中恢复不出拼图参数时显示其原始网格）：{ name, objectCount }，
+  // 网格本身保存在 ThreeViewer 中；与游戏模式、分割线编辑模式、打印平台预览互斥
+  importedModel: null,
 
   // === 拼图游戏状态 ===
   // 游戏模式: false=普通立方体展示, true=拼图游戏模式
@@ -43,7 +99,46 @@ const initialState = {
   // 当前选中的拼图块索引 (-1 表示未选中)
   selectedPieceIndex: -1,
   // 拼图块的位置和旋转状态 [{ x, y, z, rotation }]
-  pieceTransforms: []
+  pieceTransforms: [],
+
+  // === 分割线编辑状态 ===
+  // 是否处于分割线编辑模式（与游戏模式互斥）
+  splitEditMode: false,
+  // 撤销/重做历史：splitEdits 的快照
+  splitEditPast: [],
+  splitEditFuture: []
+};
+
+// 撤销历史最多保留的步数
+const MAX_SPLIT_HISTORY = 50;
+
+// 改变后会重新生成分割边界的参数；此时已有的分割线编辑对不上新的边界，需要清除
+const LAYOUT_PARAM_KEYS = [
+  'width', 'height', 'boardShape', 'cornerRadius', 'boardOutline', 'layoutMode', 'gridSizeMode',
+  'targetPieceSize', 'gridX', 'gridY', 'pieceCount', 'relaxIterations', 'splitMode', 'seed', 'cutPattern'
+];
+
+// 布局参数变化时清除分割线编辑及其历史（同时传入 splitEdits 时视为整体载入，保留传入的编辑）
+const resetStaleSplitEdits = (state, changes) => {
+  if ('splitEdits' in changes) return;
+  if (!LAYOUT_PARAM_KEYS.some(key => key in changes)) return;
+  state.puzzleParams.splitEdits = {};
+  state.splitEditPast = [];
+  state.splitEditFuture = [];
+};
+
+// 记录一步分割线编辑：当前状态入撤销栈，清空重做栈
+const pushSplitHistory = (state) => {
+  state.splitEditPast.push(state.puzzleParams.splitEdits);
+  if (state.splitEditPast.length > MAX_SPLIT_HISTORY) state.splitEditPast.shift();
+  state.splitEditFuture = [];
+};
+
+// 按尺寸设定网格时，块数由底板尺寸和目标拼图块尺寸推算，任何参数变化后都重新同步
+const syncGridSize = (params) => {
+  if (params.gridSizeMode === 'pieceSize') {
+    Object.assign(params, getGridForPieceSize(params.width, params.height, params.targetPieceSize));
+  }
 };
 
 // 创建slice
@@ -72,6 +167,15 @@ const puzzleSlice = createSlice({
       if (state.previewImageId === imageId) {
         state.previewImageId = null;
       }
+      state.batchImageIds = state.batchImageIds.filter(id => id !== imageId);
+    },
+
+    // 切换图片是否勾选用于批量导出
+    toggleBatchImage: (state, action) => {
+      const imageId = action.payload;
+      state.batchImageIds = state.batchImageIds.includes(imageId)
+        ? state.batchImageIds.filter(id => id !== imageId)
+        : [...state.batchImageIds, imageId];
     },
 
     // 选择图片（用于3D模型贴图）
@@ -95,12 +199,37 @@ const puzzleSlice = createSlice({
         ...state.puzzleParams,
         ...action.payload
       };
+      syncGridSize(state.puzzleParams);
+      resetStaleSplitEdits(state, action.payload);
+    },
+
+    // 载入整套拼图参数（如从导入的 3MF 恢复）：只接受已知且类型相符的参数，缺少的取默认值；
+    // 分割线编辑随参数一起载入，撤销历史清空，视图回到拼图模型
+    loadPuzzleParams: (state, action) => {
+      const defaults = initialState.puzzleParams;
+      const params = { ...defaults };
+      Object.keys(defaults).forEach(key => {
+        const value = action.payload[key];
+        if (value === undefined) return;
+        // 默认为 null 的参数（导入的轮廓、切割线）为点列表
+        const valid = defaults[key] === null
+          ? value === null || Array.isArray(value)
+          : typeof value === typeof defaults[key] && value !== null;
+        if (valid) params[key] = value;
+      });
+      state.puzzleParams = params;
+      syncGridSize(state.puzzleParams);
+      state.splitEditPast = [];
+      state.splitEditFuture = [];
+      state.importedModel = null;
     },
 
     // 设置单个参数
     setParam: (state, action) => {
       const { key, value } = action.payload;
       state.puzzleParams[key] = value;
+      syncGridSize(state.puzzleParams);
+      resetStaleSplitEdits(state, { [key]: value });
     },
 
     // 设置模型选中状态
@@ -111,6 +240,7 @@ const puzzleSlice = createSlice({
     // 设置导出状态
     setExportStatus: (state, action) => {
       state.exportStatus = action.payload;
+      state.exportProgress = null;
       if (action.payload !== 'error') {
         state.exportError = null;
       }
@@ -120,6 +250,84 @@ const puzzleSlice = createSlice({
     setExportError: (state, action) => {
       state.exportStatus = 'error';
       state.exportError = action.payload;
+      state.exportProgress = null;
+    },
+
+    // 更新后台导出的进度：payload = { stage, progress }
+    setExportProgress: (state, action) => {
+      if (state.exportStatus === 'exporting') {
+        state.exportProgress = action.payload;
+      }
+    },
+
+    // 开始批量导出：payload 为要导出的图片 [{ id, name }]
+    startBatchExport: (state, action) => {
+      state.batchExport = {
+        running: true,
+        error: null,
+        items: action.payload.map(({ id, name }) => ({
+          id, name, status: 'pending', stage: null, progress: 0, error: null, warning: null
+        }))
+      };
+    },
+
+    // 更新批量导出中一张图片的状态：payload = { id, changes }
+    updateBatchExportItem: (state, action) => {
+      const { id, changes } = action.payload;
+      const item = state.batchExport?.items.find(entry => entry.id === id);
+      if (item) Object.assign(item, changes);
+    },
+
+    // 批量导出结束：payload 为整体的错误信息（如打包失败），成功或取消时为 null
+    finishBatchExport: (state, action) => {
+      if (!state.batchExport) return;
+      state.batchExport.running = false;
+      state.batchExport.error = action.payload || null;
+    },
+
+    // 关闭批量导出的进度列表
+    closeBatchExport: (state) => {
+      if (!state.batchExport?.running) {
+        state.batchExport = null;
+      }
+    },
+
+    // 设置单个导出选项
+    setExportOption: (state, action) => {
+      const { key, value } = action.payload;
+      state.exportOptions[key] = value;
+      // 只有三维打印格式在选择打印机后才有平台排版可预览
+      const { format, printerProfile } = state.exportOptions;
+      if (!['3mf', 'stl', 'obj'].includes(format) || printerProfile === 'none') {
+        state.platePreview = false;
+      }
+    },
+
+    // 切换打印平台预览
+    setPlatePreview: (state, action) => {
+      state.platePreview = action.payload;
+      if (action.payload) {
+        state.importedModel = null;
+        state.splitEditMode = false;
+        state.puzzleGameMode = false;
+        state.puzzleScattered = false;
+        state.selectedPieceIndex = -1;
+        state.pieceTransforms = [];
+      }
+    },
+
+    // 设置视图中显示的导入模型，null 为关闭
+    setImportedModel: (state, action) => {
+      state.importedModel = action.payload;
+      if (action.payload) {
+        state.platePreview = false;
+        state.splitEditMode = false;
+        state.puzzleGameMode = false;
+        state.puzzleScattered = false;
+        state.selectedPieceIndex = -1;
+        state.pieceTransforms = [];
+        state.modelSelected = false;
+      }
     },
 
     // === 拼图游戏 actions ===
@@ -127,7 +335,11 @@ const puzzleSlice = createSlice({
     // 切换拼图游戏模式
     setPuzzleGameMode: (state, action) => {
       state.puzzleGameMode = action.payload;
-      if (!action.payload) {
+      if (action.payload) {
+        state.splitEditMode = false;
+        state.platePreview = false;
+        state.importedModel = null;
+      } else {
         // 退出游戏模式时重置
         state.puzzleScattered = false;
         state.selectedPieceIndex = -1;
@@ -179,6 +391,58 @@ const puzzleSlice = createSlice({
       }
     },
 
+    // === 分割线编辑 actions ===
+
+    // 切换分割线编辑模式（进入时退出游戏模式）
+    setSplitEditMode: (state, action) => {
+      state.splitEditMode = action.payload;
+      if (action.payload) {
+        state.platePreview = false;
+        state.importedModel = null;
+        state.puzzleGameMode = false;
+        state.puzzleScattered = false;
+        state.selectedPieceIndex = -1;
+        state.pieceTransforms = [];
+      }
+    },
+
+    // 拖动一个控制点（一次拖动为一步撤销）：payload = { key, offsets: [[dx, dy], ...] }，
+    // offsets 为这条共享边界上所有控制点实际应用的偏移量（边界越过其它分割线时会被整体缩小，见 applySplitEdits）
+    moveSplitPoint: (state, action) => {
+      const { key, offsets } = action.payload;
+      pushSplitHistory(state);
+
+      const edits = { ...state.puzzleParams.splitEdits };
+      // 控制点全部回到原位时不再记录这条边界
+      if (offsets.every(([dx, dy]) => dx === 0 && dy === 0)) {
+        delete edits[key];
+      } else {
+        edits[key] = offsets;
+      }
+      state.puzzleParams.splitEdits = edits;
+    },
+
+    // 撤销上一步分割线编辑
+    undoSplitEdit: (state) => {
+      if (state.splitEditPast.length === 0) return;
+      state.splitEditFuture.push(state.puzzleParams.splitEdits);
+      state.puzzleParams.splitEdits = state.splitEditPast.pop();
+    },
+
+    // 重做被撤销的分割线编辑
+    redoSplitEdit: (state) => {
+      if (state.splitEditFuture.length === 0) return;
+      state.splitEditPast.push(state.puzzleParams.splitEdits);
+      state.puzzleParams.splitEdits = state.splitEditFuture.pop();
+    },
+
+    // 清除全部分割线编辑（可撤销）
+    resetSplitEdits: (state) => {
+      if (Object.keys(state.puzzleParams.splitEdits).length === 0) return;
+      pushSplitHistory(state);
+      state.puzzleParams.splitEdits = {};
+    },
+
     // 重置所有状态
     resetState: () => initialState
   }
@@ -192,10 +456,20 @@ export const {
   setPreviewImage,
   closePreview,
   updatePuzzleParams,
+  loadPuzzleParams,
   setParam,
   setModelSelected,
   setExportStatus,
   setExportError,
+  setExportProgress,
+  toggleBatchImage,
+  startBatchExport,
+  updateBatchExportItem,
+  finishBatchExport,
+  closeBatchExport,
+  setExportOption,
+  setPlatePreview,
+  setImportedModel,
   setPuzzleGameMode,
   setPuzzleScattered,
   setDifficultyMode,
@@ -203,6 +477,11 @@ export const {
   setSelectedPieceIndex,
   setPieceTransforms,
   updatePieceTransform,
+  setSplitEditMode,
+  moveSplitPoint,
+  undoSplitEdit,
+  redoSplitEdit,
+  resetSplitEdits,
   resetState
 } = puzzleSlice.actions;
 
@@ -230,6 +509,24 @@ export const selectModelSelected = (state) => state.puzzle.modelSelected;
 // 选择器 - 获取导出状态
 export const selectExportStatus = (state) => state.puzzle.exportStatus;
 
+// 选择器 - 获取后台导出的进度
+export const selectExportProgress = (state) => state.puzzle.exportProgress;
+
+// 选择器 - 获取勾选用于批量导出的图片ID
+export const selectBatchImageIds = (state) => state.puzzle.batchImageIds;
+
+// 选择器 - 获取批量导出的进度
+export const selectBatchExport = (state) => state.puzzle.batchExport;
+
+// 选择器 - 获取导出选项
+export const selectExportOptions = (state) => state.puzzle.exportOptions;
+
+// 选择器 - 获取打印平台预览状态
+export const selectPlatePreview = (state) => state.puzzle.platePreview;
+
+// 选择器 - 获取视图中显示的导入模型
+export const selectImportedModel = (state) => state.puzzle.importedModel;
+
 // 选择器 - 拼图游戏相关
 export const selectPuzzleGameMode = (state) => state.puzzle.puzzleGameMode;
 export const selectPuzzleScattered = (state) => state.puzzle.puzzleScattered;
@@ -239,4 +536,9 @@ export const selectHardSnapDistance = (state) => state.puzzle.hardSnapDistance;
 export const selectSelectedPieceIndex = (state) => state.puzzle.selectedPieceIndex;
 export const selectPieceTransforms = (state) => state.puzzle.pieceTransforms;
 
+// 选择器 - 分割线编辑相关
+export const selectSplitEditMode = (state) => state.puzzle.splitEditMode;
+export const selectCanUndoSplitEdit = (state) => state.puzzle.splitEditPast.length > 0;
+export const selectCanRedoSplitEdit = (state) => state.puzzle.splitEditFuture.length > 0;
+
 export default puzzleSlice.reducer;
@@ -0,0 +1,161 @@
+import reducer, {
+  moveSplitPoint,
+  undoSplitEdit,
+  redoSplitEdit,
+  resetSplitEdits,
+  setParam,
+  updatePuzzleParams,
+  loadPuzzleParams,
+  selectCanUndoSplitEdit,
+  selectCanRedoSplitEdit
+} from './puzzleSlice';
+
+const EDGE_A = '0-1';
+const EDGE_B = '0-2';
+const OFFSETS_A = [[1, 0], [2, 0], [1, 0]];
+const OFFSETS_B = [[0, -1], [0, 0], [0, 1]];
+const ZERO_OFFSETS = [[0, 0], [0, 0], [0, 0]];
+
+// 依次执行 actions，返回最终状态
+const run = (...actions) => actions.reduce(reducer, reducer(undefined, { type: '@@init' }));
+
+const canUndo = (state) => selectCanUndoSplitEdit({ puzzle: state });
+const canRedo = (state) => selectCanRedoSplitEdit({ puzzle: state });
+
+describe('分割线编辑状态', () => {
+  test('moveSplitPoint 记录边界偏移量，控制点全部归零时删除该边界', () => {
+    const moved = run(
+      moveSplitPoint({ key: EDGE_A, offsets: OFFSETS_A }),
+      moveSplitPoint({ key: EDGE_B, offsets: OFFSETS_B })
+    );
+    expect(moved.puzzleParams.splitEdits).toEqual({ [EDGE_A]: OFFSETS_A, [EDGE_B]: OFFSETS_B });
+
+    const cleared = reducer(moved, moveSplitPoint({ key: EDGE_A, offsets: ZERO_OFFSETS }));
+    expect(cleared.puzzleParams.splitEdits).toEqual({ [EDGE_B]: OFFSETS_B });
+  });
+
+  test('每次拖动为一步撤销，撤销和重做按顺序恢复快照', () => {
+    const moved = run(
+      moveSplitPoint({ key: EDGE_A, offsets: OFFSETS_A }),
+      moveSplitPoint({ key: EDGE_B, offsets: OFFSETS_B })
+    );
+    expect(canUndo(moved)).toBe(true);
+    expect(canRedo(moved)).toBe(false);
+
+    const undoneOnce = reducer(moved, undoSplitEdit());
+    expect(undoneOnce.puzzleParams.splitEdits).toEqual({ [EDGE_A]: OFFSETS_A });
+    const undoneTwice = reducer(undoneOnce, undoSplitEdit());
+    expect(undoneTwice.puzzleParams.splitEdits).toEqual({});
+    expect(canUndo(undoneTwice)).toBe(false);
+    expect(canRedo(undoneTwice)).toBe(true);
+
+    // 没有可撤销的步骤时保持不变
+    expect(reducer(undoneTwice, undoSplitEdit())).toBe(undoneTwice);
+
+    const redone = reducer(reducer(undoneTwice, redoSplitEdit()), redoSplitEdit());
+    expect(redone.puzzleParams.splitEdits).toEqual(moved.puzzleParams.splitEdits);
+    expect(canRedo(redone)).toBe(false);
+  });
+
+  test('撤销后新的编辑清空重做栈', () => {
+    const state = run(
+      moveSplitPoint({ key: EDGE_A, offsets: OFFSETS_A }),
+      undoSplitEdit(),
+      moveSplitPoint({ key: EDGE_B, offsets: OFFSETS_B })
+    );
+    expect(state.puzzleParams.splitEdits).toEqual({ [EDGE_B]: OFFSETS_B });
+    expect(canRedo(state)).toBe(false);
+  });
+
+  test('resetSplitEdits 清除全部编辑并可撤销，没有编辑时不记录历史', () => {
+    const reset = run(
+      moveSplitPoint({ key: EDGE_A, offsets: OFFSETS_A }),
+      resetSplitEdits()
+    );
+    expect(reset.puzzleParams.splitEdits).toEqual({});
+    expect(reducer(reset, undoSplitEdit()).puzzleParams.splitEdits).toEqual({ [EDGE_A]: OFFSETS_A });
+
+    const untouched = run(resetSplitEdits());
+    expect(canUndo(untouched)).toBe(false);
+  });
+
+  test('撤销历史最多保留 50 步', () => {
+    const moves = Array.from({ length: 60 }, (_, i) => moveSplitPoint({ key: EDGE_A, offsets: [[i + 1, 0], [0, 0], [0, 0]] }));
+    let state = run(...moves);
+    expect(state.splitEditPast).toHaveLength(50);
+
+    while (canUndo(state)) state = reducer(state, undoSplitEdit());
+    // 最早的 10 步已被丢弃，只能撤销到第 10 次拖动后的状态
+    expect(state.puzzleParams.splitEdits).toEqual({ [EDGE_A]: [[10, 0], [0, 0], [0, 0]] });
+  });
+
+  test.each([
+    ['setParam 修改网格列数', setParam({ key: 'gridX', value: 5 })],
+    ['setParam 修改分割方式', setParam({ key: 'splitMode', value: 'jigsaw' })],
+    ['updatePuzzleParams 修改随机种子', updatePuzzleParams({ seed: 7 })],
+    ['updatePuzzleParams 修改布局', updatePuzzleParams({ layoutMode: 'voronoi', pieceCount: 8 })]
+  ])('%s 后清除分割线编辑及其历史', (name, action) => {
+    const state = run(
+      moveSplitPoint({ key: EDGE_A, offsets: OFFSETS_A }),
+      moveSplitPoint({ key: EDGE_B, offsets: OFFSETS_B }),
+      undoSplitEdit(),
+      action
+    );
+    expect(state.puzzleParams.splitEdits).toEqual({});
+    expect(canUndo(state)).toBe(false);
+    expect(canRedo(state)).toBe(false);
+  });
+
+  test('修改不影响分割边界的参数时保留编辑和历史', () => {
+    const state = run(
+      moveSplitPoint({ key: EDGE_A, offsets: OFFSETS_A }),
+      setParam({ key: 'depth', value: 6 }),
+      updatePuzzleParams({ clearance: 0.3 })
+    );
+    expect(state.puzzleParams.splitEdits).toEqual({ [EDGE_A]: OFFSETS_A });
+    expect(canUndo(state)).toBe(true);
+  });
+
+  test('同时传入布局参数和 splitEdits 时保留传入的编辑', () => {
+    const edits = { [EDGE_B]: OFFSETS_B };
+    const state = run(
+      moveSplitPoint({ key: EDGE_A, offsets: OFFSETS_A }),
+      updatePuzzleParams({ gridX: 3, splitEdits: edits })
+    );
+    expect(state.puzzleParams.gridX).toBe(3);
+    expect(state.puzzleParams.splitEdits).toEqual(edits);
+  });
+
+  test('loadPuzzleParams 载入编辑并清空撤销历史', () => {
+    const edits = { [EDGE_B]: OFFSETS_B };
+    const state = run(
+      moveSplitPoint({ key: EDGE_A, offsets: OFFSETS_A }),
+      undoSplitEdit(),
+      loadPuzzleParams({ gridX: 3, splitEdits: edits })
+    );
+    expect(state.puzzleParams.splitEdits).toEqual(edits);
+    expect(canUndo(state)).toBe(false);
+    expect(canRedo(state)).toBe(false);
+  });
+});
+
+describe('载入拼图参数', () => {
+  test('切割图案随参数一起保存和载入，类型不符的参数取默认值', () => {
+    const cutPattern = [[[0.5, 0], [0.5, 1]]];
+    const state = run(loadPuzzleParams({ splitMode: 'custom', cutPattern, gridX: '3' }));
+    expect(state.puzzleParams.splitMode).toBe('custom');
+    expect(state.puzzleParams.cutPattern).toEqual(cutPattern);
+    expect(state.puzzleParams.gridX).toBe(run().puzzleParams.gridX);
+
+    const invalid = run(loadPuzzleParams({ cutPattern: 'M 0 0 L 1 1' }));
+    expect(invalid.puzzleParams.cutPattern).toBeNull();
+  });
+
+  test('更换切割图案时清除分割线编辑', () => {
+    const state = run(
+      moveSplitPoint({ key: EDGE_A, offsets: OFFSETS_A }),
+      setParam({ key: 'cutPattern', value: [[[0, 0.5], [1, 0.5]]] })
+    );
+    expect(state.puzzleParams.splitEdits).toEqual({});
+  });
+});
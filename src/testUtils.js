@@ -0,0 +1,89 @@
+/**
+ * 测试辅助函数
+ * 默认参数取自 store 的初始状态，与应用启动时一致。
+ */
+import JSZip from 'jszip';
+import puzzleReducer from './store/slices/puzzleSlice';
+
+const initialState = puzzleReducer(undefined, { type: '@@test/init' });
+
+/**
+ * 创建拼图参数（默认值 + 覆盖项）
+ * @param {Object} overrides
+ * @returns {Object}
+ */
+export const createTestParams = (overrides = {}) => ({ ...initialState.puzzleParams, ...overrides });
+
+/**
+ * 创建导出选项（默认值 + 覆盖项）
+ * @param {Object} overrides
+ * @returns {Object}
+ */
+export const createTestOptions = (overrides = {}) => ({ ...initialState.exportOptions, ...overrides });
+
+/**
+ * 读取 Blob 的内容（jsdom 的 Blob 没有 arrayBuffer()）
+ * @param {Blob} blob
+ * @returns {Promise<ArrayBuffer>}
+ */
+export const readBlob = (blob) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsArrayBuffer(blob);
+});
+
+/**
+ * 读取 ZIP Blob
+ * @param {Blob} blob
+ * @returns {Promise<JSZip>}
+ */
+export const readZip = async (blob) => JSZip.loadAsync(await readBlob(blob));
+
+/**
+ * 创建替代 utils/canvas 的模块（jsdom 不能绘制画布）
+ * 画布记录绘制调用 { name, args, state }，state 为调用时 globalCompositeOperation 等属性；
+ * 编码结果为 "data:<type>;base64,..."，其中记录尺寸和质量，便于检查。
+ * 用法：jest.mock('./canvas', () => require('../testUtils').createFakeCanvasModule())
+ * @returns {{createCanvas: Function, canvasToDataUrl: Function, canvases: Array}}
+ */
+export const createFakeCanvasModule = () => {
+  const canvases = [];
+  const createCanvas = (width, height) => {
+    const calls = [];
+    const state = {};
+    const ctx = new Proxy(state, {
+      get: (target, key) => {
+        if (key in target) return target[key];
+        if (key === 'getImageData' || key === 'createImageData') {
+          return (...args) => {
+            calls.push({ name: key, args, state: { ...state } });
+            const [w, h] = key === 'getImageData' ? args.slice(2) : args;
+            return { width: w, height: h, data: new Uint8ClampedArray(w * h * 4) };
+          };
+        }
+        return (...args) => calls.push({ name: key, args, state: { ...state } });
+      },
+      set: (target, key, value) => {
+        target[key] = value;
+        return true;
+      }
+    });
+    const canvas = { width, height, calls, getContext: () => ctx };
+    state.canvas = canvas;
+    canvases.push(canvas);
+    return canvas;
+  };
+  const canvasToDataUrl = async (canvas, type = 'image/png', quality) => {
+    const info = JSON.stringify({ width: canvas.width, height: canvas.height, quality });
+    return `data:${type};base64,${Buffer.from(info).toString('base64')}`;
+  };
+  return { createCanvas, canvasToDataUrl, canvases };
+};
+
+/**
+ * 解析 createFakeCanvasModule 编码的贴图
+ * @param {string} base64
+ * @returns {{width: number, height: number, quality?: number}}
+ */
+export const decodeFakeImage = (base64) => JSON.parse(Buffer.from(base64, 'base64').toString());
@@ -0,0 +1,145 @@
+/**
+ * 后台导出
+ * 把 3MF 的网格序列化、贴图编码和打包放到 Web Worker（workers/export3mf.worker.js）中进行，
+ * 主线程只生成网格、渲染缩略图（需要 WebGL），并接收各阶段进度。
+ * 浏览器不支持 Worker 或 OffscreenCanvas 时退回在主线程导出，进度和取消同样可用。
+ */
+import { export3MF, downloadFile } from './export3mf';
+import { renderThumbnail } from './thumbnail';
+import { createImageColorMap } from './colorQuantize';
+import createExport3mfWorker from '../workers/createExport3mfWorker';
+
+/**
+ * 创建表示导出被取消的错误（name 为 AbortError，调用方据此区分取消与失败）
+ * @returns {Error}
+ */
+export const createAbortError = () => {
+  const error = new Error('导出已取消');
+  error.name = 'AbortError';
+  return error;
+};
+
+/**
+ * 是否可以在 Web Worker 中导出（贴图需要在 Worker 中用 OffscreenCanvas 编码）
+ * @returns {boolean}
+ */
+const canUseWorker = () =>
+  typeof Worker !== 'undefined' && typeof OffscreenCanvas !== 'undefined' && typeof createImageBitmap !== 'undefined';
+
+/**
+ * 把网格转为可传给 Worker 的普通数据
+ * @param {{name: string, plate?: number, geometry: THREE.BufferGeometry, position: THREE.Vector3}} mesh
+ * @returns {Object}
+ */
+const serializeMesh = ({ name, plate, geometry, position }) => {
+  const uv = geometry.getAttribute('uv');
+  const index = geometry.getIndex();
+  return {
+    name,
+    plate,
+    position: position.toArray(),
+    attributes: {
+      position: geometry.getAttribute('position').array,
+      uv: uv ? uv.array : null
+    },
+    index: index ? index.array : null
+  };
+};
+
+/**
+ * 在后台导出3MF文件
+ * @param {Array} meshes 要导出的网格，见 createExportMeshes
+ * @param {Object} params 拼图参数
+ * @param {THREE.Texture} texture 顶面纹理（可选）
+ * @param {Object} options 导出选项，见 export3MF
+ * @param {{onProgress?: function(string, number), signal?: AbortSignal}} control
+ *   onProgress 见 export3MF；signal 中止时终止导出，返回的 Promise 以 AbortError 拒绝
+ * @returns {Promise<Object>} { blob, problems, thumbnailError, colorResolution }，见 export3MF
+ */
+export const export3MFInBackground = async (meshes, params, texture, options = {}, control = {}) => {
+  const { onProgress, signal } = control;
+  if (signal?.aborted) throw createAbortError();
+
+  if (!canUseWorker()) {
+    // 主线程导出：在每次报告进度时检查是否已取消
+    const result = await export3MF(meshes, params, texture, options, {
+      onProgress: (stage, progress) => {
+        if (signal?.aborted) throw createAbortError();
+        if (onProgress) onProgress(stage, progress);
+      }
+    });
+    if (signal?.aborted) throw createAbortError();
+    return result;
+  }
+
+  // 多色导出的缩略图按量化后的耗材颜色渲染，颜色在主线程提取，Worker 直接使用这组颜色，两者一致
+  let workerOptions = options;
+  let colorMap = null;
+  if (options.colorMode === 'multicolor' && texture?.image) {
+    colorMap = createImageColorMap(texture.image, options);
+    workerOptions = { ...options, colorPalette: colorMap.palette.join(',') };
+  }
+
+  // 缩略图在主线程渲染；贴图转为 ImageBitmap 转移给 Worker
+  const { data: thumbnail, error: thumbnailError } = renderThumbnail(meshes, params, texture, colorMap);
+  const textureImage = texture?.image ? await createImageBitmap(texture.image) : null;
+  if (signal?.aborted) throw createAbortError();
+
+  const worker = createExport3mfWorker();
+  return new Promise((resolve, reject) => {
+    const finish = () => {
+      worker.terminate();
+      if (signal) signal.removeEventListener('abort', handleAbort);
+    };
+    const handleAbort = () => {
+      finish();
+      reject(createAbortError());
+    };
+    if (signal) signal.addEventListener('abort', handleAbort);
+
+    worker.onmessage = ({ data }) => {
+      if (data.type === 'progress') {
+        if (onProgress) onProgress(data.stage, data.progress);
+      } else if (data.type === 'done') {
+        finish();
+        resolve({ blob: data.blob, problems: data.problems, thumbnailError, colorResolution: data.colorResolution });
+      } else {
+        finish();
+        reject(new Error(data.message));
+      }
+    };
+    worker.onerror = (event) => {
+      finish();
+      reject(new Error(event.message || '导出线程出错'));
+    };
+
+    worker.postMessage({
+      meshes: meshes.map(serializeMesh),
+      params,
+      options: workerOptions,
+      thumbnail,
+      textureImage
+    }, textureImage ? [textureImage] : []);
+  });
+};
+
+/**
+ * 在后台导出并下载3MF文件
+ * @param {Array} meshes 要导出的网格，见 createExportMeshes
+ * @param {Object} params 拼图参数
+ * @param {THREE.Texture} texture 顶面纹理（可选）
+ * @param {string} filename 文件名
+ * @param {function(Array): boolean} confirmProblems 网格检查出问题时调用，返回 false 则取消下载（可选）
+ * @param {Object} options 导出选项，见 export3MF
+ * @param {Object} control 进度回调和中止信号，见 export3MFInBackground
+ * @returns {Promise<{downloaded: boolean, thumbnailError: string|null, colorResolution: number|null}>}
+ *   是否已下载，以及缩略图渲染失败的原因和多色导出实际使用的细分边长（见 export3MF）
+ */
+export const exportAndDownload3MFInBackground = async (meshes, params, texture, filename, confirmProblems, options, control) => {
+  const { blob, problems, thumbnailError, colorResolution } = await export3MFInBackground(meshes, params, texture, options, control);
+  if (problems.length > 0 && confirmProblems && !confirmProblems(problems)) {
+    return { downloaded: false, thumbnailError, colorResolution };
+  }
+  downloadFile(blob, filename);
+  return { downloaded: true, thumbnailError, colorResolution };
+};
@@ -0,0 +1,147 @@
+/**
+ * 批量导出
+ * 用当前拼图参数为图片库中的每张（或勾选的）图片各生成一份导出文件，打包为一个 ZIP。
+ * 同一套拼图参数下各图片的网格相同，只生成一次，每张图片只替换顶面贴图；
+ * 某张图片导出失败时记录错误并继续导出其余图片。
+ */
+import JSZip from 'jszip';
+import * as THREE from 'three';
+import { createExportMeshes } from './exportMeshes';
+import { export3MFInBackground, createAbortError } from './backgroundExport';
+import { exportOBJ } from './exportObj';
+import { exportTemplate } from './exportTemplate';
+import { loadImage } from './imageItems';
+
+// 支持批量导出的格式：导出内容随图片变化的格式（STL、切割路径与图片无关，GLB 导出视图中的模型）
+export const BATCH_EXPORT_FORMATS = ['3mf', 'obj', 'pdf', 'png'];
+
+/**
+ * 加载图片为贴图
+ * @param {string} url
+ * @returns {Promise<THREE.Texture>}
+ */
+const loadTexture = async (url) => {
+  const texture = new THREE.Texture(await loadImage(url));
+  texture.colorSpace = THREE.SRGBColorSpace;
+  texture.needsUpdate = true;
+  return texture;
+};
+
+/**
+ * 由图片名生成 ZIP 内的文件名（去掉扩展名和文件名中不允许的字符，重名时加序号）
+ * @param {string} name - 图片名
+ * @param {string} suffix - 文件名后缀及扩展名，如 ".3mf"
+ * @param {Set<string>} used - 已使用的文件名
+ * @returns {string}
+ */
+const createEntryName = (name, suffix, used) => {
+  const stem = name.replace(/\.[^.]+$/, '').replace(/[\\/:*?"<>|]+/g, '_').trim() || 'image';
+  let entry = `${stem}${suffix}`;
+  for (let i = 2; used.has(entry); i++) {
+    entry = `${stem}_${i}${suffix}`;
+  }
+  used.add(entry);
+  return entry;
+};
+
+/**
+ * 导出一张图片
+ * @returns {Promise<{blob: Blob, suffix: string, problems?: Array, thumbnailError?: string|null, colorResolution?: number|null}>}
+ */
+const exportImage = async (image, meshes, params, options, control) => {
+  switch (options.format) {
+    case 'obj': {
+      const texture = await loadTexture(image.url);
+      try {
+        return { blob: await exportOBJ(meshes, params, texture, options), suffix: '_obj.zip' };
+      } finally {
+        texture.dispose();
+      }
+    }
+    case 'pdf':
+    case 'png': {
+      const { blob, extension } = await exportTemplate(params, options, image.url);
+      return { blob, suffix: `_template.${extension}` };
+    }
+    default: { // 3mf
+      const texture = await loadTexture(image.url);
+      try {
+        const { blob, problems, thumbnailError, colorResolution } = await export3MFInBackground(meshes, params, texture, options, control);
+        return { blob, suffix: '.3mf', problems, thumbnailError, colorResolution };
+      } finally {
+        texture.dispose();
+      }
+    }
+  }
+};
+
+/**
+ * 批量导出
+ * @param {Array<{id: string, name: string, url: string}>} images - 要导出的图片
+ * @param {Object} params - 拼图参数
+ * @param {Object} options - 导出选项（format 须为 BATCH_EXPORT_FORMATS 之一）
+ * @param {{onItemChange?: function(string, Object), signal?: AbortSignal}} control
+ *   onItemChange(id, changes) 在图片的导出状态变化时调用，changes 为
+ *   { status: 'exporting'|'done'|'error'|'cancelled', stage?, progress?, error?, warning? }；
+ *   signal 中止时停止导出，未完成的图片标为 cancelled，返回的 Promise 以 AbortError 拒绝
+ * @returns {Promise<Blob|null>} 全部导出结果的 ZIP，没有一张图片导出成功时为 null
+ */
+export const runBatchExport = async (images, params, options, control = {}) => {
+  const { signal } = control;
+  const onItemChange = control.onItemChange || (() => {});
+  if (!BATCH_EXPORT_FORMATS.includes(options.format)) {
+    throw new Error(`批量导出不支持 ${options.format.toUpperCase()} 格式`);
+  }
+
+  // 三维格式的网格与图片无关，只生成一次；几何体在所有图片导出后释放。
+  // 网格或平台排版出错（如板面超出热床）时每张图片都无法导出，错误记在每张图片上
+  let meshes = null;
+  if (['3mf', 'obj'].includes(options.format)) {
+    try {
+      meshes = createExportMeshes(params, options);
+    } catch (error) {
+      images.forEach(({ id }) => onItemChange(id, { status: 'error', error: error.message }));
+      return null;
+    }
+  }
+
+  const zip = new JSZip();
+  const used = new Set();
+  let succeeded = 0;
+  try {
+    for (let i = 0; i < images.length; i++) {
+      const image = images[i];
+      if (signal?.aborted) {
+        images.slice(i).forEach(({ id }) => onItemChange(id, { status: 'cancelled' }));
+        throw createAbortError();
+      }
+
+      onItemChange(image.id, { status: 'exporting' });
+      try {
+        const { blob, suffix, problems, thumbnailError, colorResolution } = await exportImage(image, meshes, params, options, {
+          signal,
+          onProgress: (stage, progress) => onItemChange(image.id, { status: 'exporting', stage, progress })
+        });
+        zip.file(createEntryName(image.name, suffix, used), blob);
+        succeeded++;
+        const warnings = [
+          problems && problems.length > 0 ? `${problems.length} 个模型未通过网格检查` : null,
+          thumbnailError ? `未附带缩略图（${thumbnailError}）` : null,
+          colorResolution > options.colorResolution ? `颜色精度已自动降为 ${colorResolution} mm` : null
+        ].filter(Boolean);
+        onItemChange(image.id, { status: 'done', warning: warnings.length > 0 ? warnings.join('；') : null });
+      } catch (error) {
+        if (error.name === 'AbortError') {
+          images.slice(i).forEach(({ id }) => onItemChange(id, { status: 'cancelled' }));
+          throw error;
+        }
+        onItemChange(image.id, { status: 'error', error: error.message });
+      }
+    }
+  } finally {
+    if (meshes) meshes.forEach(({ geometry }) => geometry.dispose());
+  }
+
+  if (succeeded === 0) return null;
+  return zip.generateAsync({ type: 'blob', mimeType: 'application/zip' });
+};
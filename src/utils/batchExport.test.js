@@ -0,0 +1,106 @@
+import { runBatchExport } from './batchExport';
+import { createTestParams, createTestOptions, readZip } from '../testUtils';
+
+// 后台导出模块引用 Web Worker（import.meta），换为由各用例指定的导出函数
+let mockExport3MF;
+jest.mock('./backgroundExport', () => ({
+  export3MFInBackground: (...args) => mockExport3MF(...args),
+  createAbortError: () => Object.assign(new Error('导出已取消'), { name: 'AbortError' })
+}));
+// jsdom 不加载图片：图片对象只记录地址，便于导出函数区分
+jest.mock('./imageItems', () => ({ loadImage: async (url) => ({ width: 8, height: 8, url }) }));
+
+const params = createTestParams({ gridX: 2, gridY: 1 });
+
+const createImages = (...names) => names.map((name, i) => ({ id: `id${i}`, name, url: `url:${name}` }));
+
+// 运行批量导出，记录每张图片最后一次状态变化
+const runExport = async (images, options, control = {}) => {
+  const states = {};
+  const result = runBatchExport(images, params, createTestOptions(options), {
+    ...control,
+    onItemChange: (id, changes) => { states[id] = changes; }
+  });
+  return { result, states };
+};
+
+describe('runBatchExport', () => {
+  beforeEach(() => {
+    mockExport3MF = async (meshes, exportParams, texture) => {
+      if (texture.image.url.includes('bad')) throw new Error('图片损坏');
+      return { blob: new Blob([texture.image.url]), problems: [], thumbnailError: null, colorResolution: null };
+    };
+  });
+
+  test('每张图片生成一个文件，重名时加序号，不允许的字符替换为下划线', async () => {
+    const { result, states } = await runExport(createImages('cat.png', 'cat.jpg', 'a/b:c.png'), { format: '3mf' });
+    const zip = await readZip(await result);
+    expect(Object.keys(zip.files).sort()).toEqual(['a_b_c.3mf', 'cat.3mf', 'cat_2.3mf']);
+    expect(await zip.file('cat_2.3mf').async('string')).toBe('url:cat.jpg');
+    Object.values(states).forEach(state => expect(state).toEqual({ status: 'done', warning: null }));
+  });
+
+  test('某张图片失败时记录错误并继续导出其余图片', async () => {
+    const { result, states } = await runExport(createImages('bad.png', 'ok.png'), { format: '3mf' });
+    const zip = await readZip(await result);
+    expect(Object.keys(zip.files)).toEqual(['ok.3mf']);
+    expect(states.id0).toEqual({ status: 'error', error: '图片损坏' });
+    expect(states.id1.status).toBe('done');
+  });
+
+  test('全部失败时返回 null', async () => {
+    const { result, states } = await runExport(createImages('bad1.png', 'bad2.png'), { format: '3mf' });
+    expect(await result).toBe(null);
+    expect(Object.values(states).map(state => state.status)).toEqual(['error', 'error']);
+  });
+
+  test('网格检查、缩略图和颜色精度的问题合并为警告', async () => {
+    mockExport3MF = async () => ({
+      blob: new Blob(['x']), problems: [{ name: 'Piece 1', problems: ['开放边'] }], thumbnailError: 'WebGL 不可用', colorResolution: 2
+    });
+    const { result, states } = await runExport(createImages('a.png'), { format: '3mf', colorResolution: 1 });
+    await result;
+    expect(states.id0).toEqual({
+      status: 'done',
+      warning: '1 个模型未通过网格检查；未附带缩略图（WebGL 不可用）；颜色精度已自动降为 2 mm'
+    });
+  });
+
+  test('中止后未完成的图片标为 cancelled，并以 AbortError 拒绝', async () => {
+    const controller = new AbortController();
+    mockExport3MF = async () => {
+      controller.abort();
+      return { blob: new Blob(['x']), problems: [] };
+    };
+    const { result, states } = await runExport(createImages('a.png', 'b.png', 'c.png'), { format: '3mf' }, { signal: controller.signal });
+    await expect(result).rejects.toMatchObject({ name: 'AbortError' });
+    expect(Object.values(states).map(state => state.status)).toEqual(['done', 'cancelled', 'cancelled']);
+  });
+
+  test('导出中途取消时当前图片也标为 cancelled', async () => {
+    mockExport3MF = async () => {
+      throw Object.assign(new Error('导出已取消'), { name: 'AbortError' });
+    };
+    const { result, states } = await runExport(createImages('a.png', 'b.png'), { format: '3mf' });
+    await expect(result).rejects.toMatchObject({ name: 'AbortError' });
+    expect(Object.values(states).map(state => state.status)).toEqual(['cancelled', 'cancelled']);
+  });
+
+  test('网格生成失败时每张图片都标为失败', async () => {
+    mockExport3MF = async () => {
+      throw new Error('不应导出');
+    };
+    const options = { format: '3mf', printerProfile: 'custom', bedWidth: 220, bedDepth: 220, bedMargin: 200 };
+    const { result, states } = await runExport(createImages('a.png', 'b.png'), options);
+    expect(await result).toBe(null);
+    expect(Object.values(states)).toEqual([
+      { status: 'error', error: '打印平台边距过大，没有可用的排版区域' },
+      { status: 'error', error: '打印平台边距过大，没有可用的排版区域' }
+    ]);
+  });
+
+  test('不支持的格式直接报错', async () => {
+    await expect(runBatchExport(createImages('a.png'), params, createTestOptions({ format: 'stl' })))
+      .rejects.toThrow('批量导出不支持 STL 格式');
+  });
+});
@@ -0,0 +1,115 @@
+/**
+ * 拼图板面外轮廓
+ * 根据 boardShape 生成板面的外轮廓多边形：矩形、圆角矩形、圆形（椭圆）、心形，或导入的 SVG 闭合路径。
+ *
+ * 所有轮廓都缩放到恰好填满 width × height 的包围盒，中心在原点、逆时针方向，
+ * 因此顶面 UV 仍按包围盒映射整张图片。
+ */
+import * as THREE from 'three';
+import { polygonArea, rectanglePolygon } from './polygon';
+
+/**
+ * 曲线轮廓的采样点数：按周长每 2mm 左右一个点
+ * @param {number} perimeter - 近似周长 (mm)
+ * @returns {number} 限制在 64 ~ 256 之间
+ */
+const curveSegments = (perimeter) => Math.min(256, Math.max(64, Math.ceil(perimeter / 2)));
+
+/**
+ * 将点集归一化到 [0,1] 包围盒
+ * @param {number[][]} points - [[x, y], ...]
+ * @returns {number[][]}
+ */
+export const normalizePoints = (points) => {
+  const xs = points.map(p => p[0]);
+  const ys = points.map(p => p[1]);
+  const minX = Math.min(...xs);
+  const minY = Math.min(...ys);
+  const spanX = Math.max(...xs) - minX || 1;
+  const spanY = Math.max(...ys) - minY || 1;
+  return points.map(([x, y]) => [(x - minX) / spanX, (y - minY) / spanY]);
+};
+
+/**
+ * 将归一化坐标 ([0,1] 区间，y 向上) 的点映射到板面包围盒
+ * @returns {THREE.Vector2[]} 逆时针方向的轮廓
+ */
+const fitToBoard = (points, width, height) => {
+  const outline = points.map(([x, y]) => new THREE.Vector2((x - 0.5) * width, (y - 0.5) * height));
+  return polygonArea(outline) < 0 ? outline.reverse() : outline;
+};
+
+/**
+ * 圆角矩形轮廓
+ * @param {number} radius - 圆角半径，不超过短边的一半
+ */
+const roundedRectOutline = (width, height, radius) => {
+  const r = Math.min(Math.max(radius, 0), width / 2, height / 2);
+  if (r <= 0) return rectanglePolygon(-width / 2, -height / 2, width / 2, height / 2);
+
+  const perCorner = Math.ceil(curveSegments(Math.PI * 2 * r) / 4);
+  const corners = [
+    [width / 2 - r, -height / 2 + r, -Math.PI / 2],
+    [width / 2 - r, height / 2 - r, 0],
+    [-width / 2 + r, height / 2 - r, Math.PI / 2],
+    [-width / 2 + r, -height / 2 + r, Math.PI]
+  ];
+
+  const outline = [];
+  corners.forEach(([cx, cy, startAngle]) => {
+    for (let i = 0; i <= perCorner; i++) {
+      const angle = startAngle + (Math.PI / 2) * (i / perCorner);
+      outline.push(new THREE.Vector2(cx + Math.cos(angle) * r, cy + Math.sin(angle) * r));
+    }
+  });
+  return outline;
+};
+
+/**
+ * 内切于包围盒的椭圆（宽高相等时为圆）
+ * 采样点数取 4 的倍数，使上下左右四个端点都落在采样点上，轮廓恰好填满包围盒。
+ */
+const ellipseOutline = (width, height) => {
+  const segments = Math.ceil(curveSegments(Math.PI * (width + height) / 2) / 4) * 4;
+  return Array.from({ length: segments }, (_, i) => {
+    const angle = (i / segments) * Math.PI * 2;
+    return new THREE.Vector2(Math.cos(angle) * width / 2, Math.sin(angle) * height / 2);
+  });
+};
+
+/**
+ * 心形轮廓：经典参数方程 x = 16sin³t, y = 13cost − 5cos2t − 2cos3t − cos4t，再归一化到包围盒
+ */
+const heartOutline = (width, height) => {
+  const segments = curveSegments(Math.PI * (width + height) / 2);
+  const raw = Array.from({ length: segments }, (_, i) => {
+    const t = (i / segments) * Math.PI * 2;
+    return [
+      16 * Math.sin(t) ** 3,
+      13 * Math.cos(t) - 5 * Math.cos(2 * t) - 2 * Math.cos(3 * t) - Math.cos(4 * t)
+    ];
+  });
+  return fitToBoard(normalizePoints(raw), width, height);
+};
+
+/**
+ * 生成板面外轮廓
+ * @param {Object} params - puzzleParams（使用 width、height、boardShape、cornerRadius、boardOutline）
+ * @returns {THREE.Vector2[]|null} 逆时针轮廓（全局坐标）；矩形板面返回 null，由各布局按矩形处理
+ */
+export const createBoardOutline = (params) => {
+  const { width, height, boardShape = 'rectangle', cornerRadius = 0, boardOutline } = params;
+
+  switch (boardShape) {
+    case 'roundedRect':
+      return cornerRadius > 0 ? roundedRectOutline(width, height, cornerRadius) : null;
+    case 'circle':
+      return ellipseOutline(width, height);
+    case 'heart':
+      return heartOutline(width, height);
+    case 'svg':
+      return boardOutline && boardOutline.length >= 3 ? fitToBoard(boardOutline, width, height) : null;
+    default: // rectangle
+      return null;
+  }
+};
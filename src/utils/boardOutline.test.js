@@ -0,0 +1,57 @@
+import { createBoardOutline, normalizePoints } from './boardOutline';
+import { polygonArea } from './polygon';
+import { createTestParams } from '../testUtils';
+
+// 轮廓的包围盒 [minX, minY, maxX, maxY]
+const bounds = (outline) => [
+  Math.min(...outline.map(p => p.x)),
+  Math.min(...outline.map(p => p.y)),
+  Math.max(...outline.map(p => p.x)),
+  Math.max(...outline.map(p => p.y))
+];
+
+describe('板面外轮廓', () => {
+  test('矩形板面及圆角半径为 0 的圆角矩形返回 null', () => {
+    expect(createBoardOutline(createTestParams())).toBeNull();
+    expect(createBoardOutline(createTestParams({ boardShape: 'roundedRect', cornerRadius: 0 }))).toBeNull();
+  });
+
+  test.each([
+    ['圆角矩形', { boardShape: 'roundedRect', cornerRadius: 10 }],
+    ['圆形', { boardShape: 'circle' }],
+    ['椭圆', { boardShape: 'circle', width: 120, height: 80 }],
+    ['心形', { boardShape: 'heart', width: 90, height: 80 }],
+    ['SVG 轮廓', { boardShape: 'svg', width: 60, boardOutline: [[0, 0], [1, 0], [0.5, 1]] }]
+  ])('%s: 逆时针轮廓恰好填满 width × height 的包围盒', (name, overrides) => {
+    const params = createTestParams(overrides);
+    const outline = createBoardOutline(params);
+    expect(polygonArea(outline)).toBeGreaterThan(0);
+    bounds(outline).forEach((value, i) => {
+      expect(value).toBeCloseTo([-params.width / 2, -params.height / 2, params.width / 2, params.height / 2][i], 6);
+    });
+  });
+
+  test('圆形与圆角矩形的面积接近理论值', () => {
+    expect(polygonArea(createBoardOutline(createTestParams({ boardShape: 'circle' })))).toBeCloseTo(Math.PI * 50 * 50, -1);
+    // 四个半径 10 的圆角共少了 (4 − π) × 10²
+    expect(polygonArea(createBoardOutline(createTestParams({ boardShape: 'roundedRect', cornerRadius: 10 }))))
+      .toBeCloseTo(100 * 100 - (4 - Math.PI) * 100, -1);
+  });
+
+  test('圆角半径超过短边一半时按短边一半处理', () => {
+    const outline = createBoardOutline(createTestParams({ boardShape: 'roundedRect', cornerRadius: 80, height: 40 }));
+    expect(polygonArea(outline)).toBeCloseTo(60 * 40 + Math.PI * 20 * 20, -1);
+  });
+
+  test('顺时针的 SVG 轮廓被翻转为逆时针，没有导入轮廓时按矩形处理', () => {
+    const outline = createBoardOutline(createTestParams({ boardShape: 'svg', boardOutline: [[0, 0], [0, 1], [1, 1], [1, 0]] }));
+    expect(polygonArea(outline)).toBeCloseTo(100 * 100);
+    expect(createBoardOutline(createTestParams({ boardShape: 'svg', boardOutline: null }))).toBeNull();
+  });
+
+  test('normalizePoints 将点集缩放到 [0,1] 包围盒', () => {
+    expect(normalizePoints([[10, 20], [30, 20], [20, 60]])).toEqual([[0, 0], [1, 0], [0.5, 1]]);
+    // 退化方向不缩放
+    expect(normalizePoints([[5, 1], [5, 3]])).toEqual([[0, 0], [0, 1]]);
+  });
+});
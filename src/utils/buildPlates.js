@@ -0,0 +1,213 @@
+/**
+ * 打印平台排版
+ * 按所选打印机的热床尺寸和边距，把导出的网格旋转、排列到一个或多个打印平台上。
+ *
+ * - 每个网格先绕 Z 轴旋转到投影凸包的最小外接矩形方向，再按矩形排版（可再转 90°）
+ * - 排版使用 MaxRects（最短边优先），按面积从大到小逐个放入第一个放得下的平台，放不下时新开一个平台
+ * - 平台沿 X 轴依次排开（见 getPlateOrigin），导出的网格坐标即各自平台上的热床坐标加上平台原点
+ */
+import * as THREE from 'three';
+import { convexHull } from './polygon';
+
+// 常见打印机的热床尺寸及四周边距 (mm)
+export const PRINTER_PROFILES = {
+  'bambu-x1': { name: 'Bambu Lab X1 / P1', width: 256, depth: 256, margin: 5 },
+  'bambu-a1mini': { name: 'Bambu Lab A1 mini', width: 180, depth: 180, margin: 5 },
+  'prusa-mk4': { name: 'Prusa MK4', width: 250, depth: 210, margin: 5 },
+  'prusa-mini': { name: 'Prusa MINI', width: 180, depth: 180, margin: 5 },
+  'ender3': { name: 'Creality Ender-3', width: 220, depth: 220, margin: 5 },
+  'voron-350': { name: 'Voron 2.4 (350)', width: 350, depth: 350, margin: 5 }
+};
+
+// 相邻打印平台之间的间隔 (mm)
+const PLATE_SPACING = 50;
+
+// 尺寸比较容差 (mm)
+const EPSILON = 1e-6;
+
+/**
+ * 读取导出选项中的打印平台
+ * @param {Object} options - exportOptions（使用 printerProfile，自定义时使用 bedWidth、bedDepth、bedMargin）
+ * @returns {{width: number, depth: number, margin: number}|null} 不分平台时为 null
+ */
+export const getBuildPlate = (options) => {
+  if (options.printerProfile === 'custom') {
+    return { width: options.bedWidth, depth: options.bedDepth, margin: options.bedMargin };
+  }
+  const profile = PRINTER_PROFILES[options.printerProfile];
+  return profile ? { width: profile.width, depth: profile.depth, margin: profile.margin } : null;
+};
+
+/**
+ * 第 plate 个打印平台热床左下角的位置
+ * @param {number} plate
+ * @param {{width: number}} bed
+ * @returns {THREE.Vector3}
+ */
+export const getPlateOrigin = (plate, bed) => new THREE.Vector3(plate * (bed.width + PLATE_SPACING), 0, 0);
+
+/**
+ * 使投影外接矩形面积最小的旋转角（凸包的某条边与 X 轴对齐时取得）
+ * 面积相同时保持原方向，规则网格的拼图块不会被无谓地转动。
+ * @param {THREE.BufferGeometry} geometry
+ * @returns {number} 绕 Z 轴的旋转角（弧度）
+ */
+const getMinAreaRotation = (geometry) => {
+  const position = geometry.getAttribute('position');
+  const points = [];
+  for (let i = 0; i < position.count; i++) {
+    points.push(new THREE.Vector2(position.getX(i), position.getY(i)));
+  }
+  const hull = convexHull(points);
+
+  const boundingArea = (angle) => {
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    let minX = Infinity;
+    let minY = Infinity;
+    let maxX = -Infinity;
+    let maxY = -Infinity;
+    hull.forEach(p => {
+      const x = p.x * cos - p.y * sin;
+      const y = p.x * sin + p.y * cos;
+      minX = Math.min(minX, x);
+      minY = Math.min(minY, y);
+      maxX = Math.max(maxX, x);
+      maxY = Math.max(maxY, y);
+    });
+    return (maxX - minX) * (maxY - minY);
+  };
+
+  let bestAngle = 0;
+  let bestArea = boundingArea(0);
+  hull.forEach((p, i) => {
+    const q = hull[(i + 1) % hull.length];
+    const angle = -Math.atan2(q.y - p.y, q.x - p.x);
+    const area = boundingArea(angle);
+    if (area < bestArea * (1 - EPSILON)) {
+      bestAngle = angle;
+      bestArea = area;
+    }
+  });
+  return bestAngle;
+};
+
+/**
+ * 在平台的空闲矩形中寻找放置位置（最短边优先，可转 90°）
+ * @returns {{x: number, y: number, width: number, height: number, rotated: boolean}|null}
+ */
+const findPlacement = (freeRects, width, height) => {
+  let best = null;
+  freeRects.forEach(rect => {
+    [[width, height, false], [height, width, true]].forEach(([w, h, rotated]) => {
+      if (w > rect.width + EPSILON || h > rect.height + EPSILON) return;
+      const shortSide = Math.min(rect.width - w, rect.height - h);
+      const longSide = Math.max(rect.width - w, rect.height - h);
+      if (!best || shortSide < best.shortSide || (shortSide === best.shortSide && longSide < best.longSide)) {
+        best = { x: rect.x, y: rect.y, width: w, height: h, rotated, shortSide, longSide };
+      }
+    });
+  });
+  return best;
+};
+
+/**
+ * 放入一个矩形后更新空闲矩形：与之相交的空闲矩形拆成最多四个，再去掉被其它空闲矩形包含的
+ * @returns {Array<{x: number, y: number, width: number, height: number}>}
+ */
+const splitFreeRects = (freeRects, used) => {
+  const result = [];
+  freeRects.forEach(rect => {
+    if (used.x >= rect.x + rect.width || used.x + used.width <= rect.x ||
+      used.y >= rect.y + rect.height || used.y + used.height <= rect.y) {
+      result.push(rect);
+      return;
+    }
+    if (used.x > rect.x) {
+      result.push({ x: rect.x, y: rect.y, width: used.x - rect.x, height: rect.height });
+    }
+    if (used.x + used.width < rect.x + rect.width) {
+      result.push({ x: used.x + used.width, y: rect.y, width: rect.x + rect.width - used.x - used.width, height: rect.height });
+    }
+    if (used.y > rect.y) {
+      result.push({ x: rect.x, y: rect.y, width: rect.width, height: used.y - rect.y });
+    }
+    if (used.y + used.height < rect.y + rect.height) {
+      result.push({ x: rect.x, y: used.y + used.height, width: rect.width, height: rect.y + rect.height - used.y - used.height });
+    }
+  });
+
+  const contains = (a, b) => b.x >= a.x - EPSILON && b.y >= a.y - EPSILON &&
+    b.x + b.width <= a.x + a.width + EPSILON && b.y + b.height <= a.y + a.height + EPSILON;
+  // 两个矩形相同时只保留序号小的一个
+  return result.filter((rect, i) =>
+    !result.some((other, j) => j !== i && contains(other, rect) && (!contains(rect, other) || j < i))
+  );
+};
+
+/**
+ * 把网格排列到打印平台上
+ * 几何体会被原地绕 Z 轴旋转；返回的位置已加上所在平台的原点。
+ * @param {Array<{name: string, geometry: THREE.BufferGeometry}>} items
+ * @param {{width: number, depth: number, margin: number}} bed - 见 getBuildPlate
+ * @param {number} gap - 网格之间的间距 (mm)
+ * @returns {{placements: Array<{plate: number, position: THREE.Vector3}>, plateCount: number}}
+ */
+export const arrangeOnPlates = (items, bed, gap) => {
+  const usableWidth = bed.width - 2 * bed.margin;
+  const usableDepth = bed.depth - 2 * bed.margin;
+  if (usableWidth <= 0 || usableDepth <= 0) {
+    throw new Error('打印平台边距过大，没有可用的排版区域');
+  }
+
+  // 先转到最小外接矩形方向
+  const boxes = items.map(({ geometry }) => {
+    geometry.rotateZ(getMinAreaRotation(geometry));
+    geometry.computeBoundingBox();
+    return geometry.boundingBox.clone();
+  });
+
+  // 每个矩形向右、向上扩展一个间距，平台也相应扩展，最右、最上的网格不需要多留间距
+  const plates = [];
+  const placements = new Array(items.length);
+  const order = items.map((_, i) => i).sort((a, b) => {
+    const sizeA = boxes[a].getSize(new THREE.Vector3());
+    const sizeB = boxes[b].getSize(new THREE.Vector3());
+    return sizeB.x * sizeB.y - sizeA.x * sizeA.y || a - b;
+  });
+
+  order.forEach(index => {
+    const size = boxes[index].getSize(new THREE.Vector3());
+    const width = size.x + gap;
+    const height = size.y + gap;
+
+    let plate = plates.findIndex(freeRects => findPlacement(freeRects, width, height));
+    if (plate < 0) {
+      plates.push([{ x: 0, y: 0, width: usableWidth + gap, height: usableDepth + gap }]);
+      plate = plates.length - 1;
+    }
+    const placement = findPlacement(plates[plate], width, height);
+    if (!placement) {
+      throw new Error(`${items[index].name} 的尺寸 (${size.x.toFixed(1)} × ${size.y.toFixed(1)} mm) ` +
+        `超出打印平台可用范围 (${usableWidth} × ${usableDepth} mm)`);
+    }
+    plates[plate] = splitFreeRects(plates[plate], placement);
+
+    const { geometry } = items[index];
+    if (placement.rotated) {
+      geometry.rotateZ(Math.PI / 2);
+      geometry.computeBoundingBox();
+    }
+    const box = geometry.boundingBox;
+    placements[index] = {
+      plate,
+      position: getPlateOrigin(plate, bed).add(new THREE.Vector3(
+        bed.margin + placement.x - box.min.x,
+        bed.margin + placement.y - box.min.y,
+        -box.min.z
+      ))
+    };
+  });
+
+  return { placements, plateCount: plates.length };
+};
@@ -0,0 +1,85 @@
+import * as THREE from 'three';
+import { arrangeOnPlates, getBuildPlate, getPlateOrigin } from './buildPlates';
+import { createExportMeshes } from './exportMeshes';
+import { createTestParams, createTestOptions } from '../testUtils';
+
+// 网格在所在平台热床坐标系中的包围盒
+const plateBox = ({ geometry, position, plate }, bed) => {
+  geometry.computeBoundingBox();
+  const offset = position.clone().sub(getPlateOrigin(plate, bed));
+  return geometry.boundingBox.clone().translate(offset);
+};
+
+// 检查排版：都在可用范围内、贴着热床，同一平台上的网格互不重叠且留出间距
+const expectValidLayout = (meshes, bed, gap) => {
+  const boxes = meshes.map(mesh => plateBox(mesh, bed));
+  boxes.forEach(box => {
+    expect(box.min.x).toBeGreaterThanOrEqual(bed.margin - 1e-6);
+    expect(box.min.y).toBeGreaterThanOrEqual(bed.margin - 1e-6);
+    expect(box.max.x).toBeLessThanOrEqual(bed.width - bed.margin + 1e-6);
+    expect(box.max.y).toBeLessThanOrEqual(bed.depth - bed.margin + 1e-6);
+    expect(box.min.z).toBeCloseTo(0);
+  });
+  boxes.forEach((a, i) => boxes.forEach((b, j) => {
+    if (j <= i || meshes[i].plate !== meshes[j].plate) return;
+    const separated = a.max.x + gap <= b.min.x + 1e-6 || b.max.x + gap <= a.min.x + 1e-6 ||
+      a.max.y + gap <= b.min.y + 1e-6 || b.max.y + gap <= a.min.y + 1e-6;
+    expect({ pair: [meshes[i].name, meshes[j].name], separated }).toEqual({ pair: [meshes[i].name, meshes[j].name], separated: true });
+  }));
+};
+
+describe('getBuildPlate', () => {
+  test('按打印机或自定义尺寸取热床，不分平台时为 null', () => {
+    expect(getBuildPlate(createTestOptions({ printerProfile: 'none' }))).toBe(null);
+    expect(getBuildPlate(createTestOptions({ printerProfile: 'prusa-mk4' }))).toEqual({ width: 250, depth: 210, margin: 5 });
+    expect(getBuildPlate(createTestOptions({ printerProfile: 'custom', bedWidth: 300, bedDepth: 200, bedMargin: 8 })))
+      .toEqual({ width: 300, depth: 200, margin: 8 });
+  });
+});
+
+describe('arrangeOnPlates', () => {
+  test.each([
+    ['网格布局', { gridX: 3, gridY: 3 }],
+    ['凸榫', { gridX: 4, gridY: 3, splitMode: 'jigsaw' }],
+    ['不规则布局', { layoutMode: 'voronoi', pieceCount: 10 }],
+    ['三角形布局', { layoutMode: 'triangle', gridX: 4, gridY: 3 }]
+  ])('%s: 一个平台放得下时互不重叠且不超出热床', (name, overrides) => {
+    const options = createTestOptions({ printerProfile: 'bambu-x1', pieceGap: 4 });
+    const meshes = createExportMeshes(createTestParams({ width: 150, height: 120, ...overrides }), options);
+    expect(new Set(meshes.map(({ plate }) => plate))).toEqual(new Set([0]));
+    expectValidLayout(meshes, getBuildPlate(options), options.pieceGap);
+  });
+
+  test('一个平台放不下时分到多个平台，各平台沿 X 轴排开', () => {
+    const options = createTestOptions({ printerProfile: 'bambu-a1mini', pieceGap: 5 });
+    const meshes = createExportMeshes(createTestParams({ width: 300, height: 300, gridX: 3, gridY: 3 }), options);
+    const bed = getBuildPlate(options);
+    const plateCount = Math.max(...meshes.map(({ plate }) => plate)) + 1;
+    expect(plateCount).toBeGreaterThan(1);
+    expectValidLayout(meshes, bed, options.pieceGap);
+    expect(getPlateOrigin(1, bed).x).toBeGreaterThan(bed.width);
+  });
+
+  test('细长网格转到最小外接矩形方向后放入', () => {
+    // 与 X 轴成 45° 的 200 × 10mm 长条，外接矩形约 148 × 148mm，不旋转放不进 60mm 深的热床
+    const geometry = new THREE.BoxGeometry(200, 10, 2).rotateZ(Math.PI / 4);
+    const bed = { width: 210, depth: 60, margin: 0 };
+    const { placements, plateCount } = arrangeOnPlates([{ name: 'Bar', geometry }], bed, 0);
+    expect(plateCount).toBe(1);
+    expectValidLayout([{ name: 'Bar', geometry, ...placements[0] }], bed, 0);
+    const size = geometry.boundingBox.getSize(new THREE.Vector3());
+    expect(size.x).toBeCloseTo(200);
+    expect(size.y).toBeCloseTo(10);
+  });
+
+  test('单个网格超出热床时报错', () => {
+    const options = createTestOptions({ printerProfile: 'bambu-a1mini', target: 'board' });
+    expect(() => createExportMeshes(createTestParams({ width: 250, height: 250 }), options)).toThrow('超出打印平台可用范围');
+  });
+
+  test('边距过大时报错', () => {
+    const geometry = new THREE.BoxGeometry(10, 10, 2);
+    expect(() => arrangeOnPlates([{ name: 'Box', geometry }], { width: 100, depth: 100, margin: 50 }, 0))
+      .toThrow('打印平台边距过大');
+  });
+});
@@ -0,0 +1,40 @@
+/**
+ * 画布工具
+ * 导出在 Web Worker 中运行时没有 document，改用 OffscreenCanvas；主线程中仍使用普通 canvas。
+ */
+
+/**
+ * 创建画布
+ * @param {number} width
+ * @param {number} height
+ * @returns {HTMLCanvasElement|OffscreenCanvas}
+ */
+export const createCanvas = (width, height) => {
+  if (typeof document === 'undefined') {
+    return new OffscreenCanvas(width, height);
+  }
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+};
+
+/**
+ * 把画布内容编码为 data URL
+ * @param {HTMLCanvasElement|OffscreenCanvas} canvas
+ * @param {string} type - 图片类型，如 'image/png'
+ * @param {number} quality - JPEG 质量 0~1（可选）
+ * @returns {Promise<string>}
+ */
+export const canvasToDataUrl = async (canvas, type = 'image/png', quality) => {
+  if (!canvas.convertToBlob) {
+    return canvas.toDataURL(type, quality);
+  }
+  const blob = await canvas.convertToBlob({ type, quality });
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(new Error('图片编码失败'));
+    reader.readAsDataURL(blob);
+  });
+};
@@ -0,0 +1,196 @@
+/**
+ * 图片颜色量化
+ * 把所选图片归并为若干种耗材颜色，供多色 3MF 导出按颜色给顶面分区。
+ *
+ * 自动提取时先用中位切分得到初始颜色，再用 k-means 迭代调整；
+ * 也可以直接指定调色板（例如手头已有的耗材颜色），图片中的每个像素取最接近的颜色。
+ */
+import { createCanvas } from './canvas';
+
+// 读取图片时缩放到的最大边长 (px)
+const SAMPLE_SIZE = 512;
+
+// k-means 迭代次数
+const KMEANS_ITERATIONS = 8;
+
+// 透明度低于该值的像素不参与颜色提取
+const MIN_ALPHA = 128;
+
+/**
+ * 读取图片像素（按 SAMPLE_SIZE 缩小）
+ * @param {HTMLImageElement|HTMLCanvasElement|ImageBitmap} image
+ * @returns {{data: Uint8ClampedArray, width: number, height: number}}
+ */
+const readImagePixels = (image) => {
+  const scale = Math.min(1, SAMPLE_SIZE / Math.max(image.width, image.height));
+  const canvas = createCanvas(Math.max(1, Math.round(image.width * scale)), Math.max(1, Math.round(image.height * scale)));
+
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+  const { data } = ctx.getImageData(0, 0, canvas.width, canvas.height);
+  return { data, width: canvas.width, height: canvas.height };
+};
+
+const distanceSq = (a, b) => (a[0] - b[0]) ** 2 + (a[1] - b[1]) ** 2 + (a[2] - b[2]) ** 2;
+
+/**
+ * 在调色板中查找最接近的颜色
+ * @returns {number} 颜色序号
+ */
+const nearestColor = (palette, color) => {
+  let best = 0;
+  let bestDistance = Infinity;
+  palette.forEach((entry, i) => {
+    const distance = distanceSq(entry, color);
+    if (distance < bestDistance) {
+      best = i;
+      bestDistance = distance;
+    }
+  });
+  return best;
+};
+
+/**
+ * 解析调色板文本，颜色之间用逗号、分号或空白分隔
+ * @param {string} text - 如 "#FF0000, #00FF00, 0000FF"
+ * @returns {number[][]} [[r, g, b], ...]，至少一种颜色
+ */
+const parsePalette = (text) => {
+  const items = text.split(/[\s,;]+/).filter(Boolean);
+  if (items.length === 0) {
+    throw new Error(`调色板中没有颜色：${text.trim()}（应为 #RRGGBB，用逗号、分号或空格分隔）`);
+  }
+  return items.map(item => {
+    const match = item.match(/^#?([0-9a-f]{6})$/i);
+    if (!match) {
+      throw new Error(`无法识别的颜色：${item}（应为 #RRGGBB）`);
+    }
+    const value = parseInt(match[1], 16);
+    return [(value >> 16) & 0xff, (value >> 8) & 0xff, value & 0xff];
+  });
+};
+
+/**
+ * 把 [r, g, b] 转为 "#RRGGBB"
+ * @param {number[]} color
+ * @returns {string}
+ */
+const colorToHexString = (color) =>
+  '#' + color.map(channel => Math.round(channel).toString(16).padStart(2, '0')).join('').toUpperCase();
+
+/**
+ * 提取图片的主要颜色（中位切分 + k-means）
+ * @param {number[][]} pixels - [[r, g, b], ...]
+ * @param {number} count - 颜色数
+ * @returns {number[][]} 调色板，按像素数从多到少排列
+ */
+const quantizeColors = (pixels, count) => {
+  // 中位切分：每次把颜色范围最大的一组沿其最宽的通道从中间分开
+  const channelRange = (group, channel) => {
+    let min = 255;
+    let max = 0;
+    group.forEach(p => {
+      min = Math.min(min, p[channel]);
+      max = Math.max(max, p[channel]);
+    });
+    return max - min;
+  };
+  let groups = [pixels];
+  while (groups.length < count) {
+    let best = null;
+    groups.forEach((group, index) => {
+      if (group.length < 2) return;
+      [0, 1, 2].forEach(channel => {
+        const range = channelRange(group, channel);
+        if (range > 0 && (!best || range > best.range)) best = { index, channel, range };
+      });
+    });
+    if (!best) break;
+
+    const sorted = [...groups[best.index]].sort((a, b) => a[best.channel] - b[best.channel]);
+    const middle = Math.floor(sorted.length / 2);
+    groups = [...groups.slice(0, best.index), sorted.slice(0, middle), sorted.slice(middle), ...groups.slice(best.index + 1)];
+  }
+
+  const mean = (group) => [0, 1, 2].map(channel => group.reduce((sum, p) => sum + p[channel], 0) / group.length);
+
+  // k-means 迭代：像素归入最近的颜色，再把颜色移到其像素的平均值
+  const assign = (palette) => {
+    const members = palette.map(() => []);
+    pixels.forEach(p => members[nearestColor(palette, p)].push(p));
+    return members;
+  };
+  let palette = groups.map(mean);
+  for (let iteration = 0; iteration < KMEANS_ITERATIONS; iteration++) {
+    const members = assign(palette);
+    palette = palette.map((color, i) => (members[i].length > 0 ? mean(members[i]) : color));
+  }
+
+  const members = assign(palette);
+  return palette
+    .map((color, i) => ({ color: color.map(Math.round), size: members[i].length }))
+    .sort((a, b) => b.size - a.size)
+    .map(({ color }) => color);
+};
+
+/**
+ * 创建图片颜色映射
+ * @param {HTMLImageElement|HTMLCanvasElement|ImageBitmap} image
+ * @param {{colorCount: number, colorPalette: string}} options - 调色板文本非空时使用指定颜色，否则自动提取 colorCount 种
+ * @returns {{palette: string[], sample: function(number, number): number, width: number, height: number}}
+ *   palette 为 "#RRGGBB" 列表；sample(u, v) 返回纹理坐标处像素对应的颜色序号（v 向上，与 three.js 的 uv 一致）；
+ *   width、height 为采样图片的尺寸 (px)
+ */
+export const createImageColorMap = (image, options) => {
+  const { data, width, height } = readImagePixels(image);
+
+  let palette;
+  if (options.colorPalette && options.colorPalette.trim()) {
+    palette = parsePalette(options.colorPalette);
+  } else {
+    const pixels = [];
+    for (let i = 0; i < data.length; i += 4) {
+      if (data[i + 3] >= MIN_ALPHA) pixels.push([data[i], data[i + 1], data[i + 2]]);
+    }
+    if (pixels.length === 0) {
+      throw new Error('图片完全透明，无法提取颜色');
+    }
+    palette = quantizeColors(pixels, options.colorCount);
+  }
+
+  // 相同颜色的像素只查找一次
+  const cache = new Map();
+  const sample = (u, v) => {
+    const x = Math.min(width - 1, Math.max(0, Math.floor(u * width)));
+    const y = Math.min(height - 1, Math.max(0, Math.floor((1 - v) * height)));
+    const offset = (y * width + x) * 4;
+    const key = (data[offset] << 16) | (data[offset + 1] << 8) | data[offset + 2];
+    if (!cache.has(key)) {
+      cache.set(key, nearestColor(palette, [data[offset], data[offset + 1], data[offset + 2]]));
+    }
+    return cache.get(key);
+  };
+
+  return { palette: palette.map(colorToHexString), sample, width, height };
+};
+
+/**
+ * 按颜色映射绘制量化后的图片：每个像素换成对应的耗材颜色，用于预览多色打印的效果
+ * @param {{palette: string[], sample: function(number, number): number, width: number, height: number}} colorMap
+ *   见 createImageColorMap
+ * @returns {HTMLCanvasElement|OffscreenCanvas}
+ */
+export const drawColorMap = ({ palette, sample, width, height }) => {
+  const colors = palette.map(hex => [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16)));
+  const canvas = createCanvas(width, height);
+  const ctx = canvas.getContext('2d');
+  const image = ctx.createImageData(width, height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const color = colors[sample((x + 0.5) / width, 1 - (y + 0.5) / height)];
+      image.data.set([color[0], color[1], color[2], 255], (y * width + x) * 4);
+    }
+  }
+  ctx.putImageData(image, 0, 0);
+  return canvas;
+};
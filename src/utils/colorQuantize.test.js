@@ -0,0 +1,76 @@
+import { createImageColorMap, drawColorMap } from './colorQuantize';
+
+// 读取图片时 getImageData 返回 mockPixels（RGBA），putImageData 的结果记在 mockPut 中
+let mockPixels = null;
+const mockPut = [];
+jest.mock('./canvas', () => ({
+  createCanvas: (width, height) => ({
+    width,
+    height,
+    getContext: () => ({
+      drawImage: () => {},
+      getImageData: () => ({ data: mockPixels }),
+      createImageData: (w, h) => ({ width: w, height: h, data: new Uint8ClampedArray(w * h * 4) }),
+      putImageData: (image) => mockPut.push(image)
+    })
+  })
+}));
+
+// 4 × 2 的图片：上面一行和左下角为红色，下面一行其余为 2 个蓝色、1 个近似蓝色
+const RED = [255, 0, 0, 255];
+const BLUE = [0, 0, 255, 255];
+const NEAR_BLUE = [10, 10, 240, 255];
+const IMAGE = { width: 4, height: 2 };
+const setPixels = (pixels) => {
+  mockPixels = new Uint8ClampedArray(pixels.flat());
+};
+
+describe('createImageColorMap', () => {
+  beforeEach(() => setPixels([RED, RED, RED, RED, RED, BLUE, BLUE, NEAR_BLUE]));
+
+  test('自动提取指定数量的颜色，按像素数从多到少排列', () => {
+    const { palette } = createImageColorMap(IMAGE, { colorCount: 2, colorPalette: '' });
+    expect(palette).toHaveLength(2);
+    expect(palette[0]).toBe('#FF0000');
+    // 蓝色与近似蓝色合为一种
+    expect(palette[1]).toMatch(/^#0[0-9A-F]0[0-9A-F]F[0-9A-F]$/);
+  });
+
+  test('使用指定的调色板，每个像素取最接近的颜色', () => {
+    const colorMap = createImageColorMap(IMAGE, { colorCount: 4, colorPalette: '#FFFFFF; 0000ff,#ff0000' });
+    expect(colorMap.palette).toEqual(['#FFFFFF', '#0000FF', '#FF0000']);
+    // v 向上：v 接近 1 为图片第一行（红色）
+    expect(colorMap.sample(0.1, 0.9)).toBe(2);
+    expect(colorMap.sample(0.9, 0.1)).toBe(1);
+    // 超出范围的坐标取边缘像素
+    expect(colorMap.sample(-1, 2)).toBe(2);
+  });
+
+  test('无法识别的调色板颜色报错', () => {
+    expect(() => createImageColorMap(IMAGE, { colorCount: 2, colorPalette: '#FF0000, red' })).toThrow('无法识别的颜色：red');
+  });
+
+  test('调色板只有分隔符时报错', () => {
+    expect(() => createImageColorMap(IMAGE, { colorCount: 2, colorPalette: ', ;' })).toThrow('调色板中没有颜色：, ;');
+  });
+
+  test('完全透明的图片报错', () => {
+    setPixels(new Array(8).fill([0, 0, 0, 0]));
+    expect(() => createImageColorMap(IMAGE, { colorCount: 2, colorPalette: '' })).toThrow('图片完全透明');
+  });
+});
+
+describe('drawColorMap', () => {
+  test('每个像素换成对应的耗材颜色', () => {
+    setPixels([RED, RED, RED, RED, RED, BLUE, BLUE, NEAR_BLUE]);
+    const colorMap = createImageColorMap(IMAGE, { colorCount: 2, colorPalette: '#FF0000 #0000C0' });
+    const canvas = drawColorMap(colorMap);
+    expect([canvas.width, canvas.height]).toEqual([4, 2]);
+
+    const { data } = mockPut[mockPut.length - 1];
+    const pixel = (x, y) => Array.from(data.slice((y * 4 + x) * 4, (y * 4 + x) * 4 + 4));
+    expect(pixel(0, 0)).toEqual([255, 0, 0, 255]);
+    expect(pixel(0, 1)).toEqual([255, 0, 0, 255]);
+    expect(pixel(3, 1)).toEqual([0, 0, 192, 255]);
+  });
+});
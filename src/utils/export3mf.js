@@ -1,6 +1,6 @@
 /**
  * 3MF导出工具
- * 将Three.js模型导出为3MF格式文件
+ * 将Three.js模型导出为3MF格式文件，每个网格（整块板面或各拼图块）写为一个独立的 object
  *
  * 3MF格式说明:
  * - 3MF是一种基于ZIP的3D打印文件格式
@@ -9,6 +9,13 @@
  */
 import JSZip from 'jszip';
 import * as THREE from 'three';
+import { extractMeshData, validateMeshData, getTriangleFace, subdivideTopSurface, MAX_COLOR_TRIANGLES } from './meshData';
+import { createImageColorMap } from './colorQuantize';
+import { renderThumbnail } from './thumbnail';
+import { encodeTexture } from './exportTexture';
+
+// 拼图参数写为带命名空间的自定义元数据（3MF 规定非标准元数据名必须带前缀），导入时见 import3mf
+export const PUZZLE_METADATA_NAMESPACE = 'urn:puzzle-print:metadata';
 
 /**
  * 将颜色值转换为3MF格式的颜色字符串
@@ -25,105 +32,124 @@ const colorToHex = (color) => {
   return '#808080';
 };
 
-/**
- * 将纹理转换为PNG base64
- * @param {THREE.Texture} texture
- * @returns {Promise<string>} base64编码的PNG数据
- */
-const textureToBase64 = async (texture) => {
-  if (!texture || !texture.image) {
-    return null;
-  }
-
-  const canvas = document.createElement('canvas');
-  const img = texture.image;
-  canvas.width = img.width || 512;
-  canvas.height = img.height || 512;
-
-  const ctx = canvas.getContext('2d');
-  ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
-
-  // 返回不带前缀的base64数据
-  const dataUrl = canvas.toDataURL('image/png');
-  return dataUrl.split(',')[1];
-};
-
-/**
- * 从BoxGeometry提取顶点和面数据
- * @param {THREE.BoxGeometry} geometry
- * @param {THREE.Vector3} position 模型位置偏移
- * @returns {Object} { vertices, triangles }
- */
-const extractMeshData = (geometry, position = new THREE.Vector3()) => {
-  // 确保几何体有索引
-  const nonIndexed = geometry.toNonIndexed();
-  const positionAttr = nonIndexed.getAttribute('position');
-  const uvAttr = nonIndexed.getAttribute('uv');
-
-  const vertices = [];
-  const triangles = [];
-  const uvs = [];
-
-  // 提取顶点（3MF使用毫米为单位，我们的模型已经是毫米单位）
-  for (let i = 0; i < positionAttr.count; i++) {
-    vertices.push({
-      x: positionAttr.getX(i) + position.x,
-      y: positionAttr.getY(i) + position.y,
-      z: positionAttr.getZ(i) + position.z
-    });
-
-    if (uvAttr) {
-      uvs.push({
-        u: uvAttr.getX(i),
-        v: uvAttr.getY(i)
-      });
-    }
-  }
-
-  // 提取三角形面
-  for (let i = 0; i < positionAttr.count; i += 3) {
-    triangles.push({
-      v1: i,
-      v2: i + 1,
-      v3: i + 2
-    });
-  }
-
-  return { vertices, triangles, uvs };
-};
-
 /**
  * 生成3MF的[Content_Types].xml
+ * @param {{extension: string, contentType: string}|null} texture 贴图格式（见 encodeTexture），没有贴图时为 null
  * @returns {string}
  */
-const generateContentTypes = () => {
+const generateContentTypes = (texture) => {
+  // PNG 始终声明（缩略图为 PNG），贴图为其它格式时另加一项
+  const textureXml = texture && texture.extension !== 'png' ? `
+  <Default Extension="${texture.extension}" ContentType="${texture.contentType}"/>` : '';
   return `<?xml version="1.0" encoding="UTF-8"?>
 <Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
   <Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
   <Default Extension="model" ContentType="application/vnd.ms-package.3dmanufacturing-3dmodel+xml"/>
-  <Default Extension="png" ContentType="image/png"/>
+  <Default Extension="png" ContentType="image/png"/>${textureXml}
 </Types>`;
 };
 
 /**
  * 生成3MF的关系文件 _rels/.rels
+ * @param {boolean} hasThumbnail 是否包含缩略图
  * @returns {string}
  */
-const generateRels = () => {
+const generateRels = (hasThumbnail) => {
+  const thumbnailXml = hasThumbnail ? `
+  <Relationship Target="/Metadata/thumbnail.png" Id="rel1" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/thumbnail"/>` : '';
   return `<?xml version="1.0" encoding="UTF-8"?>
 <Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
-  <Relationship Target="/3D/3dmodel.model" Id="rel0" Type="http://schemas.microsoft.com/3dmanufacturing/2013/01/3dmodel"/>
+  <Relationship Target="/3D/3dmodel.model" Id="rel0" Type="http://schemas.microsoft.com/3dmanufacturing/2013/01/3dmodel"/>${thumbnailXml}
 </Relationships>`;
 };
 
 /**
- * 生成3MF的主模型文件 3D/3dmodel.model
+ * 转义 XML 文本中的特殊字符
+ * @param {string} text
+ * @returns {string}
+ */
+const escapeXml = (text) => String(text).replace(/[<>&"']/g, char => ({
+  '<': '&lt;',
+  '>': '&gt;',
+  '&': '&amp;',
+  '"': '&quot;',
+  "'": '&apos;'
+}[char]));
+
+/**
+ * 生成模型元数据：标题、设计者、创建日期等标准项，以及拼图参数
+ * @param {Object} params 拼图参数
+ * @param {Object} options 导出选项（使用 title、designer）
+ * @param {number} meshCount 网格数量
+ * @returns {Array<{name: string, value: string}>}
+ */
+const createModelMetadata = (params, options, meshCount) => {
+  const { width, height, depth, layoutMode, gridX, gridY, pieceCount } = params;
+  const grid = layoutMode === 'voronoi' ? `${pieceCount}` : `${gridX}x${gridY}`;
+  const title = (options.title || '').trim() || `Puzzle ${width}x${height}`;
+  const designer = (options.designer || '').trim();
+
+  return [
+    { name: 'Title', value: title },
+    ...(designer ? [{ name: 'Designer', value: designer }] : []),
+    { name: 'CreationDate', value: new Date().toISOString().slice(0, 10) },
+    { name: 'Application', value: 'puzzle-print' },
+    { name: 'Description', value: `${width} x ${height} x ${depth} mm, ${layoutMode} ${grid}, ${params.splitMode}` },
+    { name: 'puzzle:Width', value: width },
+    { name: 'puzzle:Height', value: height },
+    { name: 'puzzle:Depth', value: depth },
+    { name: 'puzzle:BoardShape', value: params.boardShape },
+    { name: 'puzzle:CornerRadius', value: params.cornerRadius },
+    { name: 'puzzle:LayoutMode', value: layoutMode },
+    { name: 'puzzle:Grid', value: grid },
+    { name: 'puzzle:TargetPieceSize', value: params.targetPieceSize },
+    { name: 'puzzle:RelaxIterations', value: params.relaxIterations },
+    { name: 'puzzle:SplitMode', value: params.splitMode },
+    { name: 'puzzle:Seed', value: params.seed },
+    { name: 'puzzle:Clearance', value: params.clearance },
+    { name: 'puzzle:ObjectCount', value: meshCount },
+    // 完整的拼图参数（含导入的轮廓、切割线和分割线编辑），导入 3MF 时据此恢复
+    { name: 'puzzle:Params', value: JSON.stringify(params) }
+  ];
+};
+
+// 多色导出的耗材颜色写为 m:colorgroup 资源的 id；材质、纹理和颜色组资源占用 1~4，网格对象从其后开始编号
+const COLOR_GROUP_ID = 4;
+const FIRST_OBJECT_ID = 5;
+
+// basematerials 中各颜色的序号，与 generateModelXml 中 <base> 的顺序一致
+const BASE_MATERIAL_INDEX = { side: 0, bottom: 1, top: 2 };
+
+/**
+ * 创建纹理坐标表：所有对象共用一个 texture2dgroup，相同的 UV 只记录一次
+ * @returns {{coords: string[][], indexOf: function({u: number, v: number}): number}}
+ *   coords 为 [u, v] 字符串列表，indexOf 返回 UV 在 texture2dgroup 中的序号
+ */
+const createTexCoordTable = () => {
+  const coords = [];
+  const indices = new Map();
+  const indexOf = ({ u, v }) => {
+    const coord = [u.toFixed(6), v.toFixed(6)];
+    const key = coord.join(',');
+    if (!indices.has(key)) {
+      indices.set(key, coords.length);
+      coords.push(coord);
+    }
+    return indices.get(key);
+  };
+  return { coords, indexOf };
+};
+
+/**
+ * 生成一个网格对象的 XML
  * @param {Object} meshData 网格数据
- * @param {Object} colors 颜色配置
- * @param {boolean} hasTexture 是否有纹理
+ * @param {number} id 对象 id
+ * @param {string} name 对象名称
+ * @param {Object|null} texCoords 纹理坐标表（见 createTexCoordTable），没有纹理时为 null
+ * @param {Object|null} colorMap 多色导出的颜色映射（见 createImageColorMap），否则为 null
  * @returns {string}
  */
-const generateModelXml = (meshData, colors, hasTexture) => {
+const generateObjectXml = (meshData, id, name, texCoords, colorMap) => {
   const { vertices, triangles } = meshData;
 
   // 构建顶点字符串
@@ -132,28 +158,80 @@ const generateModelXml = (meshData, colors, hasTexture) => {
   ).join('\n');
 
   // 构建三角形字符串
-  // BoxGeometry面顺序: [+X, -X, +Y, -Y, +Z, -Z]
-  // 每个面有2个三角形，共12个三角形
-  const trianglesXml = triangles.map((t, i) => {
-    // 根据三角形索引确定是哪个面
-    const faceIndex = Math.floor(i / 2);
-    let pid;
-
-    // 面索引对应: 0=+X, 1=-X, 2=+Y, 3=-Y, 4=+Z(顶面), 5=-Z(底面)
-    if (faceIndex === 4) {
-      // 顶面 - 使用纹理材质或白色
-      pid = hasTexture ? '3' : '1';
-    } else if (faceIndex === 5) {
+  // 板面可能是任意外轮廓的拉伸体，按三角形法线区分顶面、底面和侧面
+  const trianglesXml = triangles.map((t) => {
+    const face = getTriangleFace(vertices, t);
+    let property;
+
+    if (face === 'top' && colorMap && t.uvs) {
+      // 顶面 - 多色导出时取三角形中心处图片颜色对应的耗材（m:colorgroup 中的序号）
+      const u = (t.uvs[0].u + t.uvs[1].u + t.uvs[2].u) / 3;
+      const v = (t.uvs[0].v + t.uvs[1].v + t.uvs[2].v) / 3;
+      property = `pid="${COLOR_GROUP_ID}" p1="${colorMap.sample(u, v)}"`;
+    } else if (face === 'top' && texCoords && t.uvs) {
+      // 顶面 - 三个角分别引用各自的纹理坐标
+      const [p1, p2, p3] = t.uvs.map(texCoords.indexOf);
+      property = `pid="3" p1="${p1}" p2="${p2}" p3="${p3}"`;
+    } else if (face === 'top') {
+      // 顶面 - 没有纹理时为白色
+      property = `pid="1" p1="${BASE_MATERIAL_INDEX.top}"`;
+    } else if (face === 'bottom') {
       // 底面
-      pid = '2';
+      property = `pid="1" p1="${BASE_MATERIAL_INDEX.bottom}"`;
     } else {
       // 侧面
-      pid = '1';
+      property = `pid="1" p1="${BASE_MATERIAL_INDEX.side}"`;
     }
 
-    return `        <triangle v1="${t.v1}" v2="${t.v2}" v3="${t.v3}" pid="${pid}"/>`;
+    return `        <triangle v1="${t.v1}" v2="${t.v2}" v3="${t.v3}" ${property}/>`;
   }).join('\n');
 
+  return `
+    <object id="${id}" name="${name}" type="model" pid="1" pindex="${BASE_MATERIAL_INDEX.side}">
+      <mesh>
+        <vertices>
+${verticesXml}
+        </vertices>
+        <triangles>
+${trianglesXml}
+        </triangles>
+      </mesh>
+    </object>`;
+};
+
+/**
+ * 生成3MF的主模型文件 3D/3dmodel.model
+ * @param {Array<{name: string, plate?: number, meshData: Object}>} objects 各网格对象（plate 为所在打印平台）
+ * @param {Object} colors 颜色配置
+ * @param {{path: string, contentType: string}|null} texture 贴图文件，没有纹理时为 null
+ * @param {Object|null} colorMap 多色导出的颜色映射，否则为 null
+ * @param {Array<{name: string, value: string}>} metadata 模型元数据，见 createModelMetadata
+ * @returns {string}
+ */
+const generateModelXml = (objects, colors, texture, colorMap, metadata) => {
+  const texCoords = texture ? createTexCoordTable() : null;
+  const objectsXml = objects.map(({ name, meshData }, i) =>
+    generateObjectXml(meshData, FIRST_OBJECT_ID + i, name, texCoords, colorMap)
+  ).join('');
+
+  // 选择打印机时，每个打印平台为一个由其上各网格组成的组合对象，作为一个构建项；
+  // 否则每个对象单独作为一个构建项，切片软件中可分别选中
+  const plateCount = objects.reduce((count, { plate }) => (plate === undefined ? count : Math.max(count, plate + 1)), 0);
+  const plates = Array.from({ length: plateCount }, (_, p) => ({
+    id: FIRST_OBJECT_ID + objects.length + p,
+    name: `Plate ${p + 1}`,
+    objectIds: objects.map((object, i) => (object.plate === p ? FIRST_OBJECT_ID + i : null)).filter(id => id !== null)
+  }));
+  const platesXml = plates.map(({ id, name, objectIds }) => `
+    <object id="${id}" name="${name}" type="model">
+      <components>
+${objectIds.map(objectId => `        <component objectid="${objectId}"/>`).join('\n')}
+      </components>
+    </object>`).join('');
+  const itemsXml = plateCount > 0
+    ? plates.map(({ id, name }) => `    <item objectid="${id}" partnumber="${name}"/>`).join('\n')
+    : objects.map((_, i) => `    <item objectid="${FIRST_OBJECT_ID + i}"/>`).join('\n');
+
   // 材质定义
   const materialsXml = `
     <basematerials id="1">
@@ -162,54 +240,122 @@ const generateModelXml = (meshData, colors, hasTexture) => {
       <base name="TopColor" displaycolor="#FFFFFF"/>
     </basematerials>`;
 
-  // 如果有纹理，添加纹理资源
-  const textureXml = hasTexture ? `
-    <m:texture2d id="2" path="/3D/Textures/texture.png" contenttype="image/png"/>
+  // 多色导出的耗材颜色：顶面三角形按 m:colorgroup 逐个指定颜色（材质扩展中的逐三角形颜色），
+  // 切片软件据此把各颜色分配给不同的耗材
+  const colorGroupXml = colorMap ? `
+    <m:colorgroup id="${COLOR_GROUP_ID}">
+${colorMap.palette.map(color => `      <m:color color="${color}"/>`).join('\n')}
+    </m:colorgroup>` : '';
+
+  // 如果有纹理，添加纹理资源；纹理坐标取自几何体的 uv 属性（顶面映射到整张图片）
+  const textureXml = texture ? `
+    <m:texture2d id="2" path="/${texture.path}" contenttype="${texture.contentType}"/>
     <m:texture2dgroup id="3" texid="2">
-      <m:tex2coord u="0" v="0"/>
-      <m:tex2coord u="1" v="0"/>
-      <m:tex2coord u="1" v="1"/>
-      <m:tex2coord u="0" v="1"/>
+${texCoords.coords.map(([u, v]) => `      <m:tex2coord u="${u}" v="${v}"/>`).join('\n')}
     </m:texture2dgroup>` : '';
 
+  const metadataXml = metadata.map(({ name, value }) =>
+    `  <metadata name="${name}">${escapeXml(value)}</metadata>`
+  ).join('\n');
+
   return `<?xml version="1.0" encoding="UTF-8"?>
 <model unit="millimeter" xml:lang="en-US"
   xmlns="http://schemas.microsoft.com/3dmanufacturing/core/2015/02"
-  xmlns:m="http://schemas.microsoft.com/3dmanufacturing/material/2015/02">
-  <resources>${materialsXml}${textureXml}
-    <object id="4" type="model">
-      <mesh>
-        <vertices>
-${verticesXml}
-        </vertices>
-        <triangles>
-${trianglesXml}
-        </triangles>
-      </mesh>
-    </object>
+  xmlns:m="http://schemas.microsoft.com/3dmanufacturing/material/2015/02"
+  xmlns:puzzle="${PUZZLE_METADATA_NAMESPACE}">
+${metadataXml}
+  <resources>${materialsXml}${textureXml}${colorGroupXml}${objectsXml}${platesXml}
   </resources>
   <build>
-    <item objectid="4"/>
+${itemsXml}
   </build>
 </model>`;
 };
 
+/**
+ * 细分各对象的顶面用于多色导出；三角形总数超过 MAX_COLOR_TRIANGLES 时把细分边长加倍后重新细分
+ * @param {Object[]} meshDataList - 各对象的网格数据，见 extractMeshData
+ * @param {Object} params - 拼图参数
+ * @param {number} resolution - 细分边长 (mm)
+ * @param {function(number)} onProgress - 每细分完一个对象时调用，参数为 0~1
+ * @returns {{meshDataList: Object[], resolution: number}} 细分后的网格数据，以及实际使用的细分边长
+ */
+const subdivideForColors = (meshDataList, params, resolution, onProgress) => {
+  const boardSize = Math.max(params.width, params.height);
+  for (let length = resolution; ; length *= 2) {
+    // 边长超过板面尺寸时顶面已不再细分，三角形数即原有的数目，不再限制
+    let budget = length >= boardSize ? Infinity : MAX_COLOR_TRIANGLES;
+    const result = [];
+    for (const meshData of meshDataList) {
+      const subdivided = subdivideTopSurface(meshData, length, budget);
+      if (!subdivided) break;
+      budget -= subdivided.triangles.length;
+      result.push(subdivided);
+      onProgress(result.length / meshDataList.length);
+    }
+    if (result.length === meshDataList.length) {
+      return { meshDataList: result, resolution: length };
+    }
+  }
+};
+
 /**
  * 导出3MF文件
- * @param {THREE.Mesh} cube 立方体网格
+ * 每个网格合并重合顶点后写为带索引的封闭网格，并逐个检查非流形边和法线方向。
+ *
+ * 多数多色打印机（AMS、MMU 等）忽略 m:texture2d，多色导出时改为把图片量化为若干种耗材颜色，
+ * 细分顶面后每个三角形引用 m:colorgroup 中最接近的耗材颜色，不再写入贴图；
+ * 细分后三角形过多时自动加大细分边长（见 subdivideForColors）。
+ * 文件中附带模型缩略图（浏览器支持 WebGL 时）以及标题、设计者和拼图参数等元数据。
+ * @param {Array<{name: string, geometry: THREE.BufferGeometry, position: THREE.Vector3}>} meshes
+ *   要导出的网格，见 createExportMeshes
  * @param {Object} params 拼图参数
  * @param {THREE.Texture} texture 顶面纹理（可选）
- * @returns {Promise<Blob>} 3MF文件Blob
+ * @param {Object} options 导出选项（可选，使用 title、designer，colorMode、colorCount、colorPalette、colorResolution，
+ *   以及贴图的 textureMaxSize、textureFormat、textureQuality、textureMask）
+ * @param {Object} context 运行环境（可选）
+ *   - thumbnail: 已渲染的缩略图 base64（null 为不带缩略图）；未提供时在此渲染，Web Worker 中没有 WebGL，由主线程预先渲染
+ *   - onProgress(stage, progress): 进度回调，stage 为 geometry（网格）、texture（贴图）、zip（打包），progress 为 0~1
+ * @returns {Promise<Object>} { blob, problems, thumbnailError, colorResolution }
+ *   - blob: 3MF文件Blob
+ *   - problems: 检查出问题的网格 [{ name, problems }]，全部正常时为空数组
+ *   - thumbnailError: 在此渲染缩略图失败的原因，没有问题时为 null
+ *   - colorResolution: 多色导出实际使用的细分边长 (mm)，大于 options.colorResolution 时表示已自动加大；非多色导出时为 null
  */
-export const export3MF = async (cube, params, texture) => {
-  if (!cube) {
+export const export3MF = async (meshes, params, texture, options = {}, context = {}) => {
+  if (!meshes || meshes.length === 0) {
     throw new Error('没有可导出的模型');
   }
 
+  let colorMap = null;
+  if (options.colorMode === 'multicolor') {
+    if (!texture || !texture.image) {
+      throw new Error('多色导出需要先选择图片');
+    }
+    colorMap = createImageColorMap(texture.image, options);
+  }
+
+  const reportProgress = context.onProgress || (() => {});
   const zip = new JSZip();
 
-  // 提取网格数据
-  const meshData = extractMeshData(cube.geometry, cube.position);
+  // 提取网格数据并检查（多色导出时检查细分后的网格，提取和细分各占一半进度）
+  reportProgress('geometry', 0);
+  const extractShare = colorMap ? 0.5 : 1;
+  let meshDataList = meshes.map(({ geometry, position }, index) => {
+    const meshData = extractMeshData(geometry, position);
+    reportProgress('geometry', (index + 1) / meshes.length * extractShare);
+    return meshData;
+  });
+  let colorResolution = null;
+  if (colorMap) {
+    ({ meshDataList, resolution: colorResolution } = subdivideForColors(
+      meshDataList, params, options.colorResolution, (progress) => reportProgress('geometry', 0.5 + progress / 2)
+    ));
+  }
+  const objects = meshes.map(({ name, plate }, index) => ({ name, plate, meshData: meshDataList[index] }));
+  const problems = objects
+    .map(({ name, meshData }) => ({ name, problems: validateMeshData(meshData) }))
+    .filter(result => result.problems.length > 0);
 
   // 颜色配置
   const colors = {
@@ -217,33 +363,46 @@ export const export3MF = async (cube, params, texture) => {
     bottom: params.bottomColor.toUpperCase()
   };
 
-  // 检查是否有纹理
-  const hasTexture = !!texture;
+  // 按导出选项编码贴图（多色导出不写贴图）
+  let textureFile = null;
+  if (texture && !colorMap) {
+    reportProgress('texture', 0);
+    const encoded = await encodeTexture(texture, params, options);
+    if (encoded) {
+      textureFile = { ...encoded, path: `3D/Textures/texture.${encoded.extension}` };
+      zip.file(textureFile.path, encoded.data, { base64: true });
+    }
+    reportProgress('texture', 1);
+  }
 
   // 添加Content_Types.xml
-  zip.file('[Content_Types].xml', generateContentTypes());
+  zip.file('[Content_Types].xml', generateContentTypes(textureFile));
+
+  // 缩略图
+  let thumbnail = context.thumbnail;
+  let thumbnailError = null;
+  if (thumbnail === undefined) {
+    ({ data: thumbnail, error: thumbnailError } = renderThumbnail(meshes, params, texture, colorMap));
+  }
+  if (thumbnail) {
+    zip.file('Metadata/thumbnail.png', thumbnail, { base64: true });
+  }
 
   // 添加关系文件
-  zip.file('_rels/.rels', generateRels());
+  zip.file('_rels/.rels', generateRels(!!thumbnail));
 
   // 添加模型文件
-  zip.file('3D/3dmodel.model', generateModelXml(meshData, colors, hasTexture));
-
-  // 如果有纹理，添加纹理文件
-  if (hasTexture) {
-    const textureBase64 = await textureToBase64(texture);
-    if (textureBase64) {
-      zip.file('3D/Textures/texture.png', textureBase64, { base64: true });
-    }
-  }
+  const metadata = createModelMetadata(params, options, meshes.length);
+  zip.file('3D/3dmodel.model', generateModelXml(objects, colors, textureFile, colorMap, metadata));
 
   // 生成ZIP文件
+  reportProgress('zip', 0);
   const blob = await zip.generateAsync({
     type: 'blob',
     mimeType: 'application/vnd.ms-package.3dmanufacturing-3dmodel+xml'
-  });
+  }, ({ percent }) => reportProgress('zip', percent / 100));
 
-  return blob;
+  return { blob, problems, thumbnailError, colorResolution };
 };
 
 /**
@@ -264,14 +423,21 @@ export const downloadFile = (blob, filename) => {
 
 /**
  * 导出并下载3MF文件
- * @param {THREE.Mesh} cube 立方体网格
+ * @param {Array} meshes 要导出的网格，见 createExportMeshes
  * @param {Object} params 拼图参数
  * @param {THREE.Texture} texture 顶面纹理（可选）
  * @param {string} filename 文件名（默认puzzle.3mf）
+ * @param {function(Array): boolean} confirmProblems 网格检查出问题时调用，返回 false 则取消下载（可选）
+ * @param {Object} options 导出选项（可选），见 export3MF
+ * @returns {Promise<boolean>} 是否已下载
  */
-export const exportAndDownload3MF = async (cube, params, texture, filename = 'puzzle.3mf') => {
-  const blob = await export3MF(cube, params, texture);
+export const exportAndDownload3MF = async (meshes, params, texture, filename = 'puzzle.3mf', confirmProblems, options) => {
+  const { blob, problems } = await export3MF(meshes, params, texture, options);
+  if (problems.length > 0 && confirmProblems && !confirmProblems(problems)) {
+    return false;
+  }
   downloadFile(blob, filename);
+  return true;
 };
 
 export default export3MF;
@@ -0,0 +1,129 @@
+import { export3MF } from './export3mf';
+import { createExportMeshes } from './exportMeshes';
+import { createTestParams, createTestOptions, readZip } from '../testUtils';
+
+jest.mock('./canvas', () => require('../testUtils').createFakeCanvasModule());
+// jsdom 没有 WebGL，缩略图渲染结果由各用例指定
+let mockThumbnailResult = { data: null, error: null };
+jest.mock('./thumbnail', () => ({ renderThumbnail: () => mockThumbnailResult }));
+// 多色导出：x < 0 的一半为第一种颜色，另一半为第二种
+jest.mock('./colorQuantize', () => ({
+  createImageColorMap: () => ({ palette: ['#FF0000', '#0000FF'], sample: (u) => (u < 0.5 ? 0 : 1), width: 2, height: 1 })
+}));
+// 调低三角形数上限，测试自动加大细分边长
+jest.mock('./meshData', () => ({ ...jest.requireActual('./meshData'), MAX_COLOR_TRIANGLES: 30000 }));
+
+const TEXTURE = { image: { width: 64, height: 64 } };
+
+// 导出并解析模型文件
+const exportModel = async (params, options, texture = TEXTURE, context) => {
+  const result = await export3MF(createExportMeshes(params, options), params, texture, options, context);
+  const zip = await readZip(result.blob);
+  const xml = await zip.file('3D/3dmodel.model').async('string');
+  return { result, zip, xml, doc: new DOMParser().parseFromString(xml, 'application/xml') };
+};
+
+const elements = (doc, name) => Array.from(doc.getElementsByTagNameNS('*', name));
+
+describe('export3MF 多色导出', () => {
+  const params = createTestParams({ gridX: 2, gridY: 1 });
+  const options = createTestOptions({ colorMode: 'multicolor', colorResolution: 4 });
+
+  test('耗材颜色写为 m:colorgroup，顶面三角形引用其中的颜色', async () => {
+    const { doc, zip } = await exportModel(params, options);
+    const [group] = elements(doc, 'colorgroup');
+    expect(elements(group, 'color').map(color => color.getAttribute('color'))).toEqual(['#FF0000', '#0000FF']);
+    expect(elements(doc, 'texture2d')).toHaveLength(0);
+    expect(Object.keys(zip.files).some(name => name.startsWith('3D/Textures/'))).toBe(false);
+
+    const groupId = group.getAttribute('id');
+    const colored = elements(doc, 'triangle').filter(t => t.getAttribute('pid') === groupId);
+    expect(colored.length).toBeGreaterThan(0);
+    expect(new Set(colored.map(t => t.getAttribute('p1')))).toEqual(new Set(['0', '1']));
+    // 其余三角形（侧面、底面）仍使用 basematerials
+    const [base] = elements(doc, 'basematerials');
+    elements(doc, 'triangle').filter(t => t.getAttribute('pid') !== groupId).forEach(t => {
+      expect(t.getAttribute('pid')).toBe(base.getAttribute('id'));
+    });
+  });
+
+  test('资源 id 互不重复', async () => {
+    const { doc } = await exportModel(params, options);
+    const ids = ['basematerials', 'colorgroup', 'object'].flatMap(name => elements(doc, name).map(e => e.getAttribute('id')));
+    expect(new Set(ids).size).toBe(ids.length);
+  });
+
+  test('三角形过多时加大细分边长，并返回实际使用的边长', async () => {
+    const { result, doc } = await exportModel(params, { ...options, colorResolution: 0.5 });
+    expect(result.colorResolution).toBeGreaterThan(0.5);
+    expect(elements(doc, 'triangle').length).toBeLessThanOrEqual(30000);
+  });
+
+  test('细分边长未加大时原样返回，非多色导出时为 null', async () => {
+    expect((await exportModel(params, options)).result.colorResolution).toBe(4);
+    expect((await exportModel(params, createTestOptions())).result.colorResolution).toBe(null);
+  });
+
+  test('没有图片时报错', async () => {
+    await expect(exportModel(params, options, null)).rejects.toThrow('多色导出需要先选择图片');
+  });
+});
+
+describe('export3MF 元数据与缩略图', () => {
+  const params = createTestParams({ gridX: 2, gridY: 1, cornerRadius: 6, relaxIterations: 3, targetPieceSize: 25 });
+
+  afterEach(() => {
+    mockThumbnailResult = { data: null, error: null };
+  });
+
+  const metadataOf = (doc) => Object.fromEntries(
+    elements(doc, 'metadata').map(item => [item.getAttribute('name'), item.textContent])
+  );
+
+  test('写入标题、设计者和拼图参数', async () => {
+    const options = createTestOptions({ title: ' 猫 & <狗> ', designer: 'Ann' });
+    const { doc } = await exportModel(params, options);
+    const metadata = metadataOf(doc);
+    expect(metadata.Title).toBe('猫 & <狗>');
+    expect(metadata.Designer).toBe('Ann');
+    expect(metadata['puzzle:Width']).toBe(String(params.width));
+    expect(metadata['puzzle:Grid']).toBe('2x1');
+    expect(metadata['puzzle:CornerRadius']).toBe('6');
+    expect(metadata['puzzle:RelaxIterations']).toBe('3');
+    expect(metadata['puzzle:TargetPieceSize']).toBe('25');
+    expect(metadata['puzzle:ObjectCount']).toBe(String(elements(doc, 'object').length));
+    expect(JSON.parse(metadata['puzzle:Params'])).toEqual(params);
+    // 自定义元数据名的前缀须声明命名空间
+    expect(doc.documentElement.getAttribute('xmlns:puzzle')).toBe('urn:puzzle-print:metadata');
+  });
+
+  test('标题为空时按尺寸生成，设计者为空时不写', async () => {
+    const { doc } = await exportModel(params, createTestOptions({ title: '  ', designer: '' }));
+    const metadata = metadataOf(doc);
+    expect(metadata.Title).toBe(`Puzzle ${params.width}x${params.height}`);
+    expect(metadata).not.toHaveProperty('Designer');
+  });
+
+  test('渲染出缩略图时写入压缩包并声明关系', async () => {
+    mockThumbnailResult = { data: btoa('png'), error: null };
+    const { zip, result } = await exportModel(params, createTestOptions());
+    expect(await zip.file('Metadata/thumbnail.png').async('string')).toBe('png');
+    expect(await zip.file('_rels/.rels').async('string')).toContain('Target="/Metadata/thumbnail.png"');
+    expect(result.thumbnailError).toBe(null);
+  });
+
+  test('缩略图渲染失败时不写缩略图，并返回失败原因', async () => {
+    mockThumbnailResult = { data: null, error: 'WebGL 不可用' };
+    const { zip, result } = await exportModel(params, createTestOptions());
+    expect(zip.file('Metadata/thumbnail.png')).toBe(null);
+    expect(await zip.file('_rels/.rels').async('string')).not.toContain('thumbnail');
+    expect(result.thumbnailError).toBe('WebGL 不可用');
+  });
+
+  test('调用方已提供缩略图时直接使用', async () => {
+    mockThumbnailResult = { data: null, error: '不应渲染' };
+    const { zip, result } = await exportModel(params, createTestOptions(), TEXTURE, { thumbnail: btoa('given') });
+    expect(await zip.file('Metadata/thumbnail.png').async('string')).toBe('given');
+    expect(result.thumbnailError).toBe(null);
+  });
+});
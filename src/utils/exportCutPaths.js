@@ -0,0 +1,182 @@
+/**
+ * 切割路径导出工具
+ * 将拼图的二维切割路径导出为 SVG 或 DXF，供激光切割使用，坐标单位为毫米（1:1）。
+ *
+ * 两种切割方式：
+ * - network：整张切割网络，相邻拼图块共享的分割线只出现一次，可选附加板面外边框
+ * - pieces：每块拼图单独的闭合轮廓（内部边界已按配合间隙偏移）
+ * 可选的雕刻层在每块拼图中心标注编号（与 3D 导出中的 Piece N 一致）。
+ */
+import { createPuzzleLayout, createPieceOutlines, getSplitLines } from './puzzleGeometry';
+import { createBoardOutline } from './boardOutline';
+import { polygonArea, rectanglePolygon } from './polygon';
+import { downloadFile } from './export3mf';
+
+// 编号文字高度相对拼图块特征尺寸（面积开方）的比例及上下限 (mm)
+const LABEL_SIZE_RATIO = 0.25;
+const MIN_LABEL_SIZE = 1.5;
+const MAX_LABEL_SIZE = 8;
+
+// 激光切割软件常按颜色区分加工方式：红色切割、蓝色雕刻
+const SVG_LAYER_STYLES = {
+  cut: 'fill="none" stroke="#FF0000" stroke-width="0.1"',
+  border: 'fill="none" stroke="#FF0000" stroke-width="0.1"',
+  engrave: 'fill="#0000FF" stroke="none" font-family="sans-serif" text-anchor="middle" dominant-baseline="central"'
+};
+
+// DXF 图层名及颜色号（AutoCAD 颜色索引：1 红、5 蓝）
+const DXF_LAYERS = {
+  cut: { name: 'CUT', color: 1 },
+  border: { name: 'BORDER', color: 1 },
+  engrave: { name: 'ENGRAVE', color: 5 }
+};
+
+/**
+ * 生成切割路径
+ * @param {Object} params  - puzzleParams
+ * @param {Object} options - exportOptions（使用 cutMode、cutBorder、engraveNumbers）
+ * @returns {{paths: Array<{points: THREE.Vector2[], closed: boolean, layer: string}>,
+ *   labels: Array<{x: number, y: number, text: string, size: number}>,
+ *   bounds: {minX: number, minY: number, maxX: number, maxY: number}}}
+ *   坐标为 y 向上的毫米坐标，原点在板面中心
+ */
+export const createCutPaths = (params, options) => {
+  const { width, height } = params;
+  const paths = [];
+  let pieces;
+
+  if (options.cutMode === 'pieces') {
+    pieces = createPieceOutlines(params);
+    pieces.forEach(({ outline }) => paths.push({ points: outline, closed: true, layer: 'cut' }));
+  } else {
+    getSplitLines(params).forEach(points => paths.push({ points, closed: false, layer: 'cut' }));
+    if (options.cutBorder) {
+      const border = createBoardOutline(params) || rectanglePolygon(-width / 2, -height / 2, width / 2, height / 2);
+      paths.push({ points: border, closed: true, layer: 'border' });
+    }
+  }
+
+  const labels = [];
+  if (options.engraveNumbers) {
+    (pieces || createPuzzleLayout(params)).forEach(({ outline, centerX, centerY }, index) => {
+      const size = Math.sqrt(Math.abs(polygonArea(outline))) * LABEL_SIZE_RATIO;
+      labels.push({
+        x: centerX,
+        y: centerY,
+        text: String(index + 1),
+        size: Math.min(MAX_LABEL_SIZE, Math.max(MIN_LABEL_SIZE, size))
+      });
+    });
+  }
+
+  const bounds = { minX: -width / 2, minY: -height / 2, maxX: width / 2, maxY: height / 2 };
+  paths.forEach(({ points }) => points.forEach(p => {
+    bounds.minX = Math.min(bounds.minX, p.x);
+    bounds.minY = Math.min(bounds.minY, p.y);
+    bounds.maxX = Math.max(bounds.maxX, p.x);
+    bounds.maxY = Math.max(bounds.maxY, p.y);
+  }));
+
+  return { paths, labels, bounds };
+};
+
+/**
+ * 生成 SVG 文件内容
+ * SVG 的 y 轴向下，写出时翻转 y；width/height 以 mm 为单位，与 viewBox 一致，保证 1:1 尺寸。
+ * @param {Object} cutPaths - createCutPaths 的结果
+ * @returns {string}
+ */
+const generateSvg = ({ paths, labels, bounds }) => {
+  const format = value => Number(value.toFixed(3));
+  const width = format(bounds.maxX - bounds.minX);
+  const height = format(bounds.maxY - bounds.minY);
+
+  const layerXml = (layer) => {
+    const layerPaths = paths.filter(path => path.layer === layer);
+    if (layerPaths.length === 0) return '';
+    const items = layerPaths.map(({ points, closed }) => {
+      const d = points.map((p, i) => `${i === 0 ? 'M' : 'L'}${format(p.x)} ${format(-p.y)}`).join(' ');
+      return `    <path d="${d}${closed ? ' Z' : ''}"/>`;
+    });
+    return `  <g id="${layer}" ${SVG_LAYER_STYLES[layer]}>\n${items.join('\n')}\n  </g>\n`;
+  };
+
+  const engraveXml = labels.length > 0
+    ? `  <g id="engrave" ${SVG_LAYER_STYLES.engrave}>\n${labels.map(({ x, y, text, size }) =>
+      `    <text x="${format(x)}" y="${format(-y)}" font-size="${format(size)}">${text}</text>`
+    ).join('\n')}\n  </g>\n`
+    : '';
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${width}mm" height="${height}mm" viewBox="${format(bounds.minX)} ${format(-bounds.maxY)} ${width} ${height}">
+${layerXml('border')}${layerXml('cut')}${engraveXml}</svg>
+`;
+};
+
+/**
+ * 生成 DXF 文件内容（R12 ASCII 格式，兼容性最好），单位为毫米
+ * @param {Object} cutPaths - createCutPaths 的结果
+ * @returns {string}
+ */
+const generateDxf = ({ paths, labels }) => {
+  const lines = [];
+  const add = (...pairs) => {
+    for (let i = 0; i < pairs.length; i += 2) {
+      lines.push(String(pairs[i]), String(pairs[i + 1]));
+    }
+  };
+  const format = value => value.toFixed(4);
+
+  // 文件头：$INSUNITS = 4 表示毫米
+  add(0, 'SECTION', 2, 'HEADER', 9, '$INSUNITS', 70, 4, 0, 'ENDSEC');
+
+  // 图层表
+  const layers = Object.values(DXF_LAYERS);
+  add(0, 'SECTION', 2, 'TABLES', 0, 'TABLE', 2, 'LAYER', 70, layers.length);
+  layers.forEach(({ name, color }) => add(0, 'LAYER', 2, name, 70, 0, 62, color, 6, 'CONTINUOUS'));
+  add(0, 'ENDTAB', 0, 'ENDSEC');
+
+  add(0, 'SECTION', 2, 'ENTITIES');
+  paths.forEach(({ points, closed, layer }) => {
+    const layerName = DXF_LAYERS[layer].name;
+    add(0, 'POLYLINE', 8, layerName, 66, 1, 70, closed ? 1 : 0, 10, 0, 20, 0, 30, 0);
+    points.forEach(p => add(0, 'VERTEX', 8, layerName, 10, format(p.x), 20, format(p.y), 30, 0));
+    add(0, 'SEQEND', 8, layerName);
+  });
+  labels.forEach(({ x, y, text, size }) => {
+    // 72/73 = 1/2 表示水平、垂直居中，对齐点取 11/21
+    add(0, 'TEXT', 8, DXF_LAYERS.engrave.name, 10, format(x), 20, format(y), 30, 0,
+      40, format(size), 1, text, 72, 1, 73, 2, 11, format(x), 21, format(y), 31, 0);
+  });
+  add(0, 'ENDSEC', 0, 'EOF');
+
+  return lines.join('\n') + '\n';
+};
+
+/**
+ * 导出切割路径文件
+ * @param {Object} params  - puzzleParams
+ * @param {Object} options - exportOptions（format 为 svg 或 dxf）
+ * @returns {Blob}
+ */
+export const exportCutPaths = (params, options) => {
+  const cutPaths = createCutPaths(params, options);
+  if (cutPaths.paths.length === 0) {
+    throw new Error('没有可导出的切割路径');
+  }
+
+  return options.format === 'dxf'
+    ? new Blob([generateDxf(cutPaths)], { type: 'application/dxf' })
+    : new Blob([generateSvg(cutPaths)], { type: 'image/svg+xml' });
+};
+
+/**
+ * 导出并下载切割路径文件
+ * @param {Object} params   - puzzleParams
+ * @param {Object} options  - exportOptions
+ * @param {string} filename - 文件名（不含扩展名）
+ */
+export const exportAndDownloadCutPaths = (params, options, filename) => {
+  const blob = exportCutPaths(params, options);
+  downloadFile(blob, `${filename}.${options.format === 'dxf' ? 'dxf' : 'svg'}`);
+};
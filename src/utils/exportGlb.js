@@ -0,0 +1,47 @@
+/**
+ * GLB导出工具
+ * 将视图中当前的模型（整块板面，或按当前位置摆放的全部拼图块）导出为 GLB，
+ * 贴图和侧面、底面材质一并嵌入，便于在网页中分享可交互的预览。
+ *
+ * 只导出传入的网格，坐标轴、网格、轮廓线、旋转环等辅助对象不会写入文件。
+ */
+import * as THREE from 'three';
+import { GLTFExporter } from 'three/examples/jsm/exporters/GLTFExporter';
+import { downloadFile } from './export3mf';
+
+/**
+ * 导出GLB文件
+ * @param {THREE.Mesh[]} objects 视图中要导出的网格（见 ThreeViewer 的 getExportObjects）
+ * @returns {Promise<Blob>} GLB 文件
+ */
+export const exportGLB = async (objects) => {
+  if (!objects || objects.length === 0) {
+    throw new Error('没有可导出的模型');
+  }
+
+  // glTF 规定 Y 轴向上，场景为 Z 轴向上，外面套一层绕 X 轴旋转 -90° 的节点
+  const root = new THREE.Group();
+  root.name = 'Puzzle';
+  root.rotation.x = -Math.PI / 2;
+
+  // 克隆网格（共用几何体和材质），不影响场景中的原对象
+  objects.forEach(object => {
+    const clone = object.clone(false);
+    const { pieceIndex } = object.userData;
+    clone.name = pieceIndex === undefined ? 'Board' : `Piece ${pieceIndex + 1}`;
+    root.add(clone);
+  });
+
+  const result = await new GLTFExporter().parseAsync(root, { binary: true });
+  return new Blob([result], { type: 'model/gltf-binary' });
+};
+
+/**
+ * 导出并下载GLB文件
+ * @param {THREE.Mesh[]} objects 视图中要导出的网格
+ * @param {string} filename 文件名（默认puzzle.glb）
+ */
+export const exportAndDownloadGLB = async (objects, filename = 'puzzle.glb') => {
+  const blob = await exportGLB(objects);
+  downloadFile(blob, filename);
+};
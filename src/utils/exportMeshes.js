@@ -0,0 +1,91 @@
+/**
+ * 导出网格
+ * 按导出选项生成要写入文件的网格：未切割的整块板面，或切割后的全部拼图块。
+ * 直接由拼图参数生成，与视图当前是否处于游戏模式无关。
+ *
+ * 未选择打印机时，拼图块按编号逐行排列，相互之间留出间距，整体以原点为中心；
+ * 选择打印机后按其热床尺寸旋转、排列到一个或多个打印平台上（见 buildPlates）。底面均在 Z=0。
+ */
+import * as THREE from 'three';
+import { createBoardGeometry, generateAllPieces } from './puzzleGeometry';
+import { arrangeOnPlates, getBuildPlate } from './buildPlates';
+
+/**
+ * 按行排列拼图块（货架式），行宽取总面积的平方根，使整体接近正方形
+ * @param {THREE.Box3[]} boxes - 各拼图块几何体的包围盒（局部坐标）
+ * @param {number} gap         - 拼图块之间的间距 (mm)
+ * @returns {THREE.Vector3[]} 各拼图块的位置
+ */
+const arrangeInRows = (boxes, gap) => {
+  const sizes = boxes.map(box => box.getSize(new THREE.Vector3()));
+  const area = sizes.reduce((sum, size) => sum + (size.x + gap) * (size.y + gap), 0);
+  const rowWidth = Math.max(Math.sqrt(area), ...sizes.map(size => size.x));
+
+  const corners = [];
+  let x = 0;
+  let y = 0;
+  let rowHeight = 0;
+  sizes.forEach(size => {
+    if (x > 0 && x + size.x > rowWidth) {
+      x = 0;
+      y += rowHeight + gap;
+      rowHeight = 0;
+    }
+    corners.push(new THREE.Vector2(x, y));
+    x += size.x + gap;
+    rowHeight = Math.max(rowHeight, size.y);
+  });
+
+  const totalWidth = Math.max(...corners.map((corner, i) => corner.x + sizes[i].x));
+  const totalHeight = y + rowHeight;
+
+  // 包围盒的最小角对齐到排列位置
+  return boxes.map((box, i) => new THREE.Vector3(
+    corners[i].x - totalWidth / 2 - box.min.x,
+    corners[i].y - totalHeight / 2 - box.min.y,
+    -box.min.z
+  ));
+};
+
+/**
+ * 生成导出用的网格
+ * @param {Object} params  - puzzleParams
+ * @param {Object} options - exportOptions（使用 target、pieceGap 及打印平台相关选项）
+ * @returns {Array<{name: string, geometry: THREE.BufferGeometry, position: THREE.Vector3,
+ *   plate?: number, row?: number, col?: number}>}
+ *   geometry 为局部坐标，position 为其在打印平台上的位置；选择打印机时带有所在平台的序号，
+ *   拼图块带有行列号（不规则布局为 null）
+ */
+export const createExportMeshes = (params, options) => {
+  const bed = getBuildPlate(options);
+
+  if (options.target === 'board') {
+    const board = { name: 'Board', geometry: createBoardGeometry(params) };
+    if (!bed) {
+      return [{ ...board, position: new THREE.Vector3() }];
+    }
+    const [{ plate, position }] = arrangeOnPlates([board], bed, 0).placements;
+    return [{ ...board, position, plate }];
+  }
+
+  const pieces = generateAllPieces(params).map((piece, index) => ({ ...piece, name: `Piece ${index + 1}` }));
+  let placements;
+  if (bed) {
+    placements = arrangeOnPlates(pieces, bed, options.pieceGap).placements;
+  } else {
+    const boxes = pieces.map(({ geometry }) => {
+      geometry.computeBoundingBox();
+      return geometry.boundingBox;
+    });
+    placements = arrangeInRows(boxes, options.pieceGap).map(position => ({ position }));
+  }
+
+  return pieces.map((piece, index) => ({
+    name: piece.name,
+    geometry: piece.geometry,
+    position: placements[index].position,
+    plate: placements[index].plate,
+    row: piece.row,
+    col: piece.col
+  }));
+};
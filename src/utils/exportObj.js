@@ -0,0 +1,149 @@
+/**
+ * OBJ导出工具
+ * 将整块板面或各拼图块导出为 OBJ + MTL + 贴图，打包为 ZIP，便于渲染或交给其它三维软件继续处理。
+ *
+ * 网格取自与 3MF 相同的带索引网格（见 meshData）：每块拼图为一个 o 对象，
+ * 侧面、底面、顶面分别使用 side、bottom、top 材质，顶面以所选图片为漫反射贴图。
+ * OBJ 习惯 Y 轴向上，写出时把模型的 Z 轴（厚度方向）转到 Y 轴。
+ */
+import JSZip from 'jszip';
+import { extractMeshData, getTriangleFace } from './meshData';
+import { downloadFile } from './export3mf';
+import { encodeTexture } from './exportTexture';
+
+// ZIP 内的文件名（贴图为 texture.png 或 texture.jpg，见 encodeTexture）
+const OBJ_FILE = 'puzzle.obj';
+const MTL_FILE = 'puzzle.mtl';
+const TEXTURE_BASENAME = 'texture';
+
+// 材质的输出顺序
+const MATERIAL_NAMES = ['side', 'bottom', 'top'];
+
+/**
+ * 将 "#RRGGBB" 颜色转为 MTL 的 "r g b"（0~1）
+ * @param {string} hex
+ * @returns {string}
+ */
+const hexToMtlColor = (hex) => {
+  const value = parseInt(hex.replace('#', ''), 16);
+  return [(value >> 16) & 0xff, (value >> 8) & 0xff, value & 0xff]
+    .map(channel => (channel / 255).toFixed(4))
+    .join(' ');
+};
+
+/**
+ * 生成 MTL 材质库
+ * @param {Object} params 拼图参数（使用 sideColor、bottomColor）
+ * @param {string|null} textureFile 顶面贴图的文件名，没有贴图时为 null
+ * @returns {string}
+ */
+const generateMtl = (params, textureFile) => {
+  const colors = { side: params.sideColor, bottom: params.bottomColor, top: '#FFFFFF' };
+  return MATERIAL_NAMES.map(name => [
+    `newmtl ${name}`,
+    `Kd ${hexToMtlColor(colors[name])}`,
+    'Ka 0 0 0',
+    'Ks 0 0 0',
+    'd 1',
+    'illum 1',
+    ...(name === 'top' && textureFile ? [`map_Kd ${textureFile}`] : [])
+  ].join('\n')).join('\n\n') + '\n';
+};
+
+/**
+ * 生成 OBJ 文件内容
+ * 顶点和纹理坐标在整个文件中统一编号（从 1 开始），相同的纹理坐标只写一次。
+ * @param {Array<{name: string, meshData: Object}>} objects 各网格对象
+ * @param {boolean} hasTexture 顶面是否写纹理坐标
+ * @returns {string}
+ */
+const generateObj = (objects, hasTexture) => {
+  const lines = [`mtllib ${MTL_FILE}`];
+  const texCoordIds = new Map();
+  let vertexOffset = 0;
+
+  objects.forEach(({ name, meshData }) => {
+    const { vertices, triangles } = meshData;
+    lines.push(`o ${name.replace(/\s+/g, '_')}`);
+
+    // 模型 Z 向上 → OBJ Y 向上
+    vertices.forEach(v => {
+      lines.push(`v ${v.x.toFixed(6)} ${v.z.toFixed(6)} ${(-v.y).toFixed(6)}`);
+    });
+
+    // 按材质分组输出三角形
+    const faces = { side: [], bottom: [], top: [] };
+    triangles.forEach(t => {
+      const face = getTriangleFace(vertices, t);
+      const ids = [t.v1, t.v2, t.v3].map(id => id + vertexOffset + 1);
+
+      if (face === 'top' && hasTexture && t.uvs) {
+        const uvIds = t.uvs.map(({ u, v }) => {
+          const key = `${u.toFixed(6)} ${v.toFixed(6)}`;
+          if (!texCoordIds.has(key)) {
+            texCoordIds.set(key, texCoordIds.size + 1);
+            lines.push(`vt ${key}`);
+          }
+          return texCoordIds.get(key);
+        });
+        faces.top.push(`f ${ids.map((id, k) => `${id}/${uvIds[k]}`).join(' ')}`);
+      } else {
+        faces[face].push(`f ${ids.join(' ')}`);
+      }
+    });
+
+    MATERIAL_NAMES.forEach(material => {
+      if (faces[material].length === 0) return;
+      lines.push(`usemtl ${material}`, ...faces[material]);
+    });
+
+    vertexOffset += vertices.length;
+  });
+
+  return lines.join('\n') + '\n';
+};
+
+/**
+ * 导出OBJ文件（OBJ、MTL 与贴图打包为 ZIP）
+ * @param {Array<{name: string, geometry: THREE.BufferGeometry, position: THREE.Vector3}>} meshes
+ *   要导出的网格，见 createExportMeshes
+ * @param {Object} params 拼图参数
+ * @param {THREE.Texture} texture 顶面纹理（可选）
+ * @param {Object} options 导出选项（可选，使用 textureMaxSize、textureFormat、textureQuality、textureMask）
+ * @returns {Promise<Blob>} ZIP 文件
+ */
+export const exportOBJ = async (meshes, params, texture, options = {}) => {
+  if (!meshes || meshes.length === 0) {
+    throw new Error('没有可导出的模型');
+  }
+
+  const objects = meshes.map(({ name, geometry, position }) => ({
+    name,
+    meshData: extractMeshData(geometry, position)
+  }));
+
+  const encoded = await encodeTexture(texture, params, options);
+  const textureFile = encoded ? `${TEXTURE_BASENAME}.${encoded.extension}` : null;
+
+  const zip = new JSZip();
+  zip.file(OBJ_FILE, generateObj(objects, !!textureFile));
+  zip.file(MTL_FILE, generateMtl(params, textureFile));
+  if (textureFile) {
+    zip.file(textureFile, encoded.data, { base64: true });
+  }
+
+  return zip.generateAsync({ type: 'blob', mimeType: 'application/zip' });
+};
+
+/**
+ * 导出并下载OBJ文件
+ * @param {Array} meshes 要导出的网格，见 createExportMeshes
+ * @param {Object} params 拼图参数
+ * @param {THREE.Texture} texture 顶面纹理（可选）
+ * @param {string} filename 文件名（默认puzzle_obj.zip）
+ * @param {Object} options 导出选项（可选），见 exportOBJ
+ */
+export const exportAndDownloadOBJ = async (meshes, params, texture, filename = 'puzzle_obj.zip', options) => {
+  const blob = await exportOBJ(meshes, params, texture, options);
+  downloadFile(blob, filename);
+};
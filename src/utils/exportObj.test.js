@@ -0,0 +1,74 @@
+import { exportOBJ } from './exportObj';
+import { createExportMeshes } from './exportMeshes';
+import { createTestParams, createTestOptions, readZip } from '../testUtils';
+
+jest.mock('./canvas', () => require('../testUtils').createFakeCanvasModule());
+
+// 统计 OBJ 中的各类行
+const parseObj = (text) => {
+  const lines = text.trim().split('\n');
+  const count = (prefix) => lines.filter(line => line.startsWith(`${prefix} `)).length;
+  return {
+    lines,
+    objects: lines.filter(line => line.startsWith('o ')).map(line => line.slice(2)),
+    vertices: count('v'),
+    texCoords: count('vt'),
+    faces: lines.filter(line => line.startsWith('f ')).map(line => line.slice(2).split(' '))
+  };
+};
+
+describe('exportOBJ', () => {
+  const params = createTestParams({ gridX: 2, gridY: 1, sideColor: '#FF0000' });
+  const meshes = createExportMeshes(params, createTestOptions());
+  const texture = { image: { width: 400, height: 200 } };
+
+  test('打包 OBJ、MTL 和贴图，MTL 引用贴图文件', async () => {
+    const zip = await readZip(await exportOBJ(meshes, params, texture));
+    expect(Object.keys(zip.files).sort()).toEqual(['puzzle.mtl', 'puzzle.obj', 'texture.png']);
+
+    const mtl = await zip.file('puzzle.mtl').async('string');
+    expect(mtl).toContain('newmtl side\nKd 1.0000 0.0000 0.0000');
+    expect(mtl).toContain('map_Kd texture.png');
+  });
+
+  test('每块拼图一个对象，面引用的顶点和纹理坐标都存在', async () => {
+    const zip = await readZip(await exportOBJ(meshes, params, texture));
+    const obj = parseObj(await zip.file('puzzle.obj').async('string'));
+    expect(obj.lines[0]).toBe('mtllib puzzle.mtl');
+    expect(obj.objects).toEqual(['Piece_1', 'Piece_2']);
+    expect(obj.texCoords).toBeGreaterThan(0);
+
+    obj.faces.forEach(corners => {
+      expect(corners).toHaveLength(3);
+      corners.forEach(corner => {
+        const [v, vt] = corner.split('/').map(Number);
+        expect(v).toBeGreaterThanOrEqual(1);
+        expect(v).toBeLessThanOrEqual(obj.vertices);
+        if (vt !== undefined) expect(vt).toBeLessThanOrEqual(obj.texCoords);
+      });
+    });
+  });
+
+  test('Z 轴（厚度）转为 OBJ 的 Y 轴', async () => {
+    const board = createExportMeshes(params, createTestOptions({ target: 'board' }));
+    const zip = await readZip(await exportOBJ(board, params, null));
+    const ys = (await zip.file('puzzle.obj').async('string')).split('\n')
+      .filter(line => line.startsWith('v '))
+      .map(line => Number(line.split(' ')[2]));
+    expect(Math.min(...ys)).toBeCloseTo(0);
+    expect(Math.max(...ys)).toBeCloseTo(params.depth);
+  });
+
+  test('没有贴图时不写贴图和纹理坐标', async () => {
+    const zip = await readZip(await exportOBJ(meshes, params, null));
+    expect(Object.keys(zip.files).sort()).toEqual(['puzzle.mtl', 'puzzle.obj']);
+    expect(parseObj(await zip.file('puzzle.obj').async('string')).texCoords).toBe(0);
+    expect(await zip.file('puzzle.mtl').async('string')).not.toContain('map_Kd');
+  });
+
+  test('JPEG 贴图写为 texture.jpg', async () => {
+    const zip = await readZip(await exportOBJ(meshes, params, texture, { textureFormat: 'jpeg', textureQuality: 0.8 }));
+    expect(zip.file('texture.jpg')).not.toBe(null);
+    expect(await zip.file('puzzle.mtl').async('string')).toContain('map_Kd texture.jpg');
+  });
+});
@@ -0,0 +1,114 @@
+/**
+ * STL导出工具
+ * 将整块板面或各拼图块导出为二进制 STL：合并为一个文件，或每块一个文件打包为 ZIP。
+ *
+ * STL 只有三角形几何、不含颜色和贴图；三角形取自与 3MF 相同的带索引网格（见 meshData），
+ * 因此两种格式导出的几何完全一致。
+ */
+import JSZip from 'jszip';
+import * as THREE from 'three';
+import { extractMeshData } from './meshData';
+import { downloadFile } from './export3mf';
+
+// 二进制 STL：80 字节文件头 + 4 字节三角形数，每个三角形 50 字节（法线、三个顶点、2 字节属性）
+const STL_HEADER_BYTES = 80;
+const STL_TRIANGLE_BYTES = 50;
+
+/**
+ * 将网格数据写为二进制 STL
+ * @param {Object[]} meshDataList - extractMeshData 的结果，多个网格合并写入同一文件
+ * @param {string} name           - 写入文件头的名称（仅 ASCII 有效）
+ * @returns {ArrayBuffer}
+ */
+const writeBinaryStl = (meshDataList, name) => {
+  const triangleCount = meshDataList.reduce((sum, { triangles }) => sum + triangles.length, 0);
+  const buffer = new ArrayBuffer(STL_HEADER_BYTES + 4 + triangleCount * STL_TRIANGLE_BYTES);
+  const view = new DataView(buffer);
+
+  // 文件头不能以 "solid" 开头，否则部分软件会误判为 ASCII STL
+  const header = `Puzzle ${name}`.slice(0, STL_HEADER_BYTES);
+  for (let i = 0; i < header.length; i++) {
+    view.setUint8(i, header.charCodeAt(i) & 0x7f);
+  }
+  view.setUint32(STL_HEADER_BYTES, triangleCount, true);
+
+  const a = new THREE.Vector3();
+  const b = new THREE.Vector3();
+  const c = new THREE.Vector3();
+  const normal = new THREE.Vector3();
+  const edge = new THREE.Vector3();
+  let offset = STL_HEADER_BYTES + 4;
+
+  meshDataList.forEach(({ vertices, triangles }) => {
+    triangles.forEach(({ v1, v2, v3 }) => {
+      a.copy(vertices[v1]);
+      b.copy(vertices[v2]);
+      c.copy(vertices[v3]);
+      normal.subVectors(b, a).cross(edge.subVectors(c, a)).normalize();
+
+      [normal, a, b, c].forEach(vector => {
+        view.setFloat32(offset, vector.x, true);
+        view.setFloat32(offset + 4, vector.y, true);
+        view.setFloat32(offset + 8, vector.z, true);
+        offset += 12;
+      });
+      view.setUint16(offset, 0, true);
+      offset += 2;
+    });
+  });
+
+  return buffer;
+};
+
+/**
+ * 拼图块的文件名：有行列号时按行列命名（从 1 开始），否则按编号；重名时追加序号
+ * @param {Array} meshes - createExportMeshes 的结果
+ * @returns {string[]} 不含扩展名的文件名
+ */
+const pieceFileNames = (meshes) => {
+  const used = new Map();
+  return meshes.map(({ row, col }, index) => {
+    const base = row !== null && row !== undefined && col !== null && col !== undefined
+      ? `piece_r${row + 1}_c${col + 1}`
+      : `piece_${index + 1}`;
+    const count = (used.get(base) || 0) + 1;
+    used.set(base, count);
+    return count > 1 ? `${base}_${count}` : base;
+  });
+};
+
+/**
+ * 导出STL文件
+ * @param {Array<{name: string, geometry: THREE.BufferGeometry, position: THREE.Vector3}>} meshes
+ *   要导出的网格，见 createExportMeshes
+ * @param {boolean} separate 是否每个网格单独一个 STL（打包为 ZIP）
+ * @returns {Promise<Blob>} STL 文件，或包含各拼图块 STL 的 ZIP
+ */
+export const exportSTL = async (meshes, separate = false) => {
+  if (!meshes || meshes.length === 0) {
+    throw new Error('没有可导出的模型');
+  }
+
+  const meshDataList = meshes.map(({ geometry, position }) => extractMeshData(geometry, position));
+
+  if (!separate) {
+    return new Blob([writeBinaryStl(meshDataList, 'model')], { type: 'model/stl' });
+  }
+
+  const zip = new JSZip();
+  pieceFileNames(meshes).forEach((name, i) => {
+    zip.file(`${name}.stl`, writeBinaryStl([meshDataList[i]], name));
+  });
+  return zip.generateAsync({ type: 'blob', mimeType: 'application/zip' });
+};
+
+/**
+ * 导出并下载STL文件
+ * @param {Array} meshes 要导出的网格，见 createExportMeshes
+ * @param {string} filename 文件名（不含扩展名，单独导出时为 .zip，否则为 .stl）
+ * @param {boolean} separate 是否每个网格单独一个 STL
+ */
+export const exportAndDownloadSTL = async (meshes, filename, separate = false) => {
+  const blob = await exportSTL(meshes, separate);
+  downloadFile(blob, `${filename}.${separate ? 'zip' : 'stl'}`);
+};
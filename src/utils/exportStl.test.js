@@ -0,0 +1,62 @@
+import * as THREE from 'three';
+import { exportSTL } from './exportStl';
+import { extractMeshData } from './meshData';
+import { createExportMeshes } from './exportMeshes';
+import { createTestParams, createTestOptions, readBlob, readZip } from '../testUtils';
+
+// 解析二进制 STL：三角形数和各三角形的顶点
+const parseStl = (buffer) => {
+  const view = new DataView(buffer);
+  const count = view.getUint32(80, true);
+  const triangles = [];
+  for (let i = 0; i < count; i++) {
+    const offset = 84 + i * 50;
+    const read = (k) => new THREE.Vector3(
+      view.getFloat32(offset + k * 12, true),
+      view.getFloat32(offset + k * 12 + 4, true),
+      view.getFloat32(offset + k * 12 + 8, true)
+    );
+    triangles.push({ normal: read(0), corners: [read(1), read(2), read(3)] });
+  }
+  return { header: new TextDecoder().decode(new Uint8Array(buffer, 0, 5)), count, byteLength: buffer.byteLength, triangles };
+};
+
+describe('exportSTL', () => {
+  const params = createTestParams({ gridX: 2, gridY: 2 });
+  const meshes = createExportMeshes(params, createTestOptions());
+
+  test('合并为一个二进制 STL，三角形数与网格一致', async () => {
+    const stl = parseStl(await readBlob(await exportSTL(meshes)));
+    const expected = meshes.reduce((sum, { geometry, position }) => sum + extractMeshData(geometry, position).triangles.length, 0);
+    expect(stl.count).toBe(expected);
+    expect(stl.byteLength).toBe(84 + expected * 50);
+    // 文件头以 "solid" 开头会被误判为 ASCII STL
+    expect(stl.header).not.toBe('solid');
+  });
+
+  test('法线为单位向量，与顶点的绕向一致', async () => {
+    const { triangles } = parseStl(await readBlob(await exportSTL(meshes)));
+    triangles.forEach(({ normal, corners: [a, b, c] }) => {
+      const expected = new THREE.Vector3().subVectors(b, a).cross(new THREE.Vector3().subVectors(c, a)).normalize();
+      expect(normal.length()).toBeCloseTo(1, 4);
+      expect(normal.dot(expected)).toBeCloseTo(1, 4);
+    });
+  });
+
+  test('单独导出时每块拼图一个 STL，按行列命名', async () => {
+    const zip = await readZip(await exportSTL(meshes, true));
+    expect(Object.keys(zip.files).sort()).toEqual([
+      'piece_r1_c1.stl', 'piece_r1_c2.stl', 'piece_r2_c1.stl', 'piece_r2_c2.stl'
+    ]);
+  });
+
+  test('不规则布局没有行列号时按序号命名', async () => {
+    const voronoi = createExportMeshes(createTestParams({ layoutMode: 'voronoi', pieceCount: 3 }), createTestOptions());
+    const zip = await readZip(await exportSTL(voronoi, true));
+    expect(Object.keys(zip.files).sort()).toEqual(['piece_1.stl', 'piece_2.stl', 'piece_3.stl']);
+  });
+
+  test('没有网格时报错', async () => {
+    await expect(exportSTL([])).rejects.toThrow('没有可导出的模型');
+  });
+});
@@ -0,0 +1,438 @@
+/**
+ * 纸质切割模板导出
+ * 把所选图片和拼图块的实际轮廓按 1:1 比例排到纸张上，导出为多页 PDF 或高分辨率 PNG，用于制作纸板拼图。
+ *
+ * - 板面大于可打印区域时按页平铺，自动选择页数更少的纸张方向；每页四角带裁切线
+ * - 出血：图片向外延伸 bleed 毫米（平铺时相邻页之间的重叠区域也便于拼贴）
+ * - PDF 中图片为 JPEG，轮廓、裁切线和页码为矢量；PNG 写入 DPI 信息，打印时保持实际尺寸
+ */
+import JSZip from 'jszip';
+import { createCutPaths } from './exportCutPaths';
+import { downloadFile } from './export3mf';
+import { loadImage } from './imageItems';
+
+// 纸张尺寸 (mm，纵向)
+const PAGE_SIZES = {
+  a4: { width: 210, height: 297 },
+  letter: { width: 215.9, height: 279.4 },
+  a3: { width: 297, height: 420 }
+};
+
+// 页边距：留给打印机不可打印区、出血和裁切线 (mm)
+const PAGE_MARGIN = 12;
+// 出血上限，保证裁切线不超出页边距 (mm)
+export const MAX_TEMPLATE_BLEED = 5;
+// 裁切线与出血边的距离及其长度 (mm)
+const MARK_OFFSET = 1;
+const MARK_LENGTH = 5;
+// 轮廓线、裁切线宽度及页码字号 (mm)
+const CUT_LINE_WIDTH = 0.2;
+const MARK_LINE_WIDTH = 0.1;
+const LABEL_SIZE = 3;
+
+const MM_PER_INCH = 25.4;
+const PT_PER_MM = 72 / MM_PER_INCH;
+const JPEG_QUALITY = 0.92;
+
+/**
+ * 把板面包围盒平铺到纸张上
+ * @param {Object} params    - puzzleParams（使用 width、height）
+ * @param {string} pageSize  - 'a4' | 'letter' | 'a3'
+ * @returns {{pageWidth: number, pageHeight: number, rows: number, cols: number,
+ *   tiles: Array<{row: number, col: number, x0: number, x1: number, y0: number, y1: number}>}}
+ *   tiles 为每页对应的板面区域（板面坐标，y 向上），按从上到下、从左到右排列
+ */
+const planTiles = (params, pageSize) => {
+  const { width, height } = params;
+  const size = PAGE_SIZES[pageSize] || PAGE_SIZES.a4;
+
+  // 可打印区域恰好是板面尺寸的整数倍时，避免浮点误差多出一页
+  const countTiles = (pageWidth, pageHeight) => ({
+    pageWidth,
+    pageHeight,
+    cols: Math.max(1, Math.ceil(width / (pageWidth - 2 * PAGE_MARGIN) - 1e-9)),
+    rows: Math.max(1, Math.ceil(height / (pageHeight - 2 * PAGE_MARGIN) - 1e-9))
+  });
+  const portrait = countTiles(size.width, size.height);
+  const landscape = countTiles(size.height, size.width);
+  const layout = landscape.rows * landscape.cols < portrait.rows * portrait.cols ? landscape : portrait;
+
+  const tileWidth = layout.pageWidth - 2 * PAGE_MARGIN;
+  const tileHeight = layout.pageHeight - 2 * PAGE_MARGIN;
+  const tiles = [];
+  for (let row = 0; row < layout.rows; row++) {
+    for (let col = 0; col < layout.cols; col++) {
+      const x0 = -width / 2 + col * tileWidth;
+      const y1 = height / 2 - row * tileHeight;
+      tiles.push({ row, col, x0, x1: Math.min(x0 + tileWidth, width / 2), y0: Math.max(y1 - tileHeight, -height / 2), y1 });
+    }
+  }
+  return { ...layout, tiles };
+};
+
+/**
+ * 计算一页的绘制内容，坐标为页面毫米坐标（原点在左上角，y 向下）
+ * @returns {{region, imageBox, bleedBox, contours, marks, label}}
+ *   region 为本页板面区域（含出血），轮廓裁剪到其中；imageBox 为整张图片的位置，bleedBox 为向外扩展出血后的位置
+ */
+const createPageDrawing = (tile, plan, params, cutPaths, bleed) => {
+  const { width, height } = params;
+  const toPage = (x, y) => [PAGE_MARGIN + x - tile.x0, PAGE_MARGIN + tile.y1 - y];
+  const tileWidth = tile.x1 - tile.x0;
+  const tileHeight = tile.y1 - tile.y0;
+
+  const [imageX, imageY] = toPage(-width / 2, height / 2);
+  const imageBox = { x: imageX, y: imageY, width, height };
+  const bleedBox = { x: imageX - bleed, y: imageY - bleed, width: width + 2 * bleed, height: height + 2 * bleed };
+  const region = {
+    x: PAGE_MARGIN - bleed,
+    y: PAGE_MARGIN - bleed,
+    width: tileWidth + 2 * bleed,
+    height: tileHeight + 2 * bleed
+  };
+
+  const contours = cutPaths.paths.map(({ points, closed }) => ({
+    points: points.map(p => toPage(p.x, p.y)),
+    closed
+  }));
+
+  // 四角的裁切线：沿区域边线向外，与出血边留出间隔
+  const gap = bleed + MARK_OFFSET;
+  const marks = [[0, 0, -1, -1], [tileWidth, 0, 1, -1], [0, tileHeight, -1, 1], [tileWidth, tileHeight, 1, 1]]
+    .flatMap(([cx, cy, dx, dy]) => {
+      const x = PAGE_MARGIN + cx;
+      const y = PAGE_MARGIN + cy;
+      return [
+        [[x + dx * gap, y], [x + dx * (gap + MARK_LENGTH), y]],
+        [[x, y + dy * gap], [x, y + dy * (gap + MARK_LENGTH)]]
+      ];
+    });
+
+  const pageNumber = tile.row * plan.cols + tile.col + 1;
+  const label = {
+    x: PAGE_MARGIN,
+    y: plan.pageHeight - PAGE_MARGIN / 3,
+    text: `Page ${pageNumber}/${plan.rows * plan.cols} - row ${tile.row + 1}, col ${tile.col + 1} - ` +
+      `1:1 scale, board ${width} x ${height} mm`
+  };
+
+  return { region, imageBox, bleedBox, contours, marks, label };
+};
+
+/**
+ * 在已按毫米缩放的画布上绘制本页的图片区域：先画向外扩展出血的图片，再画实际尺寸的图片
+ */
+const drawImageRegion = (ctx, drawing, image) => {
+  const { region, imageBox, bleedBox } = drawing;
+  ctx.save();
+  ctx.beginPath();
+  ctx.rect(region.x, region.y, region.width, region.height);
+  ctx.clip();
+  ctx.drawImage(image, bleedBox.x, bleedBox.y, bleedBox.width, bleedBox.height);
+  ctx.drawImage(image, imageBox.x, imageBox.y, imageBox.width, imageBox.height);
+  ctx.restore();
+};
+
+/**
+ * 在画布上绘制折线
+ */
+const strokePolylines = (ctx, polylines, lineWidth) => {
+  ctx.lineWidth = lineWidth;
+  ctx.beginPath();
+  polylines.forEach(({ points, closed }) => {
+    points.forEach(([x, y], i) => (i === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y)));
+    if (closed) ctx.closePath();
+  });
+  ctx.stroke();
+};
+
+/**
+ * 将整页绘制到画布上（用于 PNG）
+ * @returns {HTMLCanvasElement}
+ */
+const renderPageCanvas = (drawing, plan, image, dpi) => {
+  const scale = dpi / MM_PER_INCH;
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(plan.pageWidth * scale);
+  canvas.height = Math.round(plan.pageHeight * scale);
+
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#FFFFFF';
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.scale(scale, scale);
+  ctx.strokeStyle = '#000000';
+  ctx.lineJoin = 'round';
+
+  if (image) drawImageRegion(ctx, drawing, image);
+
+  const { region } = drawing;
+  ctx.save();
+  ctx.beginPath();
+  ctx.rect(region.x, region.y, region.width, region.height);
+  ctx.clip();
+  strokePolylines(ctx, drawing.contours, CUT_LINE_WIDTH);
+  ctx.restore();
+
+  strokePolylines(ctx, drawing.marks.map(points => ({ points, closed: false })), MARK_LINE_WIDTH);
+
+  ctx.fillStyle = '#000000';
+  ctx.font = `${LABEL_SIZE}px sans-serif`;
+  ctx.fillText(drawing.label.text, drawing.label.x, drawing.label.y);
+  return canvas;
+};
+
+/**
+ * 只绘制本页的图片区域（用于 PDF 中的 JPEG 图片）
+ * @returns {HTMLCanvasElement}
+ */
+const renderRegionCanvas = (drawing, image, dpi) => {
+  const scale = dpi / MM_PER_INCH;
+  const { region } = drawing;
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(region.width * scale));
+  canvas.height = Math.max(1, Math.round(region.height * scale));
+
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#FFFFFF';
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.scale(scale, scale);
+  ctx.translate(-region.x, -region.y);
+  drawImageRegion(ctx, drawing, image);
+  return canvas;
+};
+
+/**
+ * data URL 转为字节数组
+ * @param {string} dataUrl
+ * @returns {Uint8Array}
+ */
+const dataUrlToBytes = (dataUrl) => {
+  const binary = atob(dataUrl.split(',')[1]);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+};
+
+/* ------------------------------------------------------------------ */
+/*  PNG                                                                */
+/* ------------------------------------------------------------------ */
+
+let crcTable = null;
+
+/**
+ * PNG 数据块使用的 CRC32
+ * @param {Uint8Array} bytes
+ * @returns {number}
+ */
+const crc32 = (bytes) => {
+  if (!crcTable) {
+    crcTable = Array.from({ length: 256 }, (_, n) => {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      return c >>> 0;
+    });
+  }
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+/**
+ * 在 PNG 的 IHDR 之后插入 pHYs 数据块，记录像素密度，使打印时保持实际尺寸
+ * @param {Uint8Array} png - 画布导出的 PNG
+ * @param {number} dpi
+ * @returns {Uint8Array}
+ */
+const setPngDpi = (png, dpi) => {
+  // 8 字节文件签名 + IHDR 数据块（4 长度 + 4 类型 + 13 数据 + 4 CRC）
+  const insertAt = 33;
+  const pixelsPerMeter = Math.round(dpi / 0.0254);
+
+  const chunk = new Uint8Array(21);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, 9);
+  chunk.set([0x70, 0x48, 0x59, 0x73], 4); // 'pHYs'
+  view.setUint32(8, pixelsPerMeter);
+  view.setUint32(12, pixelsPerMeter);
+  chunk[16] = 1; // 单位：米
+  view.setUint32(17, crc32(chunk.subarray(4, 17)));
+
+  const result = new Uint8Array(png.length + chunk.length);
+  result.set(png.subarray(0, insertAt));
+  result.set(chunk, insertAt);
+  result.set(png.subarray(insertAt), insertAt + chunk.length);
+  return result;
+};
+
+/* ------------------------------------------------------------------ */
+/*  PDF                                                                */
+/* ------------------------------------------------------------------ */
+
+/**
+ * 生成一页的 PDF 内容流：坐标先缩放为毫米，并翻转为 y 向下，与 createPageDrawing 一致
+ * @param {Object} drawing - createPageDrawing 的结果
+ * @param {number} pageHeight - 页面高度 (mm)
+ * @param {boolean} hasImage - 是否绘制图片 /Im1
+ * @returns {string}
+ */
+const generatePageContent = (drawing, pageHeight, hasImage) => {
+  const format = value => Number(value.toFixed(3));
+  const polylineOps = ({ points, closed }) => points
+    .map(([x, y], i) => `${format(x)} ${format(y)} ${i === 0 ? 'm' : 'l'}`)
+    .join('\n') + (closed ? '\nh' : '');
+  const { region, label } = drawing;
+  const ops = [`q ${format(PT_PER_MM)} 0 0 ${format(-PT_PER_MM)} 0 ${format(pageHeight * PT_PER_MM)} cm`];
+
+  if (hasImage) {
+    // 图片为单位正方形，缩放到区域大小；y 向下的坐标系中需要再翻转一次
+    ops.push(`q ${format(region.width)} 0 0 ${format(-region.height)} ${format(region.x)} ${format(region.y + region.height)} cm /Im1 Do Q`);
+  }
+
+  ops.push(
+    `q ${format(region.x)} ${format(region.y)} ${format(region.width)} ${format(region.height)} re W n`,
+    `0 0 0 RG ${CUT_LINE_WIDTH} w 1 j`,
+    ...drawing.contours.map(polylineOps),
+    'S Q',
+    `${MARK_LINE_WIDTH} w`,
+    ...drawing.marks.map(points => polylineOps({ points, closed: false })),
+    'S',
+    // 文字在翻转后的坐标系中需要再翻转回来
+    `BT /F1 ${LABEL_SIZE} Tf 1 0 0 -1 ${format(label.x)} ${format(label.y)} Tm (${label.text.replace(/[()\\]/g, '\\$&')}) Tj ET`,
+    'Q'
+  );
+  return ops.join('\n');
+};
+
+/**
+ * 组装 PDF 文件
+ * @param {Array<{width: number, height: number, content: string, image: Object|null}>} pages
+ *   width/height 为页面尺寸 (mm)；image 为 { bytes, width, height }（JPEG 数据及像素尺寸）
+ * @returns {Blob}
+ */
+const createPdf = (pages) => {
+  const encoder = new TextEncoder();
+  const chunks = [];
+  const offsets = [];
+  let length = 0;
+  const write = (data) => {
+    const bytes = typeof data === 'string' ? encoder.encode(data) : data;
+    chunks.push(bytes);
+    length += bytes.length;
+  };
+  const writeObject = (id, body, stream) => {
+    offsets[id] = length;
+    write(`${id} 0 obj\n${body}\n`);
+    if (stream) {
+      write('stream\n');
+      write(stream);
+      write('\nendstream\n');
+    }
+    write('endobj\n');
+  };
+
+  // 对象编号：1 目录，2 页面树，3 字体，之后每页依次为页面、内容流和图片（有图片时）
+  let nextId = 4;
+  const pageIds = pages.map(page => {
+    const ids = { page: nextId, content: nextId + 1, image: page.image ? nextId + 2 : null };
+    nextId += page.image ? 3 : 2;
+    return ids;
+  });
+
+  write('%PDF-1.4\n%âãÏÓ\n');
+  writeObject(1, '<< /Type /Catalog /Pages 2 0 R >>');
+  writeObject(2, `<< /Type /Pages /Kids [${pageIds.map(ids => `${ids.page} 0 R`).join(' ')}] /Count ${pages.length} >>`);
+  writeObject(3, '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>');
+
+  pages.forEach((page, i) => {
+    const ids = pageIds[i];
+    const mediaBox = `[0 0 ${(page.width * PT_PER_MM).toFixed(2)} ${(page.height * PT_PER_MM).toFixed(2)}]`;
+    const xObject = page.image ? ` /XObject << /Im1 ${ids.image} 0 R >>` : '';
+    writeObject(ids.page, `<< /Type /Page /Parent 2 0 R /MediaBox ${mediaBox} ` +
+      `/Resources << /Font << /F1 3 0 R >>${xObject} >> /Contents ${ids.content} 0 R >>`);
+
+    const content = encoder.encode(page.content);
+    writeObject(ids.content, `<< /Length ${content.length} >>`, content);
+
+    if (page.image) {
+      const { bytes, width, height } = page.image;
+      writeObject(ids.image, `<< /Type /XObject /Subtype /Image /Width ${width} /Height ${height} ` +
+        `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${bytes.length} >>`, bytes);
+    }
+  });
+
+  const xrefOffset = length;
+  const xref = ['xref', `0 ${nextId}`, '0000000000 65535 f '];
+  for (let id = 1; id < nextId; id++) {
+    xref.push(`${String(offsets[id]).padStart(10, '0')} 00000 n `);
+  }
+  write(`${xref.join('\n')}\ntrailer\n<< /Size ${nextId} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+  return new Blob(chunks, { type: 'application/pdf' });
+};
+
+/* ------------------------------------------------------------------ */
+/*  导出                                                                */
+/* ------------------------------------------------------------------ */
+
+/**
+ * 导出纸质切割模板
+ * @param {Object} params   - puzzleParams
+ * @param {Object} options  - exportOptions（format 为 pdf 或 png，使用 templatePageSize、templateBleed、templateDpi）
+ * @param {string|null} imageUrl - 所选图片，没有时只打印轮廓
+ * @returns {Promise<{blob: Blob, extension: string}>} 多页 PNG 打包为 ZIP
+ */
+export const exportTemplate = async (params, options, imageUrl) => {
+  const image = imageUrl ? await loadImage(imageUrl) : null;
+  const bleed = Math.min(Math.max(options.templateBleed || 0, 0), MAX_TEMPLATE_BLEED);
+  const dpi = options.templateDpi;
+
+  // 模板印出完整的切割网络和板面外轮廓
+  const cutPaths = createCutPaths(params, { cutMode: 'network', cutBorder: true, engraveNumbers: false });
+  const plan = planTiles(params, options.templatePageSize);
+  const drawings = plan.tiles.map(tile => createPageDrawing(tile, plan, params, cutPaths, bleed));
+
+  if (options.format === 'png') {
+    const pngs = drawings.map(drawing =>
+      setPngDpi(dataUrlToBytes(renderPageCanvas(drawing, plan, image, dpi).toDataURL('image/png')), dpi));
+    if (pngs.length === 1) {
+      return { blob: new Blob([pngs[0]], { type: 'image/png' }), extension: 'png' };
+    }
+    const zip = new JSZip();
+    pngs.forEach((png, i) => {
+      const { row, col } = plan.tiles[i];
+      zip.file(`page_r${row + 1}_c${col + 1}.png`, png);
+    });
+    return { blob: await zip.generateAsync({ type: 'blob', mimeType: 'application/zip' }), extension: 'zip' };
+  }
+
+  const pages = drawings.map(drawing => {
+    let pageImage = null;
+    if (image) {
+      const canvas = renderRegionCanvas(drawing, image, dpi);
+      pageImage = {
+        bytes: dataUrlToBytes(canvas.toDataURL('image/jpeg', JPEG_QUALITY)),
+        width: canvas.width,
+        height: canvas.height
+      };
+    }
+    return {
+      width: plan.pageWidth,
+      height: plan.pageHeight,
+      content: generatePageContent(drawing, plan.pageHeight, !!pageImage),
+      image: pageImage
+    };
+  });
+  return { blob: createPdf(pages), extension: 'pdf' };
+};
+
+/**
+ * 导出并下载纸质切割模板
+ * @param {Object} params   - puzzleParams
+ * @param {Object} options  - exportOptions
+ * @param {string|null} imageUrl - 所选图片
+ * @param {string} filename - 文件名（不含扩展名）
+ */
+export const exportAndDownloadTemplate = async (params, options, imageUrl, filename) => {
+  const { blob, extension } = await exportTemplate(params, options, imageUrl);
+  downloadFile(blob, `${filename}.${extension}`);
+};
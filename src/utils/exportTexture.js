@@ -0,0 +1,88 @@
+/**
+ * 导出贴图
+ * 3MF、OBJ 导出时把顶面贴图重新编码：限制最大边长、选择 PNG 或 JPEG（及质量），
+ * 并可把板面外轮廓以外的像素遮罩掉（PNG 为透明，JPEG 为白色）。
+ * 顶面 UV 把整张图片映射到板面包围盒，各种板面形状都撑满包围盒，因此贴图尺寸不变，
+ * 遮罩只是清除非矩形板面四角打印时用不到的内容（PNG 中大片透明区域压缩后略小）。
+ * 手机照片原图动辄几千万像素，原样写成 PNG 时文件可达几十 MB。
+ */
+import { createCanvas, canvasToDataUrl } from './canvas';
+import { createBoardOutline } from './boardOutline';
+
+// 贴图格式：文件扩展名和 MIME 类型
+export const TEXTURE_FORMATS = {
+  png: { extension: 'png', contentType: 'image/png' },
+  jpeg: { extension: 'jpg', contentType: 'image/jpeg' }
+};
+
+// 遮罩时轮廓向外多保留的像素，避免贴图过滤在边缘混入清除后的颜色
+const MASK_MARGIN = 2;
+
+/**
+ * 遮罩板面外轮廓以外的像素（清除为透明）
+ * @param {CanvasRenderingContext2D|OffscreenCanvasRenderingContext2D} ctx
+ * @param {THREE.Vector2[]} outline - 板面外轮廓（全局坐标，原点为板面中心）
+ * @param {Object} params - 拼图参数（使用 width、height）
+ */
+const maskOutsideOutline = (ctx, outline, params) => {
+  const { width, height } = ctx.canvas;
+  const toPixel = (p) => [(p.x / params.width + 0.5) * width, (0.5 - p.y / params.height) * height];
+
+  ctx.save();
+  ctx.globalCompositeOperation = 'destination-in';
+  ctx.beginPath();
+  outline.forEach((p, i) => {
+    const [x, y] = toPixel(p);
+    if (i === 0) ctx.moveTo(x, y); else ctx.lineTo(x, y);
+  });
+  ctx.closePath();
+  ctx.lineWidth = MASK_MARGIN * 2;
+  ctx.lineJoin = 'round';
+  ctx.fill();
+  ctx.stroke();
+  ctx.restore();
+};
+
+/**
+ * 按导出选项编码贴图
+ * @param {THREE.Texture|{image: ImageBitmap}} texture - 在 Web Worker 中为包含 ImageBitmap 的对象
+ * @param {Object} params - 拼图参数（遮罩时使用板面形状和尺寸）
+ * @param {Object} options - 导出选项（使用 textureMaxSize、textureFormat、textureQuality、textureMask）
+ * @returns {Promise<{data: string, extension: string, contentType: string}|null>}
+ *   data 为不带前缀的 base64；没有贴图时为 null
+ */
+export const encodeTexture = async (texture, params, options = {}) => {
+  if (!texture || !texture.image) {
+    return null;
+  }
+
+  const img = texture.image;
+  const sourceWidth = img.width || 512;
+  const sourceHeight = img.height || 512;
+  const maxSize = options.textureMaxSize || 0;
+  const scale = maxSize > 0 ? Math.min(1, maxSize / Math.max(sourceWidth, sourceHeight)) : 1;
+  const canvas = createCanvas(Math.max(1, Math.round(sourceWidth * scale)), Math.max(1, Math.round(sourceHeight * scale)));
+
+  const ctx = canvas.getContext('2d');
+  ctx.imageSmoothingQuality = 'high';
+  ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+
+  const outline = options.textureMask ? createBoardOutline(params) : null;
+  if (outline) {
+    maskOutsideOutline(ctx, outline, params);
+  }
+
+  // JPEG 没有透明通道，透明处填白色（与没有贴图时的顶面颜色一致）
+  const format = TEXTURE_FORMATS[options.textureFormat] || TEXTURE_FORMATS.png;
+  if (format === TEXTURE_FORMATS.jpeg) {
+    ctx.save();
+    ctx.globalCompositeOperation = 'destination-over';
+    ctx.fillStyle = '#FFFFFF';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.restore();
+  }
+
+  const quality = format === TEXTURE_FORMATS.jpeg ? options.textureQuality : undefined;
+  const dataUrl = await canvasToDataUrl(canvas, format.contentType, quality);
+  return { data: dataUrl.split(',')[1], ...format };
+};
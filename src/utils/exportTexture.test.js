@@ -0,0 +1,71 @@
+import { encodeTexture, TEXTURE_FORMATS } from './exportTexture';
+import { canvases } from './canvas';
+import { createTestParams, createTestOptions, decodeFakeImage } from '../testUtils';
+
+jest.mock('./canvas', () => require('../testUtils').createFakeCanvasModule());
+
+const createTexture = (width, height) => ({ image: { width, height } });
+
+// 最近一次编码使用的画布上的绘制调用
+const lastCalls = () => canvases[canvases.length - 1].calls;
+
+describe('encodeTexture', () => {
+  const params = createTestParams({ width: 200, height: 100 });
+
+  test('没有贴图或图片时返回 null', async () => {
+    expect(await encodeTexture(null, params, createTestOptions())).toBe(null);
+    expect(await encodeTexture({ image: null }, params, createTestOptions())).toBe(null);
+  });
+
+  test('按最大边长等比缩小，不放大小图', async () => {
+    const options = createTestOptions({ textureMaxSize: 1024 });
+    const large = await encodeTexture(createTexture(4000, 2000), params, options);
+    expect(decodeFakeImage(large.data)).toMatchObject({ width: 1024, height: 512 });
+    const small = await encodeTexture(createTexture(300, 200), params, options);
+    expect(decodeFakeImage(small.data)).toMatchObject({ width: 300, height: 200 });
+    const unlimited = await encodeTexture(createTexture(4000, 2000), params, createTestOptions({ textureMaxSize: 0 }));
+    expect(decodeFakeImage(unlimited.data)).toMatchObject({ width: 4000, height: 2000 });
+  });
+
+  test('PNG 不带质量，也不填充背景', async () => {
+    const result = await encodeTexture(createTexture(64, 64), params, createTestOptions({ textureFormat: 'png' }));
+    expect(result).toMatchObject(TEXTURE_FORMATS.png);
+    expect(decodeFakeImage(result.data).quality).toBeUndefined();
+    expect(lastCalls().some(call => call.name === 'fillRect')).toBe(false);
+  });
+
+  test('JPEG 使用所选质量，透明处在图像下方填白色', async () => {
+    const options = createTestOptions({ textureFormat: 'jpeg', textureQuality: 0.8 });
+    const result = await encodeTexture(createTexture(64, 32), params, options);
+    expect(result).toMatchObject(TEXTURE_FORMATS.jpeg);
+    expect(decodeFakeImage(result.data).quality).toBe(0.8);
+    const fill = lastCalls().find(call => call.name === 'fillRect');
+    expect(fill.args).toEqual([0, 0, 64, 32]);
+    expect(fill.state).toMatchObject({ globalCompositeOperation: 'destination-over', fillStyle: '#FFFFFF' });
+  });
+
+  test('遮罩时只保留板面轮廓以内的像素，贴图尺寸不变', async () => {
+    const heart = createTestParams({ width: 200, height: 100, boardShape: 'heart' });
+    const options = createTestOptions({ textureMask: true, textureMaxSize: 0 });
+    const result = await encodeTexture(createTexture(400, 200), heart, options);
+    expect(decodeFakeImage(result.data)).toMatchObject({ width: 400, height: 200 });
+
+    const calls = lastCalls();
+    const fill = calls.find(call => call.name === 'fill');
+    expect(fill.state.globalCompositeOperation).toBe('destination-in');
+    // 轮廓换算到像素坐标后位于贴图内，并撑满贴图
+    const points = calls.filter(call => call.name === 'moveTo' || call.name === 'lineTo').map(call => call.args);
+    expect(points.length).toBeGreaterThan(10);
+    const xs = points.map(([x]) => x);
+    const ys = points.map(([, y]) => y);
+    expect(Math.min(...xs)).toBeCloseTo(0, 0);
+    expect(Math.max(...xs)).toBeCloseTo(400, 0);
+    expect(Math.min(...ys)).toBeCloseTo(0, 0);
+    expect(Math.max(...ys)).toBeCloseTo(200, 0);
+  });
+
+  test('不遮罩时不清除像素', async () => {
+    await encodeTexture(createTexture(64, 64), params, createTestOptions({ textureMask: false }));
+    expect(lastCalls().some(call => call.name === 'fill')).toBe(false);
+  });
+});
@@ -0,0 +1,75 @@
+/**
+ * 图片列表项
+ * 把图片文件或 data URL 转为图片列表中的一项 { id, name, url, thumbnail }，
+ * 供图片管理和 3MF 导入（恢复文件中的贴图）共用；导出时按 url 重新加载图片。
+ */
+
+// 缩略图最大边长 (px)，限制尺寸以优化性能
+const THUMBNAIL_MAX_SIZE = 200;
+
+// 生成唯一ID
+const generateId = () => `img_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+/**
+ * 加载图片
+ * @param {string} url
+ * @returns {Promise<HTMLImageElement>}
+ */
+export const loadImage = (url) => new Promise((resolve, reject) => {
+  const image = new Image();
+  image.onload = () => resolve(image);
+  image.onerror = () => reject(new Error('图片加载失败'));
+  image.src = url;
+});
+
+/**
+ * 由图片 data URL 创建图片列表项
+ * @param {string} name - 图片名称
+ * @param {string} url - 图片 data URL
+ * @param {number} maxSize - 缩略图最大边长 (px)
+ * @returns {Promise<{id: string, name: string, url: string, thumbnail: string}>}
+ */
+export const createImageItem = async (name, url, maxSize = THUMBNAIL_MAX_SIZE) => {
+  const img = await loadImage(url);
+
+  // 计算缩略图尺寸
+  let width = img.width;
+  let height = img.height;
+  if (width > height && width > maxSize) {
+    height = (height * maxSize) / width;
+    width = maxSize;
+  } else if (height > maxSize) {
+    width = (width * maxSize) / height;
+    height = maxSize;
+  }
+
+  // 创建canvas绘制缩略图
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(img, 0, 0, width, height);
+
+  return {
+    id: generateId(),
+    name,
+    url,
+    thumbnail: canvas.toDataURL('image/jpeg', 0.7)
+  };
+};
+
+/**
+ * 读取图片文件并创建图片列表项
+ * @param {File} file
+ * @returns {Promise<{id: string, name: string, url: string, thumbnail: string}>}
+ */
+export const readImageFile = (file) => {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      createImageItem(file.name, e.target.result).then(resolve, reject);
+    };
+    reader.onerror = () => reject(new Error('文件读取失败'));
+    reader.readAsDataURL(file);
+  });
+};
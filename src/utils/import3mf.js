@@ -0,0 +1,446 @@
+/**
+ * 3MF导入工具
+ * 读取本应用导出的 3MF（尽量兼容其它软件生成的文件），取出其中的贴图、拼图参数和网格。
+ *
+ * - 贴图：m:texture2d 引用的图片文件，读为 data URL，可加回图片列表
+ * - 拼图参数：优先取 puzzle:Params 中的完整参数；较早导出的文件只有 puzzle:Width 等单项，
+ *   能据此重建时（板面和切割线不依赖导入的 SVG）取这些值，其余参数为默认值
+ * - 网格：按 build 中的构建项展开组合对象并应用变换，颜色取自 basematerials / m:colorgroup，
+ *   纹理坐标取自 m:texture2dgroup，恢复不出参数时直接显示这些网格
+ */
+import JSZip from 'jszip';
+import * as THREE from 'three';
+import { PUZZLE_METADATA_NAMESPACE } from './export3mf';
+
+// 主模型文件的关系类型，及找不到关系文件时的默认路径
+const MODEL_RELATIONSHIP_TYPE = 'http://schemas.microsoft.com/3dmanufacturing/2013/01/3dmodel';
+const DEFAULT_MODEL_PATH = '3D/3dmodel.model';
+
+// 各长度单位对应的毫米数
+const UNIT_SCALES = {
+  micron: 0.001,
+  millimeter: 1,
+  centimeter: 10,
+  inch: 25.4,
+  foot: 304.8,
+  meter: 1000
+};
+
+// 未指定颜色的三角形显示为灰色
+const DEFAULT_COLOR = '#B0B0B0';
+
+/**
+ * 按本地名查找元素（忽略命名空间前缀，兼容不同软件使用的前缀）
+ * @param {Element|Document} parent
+ * @param {string} name
+ * @returns {Element[]}
+ */
+const findElements = (parent, name) => Array.from(parent.getElementsByTagNameNS('*', name));
+
+/**
+ * 查找直接子元素
+ * @param {Element} parent
+ * @param {string} name - 本地名
+ * @returns {Element[]}
+ */
+const childElements = (parent, name) => Array.from(parent.children).filter(child => child.localName === name);
+
+/**
+ * 解析 XML 文本
+ * @param {string} text
+ * @param {string} path - 文件路径（用于错误提示）
+ * @returns {Document}
+ */
+const parseXml = (text, path) => {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length > 0) {
+    throw new Error(`${path} 不是有效的 XML 文件`);
+  }
+  return doc;
+};
+
+/**
+ * 按路径查找压缩包中的文件（去掉开头的 /，找不到时忽略大小写再找一次）
+ * @param {JSZip} zip
+ * @param {string} path
+ * @returns {JSZip.JSZipObject|null}
+ */
+const findZipFile = (zip, path) => {
+  const normalized = path.replace(/^\/+/, '');
+  const file = zip.file(normalized);
+  if (file) return file;
+  const lower = normalized.toLowerCase();
+  return zip.file(/.*/).find(entry => entry.name.toLowerCase() === lower) || null;
+};
+
+/**
+ * 从 _rels/.rels 中找出主模型文件的路径
+ * @param {JSZip} zip
+ * @returns {Promise<string>}
+ */
+const findModelPath = async (zip) => {
+  const relsFile = findZipFile(zip, '_rels/.rels');
+  if (relsFile) {
+    const rels = parseXml(await relsFile.async('string'), '_rels/.rels');
+    const model = findElements(rels, 'Relationship').find(rel => rel.getAttribute('Type') === MODEL_RELATIONSHIP_TYPE);
+    if (model && model.getAttribute('Target')) return model.getAttribute('Target');
+  }
+  return DEFAULT_MODEL_PATH;
+};
+
+/**
+ * 读取模型的元数据；带本应用命名空间的名称统一为 "puzzle:名称"
+ * @param {Element} model - <model> 元素
+ * @returns {Object} { 名称: 值 }
+ */
+const readMetadata = (model) => {
+  const metadata = {};
+  childElements(model, 'metadata').forEach(element => {
+    const name = element.getAttribute('name') || '';
+    const [prefix, localName] = name.includes(':') ? name.split(/:(.*)/) : [null, name];
+    const isPuzzle = prefix && model.lookupNamespaceURI(prefix) === PUZZLE_METADATA_NAMESPACE;
+    metadata[isPuzzle ? `puzzle:${localName}` : name] = element.textContent;
+  });
+  return metadata;
+};
+
+/**
+ * 读取 puzzle:Params 中的完整拼图参数
+ * @param {string} text
+ * @returns {{params: Object|null, error: string|null}} 无法解析时 params 为 null，error 为原因
+ */
+const parseFullParams = (text) => {
+  let params;
+  try {
+    params = JSON.parse(text);
+  } catch (error) {
+    return { params: null, error: `puzzle:Params 不是有效的 JSON（${error.message}）` };
+  }
+  if (!params || typeof params !== 'object' || Array.isArray(params)) {
+    return { params: null, error: 'puzzle:Params 不是参数对象' };
+  }
+  return { params, error: null };
+};
+
+/**
+ * 从元数据恢复拼图参数
+ * @param {Object} metadata - readMetadata 的结果
+ * @param {{side?: string, bottom?: string}} colors - 文件中的侧面、底面颜色（较早的文件据此恢复颜色）
+ * @returns {{params: Object|null, error: string|null}} params 为拼图参数（可能只有部分参数），无法恢复时为 null；
+ *   error 为 puzzle:Params 无法解析的原因（此时仍尝试按单项恢复），没有该项或解析成功时为 null
+ */
+const recoverParams = (metadata, colors) => {
+  let error = null;
+  if (metadata['puzzle:Params']) {
+    const full = parseFullParams(metadata['puzzle:Params']);
+    if (full.params) return full;
+    error = full.error;
+  }
+  return { params: recoverLegacyParams(metadata, colors), error };
+};
+
+/**
+ * 按较早文件中的单项元数据（puzzle:Width 等）恢复拼图参数
+ * @param {Object} metadata - readMetadata 的结果
+ * @param {{side?: string, bottom?: string}} colors - 文件中的侧面、底面颜色
+ * @returns {Object|null} 拼图参数（只有部分参数），无法恢复时为 null
+ */
+const recoverLegacyParams = (metadata, colors) => {
+  const number = (name) => parseFloat(metadata[`puzzle:${name}`]);
+  const width = number('Width');
+  const height = number('Height');
+  const depth = number('Depth');
+  const boardShape = metadata['puzzle:BoardShape'];
+  const layoutMode = metadata['puzzle:LayoutMode'];
+  const splitMode = metadata['puzzle:SplitMode'];
+  const grid = (metadata['puzzle:Grid'] || '').match(/^(\d+)(?:x(\d+))?$/);
+  if (![width, height, depth].every(value => value > 0) || !boardShape || !layoutMode || !splitMode || !grid) {
+    return null;
+  }
+  // 导入的 SVG 轮廓和切割线没有写入这些单项
+  if (boardShape === 'svg' || splitMode === 'custom') return null;
+
+  const params = { width, height, depth, boardShape, layoutMode, splitMode, gridSizeMode: 'count' };
+  if (layoutMode === 'voronoi') {
+    params.pieceCount = parseInt(grid[1], 10);
+  } else if (grid[2]) {
+    params.gridX = parseInt(grid[1], 10);
+    params.gridY = parseInt(grid[2], 10);
+  } else {
+    return null;
+  }
+  if (Number.isFinite(number('Seed'))) params.seed = number('Seed');
+  if (Number.isFinite(number('Clearance'))) params.clearance = number('Clearance');
+  if (Number.isFinite(number('CornerRadius'))) params.cornerRadius = number('CornerRadius');
+  if (Number.isFinite(number('TargetPieceSize'))) params.targetPieceSize = number('TargetPieceSize');
+  if (Number.isFinite(number('RelaxIterations'))) params.relaxIterations = number('RelaxIterations');
+  if (colors.side) params.sideColor = colors.side;
+  if (colors.bottom) params.bottomColor = colors.bottom;
+  return params;
+};
+
+/**
+ * 解析 3MF 变换矩阵 "m00 m01 m02 m10 m11 m12 m20 m21 m22 m30 m31 m32"（行向量约定）
+ * @param {string|null} text
+ * @returns {THREE.Matrix4}
+ */
+const parseTransform = (text) => {
+  const matrix = new THREE.Matrix4();
+  const m = (text || '').trim().split(/\s+/).map(parseFloat);
+  if (m.length !== 12 || !m.every(Number.isFinite)) return matrix;
+  return matrix.set(
+    m[0], m[3], m[6], m[9],
+    m[1], m[4], m[7], m[10],
+    m[2], m[5], m[8], m[11],
+    0, 0, 0, 1
+  );
+};
+
+/**
+ * 读取颜色 "#RRGGBB" 或 "#RRGGBBAA"（忽略透明度）
+ * @param {string|null} text
+ * @returns {string}
+ */
+const parseColor = (text) => {
+  const match = (text || '').match(/^#([0-9a-f]{6})([0-9a-f]{2})?$/i);
+  return match ? `#${match[1].toUpperCase()}` : DEFAULT_COLOR;
+};
+
+/**
+ * 读取属性资源：basematerials、m:colorgroup 为颜色列表，m:texture2dgroup 为纹理坐标列表
+ * @param {Element} resources - <resources> 元素
+ * @returns {Map<string, {colors?: string[], texture?: string, coords?: number[][]}>}
+ *   键为资源 id；texture 为 m:texture2d 中图片的路径
+ */
+const readPropertyResources = (resources) => {
+  const textures = new Map();
+  childElements(resources, 'texture2d').forEach(element => {
+    textures.set(element.getAttribute('id'), element.getAttribute('path'));
+  });
+
+  const properties = new Map();
+  childElements(resources, 'basematerials').forEach(element => {
+    properties.set(element.getAttribute('id'), {
+      colors: childElements(element, 'base').map(base => parseColor(base.getAttribute('displaycolor'))),
+      names: childElements(element, 'base').map(base => base.getAttribute('name'))
+    });
+  });
+  childElements(resources, 'colorgroup').forEach(element => {
+    properties.set(element.getAttribute('id'), {
+      colors: childElements(element, 'color').map(color => parseColor(color.getAttribute('color')))
+    });
+  });
+  childElements(resources, 'texture2dgroup').forEach(element => {
+    properties.set(element.getAttribute('id'), {
+      texture: textures.get(element.getAttribute('texid')),
+      coords: childElements(element, 'tex2coord').map(coord => [
+        parseFloat(coord.getAttribute('u')) || 0,
+        parseFloat(coord.getAttribute('v')) || 0
+      ])
+    });
+  });
+  return properties;
+};
+
+/**
+ * 把一个 <mesh> 转为几何体
+ * 不带索引，每个三角形的三个角各自带颜色和纹理坐标；带纹理的三角形按贴图分组，
+ * 分组的材质序号 0 为只用顶点颜色，i + 1 为 textures[i]。
+ * @param {Element} meshElement
+ * @param {Element} objectElement - 所属 <object>（三角形未指定属性时使用对象的 pid、pindex）
+ * @param {Map} properties - readPropertyResources 的结果
+ * @param {THREE.Matrix4} matrix - 变换（已含单位换算）
+ * @returns {{geometry: THREE.BufferGeometry, textures: string[]}|null} 没有三角形时为 null
+ */
+const createMeshGeometry = (meshElement, objectElement, properties, matrix) => {
+  const vertices = findElements(meshElement, 'vertex').map(vertex => new THREE.Vector3(
+    parseFloat(vertex.getAttribute('x')) || 0,
+    parseFloat(vertex.getAttribute('y')) || 0,
+    parseFloat(vertex.getAttribute('z')) || 0
+  ).applyMatrix4(matrix));
+
+  // 按材质分组收集三角形：{ key: { textureIndex, corners: [{ position, color, uv }] } }
+  const textures = [];
+  const groups = new Map();
+  const objectPid = objectElement.getAttribute('pid');
+  const objectIndex = objectElement.getAttribute('pindex');
+
+  findElements(meshElement, 'triangle').forEach(triangle => {
+    const ids = ['v1', 'v2', 'v3'].map(name => parseInt(triangle.getAttribute(name), 10));
+    if (!ids.every(id => vertices[id])) return;
+
+    const pid = triangle.getAttribute('pid') ?? objectPid;
+    const p1 = triangle.getAttribute('p1') ?? (triangle.hasAttribute('pid') ? null : objectIndex);
+    const indices = [p1, triangle.getAttribute('p2') ?? p1, triangle.getAttribute('p3') ?? p1].map(p => parseInt(p, 10));
+    const property = properties.get(pid);
+
+    let textureIndex = -1;
+    let colors = [DEFAULT_COLOR, DEFAULT_COLOR, DEFAULT_COLOR];
+    let uvs = [[0, 0], [0, 0], [0, 0]];
+    if (property?.coords && property.texture) {
+      textureIndex = textures.indexOf(property.texture);
+      if (textureIndex < 0) textureIndex = textures.push(property.texture) - 1;
+      colors = ['#FFFFFF', '#FFFFFF', '#FFFFFF'];
+      uvs = indices.map(i => property.coords[i] || [0, 0]);
+    } else if (property?.colors) {
+      colors = indices.map(i => property.colors[i] || DEFAULT_COLOR);
+    }
+
+    if (!groups.has(textureIndex)) groups.set(textureIndex, []);
+    const corners = groups.get(textureIndex);
+    ids.forEach((id, i) => corners.push({ position: vertices[id], color: colors[i], uv: uvs[i] }));
+  });
+
+  const cornerCount = Array.from(groups.values()).reduce((count, corners) => count + corners.length, 0);
+  if (cornerCount === 0) return null;
+
+  const positions = new Float32Array(cornerCount * 3);
+  const colorValues = new Float32Array(cornerCount * 3);
+  const uvValues = new Float32Array(cornerCount * 2);
+  const geometry = new THREE.BufferGeometry();
+  const color = new THREE.Color();
+  let offset = 0;
+  Array.from(groups.keys()).sort((a, b) => a - b).forEach(textureIndex => {
+    const corners = groups.get(textureIndex);
+    geometry.addGroup(offset, corners.length, textureIndex + 1);
+    corners.forEach(({ position, color: hex, uv }) => {
+      color.set(hex);
+      positions.set([position.x, position.y, position.z], offset * 3);
+      colorValues.set([color.r, color.g, color.b], offset * 3);
+      uvValues.set(uv, offset * 2);
+      offset++;
+    });
+  });
+
+  geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+  geometry.setAttribute('color', new THREE.BufferAttribute(colorValues, 3));
+  geometry.setAttribute('uv', new THREE.BufferAttribute(uvValues, 2));
+  geometry.computeVertexNormals();
+  return { geometry, textures };
+};
+
+/**
+ * 展开构建项，得到所有要显示的网格
+ * 组合对象（如按打印平台分组的对象）递归展开，组件和构建项的变换依次叠加；
+ * 没有构建项时显示所有网格对象。
+ * @param {Element} model - <model> 元素
+ * @param {Map} properties - readPropertyResources 的结果
+ * @param {number} scale - 单位换算为毫米的比例
+ * @returns {Array<{name: string, geometry: THREE.BufferGeometry, textures: string[]}>}
+ */
+const readMeshes = (model, properties, scale) => {
+  const resources = childElements(model, 'resources')[0];
+  const objects = new Map(childElements(resources, 'object').map(object => [object.getAttribute('id'), object]));
+
+  const meshes = [];
+  const addObject = (id, matrix, depth) => {
+    const object = objects.get(id);
+    // 组件引用成环时停止展开
+    if (!object || depth > objects.size) return;
+
+    const meshElement = childElements(object, 'mesh')[0];
+    if (meshElement) {
+      const mesh = createMeshGeometry(meshElement, object, properties, matrix);
+      if (mesh) meshes.push({ name: object.getAttribute('name') || `Object ${id}`, ...mesh });
+    }
+    childElements(object, 'components').forEach(components => {
+      childElements(components, 'component').forEach(component => {
+        const componentMatrix = matrix.clone().multiply(parseTransform(component.getAttribute('transform')));
+        addObject(component.getAttribute('objectid'), componentMatrix, depth + 1);
+      });
+    });
+  };
+
+  const root = new THREE.Matrix4().makeScale(scale, scale, scale);
+  const build = childElements(model, 'build')[0];
+  const items = build ? childElements(build, 'item') : [];
+  if (items.length > 0) {
+    items.forEach(item => {
+      addObject(item.getAttribute('objectid'), root.clone().multiply(parseTransform(item.getAttribute('transform'))), 0);
+    });
+  } else {
+    objects.forEach((object, id) => {
+      if (childElements(object, 'mesh').length > 0) addObject(id, root, 0);
+    });
+  }
+  return meshes;
+};
+
+/**
+ * 从文件扩展名推断图片类型
+ * @param {string} path
+ * @returns {string}
+ */
+const guessImageType = (path) => (/\.jpe?g$/i.test(path) ? 'image/jpeg' : 'image/png');
+
+/**
+ * 导入3MF文件
+ * @param {Blob} file - 3MF 文件
+ * @returns {Promise<Object>} { metadata, params, paramsError, textures, meshes }
+ *   - metadata: 模型元数据 { 名称: 值 }
+ *   - params: 恢复出的拼图参数（可能只有部分参数，缺少的取默认值），无法恢复时为 null
+ *   - paramsError: 文件中的完整拼图参数（puzzle:Params）无法解析的原因，没有问题时为 null
+ *   - textures: 文件中的贴图 [{ path, url }]，url 为 data URL
+ *   - meshes: 文件中的网格 [{ name, geometry, textures }]，textures 为各分组使用的贴图 data URL，
+ *     几何体分组的材质序号 0 为只用顶点颜色，i + 1 为 textures[i]
+ */
+export const import3MF = async (file) => {
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(file);
+  } catch (error) {
+    throw new Error('文件不是有效的 3MF（ZIP）文件');
+  }
+
+  const modelPath = await findModelPath(zip);
+  const modelFile = findZipFile(zip, modelPath);
+  if (!modelFile) {
+    throw new Error(`找不到模型文件 ${modelPath}`);
+  }
+  const model = parseXml(await modelFile.async('string'), modelPath).documentElement;
+  if (model.localName !== 'model' || childElements(model, 'resources').length === 0) {
+    throw new Error('模型文件中没有 <model> 或 <resources>');
+  }
+
+  const scale = UNIT_SCALES[model.getAttribute('unit') || 'millimeter'] || 1;
+  const metadata = readMetadata(model);
+  const resources = childElements(model, 'resources')[0];
+  const properties = readPropertyResources(resources);
+
+  // 本应用导出的侧面、底面颜色在 basematerials 中名为 SideColor、BottomColor
+  const colors = {};
+  properties.forEach(({ names, colors: list }) => {
+    if (!names) return;
+    names.forEach((name, i) => {
+      if (name === 'SideColor') colors.side = list[i];
+      if (name === 'BottomColor') colors.bottom = list[i];
+    });
+  });
+
+  // 贴图读为 data URL（找不到图片文件的贴图跳过）
+  const texturePaths = [...new Set(childElements(resources, 'texture2d').map(element => element.getAttribute('path')))];
+  const textures = (await Promise.all(texturePaths.map(async (path) => {
+    const textureFile = path && findZipFile(zip, path);
+    if (!textureFile) return null;
+    const element = childElements(resources, 'texture2d').find(texture => texture.getAttribute('path') === path);
+    const type = element.getAttribute('contenttype') || guessImageType(path);
+    return { path, url: `data:${type};base64,${await textureFile.async('base64')}` };
+  }))).filter(Boolean);
+  const textureUrls = new Map(textures.map(({ path, url }) => [path, url]));
+
+  const meshes = readMeshes(model, properties, scale).map(mesh => ({
+    ...mesh,
+    textures: mesh.textures.map(path => textureUrls.get(path) || null)
+  }));
+
+  const { params, error: paramsError } = recoverParams(metadata, colors);
+  return {
+    metadata,
+    params,
+    paramsError,
+    textures,
+    meshes
+  };
+};
+
+export default import3MF;
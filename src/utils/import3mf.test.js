@@ -0,0 +1,180 @@
+import JSZip from 'jszip';
+import { import3MF } from './import3mf';
+import { export3MF } from './export3mf';
+import { createExportMeshes } from './exportMeshes';
+import { createTestParams, createTestOptions, readBlob } from '../testUtils';
+
+jest.mock('./canvas', () => require('../testUtils').createFakeCanvasModule());
+jest.mock('./thumbnail', () => ({ renderThumbnail: () => ({ data: null, error: null }) }));
+
+const MODEL_PATH = '3D/3dmodel.model';
+const TEXTURE = { image: { width: 64, height: 64 } };
+
+// 导出为 3MF，返回可交给 import3MF 的内容
+const exportFile = async (params, options = createTestOptions(), texture = TEXTURE) => {
+  const { blob } = await export3MF(createExportMeshes(params, options), params, texture, options);
+  return readBlob(blob);
+};
+
+// 修改 ZIP 中的模型文件
+const editModel = async (data, edit) => {
+  const zip = await JSZip.loadAsync(data);
+  zip.file(MODEL_PATH, edit(await zip.file(MODEL_PATH).async('string')));
+  return zip.generateAsync({ type: 'arraybuffer' });
+};
+
+// 去掉完整参数，模拟较早版本导出的文件
+const removeFullParams = (xml) => xml.replace(/\s*<metadata name="puzzle:Params">[^<]*<\/metadata>/, '');
+
+// 手写一个 ZIP，只含模型文件
+const createFile = async (modelXml) => {
+  const zip = new JSZip();
+  zip.file(MODEL_PATH, modelXml);
+  return zip.generateAsync({ type: 'arraybuffer' });
+};
+
+// 几何体中所有顶点的包围盒
+const boundsOf = (geometry) => {
+  geometry.computeBoundingBox();
+  const { min, max } = geometry.boundingBox;
+  return [min.x, min.y, min.z, max.x, max.y, max.z].map(value => Math.round(value * 1000) / 1000);
+};
+
+describe('import3MF 参数恢复', () => {
+  test('导出再导入，完整恢复拼图参数', async () => {
+    const params = createTestParams({
+      gridX: 3, gridY: 2, seed: 42, clearance: 0.3, boardShape: 'roundedRect', cornerRadius: 8, sideColor: '#123456'
+    });
+    const model = await import3MF(await exportFile(params));
+    expect(model.params).toEqual(params);
+    expect(model.paramsError).toBe(null);
+    expect(model.metadata['puzzle:Seed']).toBe('42');
+  });
+
+  test('Voronoi 布局的参数同样完整恢复', async () => {
+    const params = createTestParams({ layoutMode: 'voronoi', pieceCount: 6, relaxIterations: 2, targetPieceSize: 30 });
+    const model = await import3MF(await exportFile(params));
+    expect(model.params).toEqual(params);
+  });
+
+  test('较早的文件按单项元数据恢复，包括圆角、松弛次数和目标块尺寸', async () => {
+    const params = createTestParams({
+      layoutMode: 'voronoi', pieceCount: 7, seed: 9, boardShape: 'roundedRect', cornerRadius: 5,
+      relaxIterations: 4, targetPieceSize: 35, sideColor: '#112233', bottomColor: '#445566'
+    });
+    const model = await import3MF(await editModel(await exportFile(params), removeFullParams));
+    expect(model.paramsError).toBe(null);
+    expect(model.params).toEqual({
+      width: params.width,
+      height: params.height,
+      depth: params.depth,
+      boardShape: 'roundedRect',
+      layoutMode: 'voronoi',
+      splitMode: params.splitMode,
+      gridSizeMode: 'count',
+      pieceCount: 7,
+      seed: 9,
+      clearance: params.clearance,
+      cornerRadius: 5,
+      targetPieceSize: 35,
+      relaxIterations: 4,
+      sideColor: '#112233',
+      bottomColor: '#445566'
+    });
+  });
+
+  test('完整参数无法解析时返回原因，并按单项元数据恢复', async () => {
+    const params = createTestParams({ gridX: 2, gridY: 2 });
+    const data = await editModel(await exportFile(params), xml =>
+      xml.replace(/(<metadata name="puzzle:Params">)[^<]*/, '$1{broken'));
+    const model = await import3MF(data);
+    expect(model.paramsError).toMatch(/^puzzle:Params 不是有效的 JSON/);
+    expect(model.params).toMatchObject({ width: params.width, gridX: 2, gridY: 2 });
+  });
+
+  test('完整参数不是对象时返回原因', async () => {
+    const data = await editModel(await exportFile(createTestParams()), xml =>
+      xml.replace(/(<metadata name="puzzle:Params">)[^<]*/, '$1[1,2]'));
+    expect((await import3MF(data)).paramsError).toBe('puzzle:Params 不是参数对象');
+  });
+
+  test('导入的 SVG 轮廓无法按单项元数据重建', async () => {
+    const data = await editModel(await exportFile(createTestParams()), xml =>
+      removeFullParams(xml).replace(/(<metadata name="puzzle:BoardShape">)[^<]*/, '$1svg'));
+    const model = await import3MF(data);
+    expect(model.params).toBe(null);
+    expect(model.meshes.length).toBeGreaterThan(0);
+  });
+});
+
+describe('import3MF 网格与贴图', () => {
+  test('读出本应用导出的网格和贴图', async () => {
+    const params = createTestParams({ gridX: 2, gridY: 2 });
+    const options = createTestOptions();
+    const model = await import3MF(await exportFile(params, options));
+    expect(model.meshes).toHaveLength(createExportMeshes(params, options).length);
+    expect(model.textures).toHaveLength(1);
+    expect(model.textures[0].url).toMatch(/^data:image\/(png|jpeg);base64,/);
+    // 顶面使用贴图（材质序号 1），其余面只用顶点颜色
+    model.meshes.forEach(mesh => {
+      expect(mesh.textures).toEqual([model.textures[0].url]);
+      expect(mesh.geometry.groups.map(group => group.materialIndex)).toEqual([0, 1]);
+    });
+  });
+
+  test('其它软件的文件：展开组件、叠加变换、换算单位并读取颜色组', async () => {
+    const data = await createFile(`<?xml version="1.0" encoding="UTF-8"?>
+<model unit="inch" xmlns="http://schemas.microsoft.com/3dmanufacturing/core/2015/02"
+  xmlns:m="http://schemas.microsoft.com/3dmanufacturing/material/2015/02">
+  <resources>
+    <m:colorgroup id="1"><m:color color="#ff000080"/><m:color color="#00FF00"/></m:colorgroup>
+    <object id="2" type="model" pid="1" pindex="1">
+      <mesh>
+        <vertices>
+          <vertex x="0" y="0" z="0"/><vertex x="1" y="0" z="0"/><vertex x="0" y="1" z="0"/><vertex x="0" y="0" z="1"/>
+        </vertices>
+        <triangles>
+          <triangle v1="0" v2="2" v3="1" pid="1" p1="0"/>
+          <triangle v1="0" v2="1" v3="3"/>
+          <triangle v1="0" v2="3" v3="2"/>
+          <triangle v1="1" v2="2" v3="3"/>
+        </triangles>
+      </mesh>
+    </object>
+    <object id="3" type="model" name="Group">
+      <components>
+        <component objectid="2" transform="1 0 0 0 1 0 0 0 1 2 0 0"/>
+      </components>
+    </object>
+  </resources>
+  <build>
+    <item objectid="3" transform="1 0 0 0 1 0 0 0 1 0 3 0"/>
+  </build>
+</model>`);
+    const model = await import3MF(data);
+    expect(model.params).toBe(null);
+    expect(model.textures).toEqual([]);
+    expect(model.meshes).toHaveLength(1);
+    const [{ name, geometry }] = model.meshes;
+    expect(name).toBe('Object 2');
+    expect(boundsOf(geometry)).toEqual([50.8, 76.2, 0, 76.2, 101.6, 25.4]);
+    // 第一个三角形为红色（忽略透明度），其余使用对象的默认颜色（绿色）
+    const colors = geometry.getAttribute('color');
+    expect([colors.getX(0), colors.getY(0), colors.getZ(0)]).toEqual([1, 0, 0]);
+    expect([colors.getX(3), colors.getY(3), colors.getZ(3)]).toEqual([0, 1, 0]);
+  });
+
+  test('不是 ZIP 文件时报错', async () => {
+    await expect(import3MF(new TextEncoder().encode('not a zip'))).rejects.toThrow('文件不是有效的 3MF（ZIP）文件');
+  });
+
+  test('缺少模型文件时报错', async () => {
+    const zip = new JSZip();
+    zip.file('readme.txt', 'hello');
+    await expect(import3MF(await zip.generateAsync({ type: 'arraybuffer' }))).rejects.toThrow(`找不到模型文件 ${MODEL_PATH}`);
+  });
+
+  test('模型文件不是有效的 XML 时报错', async () => {
+    await expect(import3MF(await createFile('<model><resources>'))).rejects.toThrow(`${MODEL_PATH} 不是有效的 XML 文件`);
+  });
+});
@@ -0,0 +1,237 @@
+/**
+ * 导出用的网格数据
+ * 把 BufferGeometry 转成带索引的三角网格：重合的顶点合并为一个，相邻三角形共享顶点，
+ * 得到切片软件认可的封闭（watertight）网格；纹理坐标按三角形的每个角单独保存。
+ * 导出前再检查非流形边和法线方向。
+ */
+import * as THREE from 'three';
+
+// 顶点合并的坐标精度 (mm)
+const WELD_PRECISION = 1e-5;
+
+// 多色导出细分后全部对象的三角形总数上限，超过时生成 3MF XML 会占用过多内存
+export const MAX_COLOR_TRIANGLES = 1000000;
+
+// 细分后每 (细分边长)² 板面面积上的三角形数（实测值）：直线分割约 5~8；
+// 曲线分割的拼图块顶面有很多细长三角形，细分后明显更多，凸榫约 20
+const STRAIGHT_TRIANGLE_DENSITY = 8;
+const CURVED_TRIANGLE_DENSITY = 20;
+
+/**
+ * 从几何体提取带索引的网格数据
+ * @param {THREE.BufferGeometry} geometry
+ * @param {THREE.Vector3} position 模型位置偏移
+ * @returns {Object} { vertices, triangles }
+ *   vertices 为合并后的顶点 [{x, y, z}]；triangles 为 [{v1, v2, v3, uvs}]，
+ *   uvs 为三个角的纹理坐标 [{u, v}, ...]，几何体没有 uv 属性时为 null
+ */
+export const extractMeshData = (geometry, position = new THREE.Vector3()) => {
+  const positionAttr = geometry.getAttribute('position');
+  const uvAttr = geometry.getAttribute('uv');
+  const index = geometry.getIndex();
+  const cornerCount = index ? index.count : positionAttr.count;
+
+  const vertices = [];
+  const triangles = [];
+  const vertexIds = new Map();
+
+  // 按坐标合并顶点（3MF使用毫米为单位，我们的模型已经是毫米单位）
+  const weld = (i) => {
+    const x = positionAttr.getX(i) + position.x;
+    const y = positionAttr.getY(i) + position.y;
+    const z = positionAttr.getZ(i) + position.z;
+    const key = `${Math.round(x / WELD_PRECISION)},${Math.round(y / WELD_PRECISION)},${Math.round(z / WELD_PRECISION)}`;
+    if (!vertexIds.has(key)) {
+      vertexIds.set(key, vertices.length);
+      vertices.push({ x, y, z });
+    }
+    return vertexIds.get(key);
+  };
+
+  for (let corner = 0; corner < cornerCount; corner += 3) {
+    const ids = [corner, corner + 1, corner + 2].map(c => (index ? index.getX(c) : c));
+    const [v1, v2, v3] = ids.map(weld);
+
+    // 合并顶点后退化为线段的三角形不再输出
+    if (v1 === v2 || v2 === v3 || v3 === v1) continue;
+
+    triangles.push({
+      v1,
+      v2,
+      v3,
+      uvs: uvAttr ? ids.map(i => ({ u: uvAttr.getX(i), v: uvAttr.getY(i) })) : null
+    });
+  }
+
+  return { vertices, triangles };
+};
+
+/**
+ * 按法线方向判断三角形属于顶面、底面还是侧面（顶点按逆时针为正面）
+ * @param {Array<{x, y, z}>} vertices
+ * @param {{v1: number, v2: number, v3: number}} triangle
+ * @returns {'top'|'bottom'|'side'}
+ */
+export const getTriangleFace = (vertices, { v1, v2, v3 }) => {
+  const a = vertices[v1];
+  const b = vertices[v2];
+  const c = vertices[v3];
+  const u = new THREE.Vector3(b.x - a.x, b.y - a.y, b.z - a.z);
+  const v = new THREE.Vector3(c.x - a.x, c.y - a.y, c.z - a.z);
+  const normal = u.cross(v);
+  const length = normal.length();
+  const nz = length > 0 ? normal.z / length : 0;
+
+  if (nz > 0.9) return 'top';
+  if (nz < -0.9) return 'bottom';
+  return 'side';
+};
+
+/**
+ * 检查网格是否封闭且朝向一致
+ * 封闭网格的每条边恰好被两个三角形以相反方向使用；同方向使用说明相邻三角形法线相反，
+ * 有向体积为负说明整个网格内外翻转。
+ * @param {Object} meshData - extractMeshData 的结果
+ * @returns {string[]} 发现的问题，网格正常时为空数组
+ */
+export const validateMeshData = (meshData) => {
+  const { vertices, triangles } = meshData;
+
+  // 统计每条边正向（小编号 → 大编号）与反向的使用次数
+  const edges = new Map();
+  const addEdge = (a, b) => {
+    const key = a < b ? `${a}-${b}` : `${b}-${a}`;
+    const count = edges.get(key) || { forward: 0, backward: 0 };
+    if (a < b) count.forward++; else count.backward++;
+    edges.set(key, count);
+  };
+
+  let volume = 0;
+  triangles.forEach(({ v1, v2, v3 }) => {
+    addEdge(v1, v2);
+    addEdge(v2, v3);
+    addEdge(v3, v1);
+
+    const a = vertices[v1];
+    const b = vertices[v2];
+    const c = vertices[v3];
+    volume += (a.x * (b.y * c.z - b.z * c.y) - a.y * (b.x * c.z - b.z * c.x) + a.z * (b.x * c.y - b.y * c.x)) / 6;
+  });
+
+  let nonManifold = 0;
+  let flipped = 0;
+  edges.forEach(({ forward, backward }) => {
+    if (forward + backward !== 2) nonManifold++;
+    else if (forward !== 1) flipped++;
+  });
+
+  const problems = [];
+  if (nonManifold > 0) problems.push(`${nonManifold} 条非流形边（网格未封闭或有多余的面）`);
+  if (flipped > 0) problems.push(`${flipped} 条边两侧的三角形法线方向相反`);
+  if (volume < 0) problems.push('法线整体朝内（网格内外翻转）');
+  return problems;
+};
+
+/**
+ * 细分顶面，使顶面三角形的边都不长于 maxLength（多色导出时按图片颜色逐个三角形着色）
+ * 每一轮先标记顶面上所有过长的边，再按三角形被标记的边数拆成 2~4 个；同一条边在两侧三角形中
+ * 插入同一个中点，与顶面相邻的侧面三角形也在共享边上一起拆开，细分后的网格仍然封闭。
+ * @param {Object} meshData - extractMeshData 的结果
+ * @param {number} maxLength - 顶面边的最大长度 (mm)
+ * @param {number} maxTriangles - 三角形数上限（可选），细分中超出时停止
+ * @returns {Object|null} 新的网格数据，纹理坐标按线性插值；超出 maxTriangles 时为 null
+ */
+export const subdivideTopSurface = (meshData, maxLength, maxTriangles = Infinity) => {
+  const vertices = [...meshData.vertices];
+  const maxLengthSq = maxLength * maxLength;
+  const edgeKey = (a, b) => (a < b ? `${a}-${b}` : `${b}-${a}`);
+  const lengthSq = (a, b) => {
+    const p = vertices[a];
+    const q = vertices[b];
+    return (p.x - q.x) ** 2 + (p.y - q.y) ** 2 + (p.z - q.z) ** 2;
+  };
+
+  // 按边中点拆分三角形，返回 [{triangle, top}]
+  const splitTriangle = ({ triangle, top }, midpoints) => {
+    const { uvs } = triangle;
+    const corners = [triangle.v1, triangle.v2, triangle.v3].map((v, i) => ({ v, uv: uvs ? uvs[i] : null }));
+    const mid = (p, q) => {
+      const v = midpoints.get(edgeKey(p.v, q.v));
+      if (v === undefined) return null;
+      return { v, uv: uvs ? { u: (p.uv.u + q.uv.u) / 2, v: (p.uv.v + q.uv.v) / 2 } : null };
+    };
+    const mids = [mid(corners[0], corners[1]), mid(corners[1], corners[2]), mid(corners[2], corners[0])];
+    const count = mids.filter(Boolean).length;
+    const make = (p, q, r) => ({
+      triangle: { v1: p.v, v2: q.v, v3: r.v, uvs: uvs ? [p.uv, q.uv, r.uv] : null },
+      top
+    });
+
+    if (count === 0) return [{ triangle, top }];
+    if (count === 3) {
+      const [a, b, c] = corners;
+      const [mab, mbc, mca] = mids;
+      return [make(a, mab, mca), make(mab, b, mbc), make(mca, mbc, c), make(mab, mbc, mca)];
+    }
+
+    // 旋转角点，使被标记的边为 ab（两条边时为 ab 和 bc）
+    const k = [0, 1, 2].find(i => mids[i] && (count === 1 || mids[(i + 1) % 3]));
+    const a = corners[k];
+    const b = corners[(k + 1) % 3];
+    const c = corners[(k + 2) % 3];
+    const mab = mids[k];
+    if (count === 1) return [make(a, mab, c), make(mab, b, c)];
+    const mbc = mids[(k + 1) % 3];
+    return [make(mab, b, mbc), make(a, mab, mbc), make(a, mbc, c)];
+  };
+
+  let items = meshData.triangles.map(triangle => ({ triangle, top: getTriangleFace(vertices, triangle) === 'top' }));
+  for (;;) {
+    const midpoints = new Map();
+    items.forEach(({ triangle: { v1, v2, v3 }, top }) => {
+      if (!top) return;
+      [[v1, v2], [v2, v3], [v3, v1]].forEach(([a, b]) => {
+        const key = edgeKey(a, b);
+        if (midpoints.has(key) || lengthSq(a, b) <= maxLengthSq) return;
+        const p = vertices[a];
+        const q = vertices[b];
+        midpoints.set(key, vertices.length);
+        vertices.push({ x: (p.x + q.x) / 2, y: (p.y + q.y) / 2, z: (p.z + q.z) / 2 });
+      });
+    });
+    if (midpoints.size === 0) break;
+
+    // 每个三角形拆成 1 + 被标记边数 个，先算出本轮的结果数，超出上限时不再拆分
+    const count = items.reduce((sum, { triangle: { v1, v2, v3 } }) =>
+      sum + 1 + [[v1, v2], [v2, v3], [v3, v1]].filter(([a, b]) => midpoints.has(edgeKey(a, b))).length, 0);
+    if (count > maxTriangles) return null;
+    items = items.flatMap(item => splitTriangle(item, midpoints));
+  }
+
+  if (items.length > maxTriangles) return null;
+  return { vertices, triangles: items.map(({ triangle }) => triangle) };
+};
+
+/**
+ * 粗略估计多色导出细分后的三角形数（按板面包围盒面积）
+ * @param {Object} params - puzzleParams
+ * @param {number} resolution - 细分边长 (mm)
+ * @returns {number}
+ */
+export const estimateColorTriangles = (params, resolution) => {
+  const density = params.splitMode === 'straight' ? STRAIGHT_TRIANGLE_DENSITY : CURVED_TRIANGLE_DENSITY;
+  return Math.ceil(params.width * params.height * density / (resolution * resolution));
+};
+
+/**
+ * 检查多色导出的细分边长是否会产生过多三角形
+ * @param {Object} params - puzzleParams
+ * @param {number} resolution - 细分边长 (mm)
+ * @returns {string|null} 警告信息；没有问题时返回 null
+ */
+export const getColorResolutionWarning = (params, resolution) => {
+  const estimate = estimateColorTriangles(params, resolution);
+  if (estimate <= MAX_COLOR_TRIANGLES) return null;
+  return `按 ${resolution}mm 细分约有 ${Math.round(estimate / 10000)} 万个三角形，超过上限 ` +
+    `${MAX_COLOR_TRIANGLES / 10000} 万，导出时会自动加大细分边长，颜色边界会变粗`;
+};
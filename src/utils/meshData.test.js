@@ -0,0 +1,144 @@
+import * as THREE from 'three';
+import {
+  extractMeshData,
+  getTriangleFace,
+  validateMeshData,
+  subdivideTopSurface,
+  getColorResolutionWarning,
+  MAX_COLOR_TRIANGLES
+} from './meshData';
+import { createExportMeshes } from './exportMeshes';
+import { createTestParams, createTestOptions } from '../testUtils';
+
+// 各种板面形状、布局和分割方式，导出的每个网格都应封闭且朝外
+const CASES = [
+  { name: '矩形直线分割', params: {} },
+  { name: '凸榫', params: { gridX: 3, gridY: 2, splitMode: 'jigsaw' } },
+  { name: '波浪 + 间隙', params: { splitMode: 'wave', clearance: 0.3 } },
+  { name: '锯齿', params: { splitMode: 'zigzag' } },
+  { name: '不规则布局', params: { layoutMode: 'voronoi', pieceCount: 6 } },
+  { name: '六边形布局', params: { layoutMode: 'hex', gridX: 3, gridY: 3 } },
+  { name: '圆形板面', params: { boardShape: 'circle', splitMode: 'jigsaw' } },
+  { name: '心形板面', params: { boardShape: 'heart' } },
+  { name: '圆角矩形板面', params: { boardShape: 'roundedRect', cornerRadius: 15 } }
+];
+
+describe('extractMeshData', () => {
+  test('合并重合顶点，相邻三角形共享顶点', () => {
+    // BoxGeometry 每个面有单独的顶点：24 个顶点合并为 8 个
+    const meshData = extractMeshData(new THREE.BoxGeometry(10, 10, 10).toNonIndexed());
+    expect(meshData.vertices).toHaveLength(8);
+    expect(meshData.triangles).toHaveLength(12);
+    expect(validateMeshData(meshData)).toEqual([]);
+  });
+
+  test('加上位置偏移，保留每个角的纹理坐标', () => {
+    const meshData = extractMeshData(new THREE.BoxGeometry(2, 2, 2), new THREE.Vector3(10, 0, 0));
+    const xs = meshData.vertices.map(v => v.x);
+    expect(Math.min(...xs)).toBeCloseTo(9);
+    expect(Math.max(...xs)).toBeCloseTo(11);
+    expect(meshData.triangles[0].uvs).toHaveLength(3);
+  });
+
+  test('去掉合并后退化的三角形', () => {
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array([0, 0, 0, 0, 0, 0, 1, 0, 0]), 3));
+    expect(extractMeshData(geometry).triangles).toHaveLength(0);
+  });
+
+  test.each(CASES)('$name: 导出的网格封闭且朝外', ({ params }) => {
+    createExportMeshes(createTestParams(params), createTestOptions()).forEach(({ name, geometry, position }) => {
+      expect({ name, problems: validateMeshData(extractMeshData(geometry, position)) }).toEqual({ name, problems: [] });
+    });
+  });
+});
+
+describe('validateMeshData', () => {
+  const box = () => extractMeshData(new THREE.BoxGeometry(10, 10, 10));
+
+  test('缺少三角形时报告非流形边', () => {
+    const meshData = box();
+    meshData.triangles.pop();
+    expect(validateMeshData(meshData)[0]).toMatch('非流形边');
+  });
+
+  test('单个三角形翻转时报告法线方向相反', () => {
+    const meshData = box();
+    const t = meshData.triangles[0];
+    meshData.triangles[0] = { ...t, v2: t.v3, v3: t.v2 };
+    expect(validateMeshData(meshData).some(problem => problem.includes('法线方向相反'))).toBe(true);
+  });
+
+  test('整体翻转时报告法线朝内', () => {
+    const meshData = box();
+    meshData.triangles = meshData.triangles.map(t => ({ ...t, v2: t.v3, v3: t.v2 }));
+    expect(validateMeshData(meshData)).toEqual(['法线整体朝内（网格内外翻转）']);
+  });
+});
+
+describe('getTriangleFace', () => {
+  const vertices = [{ x: 0, y: 0, z: 0 }, { x: 1, y: 0, z: 0 }, { x: 0, y: 1, z: 0 }, { x: 0, y: 0, z: 1 }];
+
+  test('按法线区分顶面、底面和侧面', () => {
+    expect(getTriangleFace(vertices, { v1: 0, v2: 1, v3: 2 })).toBe('top');
+    expect(getTriangleFace(vertices, { v1: 0, v2: 2, v3: 1 })).toBe('bottom');
+    expect(getTriangleFace(vertices, { v1: 0, v2: 1, v3: 3 })).toBe('side');
+  });
+});
+
+describe('subdivideTopSurface', () => {
+  const pieceMeshData = (overrides) => {
+    const [{ geometry, position }] = createExportMeshes(createTestParams(overrides), createTestOptions());
+    return extractMeshData(geometry, position);
+  };
+  const edgeLength = (vertices, a, b) => Math.hypot(
+    vertices[a].x - vertices[b].x, vertices[a].y - vertices[b].y, vertices[a].z - vertices[b].z
+  );
+
+  test.each([
+    ['直线分割', {}],
+    ['凸榫', { gridX: 3, gridY: 3, splitMode: 'jigsaw' }],
+    ['圆形板面', { boardShape: 'circle', splitMode: 'wave' }]
+  ])('%s: 细分后仍封闭，顶面边不长于细分边长', (name, overrides) => {
+    const meshData = pieceMeshData(overrides);
+    const subdivided = subdivideTopSurface(meshData, 2);
+    expect(subdivided.triangles.length).toBeGreaterThan(meshData.triangles.length);
+    expect(validateMeshData(subdivided)).toEqual([]);
+
+    const { vertices } = subdivided;
+    subdivided.triangles.filter(t => getTriangleFace(vertices, t) === 'top').forEach(({ v1, v2, v3 }) => {
+      [[v1, v2], [v2, v3], [v3, v1]].forEach(([a, b]) => {
+        expect(edgeLength(vertices, a, b)).toBeLessThanOrEqual(2 + 1e-9);
+      });
+    });
+  });
+
+  test('新顶点的纹理坐标按线性插值，与位置对应', () => {
+    // 整块板面 100 × 100mm，中心在原点，顶面 UV 映射到整张图片：u = x / 100 + 0.5
+    const [{ geometry, position }] = createExportMeshes(createTestParams(), createTestOptions({ target: 'board' }));
+    const subdivided = subdivideTopSurface(extractMeshData(geometry, position), 5);
+    const { vertices } = subdivided;
+    const top = subdivided.triangles.filter(t => getTriangleFace(vertices, t) === 'top');
+    expect(top.length).toBeGreaterThan(100);
+    top.forEach(t => {
+      [t.v1, t.v2, t.v3].forEach((id, k) => {
+        expect(t.uvs[k].u).toBeCloseTo(vertices[id].x / 100 + 0.5, 5);
+        expect(t.uvs[k].v).toBeCloseTo(vertices[id].y / 100 + 0.5, 5);
+      });
+    });
+  });
+
+  test('超出三角形数上限时返回 null', () => {
+    const meshData = pieceMeshData({});
+    expect(subdivideTopSurface(meshData, 0.5, 1000)).toBe(null);
+    expect(subdivideTopSurface(meshData, 10, 1000)).not.toBe(null);
+  });
+});
+
+describe('getColorResolutionWarning', () => {
+  test('估计的三角形数超过上限时提示', () => {
+    expect(getColorResolutionWarning(createTestParams(), 1)).toBe(null);
+    const warning = getColorResolutionWarning(createTestParams({ width: 400, height: 400, splitMode: 'jigsaw' }), 0.5);
+    expect(warning).toContain(`超过上限 ${MAX_COLOR_TRIANGLES / 10000} 万`);
+  });
+});
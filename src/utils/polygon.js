@@ -0,0 +1,531 @@
+/**
+ * 二维多边形工具
+ * 为非网格布局（Voronoi、六边形、三角形等）提供面积、质心、半平面裁剪以及多边形拓扑（共享顶点/共享边）计算。
+ *
+ * 所有多边形均为 THREE.Vector2 数组，首尾不重复，默认逆时针方向。
+ */
+import * as THREE from 'three';
+
+/**
+ * 计算多边形的有向面积（逆时针为正）
+ * @param {THREE.Vector2[]} points
+ * @returns {number}
+ */
+export const polygonArea = (points) => {
+  let area = 0;
+  for (let i = 0, n = points.length; i < n; i++) {
+    const p = points[i];
+    const q = points[(i + 1) % n];
+    area += p.x * q.y - q.x * p.y;
+  }
+  return area / 2;
+};
+
+/**
+ * 计算多边形的质心
+ * 面积退化（接近 0）时退回到顶点平均值。
+ * @param {THREE.Vector2[]} points
+ * @returns {THREE.Vector2}
+ */
+export const polygonCentroid = (points) => {
+  const area = polygonArea(points);
+
+  if (Math.abs(area) < 1e-12) {
+    const sum = points.reduce((acc, p) => acc.add(p), new THREE.Vector2());
+    return sum.divideScalar(Math.max(points.length, 1));
+  }
+
+  let cx = 0;
+  let cy = 0;
+  for (let i = 0, n = points.length; i < n; i++) {
+    const p = points[i];
+    const q = points[(i + 1) % n];
+    const cross = p.x * q.y - q.x * p.y;
+    cx += (p.x + q.x) * cross;
+    cy += (p.y + q.y) * cross;
+  }
+  return new THREE.Vector2(cx / (6 * area), cy / (6 * area));
+};
+
+/**
+ * 用半平面裁剪凸多边形（Sutherland–Hodgman 单边裁剪）
+ * 保留满足 (p - origin) · normal <= 0 的部分。
+ * @param {THREE.Vector2[]} points - 待裁剪多边形
+ * @param {THREE.Vector2} origin   - 分界线上的一点
+ * @param {THREE.Vector2} normal   - 分界线法向（指向被裁掉的一侧）
+ * @returns {THREE.Vector2[]} 裁剪后的多边形（可能为空）
+ */
+export const clipPolygonByHalfPlane = (points, origin, normal) => {
+  const result = [];
+  const side = (p) => (p.x - origin.x) * normal.x + (p.y - origin.y) * normal.y;
+
+  for (let i = 0, n = points.length; i < n; i++) {
+    const current = points[i];
+    const next = points[(i + 1) % n];
+    const sc = side(current);
+    const sn = side(next);
+
+    if (sc <= 0) {
+      result.push(current.clone());
+    }
+    // 跨越分界线时插入交点
+    if ((sc < 0 && sn > 0) || (sc > 0 && sn < 0)) {
+      const t = sc / (sc - sn);
+      result.push(new THREE.Vector2(
+        current.x + (next.x - current.x) * t,
+        current.y + (next.y - current.y) * t
+      ));
+    }
+  }
+
+  return result;
+};
+
+/**
+ * 生成轴对齐矩形多边形（逆时针）
+ * @returns {THREE.Vector2[]}
+ */
+export const rectanglePolygon = (xMin, yMin, xMax, yMax) => [
+  new THREE.Vector2(xMin, yMin),
+  new THREE.Vector2(xMax, yMin),
+  new THREE.Vector2(xMax, yMax),
+  new THREE.Vector2(xMin, yMax)
+];
+
+/**
+ * 将多边形裁剪到轴对齐矩形内（依次用矩形四条边做半平面裁剪，裁剪结果仍为凸多边形时最可靠）
+ * @returns {THREE.Vector2[]} 裁剪后的多边形（完全在矩形外时为空）
+ */
+export const clipPolygonToRectangle = (points, xMin, yMin, xMax, yMax) => {
+  let result = points;
+  result = clipPolygonByHalfPlane(result, new THREE.Vector2(xMin, 0), new THREE.Vector2(-1, 0));
+  result = clipPolygonByHalfPlane(result, new THREE.Vector2(xMax, 0), new THREE.Vector2(1, 0));
+  result = clipPolygonByHalfPlane(result, new THREE.Vector2(0, yMin), new THREE.Vector2(0, -1));
+  result = clipPolygonByHalfPlane(result, new THREE.Vector2(0, yMax), new THREE.Vector2(0, 1));
+  return result;
+};
+
+/**
+ * 创建顶点合并器：距离不超过 epsilon 的点合并为同一顶点
+ * @param {number} epsilon - 合并容差
+ * @returns {{vertices: THREE.Vector2[], weld: function(THREE.Vector2): number}} weld 返回顶点编号
+ */
+const createVertexWelder = (epsilon) => {
+  const vertices = [];
+  const buckets = new Map();
+  const bucketKey = (ix, iy) => `${ix},${iy}`;
+
+  // 空间哈希合并顶点：检查相邻 3×3 个桶，避免容差边界两侧的点被拆开
+  const weld = (p) => {
+    const ix = Math.round(p.x / epsilon);
+    const iy = Math.round(p.y / epsilon);
+    for (let dx = -1; dx <= 1; dx++) {
+      for (let dy = -1; dy <= 1; dy++) {
+        const bucket = buckets.get(bucketKey(ix + dx, iy + dy));
+        if (!bucket) continue;
+        const found = bucket.find(id => vertices[id].distanceTo(p) <= epsilon);
+        if (found !== undefined) return found;
+      }
+    }
+    const id = vertices.length;
+    vertices.push(p.clone());
+    const key = bucketKey(ix, iy);
+    if (!buckets.has(key)) buckets.set(key, []);
+    buckets.get(key).push(id);
+    return id;
+  };
+
+  return { vertices, weld };
+};
+
+/**
+ * 构建多边形集合的拓扑关系
+ * 独立计算的多边形在共享顶点处只存在浮点误差，这里按容差合并顶点，
+ * 再按顶点对识别共享边，得到每条边两侧的多边形。
+ *
+ * @param {THREE.Vector2[][]} polygons - 多边形列表
+ * @param {number} epsilon             - 顶点合并容差
+ * @returns {{
+ *   vertices: THREE.Vector2[],
+ *   faces: number[][],
+ *   edges: Array<{ v0: number, v1: number, faces: number[] }>,
+ *   edgeIndex: function(number, number): number
+ * }} faces 为每个多边形的顶点编号序列；edges 的 v0 < v1，faces 为共享该边的多边形（1 或 2 个）；
+ *    edgeIndex(a, b) 按两端顶点编号查找边的序号
+ */
+export const buildPolygonTopology = (polygons, epsilon = 1e-6) => {
+  const { vertices, weld } = createVertexWelder(epsilon);
+
+  const faces = polygons.map(points => {
+    const ids = [];
+    points.forEach(p => {
+      const id = weld(p);
+      // 去除合并后相邻重复的顶点
+      if (ids[ids.length - 1] !== id) ids.push(id);
+    });
+    if (ids.length > 1 && ids[0] === ids[ids.length - 1]) ids.pop();
+    return ids;
+  });
+
+  const edgeMap = new Map();
+  const edges = [];
+  faces.forEach((ids, faceIndex) => {
+    for (let i = 0, n = ids.length; i < n; i++) {
+      const a = ids[i];
+      const b = ids[(i + 1) % n];
+      const v0 = Math.min(a, b);
+      const v1 = Math.max(a, b);
+      const key = `${v0}-${v1}`;
+      if (!edgeMap.has(key)) {
+        edgeMap.set(key, edges.length);
+        edges.push({ v0, v1, faces: [] });
+      }
+      edges[edgeMap.get(key)].faces.push(faceIndex);
+    }
+  });
+
+  const edgeIndex = (a, b) => edgeMap.get(`${Math.min(a, b)}-${Math.max(a, b)}`);
+
+  return { vertices, faces, edges, edgeIndex };
+};
+
+/**
+ * 求两条线段的交点（不含端点接触与共线重叠）
+ * @returns {THREE.Vector2|null}
+ */
+export const segmentIntersection = (a, b, c, d) => {
+  const rx = b.x - a.x;
+  const ry = b.y - a.y;
+  const sx = d.x - c.x;
+  const sy = d.y - c.y;
+  const denom = rx * sy - ry * sx;
+  if (Math.abs(denom) < 1e-12) return null;
+
+  const t = ((c.x - a.x) * sy - (c.y - a.y) * sx) / denom;
+  const u = ((c.x - a.x) * ry - (c.y - a.y) * rx) / denom;
+  if (t <= 1e-9 || t >= 1 - 1e-9 || u <= 1e-9 || u >= 1 - 1e-9) return null;
+  return new THREE.Vector2(a.x + rx * t, a.y + ry * t);
+};
+
+/**
+ * 去除多边形上的局部自交小环
+ * 轮廓偏移后，尖角或急弯处相邻的几条线段会相互穿过形成"燕尾"，
+ * 这里在 window 条线段范围内查找相交，用交点替换两交线之间的顶点。
+ * @param {THREE.Vector2[]} points
+ * @param {number} window - 查找范围（线段数）
+ * @returns {THREE.Vector2[]} 新的多边形
+ */
+export const removeLocalLoops = (points, window = 16) => {
+  let result = points;
+  let changed = true;
+
+  while (changed && result.length > 3) {
+    changed = false;
+    const n = result.length;
+    const maxStep = Math.min(window, n - 2);
+
+    for (let i = 0; i < n && !changed; i++) {
+      for (let k = 2; k <= maxStep; k++) {
+        const j = (i + k) % n;
+        const hit = segmentIntersection(result[i], result[(i + 1) % n], result[j], result[(j + 1) % n]);
+        if (!hit) continue;
+
+        // 删除 i+1 … i+k 之间的顶点，插入交点
+        result = i + k < n
+          ? [...result.slice(0, i + 1), hit, ...result.slice(i + k + 1)]
+          : [hit, ...result.slice(i + k - n + 1, i + 1)];
+        changed = true;
+        break;
+      }
+    }
+  }
+
+  return result;
+};
+
+/**
+ * 判断点是否在多边形内（射线法，奇偶规则）
+ * @param {THREE.Vector2} point
+ * @param {THREE.Vector2[]} points
+ * @returns {boolean}
+ */
+export const pointInPolygon = (point, points) => {
+  let inside = false;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const a = points[i];
+    const b = points[j];
+    if ((a.y > point.y) !== (b.y > point.y) &&
+        point.x < (b.x - a.x) * (point.y - a.y) / (b.y - a.y) + a.x) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+/**
+ * 用半平面切分任意简单多边形（可为凹多边形）
+ * 与 clipPolygonByHalfPlane 不同，凹多边形被切成几块时分别返回，不会在分界线上留下零宽度的连接边。
+ * 做法：收集保留侧的各段边界链（进入点 → 保留侧顶点 → 离开点），
+ * 按交点在分界线上的位置排序后两两配对（相邻两个交点之间是原多边形内部的一段分界线），
+ * 再沿"链 → 分界线 → 链"把各段首尾相连。
+ * @param {THREE.Vector2[]} points - 待切分多边形（逆时针）
+ * @param {THREE.Vector2} origin   - 分界线上的一点
+ * @param {THREE.Vector2} normal   - 分界线法向（指向被裁掉的一侧）
+ * @returns {THREE.Vector2[][]} 保留侧的多边形列表（可能为空）
+ */
+export const splitPolygonByHalfPlane = (points, origin, normal) => {
+  const n = points.length;
+  const side = points.map(p => (p.x - origin.x) * normal.x + (p.y - origin.y) * normal.y);
+  // 落在分界线上的顶点归入被裁掉的一侧，保证进入点与离开点严格交替出现
+  const inside = side.map(s => s < 0);
+
+  if (inside.every(Boolean)) return [points.map(p => p.clone())];
+  if (!inside.some(Boolean)) return [];
+
+  const crossing = (a, b) => {
+    const t = side[a] / (side[a] - side[b]);
+    return new THREE.Vector2(
+      points[a].x + (points[b].x - points[a].x) * t,
+      points[a].y + (points[b].y - points[a].y) * t
+    );
+  };
+
+  // 保留侧的边界链，每条链以进入点开头、以离开点结尾
+  const chains = [];
+  for (let i = 0; i < n; i++) {
+    const next = (i + 1) % n;
+    if (inside[i] || !inside[next]) continue;
+
+    const chain = [crossing(i, next)];
+    let k = next;
+    while (inside[k]) {
+      chain.push(points[k].clone());
+      k = (k + 1) % n;
+    }
+    chain.push(crossing((k - 1 + n) % n, k));
+    chains.push(chain);
+  }
+
+  // 交点沿分界线方向排序，相邻两个交点围成原多边形内部的一段分界线
+  const along = (p) => (p.x - origin.x) * -normal.y + (p.y - origin.y) * normal.x;
+  const ends = [];
+  chains.forEach((chain, index) => {
+    ends.push({ index, entry: true, s: along(chain[0]) });
+    ends.push({ index, entry: false, s: along(chain[chain.length - 1]) });
+  });
+  ends.sort((a, b) => a.s - b.s);
+
+  // 每条链的离开点对应的下一条链
+  const nextChain = new Array(chains.length);
+  for (let k = 0; k + 1 < ends.length; k += 2) {
+    const [p, q] = [ends[k], ends[k + 1]];
+    if (!p.entry) nextChain[p.index] = q.index;
+    if (!q.entry) nextChain[q.index] = p.index;
+  }
+
+  const used = new Array(chains.length).fill(false);
+  const result = [];
+  chains.forEach((chain, start) => {
+    if (used[start]) return;
+    const polygon = [];
+    let current = start;
+    while (current !== undefined && !used[current]) {
+      used[current] = true;
+      chains[current].forEach(p => {
+        const last = polygon[polygon.length - 1];
+        if (!last || last.distanceToSquared(p) > 1e-20) polygon.push(p);
+      });
+      current = nextChain[current];
+    }
+    if (polygon.length > 1 && polygon[0].distanceToSquared(polygon[polygon.length - 1]) <= 1e-20) {
+      polygon.pop();
+    }
+    if (polygon.length >= 3) result.push(polygon);
+  });
+
+  return result;
+};
+
+/**
+ * 用凸多边形裁剪任意简单多边形，依次沿凸多边形的每条边切分
+ * @param {THREE.Vector2[]} points - 待裁剪多边形（逆时针，可为凹多边形）
+ * @param {THREE.Vector2[]} convex - 凸多边形裁剪窗口（逆时针）
+ * @returns {THREE.Vector2[][]} 落在窗口内的多边形列表
+ */
+export const clipPolygonToConvex = (points, convex) => {
+  let parts = [points];
+  for (let i = 0, n = convex.length; i < n && parts.length > 0; i++) {
+    const a = convex[i];
+    const b = convex[(i + 1) % n];
+    // 逆时针多边形的外侧在边的右手方向
+    const normal = new THREE.Vector2(b.y - a.y, a.x - b.x);
+    parts = parts.flatMap(part => splitPolygonByHalfPlane(part, a, normal));
+  }
+  return parts;
+};
+
+/**
+ * 用一组折线切割多边形，得到由边界和切割线围成的所有区域
+ * 切割线在交点处互相打断并与边界相连；端点距其它线段不超过 snap 时视为相交，容许手绘的切割线略短或略长。
+ * 只有一端相连的悬空线段不围成区域，会被剪除；与外边界不连通的闭合切割线会围出带洞的区域，同样被忽略。
+ * @param {THREE.Vector2[]} polygon - 外边界
+ * @param {THREE.Vector2[][]} cuts  - 切割折线（闭合的折线首尾点相同）
+ * @param {number} snap             - 吸附距离
+ * @returns {THREE.Vector2[][]} 逆时针的区域多边形，恰好铺满外边界
+ */
+export const splitPolygonByCuts = (polygon, cuts, snap) => {
+  const boundaryCount = polygon.length;
+  const segments = polygon.map((p, i) => [p, polygon[(i + 1) % boundaryCount]]);
+  cuts.forEach(line => {
+    for (let i = 0; i < line.length - 1; i++) {
+      if (line[i].distanceTo(line[i + 1]) > 0) segments.push([line[i], line[i + 1]]);
+    }
+  });
+
+  // 求所有交点（外边界自身的线段之间不必求），记录交点在各线段上的参数位置
+  const splits = segments.map(([a, b]) => [{ t: 0, point: a }, { t: 1, point: b }]);
+  const lengths = segments.map(([a, b]) => a.distanceTo(b));
+  const boxes = segments.map(([a, b]) => [
+    Math.min(a.x, b.x) - snap, Math.min(a.y, b.y) - snap,
+    Math.max(a.x, b.x) + snap, Math.max(a.y, b.y) + snap
+  ]);
+
+  for (let i = 0; i < segments.length; i++) {
+    const [a, b] = segments[i];
+    const boxA = boxes[i];
+    for (let j = Math.max(i + 1, boundaryCount); j < segments.length; j++) {
+      const boxB = boxes[j];
+      if (boxB[0] > boxA[2] || boxB[2] < boxA[0] || boxB[1] > boxA[3] || boxB[3] < boxA[1]) continue;
+
+      const [c, d] = segments[j];
+      const rx = b.x - a.x;
+      const ry = b.y - a.y;
+      const sx = d.x - c.x;
+      const sy = d.y - c.y;
+      const denom = rx * sy - ry * sx;
+      if (Math.abs(denom) <= 1e-12 * lengths[i] * lengths[j]) continue;
+
+      const t = ((c.x - a.x) * sy - (c.y - a.y) * sx) / denom;
+      const u = ((c.x - a.x) * ry - (c.y - a.y) * rx) / denom;
+      const tolT = snap / lengths[i];
+      const tolU = snap / lengths[j];
+      if (t < -tolT || t > 1 + tolT || u < -tolU || u > 1 + tolU) continue;
+
+      // 略短的线段延伸到交点，略长的部分成为悬空线段
+      const point = new THREE.Vector2(a.x + rx * t, a.y + ry * t);
+      splits[i].push({ t, point });
+      splits[j].push({ t: u, point });
+    }
+  }
+
+  // 在交点处打断线段，合并顶点并去除重复的边
+  const { vertices, weld } = createVertexWelder(snap * 1e-3);
+  const adjacency = [];
+  const link = (a, b) => {
+    (adjacency[a] = adjacency[a] || new Set()).add(b);
+    (adjacency[b] = adjacency[b] || new Set()).add(a);
+  };
+  splits.forEach(list => {
+    const ids = list.sort((p, q) => p.t - q.t).map(({ point }) => weld(point));
+    for (let k = 0; k < ids.length - 1; k++) {
+      if (ids[k] !== ids[k + 1]) link(ids[k], ids[k + 1]);
+    }
+  });
+  vertices.forEach((_, id) => { adjacency[id] = adjacency[id] || new Set(); });
+
+  // 逐步剪除悬空线段
+  const stack = vertices.map((_, id) => id).filter(id => adjacency[id].size === 1);
+  while (stack.length > 0) {
+    const id = stack.pop();
+    adjacency[id].forEach(other => {
+      adjacency[other].delete(id);
+      if (adjacency[other].size === 1) stack.push(other);
+    });
+    adjacency[id].clear();
+  }
+
+  // 只保留与外边界连通的部分
+  const reached = new Set([weld(polygon[0])]);
+  const queue = [...reached];
+  while (queue.length > 0) {
+    adjacency[queue.pop()].forEach(other => {
+      if (!reached.has(other)) {
+        reached.add(other);
+        queue.push(other);
+      }
+    });
+  }
+
+  // 每个顶点的相邻顶点按角度逆时针排序
+  const around = new Map();
+  reached.forEach(id => {
+    const center = vertices[id];
+    const angle = (other) => Math.atan2(vertices[other].y - center.y, vertices[other].x - center.x);
+    around.set(id, [...adjacency[id]].sort((p, q) => angle(p) - angle(q)));
+  });
+
+  // 沿半边追踪各个面：到达顶点后取入边顺时针方向的下一条边，使面始终位于左侧
+  const visited = new Set();
+  const regions = [];
+  around.forEach((neighbors, start) => {
+    neighbors.forEach(first => {
+      if (visited.has(`${start}-${first}`)) return;
+
+      const loop = [];
+      let from = start;
+      let to = first;
+      while (!visited.has(`${from}-${to}`)) {
+        visited.add(`${from}-${to}`);
+        loop.push(vertices[from]);
+        const ring = around.get(to);
+        const next = ring[(ring.indexOf(from) - 1 + ring.length) % ring.length];
+        from = to;
+        to = next;
+      }
+
+      // 无界的外侧面为顺时针（面积为负）；切割线在边界外围出的面也要排除，取最长边中点内侧一点判断
+      if (polygonArea(loop) <= 0) return;
+      let longest = 0;
+      loop.forEach((p, k) => {
+        if (p.distanceToSquared(loop[(k + 1) % loop.length]) >
+          loop[longest].distanceToSquared(loop[(longest + 1) % loop.length])) {
+          longest = k;
+        }
+      });
+      const a = loop[longest];
+      const b = loop[(longest + 1) % loop.length];
+      const probe = new THREE.Vector2(
+        (a.x + b.x) / 2 - (b.y - a.y) * 1e-4,
+        (a.y + b.y) / 2 + (b.x - a.x) * 1e-4
+      );
+      if (pointInPolygon(probe, polygon)) regions.push(loop.map(p => p.clone()));
+    });
+  });
+
+  return regions;
+};
+
+/**
+ * 计算点集的凸包（Andrew 单调链算法）
+ * @param {THREE.Vector2[]} points
+ * @returns {THREE.Vector2[]} 逆时针方向的凸包顶点（共线点不保留）
+ */
+export const convexHull = (points) => {
+  const sorted = [...points].sort((a, b) => a.x - b.x || a.y - b.y);
+  if (sorted.length < 3) return sorted.map(p => p.clone());
+
+  const cross = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+  const buildChain = (list) => {
+    const chain = [];
+    list.forEach(p => {
+      while (chain.length >= 2 && cross(chain[chain.length - 2], chain[chain.length - 1], p) <= 0) {
+        chain.pop();
+      }
+      chain.push(p);
+    });
+    chain.pop();
+    return chain;
+  };
+
+  return [...buildChain(sorted), ...buildChain([...sorted].reverse())].map(p => p.clone());
+};
@@ -10,6 +10,20 @@
  *   拼图整体中心在原点, 底面在 Z=0, 顶面在 Z=depth
  */
 import * as THREE from 'three';
+import {
+  polygonArea,
+  polygonCentroid,
+  clipPolygonByHalfPlane,
+  clipPolygonToRectangle,
+  rectanglePolygon,
+  buildPolygonTopology,
+  removeLocalLoops,
+  clipPolygonToConvex,
+  pointInPolygon,
+  segmentIntersection,
+  splitPolygonByCuts
+} from './polygon';
+import { createBoardOutline } from './boardOutline';
 
 /* ------------------------------------------------------------------ */
 /*  辅助：沿分割边界生成偏移量                                          */
@@ -18,7 +32,7 @@ import * as THREE from 'three';
 /**
  * 计算分割线在参数 t∈[0,1] 处的横向偏移量
  * @param {number} t       - 归一化参数 0→1
- * @param {string} mode    - 'straight' | 'wave' | 'zigzag'
+ * @param {string} mode    - 'straight' | 'wave' | 'zigzag'（'jigsaw' 由 jigsawProfile 单独处理）
  * @param {number} amplitude - 偏移幅度（默认按拼图块尺寸自适应）
  * @returns {number} 偏移量
  */
@@ -35,57 +49,245 @@ const splitOffset = (t, mode, amplitude = 3) => {
   }
 };
 
+/**
+ * 边界两端的渐变系数：两端 ramp 范围内从 0 平滑过渡到 1
+ * 保证任意相位下曲线都从拼图块的角点出发、在角点结束。
+ * @param {number} t    - 归一化参数 0→1
+ * @param {number} ramp - 渐变区间占边界长度的比例（默认 10%）
+ * @returns {number} 0~1
+ */
+const edgeTaper = (t, ramp = 0.1) => {
+  const x = Math.min(1, t / ramp, (1 - t) / ramp);
+  return x * x * (3 - 2 * x);
+};
+
+/**
+ * 创建确定性的伪随机数生成器 (mulberry32)
+ * 由 seed 与边界标识共同哈希得到初始状态，同一输入始终得到相同序列。
+ * @param {number} seed    - 拼图随机种子
+ * @param {...(string|number)} keys - 边界标识（方向、分界线序号、格子序号）
+ * @returns {function(): number} 每次调用返回 [0,1) 内的随机数
+ */
+const createEdgeRandom = (seed, ...keys) => {
+  // FNV-1a 哈希
+  let h = 2166136261;
+  const text = [seed, ...keys].join(':');
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 16777619);
+  }
+
+  let state = h >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let r = state;
+    r = Math.imul(r ^ (r >>> 15), r | 1);
+    r ^= r + Math.imul(r ^ (r >>> 7), r | 61);
+    return ((r ^ (r >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * 经典拼图凸榫轮廓的三次贝塞尔曲线段
+ * 单位坐标系：u 沿边界方向 0→1（凸榫总宽度），v 为垂直边界的凸起高度（与 u 同单位）。
+ * 每段为 [起点, 控制点1, 控制点2, 终点]，首尾均落在 v=0 上；
+ * 颈部 (u≈0.42~0.58) 比头部 (u≈0.33~0.67) 窄，因此相邻两块能够互相咬合。
+ */
+const JIGSAW_TAB_CURVES = [
+  [[0, 0], [0.3, 0], [0.45, 0.01], [0.42, 0.08]],
+  [[0.42, 0.08], [0.40, 0.13], [0.32, 0.14], [0.33, 0.2]],
+  [[0.33, 0.2], [0.34, 0.27], [0.42, 0.3], [0.5, 0.3]],
+  [[0.5, 0.3], [0.58, 0.3], [0.66, 0.27], [0.67, 0.2]],
+  [[0.67, 0.2], [0.68, 0.14], [0.60, 0.13], [0.58, 0.08]],
+  [[0.58, 0.08], [0.55, 0.01], [0.7, 0], [1, 0]],
+];
+
+/**
+ * 生成凸榫边界的剖面曲线
+ * 凸榫中心位于 tabCenter 处，宽度为 tabSize，两侧不足部分用直线补齐。
+ * @param {number} length    - 边界长度
+ * @param {number} tabSize   - 凸榫宽度（不超过边界长度）
+ * @param {number} direction - 凸起方向：1 朝法向正方向，-1 朝负方向
+ * @param {number} tabCenter - 凸榫中心在边界上的归一化位置（默认居中）
+ * @param {number} curveSegments - 每段贝塞尔曲线的采样数
+ * @returns {THREE.Vector2[]} x=沿边界位置, y=法向偏移
+ */
+const jigsawProfile = (length, tabSize, direction, tabCenter = 0.5, curveSegments = 8) => {
+  const size = Math.min(tabSize, length);
+  const start = Math.min(Math.max(length * tabCenter - size / 2, 0), length - size);
+  const toLocal = ([u, v]) => new THREE.Vector2(start + u * size, v * size * direction);
+
+  const path = new THREE.CurvePath();
+  if (start > 0) {
+    path.add(new THREE.LineCurve(new THREE.Vector2(0, 0), toLocal([0, 0])));
+  }
+  JIGSAW_TAB_CURVES.forEach(([p0, p1, p2, p3]) => {
+    path.add(new THREE.CubicBezierCurve(toLocal(p0), toLocal(p1), toLocal(p2), toLocal(p3)));
+  });
+  if (start + size < length) {
+    path.add(new THREE.LineCurve(toLocal([1, 0]), new THREE.Vector2(length, 0)));
+  }
+
+  return path.getPoints(curveSegments);
+};
+
+/**
+ * 生成一条边界的剖面（沿边界位置 + 法向偏移），方向固定为从起点到终点
+ * @param {number} length - 边界长度
+ * @param {Object} edge   - 边界参数 { splitMode, amplitude, phase, taper, tabSize, tabCenter, direction, segments? }
+ * @returns {THREE.Vector2[]} x=沿边界位置, y=法向偏移
+ */
+const edgeProfile = (length, edge) => {
+  const {
+    splitMode, amplitude, phase = 0, taper, tabSize, tabCenter, direction = 1, segments
+  } = edge;
+
+  if (splitMode === 'jigsaw') {
+    // 凸榫越小每段曲线的采样越少（3~8），拼图块数很多时能显著减少顶点数
+    const curveSegments = Math.min(8, Math.max(3, Math.ceil(tabSize / 2)));
+    return jigsawProfile(length, tabSize, direction, tabCenter, curveSegments);
+  }
+
+  if (splitMode === 'straight') {
+    return [new THREE.Vector2(0, 0), new THREE.Vector2(length, 0)];
+  }
+
+  // 未指定采样数时按每毫米一个点采样，限制在 16~30 之间
+  const count = segments || Math.min(30, Math.max(16, Math.ceil(length)));
+  const pts = [];
+  for (let i = 0; i <= count; i++) {
+    const t = i / count;
+    const offset = splitOffset(t + phase, splitMode, amplitude) * edgeTaper(t, taper) * direction;
+    pts.push(new THREE.Vector2(length * t, offset));
+  }
+  return pts;
+};
+
 /* ------------------------------------------------------------------ */
 /*  为单块拼图生成 2D 轮廓 Shape                                       */
 /* ------------------------------------------------------------------ */
 
 /**
  * 生成水平边界线上的点序列
- * 从 (xStart, Y) 到 (xEnd, Y)，splitMode 的偏移施加在 Y 方向
+ * 从 (xStart, Y) 到 (xEnd, Y)，splitMode 的偏移施加在 Y 方向。
+ * 剖面始终按 x 增大的方向生成，反向时再倒序，保证相邻两块共享完全相同的边界。
  * @returns {THREE.Vector2[]}
  */
-const generateHorizontalEdge = (xStart, xEnd, Y, splitMode, amplitude, segments = 30) => {
-  const pts = [];
-  for (let i = 0; i <= segments; i++) {
-    const t = i / segments;
-    const x = xStart + (xEnd - xStart) * t;
-    const y = Y + splitOffset(t, splitMode, amplitude);
-    pts.push(new THREE.Vector2(x, y));
-  }
-  return pts;
+const generateHorizontalEdge = (xStart, xEnd, Y, edge) => {
+  const xMin = Math.min(xStart, xEnd);
+  const pts = edgeProfile(Math.abs(xEnd - xStart), edge)
+    .map(p => new THREE.Vector2(xMin + p.x, Y + p.y));
+  return xStart <= xEnd ? pts : pts.reverse();
 };
 
 /**
  * 生成垂直边界线上的点序列
- * 从 (X, yStart) 到 (X, yEnd)，splitMode 的偏移施加在 X 方向
+ * 从 (X, yStart) 到 (X, yEnd)，splitMode 的偏移施加在 X 方向。
+ * 剖面始终按 y 增大的方向生成，反向时再倒序。
  * @returns {THREE.Vector2[]}
  */
-const generateVerticalEdge = (X, yStart, yEnd, splitMode, amplitude, segments = 30) => {
-  const pts = [];
-  for (let i = 0; i <= segments; i++) {
-    const t = i / segments;
-    const y = yStart + (yEnd - yStart) * t;
-    const x = X + splitOffset(t, splitMode, amplitude);
-    pts.push(new THREE.Vector2(x, y));
+const generateVerticalEdge = (X, yStart, yEnd, edge) => {
+  const yMin = Math.min(yStart, yEnd);
+  const pts = edgeProfile(Math.abs(yEnd - yStart), edge)
+    .map(p => new THREE.Vector2(X + p.y, yMin + p.x));
+  return yStart <= yEnd ? pts : pts.reverse();
+};
+
+/**
+ * 计算网格中一条内部边界的参数
+ * 相位、幅度、凸榫位置与方向由 seed 和边界标识决定：
+ * 同一 seed 下结果固定，且边界两侧的拼图块取到的是同一组参数。
+ * @param {Object} params      - puzzleParams
+ * @param {string} orientation - 'horizontal'（行分界线）| 'vertical'（列分界线）
+ * @param {number} line        - 分界线序号（水平线为行号 1..gridY-1，垂直线为列号 1..gridX-1）
+ * @param {number} cell        - 沿分界线的格子序号（水平线为列号，垂直线为行号）
+ * @returns {Object} { splitMode, amplitude, phase, tabSize, tabCenter, direction }
+ */
+const getGridEdgeOptions = (params, orientation, line, cell) => {
+  const { width, height, gridX, gridY, splitMode, seed = 0 } = params;
+  const pieceW = width / gridX;
+  const pieceH = height / gridY;
+  const shortSide = Math.min(pieceW, pieceH);
+  const edgeLength = orientation === 'horizontal' ? pieceW : pieceH;
+
+  const random = createEdgeRandom(seed, orientation, line, cell);
+  const phase = random();
+  const scale = 0.75 + random() * 0.5;
+  const direction = random() < 0.5 ? 1 : -1;
+
+  // 凸榫宽度取短边的 75%~90%，中心在剩余空间的一半范围内浮动，避免与相邻边的凸榫相撞
+  const tabSize = shortSide * (0.75 + (scale - 0.75) * 0.3);
+  const tabCenter = 0.5 + (random() - 0.5) * 0.5 * (edgeLength - tabSize) / edgeLength;
+
+  return {
+    splitMode,
+    // 偏移幅度自适应拼图块大小，取短边的 8%（再按边界随机缩放）
+    amplitude: shortSide * 0.08 * scale,
+    phase,
+    tabSize,
+    tabCenter,
+    direction
+  };
+};
+
+/**
+ * 生成网格中一条内部边界的点序列（全局坐标，按坐标增大的方向）
+ * 拼图块轮廓与预览分割线共用此函数，确保两者完全一致。
+ * @param {Object} params      - puzzleParams
+ * @param {string} orientation - 'horizontal' | 'vertical'
+ * @param {number} line        - 分界线序号
+ * @param {number} cell        - 沿分界线的格子序号
+ * @returns {THREE.Vector2[]}
+ */
+export const generateGridEdge = (params, orientation, line, cell) => {
+  const { width, height, gridX, gridY } = params;
+  const pieceW = width / gridX;
+  const pieceH = height / gridY;
+  const edge = getGridEdgeOptions(params, orientation, line, cell);
+
+  if (orientation === 'horizontal') {
+    const Y = -height / 2 + line * pieceH;
+    const xStart = -width / 2 + cell * pieceW;
+    return generateHorizontalEdge(xStart, xStart + pieceW, Y, edge);
   }
-  return pts;
+
+  const X = -width / 2 + line * pieceW;
+  const yStart = -height / 2 + cell * pieceH;
+  return generateVerticalEdge(X, yStart, yStart + pieceH, edge);
+};
+
+/**
+ * 将首尾相接的边界依次拼接为闭合轮廓
+ * 每条边界的终点即下一条边界的起点，因此只取每条边界除终点外的点。
+ * @param {Array<{points: THREE.Vector2[], interior: boolean}>} edges - 按逆时针顺序排列的边界
+ * @returns {{ outline: THREE.Vector2[], interior: boolean[] }}
+ *   interior[i] 表示线段 outline[i] → outline[i+1] 是否为内部边界（与相邻拼图块共享）
+ */
+const assembleOutline = (edges) => {
+  const outline = [];
+  const interior = [];
+  edges.forEach(({ points, interior: isInterior }) => {
+    for (let k = 0; k < points.length - 1; k++) {
+      outline.push(points[k].clone());
+      interior.push(isInterior);
+    }
+  });
+  return { outline, interior };
 };
 
 /**
- * 为 (col, row) 处的拼图块生成 2D 轮廓形状
- * 返回 { shape, centerX, centerY } —— shape 的坐标已减去 center，
- * 使几何体中心位于 (0,0)，方便后续旋转操作。
+ * 为 (col, row) 处的网格拼图块生成轮廓点序列
+ * 返回 { outline, interior, centerX, centerY } —— outline 为全局坐标，逆时针方向，从左下角开始；
+ * interior 标记每条线段是否为内部边界（见 assembleOutline）。
+ * getEdge 与 generateGridEdge 的参数相同，传入带缓存的版本，使每条边界只计算一次。
  */
-export const createPieceShape = (col, row, params) => {
-  const { width, height, gridX, gridY, splitMode } = params;
+const createGridPieceOutline = (col, row, params, getEdge) => {
+  const { width, height, gridX, gridY } = params;
   const halfW = width / 2;
   const halfH = height / 2;
   const pieceW = width / gridX;
   const pieceH = height / gridY;
 
-  // 偏移幅度自适应拼图块大小，取短边的 8%
-  const amplitude = Math.min(pieceW, pieceH) * 0.08;
-
   // 拼图块在全局坐标中的四个角
   const xLeft = -halfW + col * pieceW;
   const xRight = xLeft + pieceW;
@@ -96,46 +298,40 @@ export const createPieceShape = (col, row, params) => {
   const centerX = (xLeft + xRight) / 2;
   const centerY = (yBottom + yTop) / 2;
 
-  // ---- 收集轮廓点（顺时针方向，从左下角开始） ----
-  const outline = [];
-
-  // 底边：从左到右（如果 row===0 则为外边界→直线）
-  if (row === 0) {
-    outline.push(new THREE.Vector2(xLeft, yBottom));
-    outline.push(new THREE.Vector2(xRight, yBottom));
-  } else {
-    const pts = generateHorizontalEdge(xLeft, xRight, yBottom, splitMode, amplitude);
-    outline.push(...pts);
-  }
+  const bottomLeft = new THREE.Vector2(xLeft, yBottom);
+  const bottomRight = new THREE.Vector2(xRight, yBottom);
+  const topRight = new THREE.Vector2(xRight, yTop);
+  const topLeft = new THREE.Vector2(xLeft, yTop);
 
-  // 右边：从下到上
-  if (col === gridX - 1) {
-    // 外边界→直线（第一个点与前面最后一个重复，跳过）
-    outline.push(new THREE.Vector2(xRight, yTop));
-  } else {
-    const pts = generateVerticalEdge(xRight, yBottom, yTop, splitMode, amplitude);
-    // 跳过第一个点（与底边最后一个重复）
-    outline.push(...pts.slice(1));
-  }
-
-  // 顶边：从右到左（反向）
-  if (row === gridY - 1) {
-    outline.push(new THREE.Vector2(xLeft, yTop));
-  } else {
-    const pts = generateHorizontalEdge(xRight, xLeft, yTop, splitMode, amplitude);
-    outline.push(...pts.slice(1));
-  }
+  // ---- 四条边（逆时针方向，从左下角开始）；位于外边界的边为直线 ----
+  const edges = [
+    // 底边：从左到右
+    row === 0
+      ? { points: [bottomLeft, bottomRight], interior: false }
+      : { points: getEdge(params, 'horizontal', row, col), interior: true },
+    // 右边：从下到上
+    col === gridX - 1
+      ? { points: [bottomRight, topRight], interior: false }
+      : { points: getEdge(params, 'vertical', col + 1, row), interior: true },
+    // 顶边：从右到左（反向，复制后再倒序以免改动缓存中的边界）
+    row === gridY - 1
+      ? { points: [topRight, topLeft], interior: false }
+      : { points: [...getEdge(params, 'horizontal', row + 1, col)].reverse(), interior: true },
+    // 左边：从上到下（反向）
+    col === 0
+      ? { points: [topLeft, bottomLeft], interior: false }
+      : { points: [...getEdge(params, 'vertical', col, row)].reverse(), interior: true }
+  ];
 
-  // 左边：从上到下（反向）
-  if (col === 0) {
-    // 最后闭合回起点，Shape 会自动闭合，不需要加
-  } else {
-    const pts = generateVerticalEdge(xLeft, yTop, yBottom, splitMode, amplitude);
-    // 跳过第一个和最后一个（与顶边尾/底边头重复）
-    outline.push(...pts.slice(1, -1));
-  }
+  return { ...assembleOutline(edges), centerX, centerY };
+};
 
-  // ---- 将全局坐标平移到以 piece 中心为原点 ----
+/**
+ * 将全局坐标的轮廓平移到以拼图块中心为原点，并构建 Shape
+ * @param {THREE.Vector2[]} outline - 全局坐标轮廓
+ * @returns {THREE.Shape}
+ */
+const outlineToShape = (outline, centerX, centerY) => {
   const localPts = outline.map(p => new THREE.Vector2(p.x - centerX, p.y - centerY));
 
   const shape = new THREE.Shape();
@@ -145,19 +341,1082 @@ export const createPieceShape = (col, row, params) => {
   }
   shape.closePath();
 
-  return { shape, centerX, centerY };
+  return shape;
+};
+
+/* ------------------------------------------------------------------ */
+/*  不规则（Voronoi）布局                                              */
+/* ------------------------------------------------------------------ */
+
+/**
+ * 在 width × height 的板面上撒点并生成 Voronoi 单元
+ * 种子点位置由 seed 决定；relaxIterations > 0 时执行 Lloyd 松弛
+ * （把种子点移到所在单元的质心后重新计算），使单元大小更均匀。
+ * 给出异形轮廓时只在轮廓内撒点，松弛也按单元落在轮廓内的部分计算质心。
+ * @param {Object} params - puzzleParams（使用 pieceCount、relaxIterations、seed）
+ * @param {THREE.Vector2[]|null} outline - 板面外轮廓（矩形板面为 null）
+ * @returns {Array<{polygon: THREE.Vector2[], col: null, row: null}>} 每个单元的多边形（逆时针，已裁剪到板面矩形内）
+ */
+const createVoronoiCells = (params, outline = null) => {
+  const { width, height, pieceCount = 12, relaxIterations = 0, seed = 0 } = params;
+  const board = rectanglePolygon(-width / 2, -height / 2, width / 2, height / 2);
+  const random = createEdgeRandom(seed, 'voronoi');
+  const count = Math.max(2, Math.round(pieceCount));
+
+  const randomSite = () => new THREE.Vector2((random() - 0.5) * width, (random() - 0.5) * height);
+  let sites = Array.from({ length: count }, () => {
+    let site = randomSite();
+    for (let k = 0; outline && k < 50 && !pointInPolygon(site, outline); k++) {
+      site = randomSite();
+    }
+    return site;
+  });
+
+  // 单元在板面内部分的质心（多块时按面积加权）
+  const cellCentroid = (cell) => {
+    if (!outline) return polygonCentroid(cell);
+    const parts = clipPolygonToConvex(outline, cell);
+    const total = parts.reduce((sum, part) => sum + polygonArea(part), 0);
+    if (total <= 0) return polygonCentroid(cell);
+    return parts.reduce(
+      (acc, part) => acc.addScaledVector(polygonCentroid(part), polygonArea(part) / total),
+      new THREE.Vector2()
+    );
+  };
+
+  // 每个单元 = 板面矩形依次被与其他站点的垂直平分线裁剪
+  const computeCells = (points) => points.map((site, i) => {
+    // 由近到远裁剪：当平分线已超出单元范围时，更远的站点不可能再影响该单元
+    const others = points
+      .map((other, j) => ({ other, j, dist: site.distanceTo(other) }))
+      .filter(o => o.j !== i && o.dist > 1e-9)
+      .sort((a, b) => a.dist - b.dist);
+
+    let cell = board;
+    for (const { other, dist } of others) {
+      const reach = Math.max(...cell.map(p => p.distanceTo(site)));
+      if (dist / 2 > reach) break;
+
+      const mid = site.clone().add(other).multiplyScalar(0.5);
+      const normal = other.clone().sub(site);
+      cell = clipPolygonByHalfPlane(cell, mid, normal);
+      if (cell.length < 3) break;
+    }
+    return cell;
+  });
+
+  let cells = computeCells(sites);
+  for (let k = 0; k < relaxIterations; k++) {
+    const current = sites;
+    sites = cells.map((cell, i) => (cell.length >= 3 ? cellCentroid(cell) : current[i]));
+    cells = computeCells(sites);
+  }
+
+  return cells
+    .filter(cell => cell.length >= 3)
+    .map(polygon => ({ polygon, col: null, row: null }));
+};
+
+/* ------------------------------------------------------------------ */
+/*  六边形 / 三角形布局                                                 */
+/* ------------------------------------------------------------------ */
+
+/**
+ * 将单元多边形裁剪到板面矩形内，丢弃完全落在板面外（或退化）的单元
+ * @param {Array<{polygon, col, row}>} cells
+ * @returns {Array<{polygon, col, row}>}
+ */
+const clipCellsToBoard = (cells, params) => {
+  const { width, height } = params;
+  const minArea = width * height * 1e-6;
+
+  return cells
+    .map(cell => ({
+      ...cell,
+      polygon: clipPolygonToRectangle(cell.polygon, -width / 2, -height / 2, width / 2, height / 2)
+    }))
+    .filter(cell => cell.polygon.length >= 3 && polygonArea(cell.polygon) > minArea);
+};
+
+/**
+ * 生成六边形布局（尖顶朝上，奇数行错开半格）
+ * 水平方向每行 gridX 个完整六边形的宽度恰好铺满板宽，
+ * 垂直方向 gridY + 1 行，首尾两行的中心落在板面上下边界上；
+ * 六边形按 width/gridX、height/gridY 拉伸，边界处的单元被裁剪为半块。
+ * @returns {Array<{polygon, col, row}>}
+ */
+const createHexCells = (params) => {
+  const { width, height, gridX, gridY } = params;
+  const cellW = width / gridX;
+  const rowSpacing = height / gridY;
+  const halfW = cellW / 2;
+  // 尖顶六边形的行距为外接半径的 1.5 倍
+  const radius = rowSpacing / 1.5;
+
+  const cells = [];
+  for (let row = 0; row <= gridY; row++) {
+    const cy = -height / 2 + row * rowSpacing;
+    const odd = row % 2 === 1;
+    const count = odd ? gridX + 1 : gridX;
+
+    for (let col = 0; col < count; col++) {
+      const cx = -width / 2 + (odd ? col : col + 0.5) * cellW;
+      const polygon = [
+        new THREE.Vector2(cx, cy - radius),
+        new THREE.Vector2(cx + halfW, cy - radius / 2),
+        new THREE.Vector2(cx + halfW, cy + radius / 2),
+        new THREE.Vector2(cx, cy + radius),
+        new THREE.Vector2(cx - halfW, cy + radius / 2),
+        new THREE.Vector2(cx - halfW, cy - radius / 2)
+      ];
+      cells.push({ polygon, col, row });
+    }
+  }
+
+  return clipCellsToBoard(cells, params);
+};
+
+/**
+ * 生成三角形布局：gridY 行，每行由底边长 width/gridX 的正、倒三角形交替组成
+ * 相邻行错开半个底边，使上一行正三角形的顶点与下一行的底边顶点重合；
+ * 左右两端的三角形被裁剪为直角三角形。
+ * @returns {Array<{polygon, col, row}>}
+ */
+const createTriangleCells = (params) => {
+  const { width, height, gridX, gridY } = params;
+  const base = width / gridX;
+  const rowH = height / gridY;
+
+  const cells = [];
+  for (let row = 0; row < gridY; row++) {
+    const y0 = -height / 2 + row * rowH;
+    const y1 = y0 + rowH;
+    const x0 = -width / 2 + (row % 2) * base / 2;
+
+    // 多生成一个底边，保证裁剪后左右两端都被覆盖
+    for (let k = -1; k <= gridX; k++) {
+      const xa = x0 + k * base;
+      // 正三角形（底边在下）
+      cells.push({
+        polygon: [
+          new THREE.Vector2(xa, y0),
+          new THREE.Vector2(xa + base, y0),
+          new THREE.Vector2(xa + base / 2, y1)
+        ],
+        col: (k + 1) * 2,
+        row
+      });
+      // 倒三角形（底边在上），位于两个正三角形之间
+      cells.push({
+        polygon: [
+          new THREE.Vector2(xa + base, y0),
+          new THREE.Vector2(xa + base * 1.5, y1),
+          new THREE.Vector2(xa + base / 2, y1)
+        ],
+        col: (k + 1) * 2 + 1,
+        row
+      });
+    }
+  }
+
+  // 裁剪后按行内从左到右重新编号
+  const clipped = clipCellsToBoard(cells, params);
+  const firstCol = {};
+  clipped.forEach(cell => {
+    firstCol[cell.row] = Math.min(firstCol[cell.row] ?? Infinity, cell.col);
+  });
+  return clipped.map(cell => ({ ...cell, col: cell.col - firstCol[cell.row] }));
+};
+
+/**
+ * 生成网格单元：gridX × gridY 个矩形，按行优先排列
+ * 仅用于异形板面（需要先裁剪单元再生成分割边界），矩形板面走 createGridLayout。
+ * @returns {Array<{polygon, col, row}>}
+ */
+const createGridCells = (params) => {
+  const { width, height, gridX, gridY } = params;
+  const pieceW = width / gridX;
+  const pieceH = height / gridY;
+
+  const cells = [];
+  for (let row = 0; row < gridY; row++) {
+    for (let col = 0; col < gridX; col++) {
+      const x = -width / 2 + col * pieceW;
+      const y = -height / 2 + row * pieceH;
+      cells.push({ polygon: rectanglePolygon(x, y, x + pieceW, y + pieceH), col, row });
+    }
+  }
+  return cells;
+};
+
+// 面积小于标准单元该比例的碎块会并入相邻单元
+const MIN_FRAGMENT_RATIO = 0.2;
+
+/**
+ * 合并两个共享边界的面（顶点编号序列，逆时针）
+ * 去掉两者之间方向相反的共享边后，剩余的有向边应首尾相接成一个环。
+ * @returns {number[]|null} 合并后的顶点编号序列；共享边不连续（合并后会出现孔洞）时返回 null
+ */
+const mergeFaces = (faceA, faceB) => {
+  const directed = (ids) => ids.map((id, i) => [id, ids[(i + 1) % ids.length]]);
+  const edgesA = directed(faceA);
+  const edgesB = directed(faceB);
+  const keyOf = (a, b) => `${a}-${b}`;
+  const setA = new Set(edgesA.map(([a, b]) => keyOf(a, b)));
+  const setB = new Set(edgesB.map(([a, b]) => keyOf(a, b)));
+
+  const remaining = [
+    ...edgesA.filter(([a, b]) => !setB.has(keyOf(b, a))),
+    ...edgesB.filter(([a, b]) => !setA.has(keyOf(b, a)))
+  ];
+
+  const next = new Map();
+  for (const [a, b] of remaining) {
+    if (next.has(a)) return null;
+    next.set(a, b);
+  }
+
+  const loop = [remaining[0][0]];
+  for (let id = next.get(loop[0]); id !== loop[0]; id = next.get(id)) {
+    if (id === undefined || loop.length > remaining.length) return null;
+    loop.push(id);
+  }
+  return loop.length === remaining.length ? loop : null;
+};
+
+/**
+ * 将过小的碎块并入与其共享边界最长的相邻单元
+ * 异形轮廓会在边缘切出很小的碎块，单独打印既难拿取又容易断裂。
+ * @param {Array<{polygon, col, row}>} cells
+ * @param {number} minArea - 小于此面积的单元视为碎块
+ * @param {number} epsilon - 顶点合并容差
+ * @returns {Array<{polygon, col, row}>}
+ */
+const mergeSmallCells = (cells, minArea, epsilon) => {
+  const topology = buildPolygonTopology(cells.map(cell => cell.polygon), epsilon);
+  const { vertices, edges } = topology;
+  const faces = topology.faces.map(ids => ids.slice());
+  const areas = cells.map(cell => Math.abs(polygonArea(cell.polygon)));
+  const parent = faces.map((_, i) => i);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+
+  const fragments = areas
+    .map((area, i) => i)
+    .filter(i => areas[i] < minArea)
+    .sort((a, b) => areas[a] - areas[b]);
+
+  fragments.forEach(i => {
+    if (find(i) !== i || areas[i] >= minArea) return;
+
+    // 统计与各相邻单元共享的边界长度
+    const shared = new Map();
+    const ids = faces[i];
+    ids.forEach((a, k) => {
+      const b = ids[(k + 1) % ids.length];
+      const edge = edges[topology.edgeIndex(a, b)];
+      edge.faces.forEach(face => {
+        const other = find(face);
+        if (other === i) return;
+        shared.set(other, (shared.get(other) || 0) + vertices[a].distanceTo(vertices[b]));
+      });
+    });
+
+    const candidates = [...shared.entries()].sort((a, b) => b[1] - a[1]);
+    for (const [target] of candidates) {
+      const merged = mergeFaces(faces[i], faces[target]);
+      if (!merged) continue;
+      faces[target] = merged;
+      areas[target] += areas[i];
+      parent[i] = target;
+      break;
+    }
+  });
+
+  return faces
+    .map((ids, i) => ({ ids, i }))
+    .filter(({ i }) => find(i) === i)
+    .map(({ ids, i }) => ({
+      polygon: ids.map(id => vertices[id].clone()),
+      col: cells[i].col,
+      row: cells[i].row
+    }));
+};
+
+/**
+ * 将单元裁剪到异形板面轮廓内
+ * 凹轮廓可能把一个单元切成几块，每块成为独立的单元；完全落在轮廓外的单元被丢弃，
+ * 过小的碎块并入相邻单元（见 mergeSmallCells）。
+ * @param {Array<{polygon, col, row}>} cells - 凸单元
+ * @param {THREE.Vector2[]} outline          - 板面外轮廓（逆时针）
+ * @returns {Array<{polygon, col, row}>}
+ */
+const clipCellsToOutline = (cells, outline, params) => {
+  const { width, height } = params;
+  const areas = cells.map(cell => Math.abs(polygonArea(cell.polygon))).sort((a, b) => a - b);
+  const nominalArea = areas[Math.floor(areas.length / 2)] || 0;
+
+  const clipped = cells.flatMap(cell => clipPolygonToConvex(outline, cell.polygon)
+    .filter(polygon => polygonArea(polygon) > nominalArea * 1e-6)
+    .map(polygon => ({ polygon, col: cell.col, row: cell.row })));
+
+  return mergeSmallCells(clipped, nominalArea * MIN_FRAGMENT_RATIO, Math.max(width, height) * 1e-7);
+};
+
+// 自定义切割线的吸附距离（相对板面尺寸）：端点离其它线条这么近时视为相交
+const CUT_SNAP_RATIO = 1e-3;
+// 自定义切割线围出的区域小于中位面积的这个比例时视为碎屑（如线条交叉处的细缝），并入相邻区域
+const MIN_REGION_RATIO = 0.01;
+
+/**
+ * 由导入的切割图案生成单元：板面轮廓被切割线分成的各个封闭区域
+ * 切割线以归一化坐标存储，映射到板面包围盒（与顶面贴图一致）。
+ * @param {Object} params - puzzleParams（使用 cutPattern）
+ * @returns {Array<{polygon, col, row}>}
+ */
+const createPatternCells = (params) => {
+  const { width, height, cutPattern } = params;
+  const board = createBoardOutline(params) ||
+    rectanglePolygon(-width / 2, -height / 2, width / 2, height / 2);
+  const cuts = cutPattern.map(line => line.map(([x, y]) => new THREE.Vector2((x - 0.5) * width, (y - 0.5) * height)));
+
+  const cells = splitPolygonByCuts(board, cuts, Math.max(width, height) * CUT_SNAP_RATIO)
+    .map(polygon => ({ polygon, col: null, row: null }));
+  const areas = cells.map(cell => polygonArea(cell.polygon)).sort((a, b) => a - b);
+  const medianArea = areas[Math.floor(areas.length / 2)] || 0;
+
+  return mergeSmallCells(cells, medianArea * MIN_REGION_RATIO, Math.max(width, height) * 1e-7);
+};
+
+/**
+ * 生成任意方向直线边界上的点序列（全局坐标，从 start 到 end）
+ * 剖面的法向为边界方向逆时针旋转 90°。
+ * @returns {THREE.Vector2[]}
+ */
+const generateSegmentEdge = (start, end, edge) => {
+  const dir = end.clone().sub(start);
+  const length = dir.length();
+  dir.normalize();
+  const normal = new THREE.Vector2(-dir.y, dir.x);
+
+  const pts = edgeProfile(length, edge).map(p => new THREE.Vector2(
+    start.x + dir.x * p.x + normal.x * p.y,
+    start.y + dir.y * p.x + normal.y * p.y
+  ));
+  // 端点直接取单元顶点，避免浮点误差使相邻边界在角点处错开
+  pts[0] = start.clone();
+  pts[pts.length - 1] = end.clone();
+  return pts;
+};
+
+/**
+ * 计算单元布局中一条内部边界的参数
+ * 凸榫宽度同时受边界长度和两侧单元尺寸限制，过短的边界保持直线；
+ * 单元的角可能很尖（三角形被裁剪后只有 30°），波浪/锯齿在两端留出更长的渐变区，避免曲线互相穿插。
+ * @param {Object} params   - puzzleParams
+ * @param {number} length   - 边界长度
+ * @param {number} cellSize - 两侧单元中较小者的特征尺寸（面积开方）
+ * @param {string} key      - 边界标识，用于生成确定性的随机参数
+ * @returns {Object} { splitMode, amplitude, phase, taper, tabSize, tabCenter, direction }
+ */
+const getCellEdgeOptions = (params, length, cellSize, key) => {
+  const random = createEdgeRandom(params.seed || 0, 'cell', key);
+  const phase = random();
+  const scale = 0.75 + random() * 0.5;
+  const direction = random() < 0.5 ? 1 : -1;
+
+  const tabSize = Math.min(length * 0.9, cellSize * (0.45 + (scale - 0.75) * 0.2));
+  const tabCenter = 0.5 + (random() - 0.5) * 0.5 * (length - tabSize) / length;
+
+  return {
+    splitMode: length < cellSize * 0.3 ? 'straight' : params.splitMode,
+    amplitude: Math.min(length, cellSize) * 0.08 * scale,
+    phase,
+    taper: 0.25,
+    tabSize,
+    tabCenter,
+    direction
+  };
+};
+
+/**
+ * 判断分割边界的曲线是否穿过单元的其它直边
+ * 异形板面的尖角处（如心形底尖）分割边界与外边界夹角很小，波浪/凸榫会越过外边界。
+ * @param {THREE.Vector2[]} points - 分割边界的点序列
+ * @param {THREE.Vector2[]} polygon - 相邻单元的多边形
+ * @returns {boolean}
+ */
+const crossesPolygon = (points, polygon) => {
+  for (let i = 0; i < points.length - 1; i++) {
+    for (let j = 0, n = polygon.length; j < n; j++) {
+      if (segmentIntersection(points[i], points[i + 1], polygon[j], polygon[(j + 1) % n])) return true;
+    }
+  }
+  return false;
+};
+
+/**
+ * 折线长度
+ * @param {THREE.Vector2[]} points
+ * @returns {number}
+ */
+const pathLength = (points) => points.reduce((sum, p, i) => (i > 0 ? sum + p.distanceTo(points[i - 1]) : 0), 0);
+
+/**
+ * 由单元多边形生成拼图块布局
+ * 先合并共享顶点、识别共享边，每条内部边界按 splitMode 只生成一次，
+ * 两侧单元分别正向 / 反向取用，保证相邻拼图块严丝合缝。
+ * @param {Array<{polygon, col, row}>} cells - 单元多边形（逆时针）及其行列号（没有时为 null）
+ * @param {Object} params - puzzleParams
+ * @returns {Array} 与 createPuzzleLayout 的返回格式相同
+ */
+const createCellLayout = (cells, params) => {
+  const { width, height } = params;
+  const topology = buildPolygonTopology(cells.map(cell => cell.polygon), Math.max(width, height) * 1e-7);
+  const { vertices, faces, edges } = topology;
+  const sizes = cells.map(cell => Math.sqrt(Math.abs(polygonArea(cell.polygon))));
+
+  // 内部边界的点序列，方向为 v0 → v1；外边界为 null
+  const edgePoints = edges.map(edge => {
+    if (edge.faces.length < 2) return null;
+    const start = vertices[edge.v0];
+    const end = vertices[edge.v1];
+    const cellSize = Math.min(sizes[edge.faces[0]], sizes[edge.faces[1]]);
+    const options = getCellEdgeOptions(params, start.distanceTo(end), cellSize, `${edge.v0}-${edge.v1}`);
+    const points = generateSegmentEdge(start, end, options);
+
+    // 曲线越过相邻单元的其它边时退化为直线
+    const crosses = points.length > 2 &&
+      edge.faces.some(f => crossesPolygon(points, faces[f].map(id => vertices[id])));
+    return crosses ? [start, end] : points;
+  });
+
+  return faces.map((ids, index) => {
+    const pieceEdges = [];
+    const neighbors = [];
+    const chains = {};
+    const n = ids.length;
+
+    // 与同一邻块的共享边界可能由多条相连的边组成（如自定义切割线），
+    // 从邻块发生变化的位置开始遍历，使每段共享边界连续拼接
+    const neighborAt = (i) => {
+      const edge = edges[topology.edgeIndex(ids[i], ids[(i + 1) % n])];
+      return edge.faces.length < 2 ? -1 : edge.faces[0] === index ? edge.faces[1] : edge.faces[0];
+    };
+    const offset = Math.max(0, ids.findIndex((_, i) => neighborAt(i) !== neighborAt((i - 1 + n) % n)));
+
+    for (let step = 0; step < n; step++) {
+      const i = (step + offset) % n;
+      const a = ids[i];
+      const b = ids[(i + 1) % n];
+      const k = topology.edgeIndex(a, b);
+      const edge = edges[k];
+
+      if (!edgePoints[k]) {
+        // 外边界：直线
+        pieceEdges.push({ points: [vertices[a], vertices[b]], interior: false });
+        continue;
+      }
+
+      const forward = a === edge.v0 ? edgePoints[k] : edgePoints[k].slice().reverse();
+      pieceEdges.push({ points: forward, interior: true });
+
+      const neighbor = neighborAt(i);
+      if (!neighbors.includes(neighbor)) neighbors.push(neighbor);
+      const list = chains[neighbor] || (chains[neighbor] = []);
+      if (step > 0 && neighborAt((i - 1 + n) % n) === neighbor) {
+        list[list.length - 1].push(...forward.slice(1));
+      } else {
+        list.push(forward.slice());
+      }
+    }
+
+    // 两块之间偶尔有不相连的几段共享边界（如被圆形切割线隔开的直线），seams 只记录最长的一段
+    const seams = {};
+    neighbors.forEach(neighbor => {
+      seams[neighbor] = chains[neighbor].reduce((best, chain) =>
+        (pathLength(chain) > pathLength(best) ? chain : best));
+    });
+
+    const center = polygonCentroid(ids.map(id => vertices[id]));
+    return {
+      ...assembleOutline(pieceEdges),
+      centerX: center.x,
+      centerY: center.y,
+      col: cells[index].col,
+      row: cells[index].row,
+      index,
+      neighbors,
+      seams
+    };
+  });
+};
+
+/* ------------------------------------------------------------------ */
+/*  拼图平面布局                                                        */
+/* ------------------------------------------------------------------ */
+
+// 每个方向允许的最大分割块数
+export const MAX_GRID_SIZE = 50;
+
+/**
+ * 按目标拼图块尺寸计算网格分割块数
+ * 两个方向分别取最接近目标尺寸的整数块数，因此拼图块的长宽比跟随底板比例。
+ * @param {number} width     - 底板宽度 (mm)
+ * @param {number} height    - 底板高度 (mm)
+ * @param {number} pieceSize - 目标拼图块边长 (mm)
+ * @returns {{ gridX: number, gridY: number }} 限制在 1 ~ MAX_GRID_SIZE 之间
+ */
+export const getGridForPieceSize = (width, height, pieceSize) => {
+  const count = (length) => Math.min(Math.max(Math.round(length / pieceSize), 1), MAX_GRID_SIZE);
+  return { gridX: count(width), gridY: count(height) };
+};
+
+/**
+ * 生成网格布局：gridX × gridY 个矩形拼图块，按行优先编号
+ * @returns {Array} 与 createPuzzleLayout 的返回格式相同
+ */
+const createGridLayout = (params) => {
+  const { gridX, gridY } = params;
+  const pieces = [];
+
+  // 每条内部边界被两侧拼图块的轮廓和共享边界共用，缓存后只生成一次
+  const edgeCache = new Map();
+  const getEdge = (edgeParams, orientation, line, cell) => {
+    const key = `${orientation}:${line}:${cell}`;
+    if (!edgeCache.has(key)) {
+      edgeCache.set(key, generateGridEdge(edgeParams, orientation, line, cell));
+    }
+    return edgeCache.get(key);
+  };
+
+  for (let row = 0; row < gridY; row++) {
+    for (let col = 0; col < gridX; col++) {
+      const index = row * gridX + col;
+      const { outline, interior, centerX, centerY } = createGridPieceOutline(col, row, params, getEdge);
+
+      // 计算邻接关系及共享边界（左、右、下、上）
+      const neighbors = [];
+      const seams = {};
+      const addNeighbor = (neighbor, orientation, line, cell) => {
+        neighbors.push(neighbor);
+        seams[neighbor] = getEdge(params, orientation, line, cell);
+      };
+      if (col > 0) addNeighbor(index - 1, 'vertical', col, row);
+      if (col < gridX - 1) addNeighbor(index + 1, 'vertical', col + 1, row);
+      if (row > 0) addNeighbor(index - gridX, 'horizontal', row, col);
+      if (row < gridY - 1) addNeighbor(index + gridX, 'horizontal', row + 1, col);
+
+      pieces.push({ outline, interior, centerX, centerY, col, row, index, neighbors, seams });
+    }
+  }
+
+  return pieces;
+};
+
+/**
+ * 按布局方式和分割方式生成未经手动编辑的平面布局
+ * 分割线编辑器拖动控制点时在此基础上反复调用 applySplitEdits，不必每次重新生成。
+ * @param {Object} params - puzzleParams
+ * @returns {Array} 与 createPuzzleLayout 的返回格式相同
+ */
+export const createBaseLayout = (params) => {
+  if (params.splitMode === 'custom') {
+    // 自定义切割：区域由导入的切割线决定，边界按原样保留；尚未导入图案时按直线切割处理
+    const straight = { ...params, splitMode: 'straight' };
+    return params.cutPattern && params.cutPattern.length > 0
+      ? createCellLayout(createPatternCells(params), straight)
+      : createBaseLayout(straight);
+  }
+
+  const outline = createBoardOutline(params);
+
+  if (outline) {
+    // 异形板面：先把各布局的单元裁剪到轮廓内，再统一生成分割边界
+    const cellsByLayout = {
+      voronoi: () => createVoronoiCells(params, outline),
+      hex: () => createHexCells(params),
+      triangle: () => createTriangleCells(params)
+    };
+    const cells = (cellsByLayout[params.layoutMode] || (() => createGridCells(params)))();
+    return createCellLayout(clipCellsToOutline(cells, outline, params), params);
+  }
+
+  switch (params.layoutMode) {
+    case 'voronoi':
+      return createCellLayout(createVoronoiCells(params), params);
+    case 'hex':
+      return createCellLayout(createHexCells(params), params);
+    case 'triangle':
+      return createCellLayout(createTriangleCells(params), params);
+    default: // grid
+      return createGridLayout(params);
+  }
+};
+
+/* ------------------------------------------------------------------ */
+/*  分割线手动编辑                                                      */
+/* ------------------------------------------------------------------ */
+
+// 每条共享边界上的控制点数，按弧长均匀分布（两端不动）
+export const SPLIT_CONTROL_COUNT = 3;
+// 控制点偏移量的上限：控制点到两侧拼图块其它边界最近距离的这一比例，给控制点之间的过渡段留出余量
+const MAX_SPLIT_OFFSET_RATIO = 0.8;
+// 变形前把共享边界细分到至少这么多段，直线边界也能弯成平滑曲线
+const SPLIT_EDIT_SEGMENTS = 40;
+// 依次按这些比例应用偏移量，直到变形后的轮廓为简单多边形；比例为 0 即不变形，总是有效
+const SPLIT_EDIT_SCALES = [1, 0.75, 0.5, 0.25, 0];
+
+/**
+ * 共享边界的标识，与两块拼图的先后顺序无关
+ * @param {number} a - 拼图块索引
+ * @param {number} b - 相邻拼图块索引
+ * @returns {string} 'min-max'
+ */
+export const getSeamKey = (a, b) => `${Math.min(a, b)}-${Math.max(a, b)}`;
+
+/**
+ * 折线上各点按累计弧长归一化的参数 0~1
+ * @param {THREE.Vector2[]} points
+ * @returns {number[]}
+ */
+const arcParams = (points) => {
+  const lengths = [0];
+  for (let i = 1; i < points.length; i++) {
+    lengths.push(lengths[i - 1] + points[i].distanceTo(points[i - 1]));
+  }
+  const total = lengths[lengths.length - 1] || 1;
+  return lengths.map(length => length / total);
+};
+
+// 控制点在边界上的弧长参数（含两端）
+const controlKnots = (count) => Array.from({ length: count + 2 }, (_, k) => k / (count + 1));
+
+/**
+ * 细分折线：保留原有的点，把过长的线段等分
+ * @param {THREE.Vector2[]} points
+ * @param {number} maxLength - 细分后线段的最大长度
+ * @returns {THREE.Vector2[]}
+ */
+const subdividePath = (points, maxLength) => {
+  const result = [points[0]];
+  for (let i = 1; i < points.length; i++) {
+    const parts = Math.max(1, Math.ceil(points[i].distanceTo(points[i - 1]) / maxLength));
+    for (let k = 1; k <= parts; k++) {
+      result.push(points[i - 1].clone().lerp(points[i], k / parts));
+    }
+  }
+  return result;
+};
+
+/**
+ * 共享边界的偏移方向：首尾连线的左法向
+ * 控制点只沿这一方向移动，边界上各点的平移方向相同，因此不会沿边界方向前后折叠。
+ * @param {THREE.Vector2[]} seam
+ * @returns {THREE.Vector2|null} 单位向量；首尾重合（被另一块完全包围的拼图块）时为 null
+ */
+export const getSeamNormal = (seam) => {
+  const chord = seam[seam.length - 1].clone().sub(seam[0]);
+  const length = chord.length();
+  if (length < pathLength(seam) * 1e-3) return null;
+  return new THREE.Vector2(-chord.y / length, chord.x / length);
+};
+
+/**
+ * 取偏移量沿 normal 方向的分量
+ * @param {THREE.Vector2} normal - 单位向量
+ * @param {number[]} offset      - [dx, dy]
+ * @returns {number[]} [dx, dy]
+ */
+const projectOffset = (normal, [dx, dy]) => {
+  const distance = dx * normal.x + dy * normal.y;
+  return [normal.x * distance, normal.y * distance];
+};
+
+/**
+ * 按控制点偏移量变形共享边界
+ * 偏移量只取沿 getSeamNormal 方向的分量，在相邻控制点之间平滑过渡、两端为 0，
+ * 因此只改变边界两侧的两块拼图。偏移量过大时边界仍可能越过自身或拼图块的其它边界，
+ * 由 applySplitEdits 检查。
+ * @param {THREE.Vector2[]} seam     - 原始共享边界
+ * @param {number[][]} offsets       - 各控制点的偏移量 [[dx, dy], ...] (mm)
+ * @returns {THREE.Vector2[]} 细分并变形后的新边界，首尾两点与原边界相同；首尾重合的边界只细分不变形
+ */
+export const displaceSeam = (seam, offsets) => {
+  const normal = getSeamNormal(seam);
+  const knots = controlKnots(offsets.length);
+  const values = [0, ...offsets.map(([dx, dy]) => (normal ? dx * normal.x + dy * normal.y : 0)), 0];
+  const points = subdividePath(seam, pathLength(seam) / SPLIT_EDIT_SEGMENTS);
+  return arcParams(points).map((t, i) => {
+    let k = 0;
+    while (k < knots.length - 2 && t > knots[k + 1]) k++;
+    const s = (t - knots[k]) / (knots[k + 1] - knots[k]);
+    const w = s * s * (3 - 2 * s);
+    const distance = values[k] + (values[k + 1] - values[k]) * w;
+    return normal ? points[i].clone().addScaledVector(normal, distance) : points[i].clone();
+  });
+};
+
+/**
+ * 取折线上弧长参数 t 处的点
+ * @returns {THREE.Vector2}
+ */
+const pointAtParam = (points, params, t) => {
+  let i = 1;
+  while (i < points.length - 1 && params[i] < t) i++;
+  const span = params[i] - params[i - 1] || 1;
+  return points[i - 1].clone().lerp(points[i], (t - params[i - 1]) / span);
+};
+
+/**
+ * 点到线段的距离
+ * @returns {number}
+ */
+const distanceToSegment = (p, a, b) => {
+  const ab = b.clone().sub(a);
+  const lengthSq = ab.lengthSq();
+  const t = lengthSq > 0 ? THREE.MathUtils.clamp(p.clone().sub(a).dot(ab) / lengthSq, 0, 1) : 0;
+  return p.distanceTo(a.clone().addScaledVector(ab, t));
+};
+
+/**
+ * 控制点偏移量的上限：各控制点到两侧拼图块其它边界（不含这条共享边界本身）的最近距离，
+ * 乘以 MAX_SPLIT_OFFSET_RATIO。拖到上限处的边界一般不会碰到其它分割线，个别情况由 applySplitEdits 兜底。
+ * @param {THREE.Vector2[]} anchors - 控制点的原始位置
+ * @param {THREE.Vector2[]} seam    - 共享边界
+ * @param {Object[]} pieces         - 共享边界两侧的拼图块
+ * @returns {number} (mm)
+ */
+const getMaxSplitOffset = (anchors, seam, pieces) => {
+  const onSeam = new Set(seam.map(p => `${p.x},${p.y}`));
+  let nearest = Infinity;
+  pieces.forEach(({ outline }) => {
+    outline.forEach((a, i) => {
+      const b = outline[(i + 1) % outline.length];
+      if (onSeam.has(`${a.x},${a.y}`) && onSeam.has(`${b.x},${b.y}`)) return;
+      anchors.forEach(anchor => {
+        nearest = Math.min(nearest, distanceToSegment(anchor, a, b));
+      });
+    });
+  });
+  return nearest * MAX_SPLIT_OFFSET_RATIO;
+};
+
+/**
+ * 列出所有可编辑的共享边界及其控制点，供分割线编辑器使用
+ * @param {Object} params - puzzleParams（splitEdits 为已保存的偏移量）
+ * @param {Array} [layout] - createBaseLayout 的结果，已计算过时传入以免重复生成
+ * @returns {Array<{key, seam, normal, anchors, offsets, maxOffset}>}
+ *   seam 为未编辑的共享边界；normal 为控制点的移动方向（见 getSeamNormal）；anchors 为控制点的原始位置；
+ *   offsets 为实际应用的偏移量（见 applySplitEdits）；maxOffset 为偏移量沿 normal 方向的上限 (mm)
+ */
+export const getSplitControls = (params, layout = createBaseLayout(params)) => {
+  const { edits } = applySplitEdits(layout, params.splitEdits);
+  const knots = controlKnots(SPLIT_CONTROL_COUNT).slice(1, -1);
+  const controls = [];
+
+  layout.forEach(piece => {
+    piece.neighbors.forEach(neighbor => {
+      if (neighbor < piece.index) return;
+      const seam = piece.seams[neighbor];
+      const normal = getSeamNormal(seam);
+      if (!normal) return;
+      const key = getSeamKey(piece.index, neighbor);
+      const ts = arcParams(seam);
+      const anchors = knots.map(t => pointAtParam(seam, ts, t));
+      controls.push({
+        key,
+        seam,
+        normal,
+        anchors,
+        offsets: edits[key] || knots.map(() => [0, 0]),
+        maxOffset: getMaxSplitOffset(anchors, seam, [piece, layout[neighbor]])
+      });
+    });
+  });
+
+  return controls;
+};
+
+/**
+ * 把拼图块轮廓中的一段共享边界替换为新的点序列
+ * 共享边界在轮廓中连续出现（正向或反向），替换后的线段都是内部边界。
+ * @param {Object} piece           - 布局中的拼图块
+ * @param {THREE.Vector2[]} seam   - 原共享边界
+ * @param {THREE.Vector2[]} points - 新边界，方向与 seam 相同、首尾两点不变
+ * @returns {Object} 更新了 outline、interior 的拼图块
+ */
+const replaceSeamInOutline = (piece, seam, points) => {
+  const { outline, interior } = piece;
+  const n = outline.length;
+  const same = (p, q) => p.x === q.x && p.y === q.y;
+  const last = seam.length - 1;
+
+  let start = outline.findIndex((p, i) => same(p, seam[0]) && same(outline[(i + 1) % n], seam[1]));
+  let replacement = points;
+  if (start < 0) {
+    start = outline.findIndex((p, i) => same(p, seam[last]) && same(outline[(i + 1) % n], seam[last - 1]));
+    replacement = points.slice().reverse();
+  }
+  if (start < 0) return piece;
+
+  // 从共享边界起点开始旋转轮廓，前 last 条线段即为被替换的边界
+  const rotatedOutline = [...outline.slice(start), ...outline.slice(0, start)];
+  const rotatedInterior = [...interior.slice(start), ...interior.slice(0, start)];
+  return {
+    ...piece,
+    outline: [...replacement.slice(0, -1).map(p => p.clone()), ...rotatedOutline.slice(last)],
+    interior: [...replacement.slice(0, -1).map(() => true), ...rotatedInterior.slice(last)]
+  };
+};
+
+/**
+ * 检查替换共享边界后的拼图块轮廓：仍为逆时针，且新边界不与自身或轮廓的其它边界相交
+ * @param {THREE.Vector2[]} outline
+ * @param {THREE.Vector2[]} seam - 新边界
+ * @returns {boolean}
+ */
+const isValidEditedOutline = (outline, seam) => polygonArea(outline) > 0 && !crossesPolygon(seam, outline);
+
+/**
+ * 将手动编辑的偏移量应用到布局，只有被编辑的共享边界两侧的拼图块会改变
+ * 按 edits 中的顺序逐条应用。变形后任一侧拼图块的轮廓不再是简单多边形时（边界越过自身、
+ * 拼图块的其它边界或先前编辑过的边界），按 SPLIT_EDIT_SCALES 依次缩小这条边界的偏移量，直到有效为止。
+ * @param {Array} layout - createBaseLayout 的结果
+ * @param {Object} edits - { [seamKey]: [[dx, dy], ...] }，seamKey 见 getSeamKey
+ * @returns {{layout: Array, edits: Object}} 新的布局，及实际应用的偏移量
+ *   （只含沿 getSeamNormal 方向的分量并已缩小；未能应用的边界不含在内）
+ */
+export const applySplitEdits = (layout, edits) => {
+  const keys = Object.keys(edits || {});
+  const applied = {};
+  if (keys.length === 0) return { layout, edits: applied };
+
+  const result = layout.slice();
+  keys.forEach(key => {
+    const [a, b] = key.split('-').map(Number);
+    const seam = result[a] && result[a].seams[b];
+    const normal = seam && getSeamNormal(seam);
+    if (!normal || !result[b]) return;
+
+    SPLIT_EDIT_SCALES.some(scale => {
+      const offsets = edits[key].map(offset => projectOffset(normal, offset).map(value => value * scale));
+      const points = displaceSeam(seam, offsets);
+      const pieces = [a, b].map(index => {
+        const other = index === a ? b : a;
+        const own = result[index].seams[other];
+        // 两侧拼图块记录的共享边界方向不一定相同
+        const oriented = own[0].equals(seam[0]) ? points : points.slice().reverse();
+        return {
+          ...replaceSeamInOutline(result[index], own, oriented),
+          seams: { ...result[index].seams, [other]: oriented }
+        };
+      });
+      if (scale > 0 && !pieces.every(piece => isValidEditedOutline(piece.outline, points))) return false;
+
+      [result[a], result[b]] = pieces;
+      if (scale > 0) applied[key] = offsets;
+      return true;
+    });
+  });
+  return { layout: result, edits: applied };
+};
+
+/**
+ * 计算整个拼图的平面布局（不含三维几何体）
+ * @param {Object} params - puzzleParams，layoutMode 为 'grid'（默认）、'voronoi'、'hex' 或 'triangle'；
+ *   boardShape 不是矩形时，所有拼图块都被裁剪到板面轮廓内（见 boardOutline.js）；
+ *   splitMode 为 'custom' 时忽略 layoutMode，由 cutPattern 中的切割线划分拼图块；
+ *   splitEdits 中手动调整过的共享边界按控制点偏移量变形
+ * @returns {Array<{outline, interior, centerX, centerY, col, row, index, neighbors, seams}>}
+ *   outline 为全局坐标轮廓，interior[i] 标记线段 outline[i]→outline[i+1] 是否为内部边界；
+ *   col/row 为行列号（不规则布局为 null）；
+ *   neighbors 为相邻拼图块的索引列表；seams[neighborIndex] 为与该邻块共享的边界点序列（全局坐标）
+ */
+export const createPuzzleLayout = (params) => applySplitEdits(createBaseLayout(params), params.splitEdits).layout;
+
+/* ------------------------------------------------------------------ */
+/*  打印配合间隙                                                        */
+/* ------------------------------------------------------------------ */
+
+// FDM 打印可靠成型的最小宽度 (mm)，细颈窄于此值时给出警告
+const MIN_NECK_WIDTH = 1.0;
+
+/**
+ * 将轮廓的内部边界向内偏移 inset，外边界保持不动
+ * 每个顶点取前后两条线段各自偏移后所在直线的交点：
+ * 内部边界与外边界相交处的顶点会沿外边界滑动，使外轮廓保持平齐。
+ * @param {THREE.Vector2[]} outline - 逆时针轮廓
+ * @param {boolean[]} interior      - interior[i] 表示 outline[i]→outline[i+1] 是否为内部边界
+ * @param {number} inset            - 偏移距离（相邻两块各偏移一半间隙）
+ * @returns {THREE.Vector2[]} 偏移后的轮廓
+ */
+const insetInteriorEdges = (outline, interior, inset) => {
+  const n = outline.length;
+
+  // 每条线段偏移后的直线：过 point、方向 dir；逆时针轮廓的内法向为方向左转 90°
+  const lines = outline.map((a, i) => {
+    const b = outline[(i + 1) % n];
+    const dir = b.clone().sub(a);
+    const length = dir.length();
+    if (length < 1e-12) return null;
+    dir.divideScalar(length);
+    const normal = new THREE.Vector2(-dir.y, dir.x);
+    const d = interior[i] ? inset : 0;
+    return { point: a.clone().addScaledVector(normal, d), dir, normal, d };
+  });
+
+  return outline.map((p, i) => {
+    const l1 = lines[(i - 1 + n) % n];
+    const l2 = lines[i];
+    if (!l1 || !l2) {
+      const line = l1 || l2;
+      return line ? p.clone().addScaledVector(line.normal, line.d) : p.clone();
+    }
+    if (l1.d === 0 && l2.d === 0) return p.clone();
+
+    const cross = l1.dir.x * l2.dir.y - l1.dir.y * l2.dir.x;
+    if (Math.abs(cross) < 1e-6) {
+      // 前后线段共线：直接沿法向平移
+      const line = l2.d > 0 ? l2 : l1;
+      return p.clone().addScaledVector(line.normal, line.d);
+    }
+
+    // 两条偏移直线求交
+    const diff = l2.point.clone().sub(l1.point);
+    const t = (diff.x * l2.dir.y - diff.y * l2.dir.x) / cross;
+    const move = l1.point.clone().addScaledVector(l1.dir, t).sub(p);
+
+    // 限制尖角处的斜接长度，避免产生长尖刺
+    const limit = 4 * Math.max(l1.d, l2.d);
+    if (move.length() > limit) move.setLength(limit);
+    return p.clone().add(move);
+  });
+};
+
+/**
+ * 估算轮廓最窄处的宽度（只关心小于 limit 的部分）
+ * 对每个顶点查找距离最近的线段，沿轮廓相距不足 2×limit 的线段视为同一局部而跳过，
+ * 否则任何拐角都会被误判为细颈。线段按 limit 大小的网格分桶，只比较相邻桶。
+ * @param {THREE.Vector2[]} outline
+ * @param {number} limit
+ * @returns {number} 最窄宽度；不小于 limit 时返回 limit
+ */
+const estimateMinWidth = (outline, limit) => {
+  const n = outline.length;
+
+  // 每个顶点沿轮廓的累计弧长
+  const arc = new Float64Array(n + 1);
+  for (let i = 1; i <= n; i++) {
+    arc[i] = arc[i - 1] + outline[i - 1].distanceTo(outline[i % n]);
+  }
+  const perimeter = arc[n];
+  const skip = limit * 2;
+
+  const buckets = new Map();
+  for (let j = 0; j < n; j++) {
+    const a = outline[j];
+    const b = outline[(j + 1) % n];
+    const x0 = Math.floor(Math.min(a.x, b.x) / limit);
+    const x1 = Math.floor(Math.max(a.x, b.x) / limit);
+    const y0 = Math.floor(Math.min(a.y, b.y) / limit);
+    const y1 = Math.floor(Math.max(a.y, b.y) / limit);
+    for (let x = x0; x <= x1; x++) {
+      for (let y = y0; y <= y1; y++) {
+        const k = `${x},${y}`;
+        if (!buckets.has(k)) buckets.set(k, []);
+        buckets.get(k).push(j);
+      }
+    }
+  }
+
+  let minWidth = limit;
+  for (let i = 0; i < n; i++) {
+    const p = outline[i];
+    const cx = Math.floor(p.x / limit);
+    const cy = Math.floor(p.y / limit);
+    for (let dx = -1; dx <= 1; dx++) {
+      for (let dy = -1; dy <= 1; dy++) {
+        const bucket = buckets.get(`${cx + dx},${cy + dy}`);
+        if (!bucket) continue;
+        for (let k = 0; k < bucket.length; k++) {
+          const j = bucket[k];
+          // 线段 j 覆盖弧长区间 [arc[j], arc[j+1]]，与顶点 i 的弧长距离（考虑首尾相接）过近则跳过
+          const gap = arc[i] < arc[j] ? arc[j] - arc[i] : (arc[i] > arc[j + 1] ? arc[i] - arc[j + 1] : 0);
+          if (gap < skip || perimeter - gap - (arc[j + 1] - arc[j]) < skip) continue;
+
+          // 点到线段的距离
+          const a = outline[j];
+          const b = outline[(j + 1) % n];
+          const abx = b.x - a.x;
+          const aby = b.y - a.y;
+          const lengthSq = abx * abx + aby * aby;
+          let t = lengthSq > 0 ? ((p.x - a.x) * abx + (p.y - a.y) * aby) / lengthSq : 0;
+          t = t < 0 ? 0 : (t > 1 ? 1 : t);
+          const ex = a.x + abx * t - p.x;
+          const ey = a.y + aby * t - p.y;
+          const distanceSq = ex * ex + ey * ey;
+          if (distanceSq < minWidth * minWidth) minWidth = Math.sqrt(distanceSq);
+        }
+      }
+    }
+  }
+
+  return minWidth;
+};
+
+/**
+ * 按 clearance 参数偏移拼图块的内部边界（相邻两块各让出一半间隙）
+ * @param {Object} piece  - createPuzzleLayout 返回的拼图块
+ * @param {Object} params - puzzleParams
+ * @returns {THREE.Vector2[]} 偏移后的轮廓；无间隙时原样返回
+ */
+const applyClearance = (piece, params) => {
+  const inset = (params.clearance || 0) / 2;
+  if (inset <= 0) return piece.outline;
+  // 尖角处偏移后会形成自交小环，需要剪掉
+  return removeLocalLoops(insetInteriorEdges(piece.outline, piece.interior, inset));
+};
+
+/**
+ * 检查配合间隙是否会使细颈（如凸榫颈部）过窄甚至塌陷
+ * @param {Object} params - puzzleParams
+ * @returns {string|null} 警告信息；没有问题时返回 null
+ */
+export const getClearanceWarning = (params) => {
+  const { clearance = 0 } = params;
+  if (clearance <= 0) return null;
+
+  // 只需分辨偏移前后宽度是否落在 MIN_NECK_WIDTH 附近，查找范围不必更大
+  const limit = MIN_NECK_WIDTH + clearance;
+  const thinCount = createPuzzleLayout(params).filter(piece => {
+    const inset = applyClearance(piece, params);
+    if (polygonArea(inset) <= 0) return true;
+
+    const after = estimateMinWidth(inset, limit);
+    if (after >= MIN_NECK_WIDTH) return false;
+    // 只统计因间隙而变窄的部位，拼图块本身的尖角不算
+    return after < estimateMinWidth(piece.outline, limit) - clearance / 2;
+  }).length;
+
+  if (thinCount === 0) return null;
+  return `间隙 ${clearance}mm 会使 ${thinCount} 块拼图的细窄部位（如凸榫颈部）窄于 ${MIN_NECK_WIDTH}mm，` +
+    '打印后可能断裂或塌陷，建议减小间隙或增大拼图块尺寸';
 };
 
 /* ------------------------------------------------------------------ */
 /*  为单块拼图创建 ExtrudeGeometry 并修正顶面 UV                        */
 /* ------------------------------------------------------------------ */
 
+// 拼图块及板面几何体的材质分组：侧面、顶面（贴图）、底面
+export const MATERIAL_INDEX = { side: 0, top: 1, bottom: 2 };
+
 /**
- * 创建单块拼图的 3D 几何体
- * @returns {THREE.ExtrudeGeometry} 已修正顶面 UV 的几何体
+ * 将全局坐标轮廓拉伸为以拼图块中心为原点的几何体
+ * @param {THREE.Vector2[]} outline - 全局坐标轮廓
+ * @returns {THREE.ExtrudeGeometry} 已修正顶面 UV、按 MATERIAL_INDEX 分组的几何体
  */
-export const createPieceGeometry = (col, row, params) => {
-  const { shape, centerX, centerY } = createPieceShape(col, row, params);
+const extrudePieceOutline = (outline, centerX, centerY, params) => {
+  const shape = outlineToShape(outline, centerX, centerY);
   const { width, height, depth } = params;
 
   const extrudeSettings = {
@@ -167,6 +1426,15 @@ export const createPieceGeometry = (col, row, params) => {
 
   const geometry = new THREE.ExtrudeGeometry(shape, extrudeSettings);
 
+  // ExtrudeGeometry 把底面和顶面放在同一组（先底面后顶面，三角形数相同），侧面为另一组，
+  // 这里拆成三组，使顶面贴图、侧面和底面颜色可以分别指定
+  const [lids, sides] = geometry.groups;
+  const half = lids.count / 2;
+  geometry.clearGroups();
+  geometry.addGroup(lids.start, half, MATERIAL_INDEX.bottom);
+  geometry.addGroup(lids.start + half, half, MATERIAL_INDEX.top);
+  geometry.addGroup(sides.start, sides.count, MATERIAL_INDEX.side);
+
   // ---- 修正 UV：让顶面 & 底面映射到整张贴图的对应区域 ----
   const posAttr = geometry.getAttribute('position');
   const uvAttr = geometry.getAttribute('uv');
@@ -189,43 +1457,97 @@ export const createPieceGeometry = (col, row, params) => {
   }
 
   uvAttr.needsUpdate = true;
-  geometry.computeVertexNormals();
 
-  return { geometry, centerX, centerY };
+  return geometry;
+};
+
+/**
+ * 创建完整（未切割）板面的几何体，外轮廓由 boardShape 决定
+ * 以原点为中心、底面在 Z=0，顶面 UV 与拼图块一样映射到板面包围盒。
+ * @param {Object} params - puzzleParams
+ * @returns {THREE.ExtrudeGeometry}
+ */
+export const createBoardGeometry = (params) => {
+  const { width, height } = params;
+  const outline = createBoardOutline(params) ||
+    rectanglePolygon(-width / 2, -height / 2, width / 2, height / 2);
+  return extrudePieceOutline(outline, 0, 0, params);
 };
 
+/**
+ * 为布局中的一块拼图创建 3D 几何体，内部边界按 clearance 参数向内偏移
+ * 分割线编辑器拖动控制点时据此只重建共享边界两侧的拼图块。
+ * @param {Object} piece  - createPuzzleLayout（或 applySplitEdits）返回的拼图块
+ * @param {Object} params - puzzleParams
+ * @returns {THREE.ExtrudeGeometry} 以拼图块中心 (centerX, centerY) 为原点
+ */
+export const createPieceGeometry = (piece, params) =>
+  extrudePieceOutline(applyClearance(piece, params), piece.centerX, piece.centerY, params);
+
 /* ------------------------------------------------------------------ */
 /*  批量生成所有拼图块                                                  */
 /* ------------------------------------------------------------------ */
 
+/**
+ * 生成所有拼图块的实际轮廓（不拉伸），用于导出二维切割路径
+ * 内部边界已按 clearance 参数向内偏移。
+ * @param {Object} params - puzzleParams
+ * @returns {Array<{outline, interior, centerX, centerY, col, row, index, neighbors, seams}>}
+ *   各字段含义见 createPuzzleLayout
+ */
+export const createPieceOutlines = (params) => {
+  return createPuzzleLayout(params).map(piece => ({
+    ...piece,
+    outline: applyClearance(piece, params)
+  }));
+};
+
 /**
  * 为整个拼图生成所有块的几何体、初始位置等信息
+ * 内部边界已按 clearance 参数向内偏移，outline 即实际拉伸的轮廓。
  * @param {Object} params - puzzleParams
- * @returns {Array<{geometry, centerX, centerY, col, row, index, neighbors}>}
+ * @returns {Array<{geometry, outline, interior, centerX, centerY, col, row, index, neighbors, seams}>}
+ *   各字段含义见 createPuzzleLayout
  */
 export const generateAllPieces = (params) => {
-  const { gridX, gridY } = params;
-  const pieces = [];
-  let index = 0;
+  return createPieceOutlines(params).map(piece => ({
+    ...piece,
+    geometry: extrudePieceOutline(piece.outline, piece.centerX, piece.centerY, params)
+  }));
+};
 
-  for (let row = 0; row < gridY; row++) {
-    for (let col = 0; col < gridX; col++) {
-      const { geometry, centerX, centerY } = createPieceGeometry(col, row, params);
-
-      // 计算邻接关系
-      const neighbors = {
-        left: col > 0 ? row * gridX + (col - 1) : -1,
-        right: col < gridX - 1 ? row * gridX + (col + 1) : -1,
-        bottom: row > 0 ? (row - 1) * gridX + col : -1,
-        top: row < gridY - 1 ? (row + 1) * gridX + col : -1
-      };
+/**
+ * 提取整个拼图的分割线（未经 clearance 偏移的内部边界），用于预览和导出切割路径
+ * 与拼图块轮廓取自同一布局，因此任何分割方式下都与实际生成的拼图块完全一致；
+ * 两侧拼图块共享的边界只输出一次，连续的内部线段合并为一条折线。
+ * @param {Object} params - puzzleParams
+ * @returns {THREE.Vector2[][]} 折线数组
+ */
+export const getSplitLines = (params) => {
+  const pointKey = p => `${p.x},${p.y}`;
+  const visited = new Set();
+  const lines = [];
 
-      pieces.push({ geometry, centerX, centerY, col, row, index, neighbors });
-      index++;
-    }
-  }
+  createPuzzleLayout(params).forEach(({ outline, interior }) => {
+    let current = null;
+    outline.forEach((point, i) => {
+      const next = outline[(i + 1) % outline.length];
+      const key = `${pointKey(point)}|${pointKey(next)}`;
+      if (!interior[i] || visited.has(key)) {
+        current = null;
+        return;
+      }
+      // 相邻拼图块沿相反方向经过同一线段
+      visited.add(`${pointKey(next)}|${pointKey(point)}`);
+      if (!current) {
+        current = [point];
+        lines.push(current);
+      }
+      current.push(next);
+    });
+  });
 
-  return pieces;
+  return lines;
 };
 
 /* ------------------------------------------------------------------ */
@@ -238,7 +1560,7 @@ export const generateAllPieces = (params) => {
  * @param {Object} piece2 - 拼图块2的变换信息 {x, y, rotation, index}
  * @param {Array} piecesInfo - 所有拼图块的基础信息
  * @param {number} threshold - 吸附距离阈值
- * @returns {Object|null} - 返回吸附信息 {canSnap, targetX, targetY, edge} 或 null
+ * @returns {Object|null} - 返回吸附信息 {canSnap, distance, targetX, targetY} 或 null（非邻接块）
  */
 export const checkSnapPossibility = (piece1, piece2, piecesInfo, threshold) => {
   const info1 = piecesInfo[piece1.index];
@@ -246,16 +1568,8 @@ export const checkSnapPossibility = (piece1, piece2, piecesInfo, threshold) => {
 
   if (!info1 || !info2) return null;
 
-  // 检查是否是邻接块
-  const neighbors = info1.neighbors;
-  let edge = null;
-
-  if (neighbors.left === piece2.index) edge = 'left';
-  else if (neighbors.right === piece2.index) edge = 'right';
-  else if (neighbors.bottom === piece2.index) edge = 'bottom';
-  else if (neighbors.top === piece2.index) edge = 'top';
-
-  if (!edge) return null;
+  // 检查是否是邻接块（邻接表适用于任意边数的拼图块）
+  if (!info1.neighbors.includes(piece2.index)) return null;
 
   // 计算两个拼图块之间的原始相对位置
   const originalDx = info1.centerX - info2.centerX;
@@ -266,7 +1580,7 @@ export const checkSnapPossibility = (piece1, piece2, piecesInfo, threshold) => {
   const rotationMatch = rotationDiff < 0.1 || Math.abs(rotationDiff - 2 * Math.PI) < 0.1;
 
   if (!rotationMatch) {
-    return { canSnap: false, distance: Infinity, edge };
+    return { canSnap: false, distance: Infinity };
   }
 
   // 计算当前实际相对位置
@@ -289,7 +1603,6 @@ export const checkSnapPossibility = (piece1, piece2, piecesInfo, threshold) => {
     return {
       canSnap: true,
       distance,
-      edge,
       // 吸附后piece1应该移动到的位置
       targetX: piece2.x + rotatedDx,
       targetY: piece2.y + rotatedDy,
@@ -297,7 +1610,7 @@ export const checkSnapPossibility = (piece1, piece2, piecesInfo, threshold) => {
     };
   }
 
-  return { canSnap: false, distance, edge };
+  return { canSnap: false, distance };
 };
 
 /**
@@ -315,20 +1628,23 @@ export const findSnapTargets = (pieceIndex, transforms, piecesInfo, threshold) =
   if (!piece || !pieceInfo) return [];
 
   const snapTargets = [];
-  const neighbors = pieceInfo.neighbors;
+  // 变换状态中不含索引，这里补上供 checkSnapPossibility 查找基础信息
+  const current = { ...piece, index: pieceIndex };
 
   // 检查所有邻接块
-  Object.entries(neighbors).forEach(([edge, neighborIndex]) => {
-    if (neighborIndex === -1) return;
-
+  pieceInfo.neighbors.forEach(neighborIndex => {
     const neighborTransform = transforms[neighborIndex];
     if (!neighborTransform) return;
 
-    const result = checkSnapPossibility(piece, neighborTransform, piecesInfo, threshold);
+    const result = checkSnapPossibility(
+      current,
+      { ...neighborTransform, index: neighborIndex },
+      piecesInfo,
+      threshold
+    );
     if (result && result.distance < Infinity) {
       snapTargets.push({
         neighborIndex,
-        edge,
         ...result
       });
     }
@@ -355,6 +1671,7 @@ export const calculateEdgeHighlightIntensity = (distance, threshold) => {
 
 /**
  * 获取两个邻接拼图块之间边缘的世界坐标
+ * 共享边界取自布局中的 seams，适用于任意形状的拼图块。
  * @param {Object} piece1Info - 拼图块1的基础信息
  * @param {Object} piece2Info - 拼图块2的基础信息
  * @param {Object} transform1 - 拼图块1的变换
@@ -362,49 +1679,20 @@ export const calculateEdgeHighlightIntensity = (distance, threshold) => {
  * @returns {Array} - 边缘线的顶点坐标数组
  */
 export const getEdgeWorldCoordinates = (piece1Info, piece2Info, transform1, params) => {
-  const { width, height, gridX, gridY, depth } = params;
-  const pieceW = width / gridX;
-  const pieceH = height / gridY;
+  const seam = piece1Info.seams[piece2Info.index] || [];
 
-  const dx = piece1Info.col - piece2Info.col;
-  const dy = piece1Info.row - piece2Info.row;
-
-  let edgePoints = [];
-
-  if (dx === 1) {
-    // piece2 在 piece1 的左边，共享左边缘
-    edgePoints = [
-      { x: -pieceW / 2, y: -pieceH / 2 },
-      { x: -pieceW / 2, y: pieceH / 2 }
-    ];
-  } else if (dx === -1) {
-    // piece2 在 piece1 的右边，共享右边缘
-    edgePoints = [
-      { x: pieceW / 2, y: -pieceH / 2 },
-      { x: pieceW / 2, y: pieceH / 2 }
-    ];
-  } else if (dy === 1) {
-    // piece2 在 piece1 的下边，共享底边缘
-    edgePoints = [
-      { x: -pieceW / 2, y: -pieceH / 2 },
-      { x: pieceW / 2, y: -pieceH / 2 }
-    ];
-  } else if (dy === -1) {
-    // piece2 在 piece1 的上边，共享顶边缘
-    edgePoints = [
-      { x: -pieceW / 2, y: pieceH / 2 },
-      { x: pieceW / 2, y: pieceH / 2 }
-    ];
-  }
-
-  // 应用变换
+  // 应用变换（共享边界为全局坐标，先换算到拼图块局部坐标）
   const angle = transform1.rotation || 0;
   const cos = Math.cos(angle);
   const sin = Math.sin(angle);
 
-  return edgePoints.map(p => ({
-    x: transform1.x + p.x * cos - p.y * sin,
-    y: transform1.y + p.x * sin + p.y * cos,
-    z: depth + 0.5 // 略高于顶面
-  }));
+  return seam.map(p => {
+    const lx = p.x - piece1Info.centerX;
+    const ly = p.y - piece1Info.centerY;
+    return {
+      x: transform1.x + lx * cos - ly * sin,
+      y: transform1.y + lx * sin + ly * cos,
+      z: params.depth + 0.5 // 略高于顶面
+    };
+  });
 };
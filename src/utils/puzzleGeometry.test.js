@@ -0,0 +1,547 @@
+import * as THREE from 'three';
+import {
+  createBaseLayout,
+  createPuzzleLayout,
+  generateAllPieces,
+  getSplitControls,
+  displaceSeam,
+  applySplitEdits,
+  getSeamKey,
+  generateGridEdge,
+  findSnapTargets,
+  checkSnapPossibility,
+  getEdgeWorldCoordinates,
+  createPieceOutlines,
+  getClearanceWarning,
+  createBoardGeometry,
+  SPLIT_CONTROL_COUNT
+} from './puzzleGeometry';
+import { polygonArea, polygonCentroid, pointInPolygon, segmentIntersection } from './polygon';
+import { createBoardOutline } from './boardOutline';
+import { extractMeshData, validateMeshData } from './meshData';
+import { createTestParams } from '../testUtils';
+
+// 轮廓是否为简单多边形（不相邻的线段互不相交）
+const isSimple = (outline) => {
+  const n = outline.length;
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 2; j < n; j++) {
+      if (i === 0 && j === n - 1) continue;
+      if (segmentIntersection(outline[i], outline[i + 1], outline[j], outline[(j + 1) % n])) return false;
+    }
+  }
+  return true;
+};
+
+const toArray = (points) => points.map(p => [p.x, p.y]);
+
+// 每块拼图的邻接关系是对称的
+const expectSymmetricNeighbors = (layout) => {
+  layout.forEach(piece => {
+    expect(piece.neighbors.length).toBeGreaterThan(0);
+    piece.neighbors.forEach(neighbor => expect(layout[neighbor].neighbors).toContain(piece.index));
+  });
+};
+
+// 所有拼图块面积之和等于板面面积，且都落在板面矩形内
+const expectCoversBoard = (layout, { width, height }) => {
+  const total = layout.reduce((sum, piece) => sum + polygonArea(piece.outline), 0);
+  expect(total).toBeCloseTo(width * height, 6);
+  layout.forEach(piece => piece.outline.forEach(p => {
+    expect(Math.abs(p.x)).toBeLessThanOrEqual(width / 2 + 1e-9);
+    expect(Math.abs(p.y)).toBeLessThanOrEqual(height / 2 + 1e-9);
+  }));
+};
+
+// 每块拼图拉伸后的网格都封闭且朝外
+const expectValidPieces = (params) => {
+  generateAllPieces(params).forEach(({ index, geometry }) => {
+    expect({ index, problems: validateMeshData(extractMeshData(geometry)) }).toEqual({ index, problems: [] });
+  });
+};
+
+describe('分割线手动编辑', () => {
+  // 默认 100 × 100 板面、2 × 2 直线分割：拼图块 0、1 之间为 x = 0、y ∈ [-50, 0] 的竖直边界
+  const params = createTestParams();
+
+  test('getSplitControls 列出每条共享边界及其控制点', () => {
+    const controls = getSplitControls(params);
+    expect(controls.map(control => control.key).sort()).toEqual(['0-1', '0-2', '1-3', '2-3']);
+
+    const control = controls.find(c => c.key === '0-1');
+    expect(control.anchors).toHaveLength(SPLIT_CONTROL_COUNT);
+    expect(control.anchors.map(p => [p.x, p.y])).toEqual([[0, -37.5], [0, -25], [0, -12.5]]);
+    expect(Math.abs(control.normal.x)).toBeCloseTo(1);
+    expect(control.normal.y).toBeCloseTo(0);
+    expect(control.offsets).toEqual([[0, 0], [0, 0], [0, 0]]);
+    // 最靠近板面下边的控制点离下边 12.5mm，偏移量上限须小于这一距离
+    expect(control.maxOffset).toBeGreaterThan(0);
+    expect(control.maxOffset).toBeLessThan(12.5);
+  });
+
+  test('displaceSeam 保留两端，只沿法向移动控制点', () => {
+    const seam = [new THREE.Vector2(0, -50), new THREE.Vector2(0, 0)];
+    const moved = displaceSeam(seam, [[0, 0], [5, 0], [0, 0]]);
+    expect(moved[0]).toEqual(seam[0]);
+    expect(moved[moved.length - 1].distanceTo(seam[1])).toBeCloseTo(0);
+    const middle = moved.find(p => Math.abs(p.y + 25) < 1e-9);
+    expect(middle.x).toBeCloseTo(5);
+  });
+
+  test('displaceSeam 忽略沿边界方向的偏移，边界不会折回', () => {
+    const seam = [new THREE.Vector2(0, -50), new THREE.Vector2(0, 0)];
+    // 沿边界拖动第一个控制点：原来会使边界在 y 方向上来回折叠
+    const along = displaceSeam(seam, [[0, 10], [0, 0], [0, 0]]);
+    along.forEach(p => expect(p.x).toBeCloseTo(0));
+    const diagonal = displaceSeam(seam, [[8, 10], [-8, -10], [8, 10]]);
+    diagonal.slice(1).forEach((p, i) => expect(p.y).toBeGreaterThan(diagonal[i].y));
+  });
+
+  test('applySplitEdits 只改变共享边界两侧的拼图块，两侧的边界完全相同', () => {
+    const layout = createBaseLayout(params);
+    const { layout: edited, edits } = applySplitEdits(layout, { '0-1': [[3, 0], [-4, 0], [2, 7]] });
+    // 只保留沿法向（x 方向）的分量
+    expect(edits['0-1'].flat().map(value => value + 0)).toEqual([3, 0, -4, 0, 2, 0]);
+    expect(edited[2]).toBe(layout[2]);
+    expect(edited[3]).toBe(layout[3]);
+
+    const seam0 = edited[0].seams[1].map(p => [p.x, p.y]);
+    const seam1 = edited[1].seams[0].map(p => [p.x, p.y]);
+    expect(seam0.length).toBeGreaterThan(2);
+    expect(seam1[0][0] === seam0[0][0] && seam1[0][1] === seam0[0][1] ? seam1 : seam1.reverse()).toEqual(seam0);
+    [0, 1].forEach(index => expect(polygonArea(edited[index].outline)).toBeGreaterThan(0));
+  });
+
+  test('越过其它分割线的编辑被缩小到有效范围', () => {
+    // 中间控制点向右推 60mm，会越过拼图块 1 的右边界
+    const { layout, edits } = applySplitEdits(createBaseLayout(params), { '0-1': [[0, 0], [60, 0], [0, 0]] });
+    expect(edits['0-1'] === undefined || edits['0-1'][1][0] < 50).toBe(true);
+    [0, 1].forEach(index => {
+      expect(isSimple(layout[index].outline)).toBe(true);
+      expect(polygonArea(layout[index].outline)).toBeGreaterThan(0);
+    });
+  });
+
+  test('无法对应到共享边界的编辑被忽略', () => {
+    const layout = createBaseLayout(params);
+    expect(applySplitEdits(layout, { '0-3': [[5, 5], [5, 5], [5, 5]], '7-8': [[1, 1]] })).toEqual({ layout, edits: {} });
+  });
+
+  test('createPuzzleLayout 与 getSplitControls 使用同一组实际偏移量', () => {
+    const edited = { ...params, splitEdits: { [getSeamKey(1, 0)]: [[4, 0], [4, 0], [4, 0]] } };
+    const control = getSplitControls(edited).find(c => c.key === '0-1');
+    const seam = createPuzzleLayout(edited)[0].seams[1];
+    expect(seam.map(p => [p.x, p.y])).toEqual(displaceSeam(control.seam, control.offsets).map(p => [p.x, p.y]));
+  });
+
+  // 所有控制点拖到上限（交替方向 / 同一方向），每块拼图仍为有效的封闭网格
+  const LIMIT_CASES = [
+    { name: '直线网格', params: {} },
+    { name: '凸榫网格', params: { gridX: 3, gridY: 3, splitMode: 'jigsaw' } },
+    { name: '波浪 + 间隙', params: { gridX: 3, gridY: 2, splitMode: 'wave', clearance: 0.4 } },
+    { name: '不规则布局', params: { layoutMode: 'voronoi', pieceCount: 12 } },
+    { name: '六边形布局', params: { layoutMode: 'hex', gridX: 3, gridY: 3 } },
+    { name: '三角形布局', params: { layoutMode: 'triangle', gridX: 4, gridY: 3 } },
+    { name: '心形板面', params: { boardShape: 'heart', gridX: 3, gridY: 3, splitMode: 'jigsaw' } }
+  ];
+
+  // 各控制点沿法向 / 沿边界方向移动的倍数（以 maxOffset 为单位）
+  const DRAGS = [
+    [[1, 0], [-1, 0], [1, 0]],
+    [[1, 0], [1, 0], [1, 0]],
+    [[1, 1], [-1, 1], [1, -1]]
+  ];
+
+  test.each(LIMIT_CASES)('$name: 控制点拖到偏移量上限后拼图块仍有效', ({ params: overrides }) => {
+    const base = createTestParams(overrides);
+    const controls = getSplitControls(base);
+    DRAGS.forEach(drag => {
+      const splitEdits = {};
+      controls.forEach(({ key, normal, maxOffset }) => {
+        splitEdits[key] = drag.map(([across, along]) => [
+          (normal.x * across + normal.y * along) * maxOffset,
+          (normal.y * across - normal.x * along) * maxOffset
+        ]);
+      });
+      const edited = { ...base, splitEdits };
+      createPuzzleLayout(edited).forEach(({ outline }) => expect(isSimple(outline)).toBe(true));
+      expectValidPieces(edited);
+    });
+  });
+});
+
+describe('按随机种子生成每条边界', () => {
+  const params = createTestParams({ gridX: 3, gridY: 3 });
+
+  // 边界各点相对于起点的坐标：只比较形状而不比较位置
+  const verticalProfile = (points) => points.map(p => [p.x - points[0].x, p.y - points[0].y]);
+
+  test.each(['wave', 'zigzag', 'jigsaw'])('%s: 相同种子生成相同的边界，不同种子不同', (splitMode) => {
+    const edge = (seed) => toArray(generateGridEdge({ ...params, splitMode, seed }, 'vertical', 1, 1));
+    expect(edge(1)).toEqual(edge(1));
+    expect(edge(2)).not.toEqual(edge(1));
+    expect(createPuzzleLayout({ ...params, splitMode, seed: 5 }).map(piece => toArray(piece.outline)))
+      .toEqual(createPuzzleLayout({ ...params, splitMode, seed: 5 }).map(piece => toArray(piece.outline)));
+  });
+
+  test.each(['wave', 'zigzag', 'jigsaw'])('%s: 同一拼图中每条内部边界的形状互不相同', (splitMode) => {
+    const edited = { ...params, splitMode };
+    const profiles = [];
+    for (let line = 1; line < params.gridX; line++) {
+      for (let cell = 0; cell < params.gridY; cell++) {
+        profiles.push(JSON.stringify(verticalProfile(generateGridEdge(edited, 'vertical', line, cell))));
+      }
+    }
+    expect(new Set(profiles).size).toBe(profiles.length);
+  });
+
+  test('直线分割不受种子影响', () => {
+    const layout = (seed) => createPuzzleLayout({ ...params, seed }).map(piece => toArray(piece.outline));
+    expect(layout(2)).toEqual(layout(1));
+  });
+
+  // 两侧拼图块记录的共享边界点列相同（方向可能相反），且都出现在各自的轮廓中
+  test.each([
+    ['波浪网格', { splitMode: 'wave' }],
+    ['凸榫网格', { splitMode: 'jigsaw' }],
+    ['凸榫不规则布局', { splitMode: 'jigsaw', layoutMode: 'voronoi', pieceCount: 10 }]
+  ])('%s: 共享边界两侧完全一致', (name, overrides) => {
+    const layout = createPuzzleLayout({ ...params, ...overrides });
+    const pointKey = p => `${p.x},${p.y}`;
+    layout.forEach(piece => {
+      const outlineKeys = new Set(piece.outline.map(pointKey));
+      piece.neighbors.forEach(neighbor => {
+        const seam = toArray(piece.seams[neighbor]);
+        const other = toArray(layout[neighbor].seams[piece.index]);
+        expect([other, other.slice().reverse()]).toContainEqual(seam);
+        piece.seams[neighbor].forEach(p => expect(outlineKeys.has(pointKey(p))).toBe(true));
+      });
+    });
+  });
+});
+
+describe('不规则（Voronoi）布局', () => {
+  const params = createTestParams({ layoutMode: 'voronoi', pieceCount: 12, relaxIterations: 2 });
+
+  test('生成 pieceCount 块拼图，铺满板面且邻接关系对称', () => {
+    const layout = createPuzzleLayout(params);
+    expect(layout).toHaveLength(12);
+    expect(layout.map(piece => piece.index)).toEqual(layout.map((_, i) => i));
+    expectCoversBoard(layout, params);
+    expectSymmetricNeighbors(layout);
+    layout.forEach(piece => expect(polygonArea(piece.outline)).toBeGreaterThan(0));
+  });
+
+  test('相同种子生成相同的单元，不同种子不同', () => {
+    const outlines = (seed) => createPuzzleLayout({ ...params, seed }).map(piece => toArray(piece.outline));
+    expect(outlines(3)).toEqual(outlines(3));
+    expect(outlines(4)).not.toEqual(outlines(3));
+  });
+
+  test('松弛使单元大小更均匀', () => {
+    const spread = (relaxIterations) => {
+      const areas = createPuzzleLayout({ ...params, relaxIterations }).map(piece => polygonArea(piece.outline));
+      return Math.max(...areas) / Math.min(...areas);
+    };
+    expect(spread(5)).toBeLessThan(spread(0));
+  });
+
+  test('顶面 UV 映射到板面上对应的位置', () => {
+    const { width, height } = params;
+    generateAllPieces(params).forEach(({ geometry, centerX, centerY }) => {
+      const position = geometry.getAttribute('position');
+      const uv = geometry.getAttribute('uv');
+      const normal = geometry.getAttribute('normal');
+      for (let i = 0; i < position.count; i++) {
+        if (normal.getZ(i) < 0.9) continue;
+        expect(uv.getX(i)).toBeCloseTo((position.getX(i) + centerX + width / 2) / width, 5);
+        expect(uv.getY(i)).toBeCloseTo((position.getY(i) + centerY + height / 2) / height, 5);
+      }
+    });
+    expectValidPieces(params);
+  });
+
+  test('任意边数的单元都能找到所有邻块作为吸附目标', () => {
+    const layout = createPuzzleLayout(params);
+    expect(new Set(layout.map(piece => piece.neighbors.length)).size).toBeGreaterThan(1);
+
+    // 所有拼图块都在原位：每个邻块的距离都为 0
+    const transforms = layout.map(piece => ({ x: piece.centerX, y: piece.centerY, rotation: 0 }));
+    layout.forEach(piece => {
+      const targets = findSnapTargets(piece.index, transforms, layout, 1);
+      expect(targets.map(target => target.neighborIndex).sort((a, b) => a - b))
+        .toEqual(piece.neighbors.slice().sort((a, b) => a - b));
+      targets.forEach(target => expect(target.canSnap).toBe(true));
+    });
+
+    // 非邻块不参与吸附
+    const piece = layout[0];
+    const other = layout.find(p => p.index !== piece.index && !piece.neighbors.includes(p.index));
+    expect(checkSnapPossibility(
+      { ...transforms[piece.index], index: piece.index },
+      { ...transforms[other.index], index: other.index },
+      layout,
+      1
+    )).toBeNull();
+  });
+
+  test('拼图块偏离原位时吸附到邻块旁的正确位置', () => {
+    const layout = createPuzzleLayout(params);
+    const [piece] = layout;
+    const neighbor = layout[piece.neighbors[0]];
+    const transforms = layout.map(p => ({ x: p.centerX + 30, y: p.centerY - 20, rotation: 0 }));
+    transforms[piece.index] = { x: piece.centerX + 31, y: piece.centerY - 20, rotation: 0 };
+
+    const target = findSnapTargets(piece.index, transforms, layout, 2)
+      .find(t => t.neighborIndex === neighbor.index);
+    expect(target.canSnap).toBe(true);
+    expect(target.distance).toBeCloseTo(1);
+    expect(target.targetX).toBeCloseTo(piece.centerX + 30);
+    expect(target.targetY).toBeCloseTo(piece.centerY - 20);
+  });
+});
+
+describe('六边形 / 三角形布局', () => {
+  const CASES = [
+    ['六边形直线', { layoutMode: 'hex', gridX: 4, gridY: 4 }],
+    ['六边形凸榫', { layoutMode: 'hex', gridX: 3, gridY: 3, splitMode: 'jigsaw' }],
+    ['三角形直线', { layoutMode: 'triangle', gridX: 4, gridY: 3 }],
+    ['三角形波浪', { layoutMode: 'triangle', gridX: 4, gridY: 3, splitMode: 'wave' }]
+  ];
+
+  test.each(CASES)('%s: 边界单元裁剪到板面内，邻接关系对称，网格有效', (name, overrides) => {
+    const params = createTestParams(overrides);
+    const layout = createPuzzleLayout(params);
+    expectCoversBoard(layout, params);
+    expectSymmetricNeighbors(layout);
+    expectValidPieces(params);
+  });
+
+  test('六边形布局：每行交替 gridX、gridX + 1 个单元，内部单元有 6 个邻块', () => {
+    const layout = createPuzzleLayout(createTestParams({ layoutMode: 'hex', gridX: 4, gridY: 4 }));
+    const rows = [0, 1, 2, 3, 4].map(row => layout.filter(piece => piece.row === row).length);
+    expect(rows).toEqual([4, 5, 4, 5, 4]);
+    // 中间一行的中间单元四周都是完整的六边形
+    const inner = layout.find(piece => piece.row === 2 && piece.col === 1);
+    expect(inner.neighbors).toHaveLength(6);
+  });
+
+  test('三角形布局：每行 2 × gridX + 1 个单元，内部单元有 3 个邻块', () => {
+    const layout = createPuzzleLayout(createTestParams({ layoutMode: 'triangle', gridX: 4, gridY: 3 }));
+    [0, 1, 2].forEach(row => {
+      const cols = layout.filter(piece => piece.row === row).map(piece => piece.col).sort((a, b) => a - b);
+      expect(cols).toEqual(Array.from({ length: 9 }, (_, i) => i));
+    });
+    const inner = layout.find(piece => piece.row === 1 && piece.col === 4);
+    expect(inner.outline).toHaveLength(3);
+    expect(inner.neighbors).toHaveLength(3);
+  });
+
+  test('高亮的共享边界随拼图块一起平移和旋转', () => {
+    const params = createTestParams({ layoutMode: 'hex', gridX: 3, gridY: 3 });
+    const layout = createPuzzleLayout(params);
+    const piece = layout.find(p => p.neighbors.length >= 4);
+    piece.neighbors.forEach(index => {
+      const seam = piece.seams[index];
+      const points = getEdgeWorldCoordinates(piece, layout[index], { x: 10, y: 5, rotation: Math.PI / 2 }, params);
+      expect(points).toHaveLength(seam.length);
+      points.forEach((p, i) => {
+        expect(p.x).toBeCloseTo(10 - (seam[i].y - piece.centerY));
+        expect(p.y).toBeCloseTo(5 + (seam[i].x - piece.centerX));
+        expect(p.z).toBeGreaterThan(params.depth);
+      });
+    });
+  });
+});
+
+describe('打印配合间隙', () => {
+  const sortPoints = (points) => toArray(points).sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+
+  test('只内缩内部边界，外边界保持平齐', () => {
+    // 左下角的拼图块 [-50, 0] × [-50, 0]：右边和上边为内部边界，各让出一半间隙
+    const [piece] = createPieceOutlines(createTestParams({ clearance: 0.4 }));
+    expect(sortPoints(piece.outline).map(p => p.map(v => Math.round(v * 1e9) / 1e9)))
+      .toEqual([[-50, -50], [-50, -0.2], [-0.2, -50], [-0.2, -0.2]]);
+  });
+
+  test('没有间隙时轮廓与布局相同', () => {
+    const params = createTestParams({ clearance: 0, splitMode: 'jigsaw' });
+    expect(createPieceOutlines(params).map(piece => toArray(piece.outline)))
+      .toEqual(createPuzzleLayout(params).map(piece => toArray(piece.outline)));
+  });
+
+  test.each([
+    ['凸榫网格', { gridX: 3, gridY: 3, splitMode: 'jigsaw' }],
+    ['不规则布局', { layoutMode: 'voronoi', pieceCount: 10, splitMode: 'wave' }]
+  ])('%s: 外轮廓上的点不动，相邻两块之间留出间隙', (name, overrides) => {
+    const params = createTestParams({ ...overrides, clearance: 0.4 });
+    const { width, height } = params;
+    const layout = createPuzzleLayout(params);
+    const outlines = createPieceOutlines(params);
+
+    // 板面边界上的点（不含内部边界的端点）偏移后仍在原位
+    const onBorder = (p) => Math.abs(Math.abs(p.x) - width / 2) < 1e-9 || Math.abs(Math.abs(p.y) - height / 2) < 1e-9;
+    layout.forEach((piece, index) => {
+      const inset = outlines[index].outline;
+      const keys = new Set(inset.map(p => `${p.x},${p.y}`));
+      piece.outline.forEach((p, i) => {
+        const n = piece.outline.length;
+        if (onBorder(p) && !piece.interior[i] && !piece.interior[(i - 1 + n) % n]) {
+          expect(keys.has(`${p.x},${p.y}`)).toBe(true);
+        }
+      });
+    });
+
+    // 面积减少量约为内部边界总长 × 间隙
+    const seamLength = layout.reduce((sum, piece) => sum + piece.neighbors.reduce((acc, neighbor) =>
+      acc + piece.seams[neighbor].reduce((len, p, i, seam) => (i > 0 ? len + p.distanceTo(seam[i - 1]) : 0), 0), 0), 0) / 2;
+    const lost = layout.reduce((sum, piece, index) =>
+      sum + polygonArea(piece.outline) - polygonArea(outlines[index].outline), 0);
+    expect(lost / (seamLength * params.clearance)).toBeGreaterThan(0.9);
+    expect(lost / (seamLength * params.clearance)).toBeLessThan(1.1);
+
+    expectValidPieces(params);
+  });
+
+  test('生成的拼图块网格使用内缩后的轮廓', () => {
+    const params = createTestParams({ clearance: 0.4 });
+    const [piece] = generateAllPieces(params);
+    piece.geometry.computeBoundingBox();
+    const { min, max } = piece.geometry.boundingBox;
+    expect(min.x + piece.centerX).toBeCloseTo(-50, 5);
+    expect(max.x + piece.centerX).toBeCloseTo(-0.2, 5);
+    expect(max.y + piece.centerY).toBeCloseTo(-0.2, 5);
+  });
+
+  test('间隙会使凸榫颈部过窄时给出警告', () => {
+    expect(getClearanceWarning(createTestParams({ clearance: 0, gridX: 10, gridY: 10, splitMode: 'jigsaw' }))).toBeNull();
+    expect(getClearanceWarning(createTestParams({ clearance: 0.2, splitMode: 'jigsaw' }))).toBeNull();
+    // 直线分割没有细颈
+    expect(getClearanceWarning(createTestParams({ clearance: 0.5, gridX: 10, gridY: 10 }))).toBeNull();
+    expect(getClearanceWarning(createTestParams({ clearance: 0.5, gridX: 10, gridY: 10, splitMode: 'jigsaw' })))
+      .toMatch(/^间隙 0\.5mm 会使 \d+ 块拼图的细窄部位/);
+  });
+});
+
+describe('异形板面', () => {
+  test.each([
+    ['圆形网格', { boardShape: 'circle', gridX: 10, gridY: 10 }],
+    ['心形凸榫', { boardShape: 'heart', gridX: 4, gridY: 4, splitMode: 'jigsaw' }],
+    ['圆角矩形不规则', { boardShape: 'roundedRect', cornerRadius: 20, layoutMode: 'voronoi', pieceCount: 10 }],
+    ['SVG 轮廓六边形', { boardShape: 'svg', boardOutline: [[0, 0], [1, 0], [0.5, 1]], layoutMode: 'hex', gridX: 3, gridY: 3 }]
+  ])('%s: 拼图块裁剪到轮廓内并恰好铺满轮廓', (name, overrides) => {
+    const params = createTestParams(overrides);
+    const board = createBoardOutline(params);
+    const layout = createPuzzleLayout(params);
+
+    const total = layout.reduce((sum, piece) => sum + polygonArea(piece.outline), 0);
+    expect(total).toBeCloseTo(polygonArea(board), 3);
+    layout.forEach(piece => {
+      expect(polygonArea(piece.outline)).toBeGreaterThan(0);
+      expect(pointInPolygon(polygonCentroid(piece.outline), board)).toBe(true);
+    });
+    expectSymmetricNeighbors(layout);
+    expectValidPieces(params);
+  });
+
+  test('完全落在轮廓外的拼图块被丢弃', () => {
+    // 10 × 10 网格的四个角格 [40, 50]² 离圆心超过半径，完全在圆外
+    const layout = createPuzzleLayout(createTestParams({ boardShape: 'circle', gridX: 10, gridY: 10 }));
+    expect(layout.length).toBeLessThan(100);
+    expect(layout.some(piece => piece.col === 0 && piece.row === 0)).toBe(false);
+    layout.forEach(piece => piece.outline.forEach(p => expect(p.length()).toBeLessThanOrEqual(50 + 1e-6)));
+    expect(layout.map(piece => piece.index)).toEqual(layout.map((_, i) => i));
+  });
+
+  test('顶面 UV 按轮廓的包围盒映射整张图片', () => {
+    const params = createTestParams({ boardShape: 'circle', width: 120, height: 80, gridX: 3, gridY: 3 });
+    const us = [];
+    const vs = [];
+    generateAllPieces(params).forEach(({ geometry, centerX, centerY }) => {
+      const position = geometry.getAttribute('position');
+      const uv = geometry.getAttribute('uv');
+      const normal = geometry.getAttribute('normal');
+      for (let i = 0; i < position.count; i++) {
+        if (normal.getZ(i) < 0.9) continue;
+        expect(uv.getX(i)).toBeCloseTo((position.getX(i) + centerX + 60) / 120, 5);
+        expect(uv.getY(i)).toBeCloseTo((position.getY(i) + centerY + 40) / 80, 5);
+        us.push(uv.getX(i));
+        vs.push(uv.getY(i));
+      }
+    });
+    // 椭圆与包围盒的四边相切
+    expect(Math.min(...us)).toBeCloseTo(0, 5);
+    expect(Math.max(...us)).toBeCloseTo(1, 5);
+    expect(Math.min(...vs)).toBeCloseTo(0, 5);
+    expect(Math.max(...vs)).toBeCloseTo(1, 5);
+  });
+
+  test('未切割的板面几何体使用相同的外轮廓', () => {
+    const params = createTestParams({ boardShape: 'heart' });
+    const geometry = createBoardGeometry(params);
+    geometry.computeBoundingBox();
+    const { min, max } = geometry.boundingBox;
+    expect([min.x, min.y, min.z, max.x, max.y, max.z].map(v => Math.round(v * 1e4) / 1e4))
+      .toEqual([-50, -50, 0, 50, 50, params.depth]);
+    expect(validateMeshData(extractMeshData(geometry))).toEqual([]);
+  });
+});
+
+describe('自定义切割图案', () => {
+  // 归一化坐标的十字切割线：把板面分成四个象限
+  const CROSS = [[[0.5, 0], [0.5, 1]], [[0, 0.5], [1, 0.5]]];
+
+  test('切割线把板面分成封闭区域，邻接关系来自共享边界', () => {
+    const params = createTestParams({ splitMode: 'custom', cutPattern: CROSS });
+    const layout = createPuzzleLayout(params);
+    expect(layout).toHaveLength(4);
+    expectCoversBoard(layout, params);
+    expectSymmetricNeighbors(layout);
+    // 每个象限与相邻的两个象限共享边界，与对角的象限不相邻
+    layout.forEach(piece => {
+      expect(piece.neighbors).toHaveLength(2);
+      expect(polygonArea(piece.outline)).toBeCloseTo(2500);
+    });
+    expectValidPieces(params);
+  });
+
+  test('悬空的线段不围成区域，略短的线段延伸到相交处', () => {
+    const params = createTestParams({
+      splitMode: 'custom',
+      cutPattern: [
+        [[0.5, 0], [0.5, 0.9995]],
+        [[0.2, 0.2], [0.3, 0.3]]
+      ]
+    });
+    const layout = createPuzzleLayout(params);
+    expect(layout).toHaveLength(2);
+    expect(layout.map(piece => polygonArea(piece.outline))).toEqual([expect.closeTo(5000, 3), expect.closeTo(5000, 3)]);
+  });
+
+  test('闭合的切割线围出内部区域，与外侧区域相邻', () => {
+    const ring = Array.from({ length: 33 }, (_, i) => {
+      const angle = (i % 32) / 32 * Math.PI * 2;
+      return [0.5 + 0.25 * Math.cos(angle), 0.5 + 0.25 * Math.sin(angle)];
+    });
+    const params = createTestParams({ splitMode: 'custom', cutPattern: [ring, [[0, 0.5], [1, 0.5]]] });
+    const layout = createPuzzleLayout(params);
+    expectCoversBoard(layout, params);
+    expectSymmetricNeighbors(layout);
+    expect(layout).toHaveLength(4);
+    expectValidPieces(params);
+  });
+
+  test('切割线沿用异形板面的轮廓', () => {
+    const params = createTestParams({ splitMode: 'custom', boardShape: 'circle', cutPattern: CROSS });
+    const layout = createPuzzleLayout(params);
+    const total = layout.reduce((sum, piece) => sum + polygonArea(piece.outline), 0);
+    expect(layout).toHaveLength(4);
+    expect(total).toBeCloseTo(polygonArea(createBoardOutline(params)), 3);
+  });
+
+  test('尚未导入切割图案时按直线网格分割', () => {
+    const custom = createPuzzleLayout(createTestParams({ splitMode: 'custom', cutPattern: null }));
+    const straight = createPuzzleLayout(createTestParams());
+    expect(custom.map(piece => toArray(piece.outline))).toEqual(straight.map(piece => toArray(piece.outline)));
+  });
+});
@@ -0,0 +1,131 @@
+/**
+ * SVG 导入
+ * 从 SVG 文件中提取面积最大的闭合路径作为自定义板面外轮廓，或提取全部路径作为自定义切割线。
+ */
+import * as THREE from 'three';
+import { SVGLoader } from 'three/examples/jsm/loaders/SVGLoader';
+import { polygonArea } from './polygon';
+import { normalizePoints } from './boardOutline';
+
+// 每段曲线的采样点数
+const CURVE_DIVISIONS = 12;
+// 轮廓最多保留的点数，过多的点会拖慢分割和裁剪
+const MAX_OUTLINE_POINTS = 512;
+// 切割图案允许的总点数，切割线两两求交，点数过多时计算很慢
+const MAX_CUT_POINTS = 5000;
+
+/**
+ * 去除首尾重合及相邻重复的点
+ * @param {THREE.Vector2[]} points
+ * @returns {THREE.Vector2[]}
+ */
+const dedupePoints = (points) => {
+  const result = points.filter((p, i) => i === 0 || p.distanceToSquared(points[i - 1]) > 1e-12);
+  while (result.length > 1 && result[0].distanceToSquared(result[result.length - 1]) <= 1e-12) {
+    result.pop();
+  }
+  return result;
+};
+
+/**
+ * 解析 SVG 文本中的所有子路径
+ * @param {string} text - SVG 文件内容
+ * @returns {Array<{points: THREE.Vector2[], closed: boolean}>} points 已去除首尾重合的点
+ */
+const readSvgPaths = (text) => {
+  const { paths } = new SVGLoader().parse(text);
+  return paths.flatMap(path => path.subPaths.map(subPath => {
+    const raw = subPath.getPoints(CURVE_DIVISIONS);
+    const points = dedupePoints(raw);
+    const closed = subPath.autoClose || (raw.length > 2 && raw[0].distanceToSquared(raw[raw.length - 1]) <= 1e-12);
+    return { points, closed };
+  })).filter(({ points }) => points.length >= 2);
+};
+
+/**
+ * 读取 SVG 画布范围：优先取 viewBox，其次取 width/height
+ * @param {string} text - SVG 文件内容
+ * @returns {THREE.Box2|null} 画布未声明尺寸时返回 null
+ */
+const readSvgFrame = (text) => {
+  const svg = new DOMParser().parseFromString(text, 'image/svg+xml').documentElement;
+  const viewBox = (svg.getAttribute('viewBox') || '').trim().split(/[\s,]+/).map(parseFloat);
+  if (viewBox.length === 4 && viewBox.every(Number.isFinite) && viewBox[2] > 0 && viewBox[3] > 0) {
+    const [x, y, w, h] = viewBox;
+    return new THREE.Box2(new THREE.Vector2(x, y), new THREE.Vector2(x + w, y + h));
+  }
+
+  const width = parseFloat(svg.getAttribute('width'));
+  const height = parseFloat(svg.getAttribute('height'));
+  if (width > 0 && height > 0) {
+    return new THREE.Box2(new THREE.Vector2(0, 0), new THREE.Vector2(width, height));
+  }
+  return null;
+};
+
+/**
+ * 解析 SVG 文本，取面积最大的闭合子路径
+ * @param {string} text - SVG 文件内容
+ * @returns {{points: number[][], aspect: number}} 归一化到 [0,1] 的轮廓点（y 向上）及其高宽比
+ */
+export const parseSvgOutline = (text) => {
+  let best = null;
+  let bestArea = 0;
+  readSvgPaths(text).forEach(({ points }) => {
+    if (points.length < 3) return;
+    const area = Math.abs(polygonArea(points));
+    if (area > bestArea) {
+      best = points;
+      bestArea = area;
+    }
+  });
+
+  if (!best) {
+    throw new Error('SVG 中没有找到闭合路径');
+  }
+
+  const step = Math.ceil(best.length / MAX_OUTLINE_POINTS);
+  const sampled = best.filter((_, i) => i % step === 0);
+  const box = new THREE.Box2().setFromPoints(sampled);
+  const size = box.getSize(new THREE.Vector2());
+  if (size.x <= 0 || size.y <= 0) {
+    throw new Error('SVG 中没有找到闭合路径');
+  }
+
+  // SVG 的 y 轴向下，翻转为 y 向上
+  return {
+    points: normalizePoints(sampled.map(p => [p.x, -p.y])),
+    aspect: size.y / size.x
+  };
+};
+
+/**
+ * 解析 SVG 切割图案：所有路径（不论是否闭合）都作为切割线
+ * SVG 画布对应整个板面，未声明画布尺寸时取所有路径的包围盒。
+ * @param {string} text - SVG 文件内容
+ * @returns {{lines: number[][][], aspect: number}} 归一化到 [0,1] 的折线（y 向上）及画布高宽比
+ */
+export const parseSvgCutPattern = (text) => {
+  const paths = readSvgPaths(text);
+  if (paths.length === 0) {
+    throw new Error('SVG 中没有找到切割路径');
+  }
+
+  const pointCount = paths.reduce((sum, { points }) => sum + points.length, 0);
+  if (pointCount > MAX_CUT_POINTS) {
+    throw new Error(`切割图案过于复杂（超过 ${MAX_CUT_POINTS} 个点），请简化路径后重试`);
+  }
+
+  const frame = readSvgFrame(text) ||
+    new THREE.Box2().setFromPoints(paths.flatMap(({ points }) => points));
+  const size = frame.getSize(new THREE.Vector2());
+  if (size.x <= 0 || size.y <= 0) {
+    throw new Error('SVG 中没有找到切割路径');
+  }
+
+  // 闭合路径补上首点；SVG 的 y 轴向下，翻转为 y 向上
+  const lines = paths.map(({ points, closed }) => (closed ? [...points, points[0]] : points)
+    .map(p => [(p.x - frame.min.x) / size.x, 1 - (p.y - frame.min.y) / size.y]));
+
+  return { lines, aspect: size.y / size.x };
+};
@@ -0,0 +1,40 @@
+import { parseSvgCutPattern } from './svgImport';
+
+const svg = (body, attrs = 'viewBox="0 0 200 100"') => `<svg xmlns="http://www.w3.org/2000/svg" ${attrs}>${body}</svg>`;
+
+// 四舍五入到 6 位小数，避免浮点误差
+const round = (lines) => lines.map(line => line.map(p => p.map(v => Math.round(v * 1e6) / 1e6)));
+
+describe('导入 SVG 切割图案', () => {
+  test('按画布归一化切割线并翻转 y 轴', () => {
+    const { lines, aspect } = parseSvgCutPattern(svg('<path d="M 100 0 L 100 100"/><path d="M 0 25 L 200 25"/>'));
+    expect(aspect).toBeCloseTo(0.5);
+    expect(round(lines)).toEqual([
+      [[0.5, 1], [0.5, 0]],
+      [[0, 0.75], [1, 0.75]]
+    ]);
+  });
+
+  test('闭合路径首尾相接', () => {
+    const { lines } = parseSvgCutPattern(svg('<path d="M 50 25 L 150 25 L 150 75 Z"/>'));
+    expect(lines).toHaveLength(1);
+    const [line] = lines;
+    expect(line[0]).toEqual(line[line.length - 1]);
+    expect(line).toHaveLength(4);
+  });
+
+  test('没有声明画布尺寸时按所有路径的包围盒归一化', () => {
+    const { lines, aspect } = parseSvgCutPattern(svg('<path d="M 10 10 L 30 50"/>', ''));
+    expect(aspect).toBeCloseTo(2);
+    expect(round(lines)).toEqual([[[0, 1], [1, 0]]]);
+  });
+
+  test('没有路径时报错', () => {
+    expect(() => parseSvgCutPattern(svg(''))).toThrow('SVG 中没有找到切割路径');
+  });
+
+  test('点数过多时报错', () => {
+    const points = Array.from({ length: 5001 }, (_, i) => `${i % 200} ${Math.floor(i / 200)}`).join(' L ');
+    expect(() => parseSvgCutPattern(svg(`<path d="M ${points}"/>`))).toThrow('切割图案过于复杂');
+  });
+});
@@ -0,0 +1,93 @@
+/**
+ * 模型缩略图
+ * 用离屏 WebGL 渲染器为要导出的网格渲染一张斜视角缩略图（材质、光照与视图一致），
+ * 写入 3MF 的 Metadata/thumbnail.png，切片软件据此显示文件预览。
+ * 多色导出时顶面显示量化后的耗材颜色，与实际打印的颜色一致。
+ */
+import * as THREE from 'three';
+import { MATERIAL_INDEX } from './puzzleGeometry';
+import { drawColorMap } from './colorQuantize';
+
+// 缩略图边长 (px)
+const THUMBNAIL_SIZE = 256;
+
+// 相机视场角，以及观察方向（与视图的初始视角相同，从前方斜上方看向模型）
+const CAMERA_FOV = 35;
+const VIEW_DIRECTION = new THREE.Vector3(150, -150, 450).normalize();
+
+/**
+ * 渲染缩略图
+ * @param {Array<{geometry: THREE.BufferGeometry, position: THREE.Vector3}>} meshes - 见 createExportMeshes
+ * @param {Object} params - 拼图参数（使用 sideColor、bottomColor）
+ * @param {THREE.Texture} texture - 顶面纹理（可选）
+ * @param {Object|null} colorMap - 多色导出的颜色映射（见 createImageColorMap），顶面按其耗材颜色显示；否则为 null
+ * @param {number} size - 边长 (px)
+ * @returns {{data: string|null, error: string|null}} data 为不带前缀的 PNG base64；
+ *   浏览器不支持 WebGL 时 data 为 null，error 为原因（缩略图可有可无，由调用方决定如何提示）
+ */
+export const renderThumbnail = (meshes, params, texture, colorMap = null, size = THUMBNAIL_SIZE) => {
+  let renderer;
+  try {
+    renderer = new THREE.WebGLRenderer({ antialias: true, alpha: true, preserveDrawingBuffer: true });
+  } catch (error) {
+    return { data: null, error: `无法创建缩略图渲染器: ${error.message}` };
+  }
+  renderer.setPixelRatio(1);
+  renderer.setSize(size, size, false);
+  renderer.setClearColor(0x000000, 0);
+
+  let colorMapTexture = null;
+  if (colorMap) {
+    colorMapTexture = new THREE.CanvasTexture(drawColorMap(colorMap));
+    colorMapTexture.colorSpace = THREE.SRGBColorSpace;
+  }
+
+  const materials = [];
+  materials[MATERIAL_INDEX.side] = new THREE.MeshStandardMaterial({
+    color: new THREE.Color(params.sideColor),
+    roughness: 0.5,
+    metalness: 0.1
+  });
+  materials[MATERIAL_INDEX.bottom] = new THREE.MeshStandardMaterial({
+    color: new THREE.Color(params.bottomColor),
+    roughness: 0.7,
+    metalness: 0.0
+  });
+  materials[MATERIAL_INDEX.top] = new THREE.MeshStandardMaterial({
+    color: 0xffffff,
+    map: colorMapTexture || texture || null,
+    roughness: 0.5,
+    metalness: 0.0
+  });
+
+  const scene = new THREE.Scene();
+  scene.add(new THREE.AmbientLight(0xffffff, 0.6));
+  const directionalLight = new THREE.DirectionalLight(0xffffff, 0.8);
+  directionalLight.position.set(100, 100, 100);
+  scene.add(directionalLight);
+
+  meshes.forEach(({ geometry, position }) => {
+    const mesh = new THREE.Mesh(geometry, materials);
+    mesh.position.copy(position);
+    scene.add(mesh);
+  });
+
+  // 相机距离使整个模型的包围球刚好落在视野内
+  const sphere = new THREE.Box3().setFromObject(scene).getBoundingSphere(new THREE.Sphere());
+  const distance = sphere.radius / Math.sin(THREE.MathUtils.degToRad(CAMERA_FOV / 2)) * 1.05;
+  const camera = new THREE.PerspectiveCamera(CAMERA_FOV, 1, distance / 100, distance * 3);
+  camera.up.set(0, 0, 1);
+  camera.position.copy(sphere.center).addScaledVector(VIEW_DIRECTION, distance);
+  camera.lookAt(sphere.center);
+
+  renderer.render(scene, camera);
+  const dataUrl = renderer.domElement.toDataURL('image/png');
+
+  // 纹理仍由视图使用，只释放本次创建的材质、颜色贴图和渲染器
+  materials.forEach(material => material.dispose());
+  if (colorMapTexture) colorMapTexture.dispose();
+  renderer.dispose();
+  renderer.forceContextLoss();
+
+  return { data: dataUrl.split(',')[1], error: null };
+};
@@ -0,0 +1,8 @@
+/**
+ * 创建 3MF 导出 Worker
+ * 单独成一个模块：import.meta.url 只在打包（webpack 5）时可用，其它模块可以正常在 Node 中引用。
+ * @returns {Worker}
+ */
+const createExport3mfWorker = () => new Worker(new URL('./export3mf.worker.js', import.meta.url));
+
+export default createExport3mfWorker;
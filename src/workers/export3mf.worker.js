@@ -0,0 +1,43 @@
+/**
+ * 3MF 导出 Web Worker
+ * 在后台线程中提取网格数据、生成 XML、编码贴图并打包，导出大模型时界面不再卡住。
+ *
+ * 消息格式见 utils/backgroundExport：
+ * - 收到 { meshes, params, options, thumbnail, textureImage }，meshes 为 serializeMesh 的结果
+ * - 发出 { type: 'progress', stage, progress }、{ type: 'done', blob, problems, colorResolution } 或 { type: 'error', message }
+ */
+/* eslint-disable no-restricted-globals */
+import * as THREE from 'three';
+import { export3MF } from '../utils/export3mf';
+
+// 由主线程传来的数组重建网格
+const deserializeMesh = ({ name, plate, position, attributes, index }) => {
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.BufferAttribute(attributes.position, 3));
+  if (attributes.uv) geometry.setAttribute('uv', new THREE.BufferAttribute(attributes.uv, 2));
+  if (index) geometry.setIndex(new THREE.BufferAttribute(index, 1));
+  return { name, plate, geometry, position: new THREE.Vector3().fromArray(position) };
+};
+
+self.onmessage = async ({ data }) => {
+  const { meshes, params, options, thumbnail, textureImage } = data;
+
+  // 进度只在百分比变化时发送，避免大量拼图块时消息过多
+  let lastProgress = null;
+  const onProgress = (stage, progress) => {
+    const key = `${stage}:${Math.floor(progress * 100)}`;
+    if (key === lastProgress) return;
+    lastProgress = key;
+    self.postMessage({ type: 'progress', stage, progress });
+  };
+
+  try {
+    const texture = textureImage ? { image: textureImage } : null;
+    const { blob, problems, colorResolution } = await export3MF(
+      meshes.map(deserializeMesh), params, texture, options, { thumbnail, onProgress }
+    );
+    self.postMessage({ type: 'done', blob, problems, colorResolution });
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message });
+  }
+};